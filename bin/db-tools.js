@@ -8,6 +8,11 @@ const db = require('../src/utils/db');
 const chalk = require('chalk');
 
 const { createCommandAdapter } = require('../src/utils/command-adapter');
+const { wrapWithSafety } = require('../src/commands/safe-command');
+const { enforcePolicy } = require('../src/utils/policy');
+const { startAuditEntry, setAuditConnection, markBlocked } = require('../src/utils/audit');
+const { readPlanRequest } = require('../src/utils/plan');
+const { readUndoRequest } = require('../src/utils/undo-journal');
 
 // Helper function to ensure process exits after command execution
 async function executeCommandAndExit(implementation, ...args) {
@@ -81,6 +86,9 @@ const initCommand = require('../src/commands/init');
 const migrateCommand = require('../src/commands/postgres/migrate');
 const seedCommand = require('../src/commands/seed');
 const checkCommand = require('../src/commands/check');
+const diffCommand = require('../src/commands/diff');
+const introspectCommand = require('../src/commands/introspect');
+const compareSchemaCommand = require('../src/commands/compare-schema');
 const managePermissionsCommand = require('../src/commands/postgres/manage-permissions');
 const autoBackupCommand = require('../src/commands/auto-backup');
 const validateConfigCommand = require('../src/commands/validate-config');
@@ -90,7 +98,12 @@ program
   .description('CLI tool to manage PostgreSQL databases')
   .version(packageJson.version)
   .option('--connect <file>', 'Path to custom connection file (default: connect.json)')
-  .option('--type <type>', 'Database type (postgres|mongodb) - useful when multiple connections share the same name');
+  .option('--type <type>', 'Database type (postgres|mongodb) - useful when multiple connections share the same name')
+  .option('--schema <name>', 'PostgreSQL schema for unqualified table names (default: the connection\'s "schema" field, then public)')
+  .option('--clone-strategy <strategy>', 'How safety validation copies the database: auto, template, dump or sample (default: auto)')
+  .option('--sample-rows <n>', 'Rows copied per table by the sample clone strategy (default: 1000)', parseInt)
+  .option('--no-backup-compression', 'Store temporary backups encrypted but uncompressed')
+  .option('--full-backup', 'Back up the whole database before table commands, instead of the table and the tables referencing it');
 
 // Init command (replaces setup)
 program
@@ -115,6 +128,9 @@ program
   .option('--null', 'Column can be null (default)')
   .option('--not-null', 'Column cannot be null')
   .option('-d, --database <name>', 'Database to connect to')
+  .option('--lock-timeout <duration>', 'How long to wait for the table lock before trying again, e.g. 5s, 500ms, or seconds (default: 5s)')
+  .option('--statement-timeout <duration>', 'How long the statement may run, e.g. 30min, or seconds (default: 30min)')
+  .option('--lock-retries <n>', 'How many times to try again when the lock is not available (default: 3)', parseInt)
   .option('--force', 'Skip confirmation prompts')
   .action(async (project, table, column, datatype, options, cmd) => {
     const implementation = await getCommandImplementation(project, cmd?.parent?.opts(), 'add-column');
@@ -130,6 +146,9 @@ program
   .argument('[column]', 'Column to index')
   .option('--unique', 'Create a unique index')
   .option('-d, --database <name>', 'Database to connect to')
+  .option('--lock-timeout <duration>', 'How long to wait for the table lock before trying again, e.g. 5s, 500ms, or seconds (default: 5s)')
+  .option('--statement-timeout <duration>', 'How long the statement may run, e.g. 30min, or seconds (default: 30min)')
+  .option('--lock-retries <n>', 'How many times to try again when the lock is not available (default: 3)', parseInt)
   .option('--force', 'Skip confirmation prompts')
   .action(async (project, table, column, options, cmd) => {
     const implementation = await getCommandImplementation(project, cmd?.parent?.opts(), 'create-index');
@@ -152,17 +171,67 @@ program
   });
 
 // Migrate command
-program
+const migrateProgram = program
   .command('migrate')
-  .description('Execute a migration file containing SQL statements')
+  .description('Execute a migration file (SQL for PostgreSQL, JavaScript for MongoDB)')
   .argument('[project]', 'Project to run migration for')
   .argument('[migration-file]', 'Path to migration file')
   .option('-d, --database <name>', 'Database to connect to')
+  .option('--lock-timeout <seconds>', 'Seconds to wait for a concurrent migration run to finish (default: 10)')
+  .option('--allow-drift', 'Apply the migration even if applied migrations were edited, deleted or are out of order')
   .option('--force', 'Skip confirmation prompts')
   .action(async (...args) => {
     await executeCommandAndExit(migrateCommand, ...args);
   });
 
+// Migrate subcommands: options like -d and --force are parsed by the parent migrate command,
+// so merge them in and hand the implementation the migrate command as its "cmd"
+migrateProgram
+  .command('up')
+  .description('Apply all pending migrations in the migrations directory, in order')
+  .argument('[project]', 'Project to run migrations for')
+  .option('--to <name>', 'Stop after applying this migration')
+  .option('--allow-drift', 'Apply migrations even if applied migrations were edited, deleted or are out of order')
+  .option('--lock-timeout <seconds>', 'Seconds to wait for a concurrent migration run to finish (default: 10)')
+  .option('-d, --database <name>', 'Database to connect to')
+  .option('--force', 'Skip confirmation prompts')
+  .action(async (project, options, cmd) => {
+    await executeCommandAndExit(migrateCommand.up, project, { ...cmd.parent.opts(), ...options }, cmd.parent);
+  });
+
+migrateProgram
+  .command('status')
+  .description('Show applied, pending and missing migrations')
+  .argument('[project]', 'Project to show migration status for')
+  .option('-j, --json', 'Output status in JSON format')
+  .option('-d, --database <name>', 'Database to connect to')
+  .action(async (project, options, cmd) => {
+    await executeCommandAndExit(migrateCommand.status, project, { ...cmd.parent.opts(), ...options }, cmd.parent);
+  });
+
+migrateProgram
+  .command('rollback')
+  .description('Roll back the most recently applied migrations using their down migrations')
+  .argument('[project]', 'Project to roll back migrations for')
+  .option('--steps <n>', 'Number of migrations to roll back (default: 1)', parseInt)
+  .option('--no-backup', 'Skip the temporary backup taken before rolling back (NOT RECOMMENDED)')
+  .option('--lock-timeout <seconds>', 'Seconds to wait for a concurrent migration run to finish (default: 10)')
+  .option('-d, --database <name>', 'Database to connect to')
+  .option('--force', 'Skip confirmation prompts')
+  .action(async (project, options, cmd) => {
+    await executeCommandAndExit(migrateCommand.rollback, project, { ...cmd.parent.opts(), ...options }, cmd.parent);
+  });
+
+migrateProgram
+  .command('verify')
+  .description('Check that applied migrations have not been edited, deleted or skipped')
+  .argument('[project]', 'Project to verify migrations for')
+  .option('-j, --json', 'Output drift report in JSON format')
+  .option('-d, --database <name>', 'Database to connect to')
+  .action(async (project, options, cmd) => {
+    await executeCommandAndExit(migrateCommand.verify, project, { ...cmd.parent.opts(), ...options }, cmd.parent);
+  });
+
 // Seed command
 program
   .command('seed')
@@ -186,6 +255,49 @@ program
     await executeCommandAndExit(checkCommand, ...args);
   });
 
+// Diff command
+program
+  .command('diff')
+  .description('Compare the database with its schema file and generate a migration for the differences')
+  .argument('[project]', 'Project to compare')
+  .option('-d, --database <name>', 'Database to connect to')
+  .option('--reverse', 'Also drop tables, columns, indexes and extensions that are not in the schema')
+  .option('--name <description>', 'Description used in the migration file name', 'schema_diff')
+  .option('--dry-run', 'Print the migration instead of writing it to the migrations directory')
+  .action(async (...args) => {
+    await executeCommandAndExit(diffCommand, ...args);
+  });
+
+// Introspect command
+program
+  .command('introspect')
+  .description('Generate a schemas/ file from the structure of a live database')
+  .argument('[project]', 'Project to introspect')
+  .option('-d, --database <name>', 'Database to connect to')
+  .option('-o, --output <file>', 'File to write (default: schemas/<project>.js)')
+  .option('--sample <count>', 'Documents to sample per MongoDB collection', '100')
+  .option('--dry-run', 'Print the schema instead of writing it')
+  .option('--force', 'Overwrite an existing schema file without asking')
+  .action(async (...args) => {
+    await executeCommandAndExit(introspectCommand, ...args);
+  });
+
+// Compare Schema command
+program
+  .command('compare-schema')
+  .description('Compare the schemas of two PostgreSQL databases (e.g. staging and production)')
+  .argument('[source]', 'Project whose schema is the reference')
+  .argument('[target]', 'Project to bring in line with the source (defaults to the source project)')
+  .option('-d, --database <names...>', 'One database for both projects, or the source and target databases of one project')
+  .option('-j, --json', 'Output the differences as JSON')
+  .option('--migration', 'Write a migration that brings the target in line with the source')
+  .option('-o, --output <file>', 'Migration file to write (default: next file in migrations/)')
+  .option('--name <description>', 'Description used in the migration file name', 'sync_schema')
+  .option('--reverse', 'Include drops of objects that exist only in the target in the migration')
+  .action(async (...args) => {
+    await executeCommandAndExit(compareSchemaCommand, ...args);
+  });
+
 // Backup command
 program
   .command('backup')
@@ -249,6 +361,55 @@ program
     }
   });
 
+/**
+ * Restores a project's database from a backup file using the database-specific implementation
+ * @param {string} project - Project to restore database for
+ * @param {Object} options - Command options
+ * @param {Object} cmd - Commander command object
+ * @returns {Promise<boolean>} True if the restore succeeded, false otherwise
+ */
+async function restoreProject(project, options, cmd) {
+  // For restore, we need special handling to ensure connection info is passed
+  try {
+    // Get the direct PostgreSQL or MongoDB implementation based on project type
+    const connection = db.getConnectionForProject(project, cmd?.parent?.opts());
+    const dbType = db.getDatabaseType(connection);
+    
+    // Load the implementation directly, bypassing the dynamic selection
+    let implementation;
+    if (dbType === 'postgres') {
+      implementation = require(`../src/commands/postgres/restore`);
+    } else if (dbType === 'mongodb') {
+      implementation = require(`../src/commands/mongodb/restore`);
+    } else {
+      console.error(chalk.red(`Unsupported database type: ${dbType}`));
+      return false;
+    }
+    
+    console.log(chalk.cyan(`Using ${dbType} implementation for restore command`));
+    
+    // Call implementation directly with correct parameters
+    // Pass the database option to createPool to override the database
+    const pool = dbType === 'postgres' ? await db.postgres.createPool(connection, options) : null;
+    const mongoConnection = dbType === 'mongodb' ? await db.mongodb.createClient(connection) : null;
+    
+    try {
+      // Execute the correct implementation with the connection and options
+      if (dbType === 'postgres') {
+        return await implementation(pool, options, connection);
+      }
+      return await implementation(mongoConnection, options, connection);
+    } finally {
+      // Clean up connections
+      if (pool) await pool.end();
+      if (mongoConnection) await db.mongodb.closeClient(mongoConnection.client);
+    }
+  } catch (error) {
+    console.error(chalk.red(`Error in restore command: ${error.message}`));
+    return false;
+  }
+}
+
 // Restore command
 program
   .command('restore')
@@ -258,52 +419,10 @@ program
   .option('--dry-run', 'Verify backup without restoring')
   .option('-d, --database <name>', 'Database to connect to (target for restoration)')
   .option('--force', 'Skip confirmation prompts')
+  .option('--skip-safety', 'Skip safety validation in a test database (not recommended)')
   .action(async (project, options, cmd) => {
-    // For restore, we need special handling to ensure connection info is passed
     if (project) {
-      try {
-        // Get the direct PostgreSQL or MongoDB implementation based on project type
-        const connection = db.getConnectionForProject(project, cmd?.parent?.opts());
-        const dbType = db.getDatabaseType(connection);
-        
-        // Load the implementation directly, bypassing the dynamic selection
-        let implementation;
-        if (dbType === 'postgres') {
-          implementation = require(`../src/commands/postgres/restore`);
-        } else if (dbType === 'mongodb') {
-          implementation = require(`../src/commands/mongodb/restore`);
-        } else {
-          console.error(chalk.red(`Unsupported database type: ${dbType}`));
-          return false;
-        }
-        
-        console.log(chalk.cyan(`Using ${dbType} implementation for restore command`));
-        
-        // Call implementation directly with correct parameters
-        // Pass the database option to createPool to override the database
-        const pool = dbType === 'postgres' ? await db.postgres.createPool(connection, options) : null;
-        const mongoConnection = dbType === 'mongodb' ? await db.mongodb.createClient(connection) : null;
-        
-        try {
-          // Execute the correct implementation with the connection and options
-          let result;
-          if (dbType === 'postgres') {
-            result = await implementation(pool, options, connection);
-          } else {
-            result = await implementation(mongoConnection, options, connection);
-          }
-          
-          // Exit with appropriate code
-          process.exit(result ? 0 : 1);
-        } finally {
-          // Clean up connections
-          if (pool) await pool.end();
-          if (mongoConnection) await db.mongodb.closeClient(mongoConnection.client);
-        }
-      } catch (error) {
-        console.error(chalk.red(`Error in restore command: ${error.message}`));
-        process.exit(1);
-      }
+      await executeCommandAndExit(wrapWithSafety(restoreProject, 'restore'), project, options, cmd);
     } else {
       // Fall back to the normal method for selecting a project
       const implementation = await getCommandImplementation(null, cmd?.parent?.opts(), 'restore');
@@ -321,9 +440,10 @@ program
   .option('-d, --database <name>', 'Database to connect to')
   .option('--dry-run', 'Show what would be deleted without making actual changes')
   .option('--force', 'Skip confirmation prompts')
+  .option('--skip-safety', 'Skip safety validation in a test database (not recommended)')
   .action(async (project, table, options, cmd) => {
     const implementation = await getCommandImplementation(project, cmd?.parent?.opts(), 'delete-table');
-    await executeCommandAndExit(implementation, project, table, options, cmd);
+    await executeCommandAndExit(wrapWithSafety(implementation, 'delete-table'), project, table, options, cmd);
   });
 
 // Rename Table command
@@ -334,10 +454,14 @@ program
   .argument('[old-table]', 'Current table name')
   .argument('[new-table]', 'New table name')
   .option('-d, --database <name>', 'Database to connect to')
+  .option('--lock-timeout <duration>', 'How long to wait for the table lock before trying again, e.g. 5s, 500ms, or seconds (default: 5s)')
+  .option('--statement-timeout <duration>', 'How long the statement may run, e.g. 30min, or seconds (default: 30min)')
+  .option('--lock-retries <n>', 'How many times to try again when the lock is not available (default: 3)', parseInt)
   .option('--force', 'Skip confirmation prompts')
+  .option('--skip-safety', 'Skip safety validation in a test database (not recommended)')
   .action(async (project, oldTable, newTable, options, cmd) => {
     const implementation = await getCommandImplementation(project, cmd?.parent?.opts(), 'rename-table');
-    await executeCommandAndExit(implementation, project, oldTable, newTable, options, cmd);
+    await executeCommandAndExit(wrapWithSafety(implementation, 'rename-table'), project, oldTable, newTable, options, cmd);
   });
 
 // Rename Column command
@@ -350,9 +474,10 @@ program
   .argument('[new-column]', 'New column name')
   .option('-d, --database <name>', 'Database to connect to')
   .option('--force', 'Skip confirmation prompts')
+  .option('--skip-safety', 'Skip safety validation in a test database (not recommended)')
   .action(async (project, table, oldColumn, newColumn, options, cmd) => {
     const implementation = await getCommandImplementation(project, cmd?.parent?.opts(), 'rename-column');
-    await executeCommandAndExit(implementation, project, table, oldColumn, newColumn, options, cmd);
+    await executeCommandAndExit(wrapWithSafety(implementation, 'rename-column'), project, table, oldColumn, newColumn, options, cmd);
   });
 
 // Remove Column command
@@ -364,10 +489,14 @@ program
   .argument('[column]', 'Column to remove')
   .option('-d, --database <name>', 'Database to connect to')
   .option('--dry-run', 'Show what would be changed without making actual modifications')
+  .option('--lock-timeout <duration>', 'How long to wait for the table lock before trying again, e.g. 5s, 500ms, or seconds (default: 5s)')
+  .option('--statement-timeout <duration>', 'How long the statement may run, e.g. 30min, or seconds (default: 30min)')
+  .option('--lock-retries <n>', 'How many times to try again when the lock is not available (default: 3)', parseInt)
   .option('--force', 'Skip confirmation prompts')
+  .option('--skip-safety', 'Skip safety validation in a test database (not recommended)')
   .action(async (project, table, column, options, cmd) => {
     const implementation = await getCommandImplementation(project, cmd?.parent?.opts(), 'remove-column');
-    await executeCommandAndExit(implementation, project, table, column, options, cmd);
+    await executeCommandAndExit(wrapWithSafety(implementation, 'remove-column'), project, table, column, options, cmd);
   });
 
 // Manage Permissions command
@@ -392,6 +521,18 @@ program
     await executeCommandAndExit(implementation, project, options, cmd);
   });
 
+// List Schemas command
+program
+  .command('list-schemas')
+  .alias('schemas')
+  .description('List all schemas in a PostgreSQL database')
+  .argument('[project]', 'Project to list schemas for')
+  .option('-d, --database <name>', 'Database to connect to')
+  .action(async (project, options, cmd) => {
+    const implementation = await getCommandImplementation(project, cmd?.parent?.opts(), 'list-schemas');
+    await executeCommandAndExit(implementation, project, options, cmd);
+  });
+
 // List Tables command
 program
   .command('list-tables')
@@ -445,10 +586,55 @@ program
   .option('-r, --raw <query>', 'Raw SQL query (alternative to passing as argument)')
   .option('-j, --json', 'Output results in JSON format')
   .option('-v, --verbose', 'Show verbose output')
+  .option('--dry-run', 'Show what the query would change without running it')
+  .option('--what-if', 'Run the query in a transaction, show the rows it changes, then roll it back')
+  .option('--no-undo', 'Run UPDATE and DELETE statements without writing an undo journal')
   .option('--force', 'Skip confirmation prompts')
+  .option('--skip-safety', 'Skip safety validation in a test database (not recommended)')
   .action(async (project, sql, options, cmd) => {
     const implementation = await getCommandImplementation(project, cmd?.parent?.opts(), 'query');
-    await executeCommandAndExit(implementation, project, sql, options, cmd);
+    await executeCommandAndExit(wrapWithSafety(implementation, 'query'), project, sql, options, cmd);
+  });
+
+// Batch update command
+program
+  .command('batch-update')
+  .description('Update many rows in primary key batches, with progress and a resumable checkpoint')
+  .argument('[project]', 'Project to update rows in')
+  .argument('[table]', 'Table (or MongoDB collection) to update')
+  .option('-d, --database <name>', 'Database to connect to')
+  .option('-w, --where <condition>', 'SQL WHERE condition, or filter document for MongoDB (required)')
+  .option('-s, --set <expression>', 'SQL SET expression, or update document for MongoDB (required)')
+  .option('--batch-size <n>', 'Rows changed per batch (default: 1000)', parseInt)
+  .option('--sleep <ms>', 'Pause between batches in milliseconds (default: 100)', parseInt)
+  .option('--checkpoint <file>', 'Checkpoint file (default: batch-update_<table>.checkpoint.json)')
+  .option('--resume', 'Continue from the checkpoint of an earlier run')
+  .option('--dry-run', 'Show the row count and the statement run for each batch without changing anything')
+  .option('--force', 'Skip confirmation prompts')
+  .option('--skip-safety', 'Skip safety validation in a test database (not recommended)')
+  .action(async (project, table, options, cmd) => {
+    const implementation = await getCommandImplementation(project, cmd?.parent?.opts(), 'batch-update');
+    await executeCommandAndExit(wrapWithSafety(implementation, 'batch-update'), project, table, options, cmd);
+  });
+
+// Batch delete command
+program
+  .command('batch-delete')
+  .description('Delete many rows in primary key batches, with progress and a resumable checkpoint')
+  .argument('[project]', 'Project to delete rows from')
+  .argument('[table]', 'Table (or MongoDB collection) to delete from')
+  .option('-d, --database <name>', 'Database to connect to')
+  .option('-w, --where <condition>', 'SQL WHERE condition, or filter document for MongoDB (required)')
+  .option('--batch-size <n>', 'Rows deleted per batch (default: 1000)', parseInt)
+  .option('--sleep <ms>', 'Pause between batches in milliseconds (default: 100)', parseInt)
+  .option('--checkpoint <file>', 'Checkpoint file (default: batch-delete_<table>.checkpoint.json)')
+  .option('--resume', 'Continue from the checkpoint of an earlier run')
+  .option('--dry-run', 'Show the row count and the statement run for each batch without changing anything')
+  .option('--force', 'Skip confirmation prompts')
+  .option('--skip-safety', 'Skip safety validation in a test database (not recommended)')
+  .action(async (project, table, options, cmd) => {
+    const implementation = await getCommandImplementation(project, cmd?.parent?.opts(), 'batch-delete');
+    await executeCommandAndExit(wrapWithSafety(implementation, 'batch-delete'), project, table, options, cmd);
   });
 
 // Search command
@@ -503,9 +689,10 @@ program
   .argument('[newName]', 'New collection name')
   .option('-d, --database <name>', 'Database to connect to')
   .option('--force', 'Skip confirmation prompts')
+  .option('--skip-safety', 'Skip the temporary backup taken before renaming (not recommended)')
   .action(async (project, oldName, newName, options, cmd) => {
     const implementation = await getCommandImplementation(project, cmd?.parent?.opts(), 'rename-collection');
-    await executeCommandAndExit(implementation, project, oldName, newName, options, cmd);
+    await executeCommandAndExit(wrapWithSafety(implementation, 'rename-collection'), project, oldName, newName, options, cmd);
   });
 
 program
@@ -515,9 +702,10 @@ program
   .argument('[collection]', 'Collection name to delete')
   .option('-d, --database <name>', 'Database to connect to')
   .option('--force', 'Skip confirmation prompts')
+  .option('--skip-safety', 'Skip safety validation in a test database (not recommended)')
   .action(async (project, collection, options, cmd) => {
     const implementation = await getCommandImplementation(project, cmd?.parent?.opts(), 'delete-collection');
-    await executeCommandAndExit(implementation, project, collection, options, cmd);
+    await executeCommandAndExit(wrapWithSafety(implementation, 'delete-collection'), project, collection, options, cmd);
   });
 
 program
@@ -529,9 +717,10 @@ program
   .option('-d, --database <name>', 'Database to connect to')
   .option('--dry-run', 'Show what would be removed without actually removing')
   .option('--force', 'Skip confirmation prompts')
+  .option('--skip-safety', 'Skip safety validation in a test database (not recommended)')
   .action(async (project, collection, field, options, cmd) => {
     const implementation = await getCommandImplementation(project, cmd?.parent?.opts(), 'remove-field');
-    await executeCommandAndExit(implementation, project, collection, field, options, cmd);
+    await executeCommandAndExit(wrapWithSafety(implementation, 'remove-field'), project, collection, field, options, cmd);
   });
 
 // Auto-backup command
@@ -569,19 +758,131 @@ program
     await executeCommandAndExit(require('../src/commands/list-temp-backups'), ...args);
   });
 
+// Audit command
+program
+  .command('audit')
+  .description('Show the audit log of commands run against the databases, or verify that it has not been altered')
+  .option('-p, --project <name>', 'Only show entries for this project')
+  .option('-c, --command <name>', 'Only show entries for this command')
+  .option('-u, --user <name>', 'Only show entries by this user')
+  .option('-r, --result <result>', 'Only show entries with this result (success, failure or blocked)')
+  .option('--since <date>', 'Only show entries at or after this date')
+  .option('--until <date>', 'Only show entries before this date')
+  .option('-n, --limit <count>', 'Number of most recent entries to show', '20')
+  .option('--json', 'Print the matching entries as JSON lines')
+  .option('-v, --verbose', 'Show the statements each command sent to the database')
+  .option('--verify', 'Check the hash chain of the whole log and print its head hash')
+  .action(async (...args) => {
+    await executeCommandAndExit(require('../src/commands/audit'), ...args);
+  });
+
+// Plan command
+program
+  .command('plan')
+  .description('Write a signed plan of what a delete-table, remove-column or query command would execute, for review')
+  .argument('<command>', 'Command to plan: delete-table, remove-column or query')
+  .argument('[project]', 'Project to plan the change for')
+  .argument('[args...]', 'Arguments of the planned command')
+  .option('-o, --output <file>', 'Plan file to write (default: plans/<project>_<command>_<timestamp>.json)')
+  .option('-d, --database <name>', 'Database to connect to')
+  .action(async (...args) => {
+    await executeCommandAndExit(require('../src/commands/plan'), ...args);
+  });
+
+// Apply command
+program
+  .command('apply')
+  .description('Execute exactly the statements of a plan, refusing if the plan was edited or the schema changed')
+  .argument('<plan-file>', 'Plan file written by the plan command')
+  .option('--force', 'Skip confirmation prompts')
+  .action(async (...args) => {
+    await executeCommandAndExit(require('../src/commands/apply'), ...args);
+  });
+
+// Undo command
+program
+  .command('undo')
+  .description('Restore the rows an UPDATE or DELETE run through the query command changed, from its undo journal')
+  .argument('[journal-id]', 'Undo journal printed by the query command (lists the journals if omitted)')
+  .option('--dry-run', 'Show the statements that would restore the rows without running them')
+  .option('--overwrite', 'Restore rows even if they changed after the query ran')
+  .option('--force', 'Skip confirmation prompts')
+  .action(async (...args) => {
+    await executeCommandAndExit(require('../src/commands/undo'), ...args);
+  });
+
 // Restore from Temporary Backup command
 program
   .command('restore-temp')
   .description('Restore database from a temporary backup')
   .argument('[project]', 'Project to restore')
   .argument('[backup-name]', 'Name of the temporary backup')
+  .option('-d, --database <name>', 'Database to connect to')
+  .option('--collection <name>', 'Only restore this collection (MongoDB projects)')
   .option('--force', 'Skip confirmation prompts')
   .action(async (...args) => {
     await executeCommandAndExit(require('../src/commands/restore-temp'), ...args);
   });
 
+/**
+ * Starts the command's audit entry, then checks the command against the safety policy and stops it if the policy forbids it
+ * "apply" is checked as the command its plan runs, and "undo" against its journal's project
+ * @param {Object} thisCommand - Command the hook was added to
+ * @param {Object} actionCommand - Command whose action is about to run
+ * @returns {Promise<void>}
+ */
+async function enforceSafetyPolicy(thisCommand, actionCommand) {
+  const parent = actionCommand.parent;
+  const isSubcommand = parent && parent !== program;
+  const command = isSubcommand ? `${parent.name()} ${actionCommand.name()}` : actionCommand.name();
+  const takesProject = actionCommand.registeredArguments.length > 0 && actionCommand.registeredArguments[0].name() === 'project';
+  const [projectName, ...args] = takesProject ? actionCommand.processedArgs : [undefined, ...actionCommand.processedArgs];
+  const options = { ...program.opts(), ...(isSubcommand ? parent.opts() : {}), ...actionCommand.opts() };
+  
+  // A plan is checked as the command it runs, against the project it was made for
+  const planned = command === 'apply' ? readPlanRequest(args[0]) : null;
+  // An undo is checked against the project its journal was written for
+  const undone = command === 'undo' ? readUndoRequest(args[0]) : null;
+  let request = { command, takesProject, projectName, args, options };
+  
+  if (planned) {
+    request = { command: planned.command, takesProject: true, projectName: planned.projectName, args: planned.args, options: { ...options, ...planned.options } };
+  } else if (undone) {
+    request = { command, takesProject: true, projectName: undone.projectName, args, options: { ...options, ...undone.options } };
+  }
+  
+  // Reading the audit log is not itself audited
+  if (command !== 'audit') {
+    startAuditEntry({ command, projectName: request.projectName, args, options });
+    
+    if (request.projectName) {
+      setAuditConnection(db.getConnectionForProject(request.projectName, request.options));
+    }
+  }
+  
+  const result = await enforcePolicy(request);
+  
+  if (!result.allowed) {
+    markBlocked(result.reason);
+    process.exit(1);
+  }
+  
+  // Connections created from the merged options open read-only sessions
+  if (result.readOnly) {
+    program.setOptionValue('readOnly', true);
+  }
+  
+  // Destructive commands reuse this backup instead of taking another
+  if (result.tempBackup) {
+    actionCommand.setOptionValue('tempBackup', result.tempBackup);
+  }
+}
+
+// Enforce the safety policy (db-tools.policy.json next to the connection file) before any command runs
+program.hook('preAction', enforceSafetyPolicy);
+
 // Setup automatic cleanup on startup
 const { setupAutoCleanup } = require('../src/utils/temp-backup');
 setupAutoCleanup();
 
-program.parse(process.argv);
\ No newline at end of file
+program.parseAsync(process.argv);
\ No newline at end of file
@@ -56,6 +56,10 @@ test_mongodb_essential() {
         "run_db_tools count-records '$project_name' test_collection --connect '$connect_file'" \
         "true"
     
+    test_command "Introspect sampled collections" \
+        "run_db_tools introspect '$project_name' --connect '$connect_file' --dry-run | grep -q test_collection" \
+        "true"
+    
     end_test_group
 }
 
@@ -184,6 +188,64 @@ test_mongodb_advanced() {
         "run_db_tools delete-collection '$project_name' items --connect '$connect_file' --force" \
         "true"
     
+    # Restore the deleted collection from the temporary backup taken before deleting it
+    local delete_backup
+    delete_backup=$(ls -t temp/*_delete_collection_*.enc 2>/dev/null | head -1 | xargs -r basename -s .enc)
+    test_command "Restore deleted collection from temporary backup" \
+        "echo n | run_db_tools restore-temp '$project_name' '$delete_backup' --collection items --connect '$connect_file' --force" \
+        "true"
+    
+    test_command "Verify restored collection" \
+        "run_db_tools list-tables '$project_name' --connect '$connect_file' | grep -q items" \
+        "true"
+    
+    run_db_tools delete-collection "$project_name" items --connect "$connect_file" --force --skip-safety > /dev/null 2>&1
+    
+    # Migrations are JavaScript files exporting up and down
+    local created_migrations_dir=false
+    if [[ ! -d migrations ]]; then
+        mkdir migrations
+        created_migrations_dir=true
+    fi
+    
+    local migration_file="migrations/test_mongo_migration_$$.js"
+    cat > "$migration_file" << 'EOF'
+module.exports = {
+  async up(db, client, session) {
+    await db.collection('migration_items').insertOne({ name: 'from migration' }, { session });
+  },
+  async down(db) {
+    await db.collection('migration_items').drop();
+  }
+};
+EOF
+    
+    test_command "Apply MongoDB migrations" \
+        "run_db_tools migrate up '$project_name' --connect '$connect_file' --force" \
+        "true"
+    
+    test_command "Verify MongoDB migration" \
+        "run_db_tools list-tables '$project_name' --connect '$connect_file' | grep -q migration_items" \
+        "true"
+    
+    test_command "MongoDB migration status" \
+        "run_db_tools migrate status '$project_name' --connect '$connect_file' --json | grep -q test_mongo_migration_$$.js" \
+        "true"
+    
+    test_command "Roll back MongoDB migration" \
+        "run_db_tools migrate rollback '$project_name' --connect '$connect_file' --force" \
+        "true"
+    
+    test_command "Verify MongoDB rollback" \
+        "run_db_tools list-tables '$project_name' --connect '$connect_file' | grep -q migration_items" \
+        "false"
+    
+    # Cleanup
+    rm -f "$migration_file"
+    if [[ "$created_migrations_dir" == true ]]; then
+        rmdir migrations 2>/dev/null || true
+    fi
+    
     end_test_group
 }
 
@@ -207,6 +269,15 @@ test_mongodb_safety() {
         "run_db_tools remove-field '$project_name' safety_test data --connect '$connect_file' --dry-run 2>&1 | grep -q 'would be removed'" \
         "true"
     
+    # Test destructive query detection
+    test_command "deleteMany with an empty filter is flagged in a dry run" \
+        "run_db_tools query '$project_name' '{\"delete\": \"safety_test\", \"deletes\": [{\"q\": {}, \"limit\": 0}]}' --connect '$connect_file' --dry-run 2>&1 | grep -q 'query-deletemany'" \
+        "true"
+    
+    test_command "Drop command can be cancelled" \
+        "echo 'n' | run_db_tools query '$project_name' '{\"drop\": \"safety_test\"}' --connect '$connect_file'" \
+        "false"
+    
     # Test configuration validation
     test_command "Validate MongoDB configuration" \
         "run_db_tools validate-config --connect '$connect_file'" \
@@ -52,10 +52,30 @@ test_postgres_essential() {
         "run_db_tools list-tables '$project_name' --connect '$connect_file'" \
         "true"
     
+    test_command "List schemas" \
+        "run_db_tools list-schemas '$project_name' --connect '$connect_file' | grep -q 'public'" \
+        "true"
+    
+    test_command "Count records with qualified table name" \
+        "run_db_tools count-records '$project_name' public.users --connect '$connect_file'" \
+        "true"
+    
     test_command "Check database structure" \
         "run_db_tools check '$project_name' --connect '$connect_file'" \
         "true"
     
+    test_command "Diff database against schema" \
+        "run_db_tools diff '$project_name' --connect '$connect_file' --dry-run" \
+        "true"
+    
+    test_command "Introspect database schema" \
+        "run_db_tools introspect '$project_name' --connect '$connect_file' --dry-run | grep -q 'module.exports'" \
+        "true"
+    
+    test_command "Compare schema requires two databases" \
+        "run_db_tools compare-schema '$project_name' --connect '$connect_file'" \
+        "false"
+    
     end_test_group
 }
 
@@ -120,6 +140,10 @@ test_postgres_advanced() {
         "run_db_tools add-column '$project_name' users last_login 'TIMESTAMP' --connect '$connect_file' --force" \
         "true"
     
+    test_command "Add column reports a table rewrite for a volatile default" \
+        "run_db_tools add-column '$project_name' users last_seen 'TIMESTAMPTZ' --default 'clock_timestamp()' --lock-timeout 2s --connect '$connect_file' --force 2>&1 | grep -q 'Rewrites the table'" \
+        "true"
+    
     # Insert test data for search functionality
     run_db_tools query "$project_name" "INSERT INTO users (name, email) VALUES ('Test User', 'test@example.com')" --connect "$connect_file" --force > /dev/null 2>&1
     
@@ -143,6 +167,8 @@ CREATE TABLE IF NOT EXISTS test_migration_table (
 );
 
 INSERT INTO test_migration_table (name) VALUES ('test1'), ('test2');
+-- +down
+DROP TABLE IF EXISTS test_migration_table;
 EOF
     
     test_command "Run migration" \
@@ -153,9 +179,254 @@ EOF
         "run_db_tools list-tables '$project_name' --connect '$connect_file' | grep -q test_migration_table" \
         "true"
     
+    test_command "Migration status" \
+        "run_db_tools migrate status '$project_name' --connect '$connect_file' --json | grep -q test_migration.sql" \
+        "true"
+    
+    test_command "Roll back migration" \
+        "run_db_tools migrate rollback '$project_name' --connect '$connect_file' --force" \
+        "true"
+    
+    test_command "Verify rollback" \
+        "run_db_tools list-tables '$project_name' --connect '$connect_file' | grep -q test_migration_table" \
+        "false"
+    
     # Cleanup
     rm -f "$migration_file"
     
+    # Function bodies and strings with semicolons stay in one statement
+    local dollar_migration_file="$FIXTURES_DIR/test_dollar_quoted_migration.sql"
+    cat > "$dollar_migration_file" << 'EOF'
+-- Test migration with a dollar-quoted function body
+CREATE OR REPLACE FUNCTION test_dollar_quoted() RETURNS TEXT AS $$
+BEGIN
+    PERFORM 1;
+    RETURN 'one; two';
+END;
+$$ LANGUAGE plpgsql;
+-- +down
+DROP FUNCTION IF EXISTS test_dollar_quoted();
+EOF
+    
+    test_command "Run migration with a dollar-quoted function" \
+        "run_db_tools migrate '$project_name' '$dollar_migration_file' --connect '$connect_file' --force" \
+        "true"
+    
+    test_command "Verify dollar-quoted function" \
+        "run_db_tools query '$project_name' 'SELECT test_dollar_quoted() AS result' --connect '$connect_file' --json --force 2>&1 | grep -q 'one; two'" \
+        "true"
+    
+    test_command "Roll back migration with a dollar-quoted function" \
+        "run_db_tools migrate rollback '$project_name' --connect '$connect_file' --force" \
+        "true"
+    
+    rm -f "$dollar_migration_file"
+    
+    # Migrations marked no-transaction run one statement at a time and resume where they stopped
+    local created_migrations_dir=false
+    if [[ ! -d migrations ]]; then
+        mkdir migrations
+        created_migrations_dir=true
+    fi
+    
+    local concurrent_migration="migrations/test_pg_$$_01_concurrent_index.sql"
+    cat > "$concurrent_migration" << 'EOF'
+-- db-tools:no-transaction
+CREATE TABLE IF NOT EXISTS no_transaction_items (id SERIAL PRIMARY KEY, name TEXT);
+CREATE INDEX CONCURRENTLY IF NOT EXISTS no_transaction_items_name_idx ON no_transaction_items (name);
+-- +down
+DROP TABLE IF EXISTS no_transaction_items;
+EOF
+    
+    test_command "Run a no-transaction migration with CREATE INDEX CONCURRENTLY" \
+        "run_db_tools migrate up '$project_name' --connect '$connect_file' --force" \
+        "true"
+    
+    test_command "Verify concurrently created index" \
+        "run_db_tools query '$project_name' \"SELECT indexname FROM pg_indexes WHERE indexname = 'no_transaction_items_name_idx'\" --connect '$connect_file' --json --force | grep -q no_transaction_items_name_idx" \
+        "true"
+    
+    local resumable_migration="migrations/test_pg_$$_02_resumable.sql"
+    cat > "$resumable_migration" << 'EOF'
+-- db-tools:no-transaction
+CREATE TABLE resumable_items (id INT);
+INSERT INTO resumable_items SELECT id FROM resumable_source;
+CREATE INDEX CONCURRENTLY resumable_items_id_idx ON resumable_items (id);
+-- +down
+DROP TABLE IF EXISTS resumable_items;
+EOF
+    
+    test_command "No-transaction migration stops at a failing statement" \
+        "run_db_tools migrate up '$project_name' --connect '$connect_file' --force | grep 'resume from statement 2'" \
+        "true"
+    
+    test_command "Failed statement leaves a migration_progress row" \
+        "run_db_tools query '$project_name' \"SELECT statements_completed FROM migration_progress WHERE name = 'test_pg_$$_02_resumable.sql' AND statements_completed = 1\" --connect '$connect_file' --json --force | grep -q statements_completed" \
+        "true"
+    
+    run_db_tools query "$project_name" "CREATE TABLE resumable_source (id INT); INSERT INTO resumable_source VALUES (1)" --connect "$connect_file" --force > /dev/null 2>&1
+    
+    # Re-running CREATE TABLE resumable_items would fail, so this only passes if the run resumes at statement 2
+    # grep without -q reads all output, so the migration is not cut off by a closed pipe
+    test_command "Resume a no-transaction migration from migration_progress" \
+        "run_db_tools migrate up '$project_name' --connect '$connect_file' --force | grep 'Resuming migration test_pg_$$_02_resumable.sql at statement 2/3'" \
+        "true"
+    
+    test_command "Resumed migration is recorded as applied" \
+        "run_db_tools query '$project_name' \"SELECT name FROM migrations WHERE name = 'test_pg_$$_02_resumable.sql'\" --connect '$connect_file' --json --force | grep -q resumable" \
+        "true"
+    
+    local changed_migration="migrations/test_pg_$$_03_changed.sql"
+    cat > "$changed_migration" << 'EOF'
+-- db-tools:no-transaction
+CREATE TABLE changed_items (id INT);
+INSERT INTO changed_items SELECT id FROM changed_source;
+-- +down
+DROP TABLE IF EXISTS changed_items;
+EOF
+    
+    run_db_tools migrate up "$project_name" --connect "$connect_file" --force > /dev/null 2>&1
+    sed -i.bak 's/changed_items (id INT)/changed_items (id BIGINT)/' "$changed_migration" && rm -f "$changed_migration.bak"
+    
+    test_command "Refuse to resume when statements that already ran have changed" \
+        "db-tools migrate up '$project_name' --connect '$connect_file' --force 2>&1 | grep -q 'statement(s) that already ran have since been changed'" \
+        "true"
+    
+    run_db_tools query "$project_name" "DELETE FROM migration_progress WHERE name = 'test_pg_$$_03_changed.sql'; DROP TABLE IF EXISTS changed_items, resumable_source" --connect "$connect_file" --force > /dev/null 2>&1
+    rm -f "$changed_migration"
+    
+    # Editing an applied migration, down section included, is drift that verify reports and up refuses to build on
+    local drift_migration="migrations/test_pg_$$_04_after_drift.sql"
+    cat > "$drift_migration" << 'EOF'
+CREATE TABLE drift_items (id INT);
+-- +down
+DROP TABLE IF EXISTS drift_items;
+EOF
+    
+    cp "$concurrent_migration" "$concurrent_migration.orig"
+    sed -i.bak 's/DROP TABLE IF EXISTS no_transaction_items;/DROP TABLE IF EXISTS no_transaction_items CASCADE;/' "$concurrent_migration" && rm -f "$concurrent_migration.bak"
+    
+    test_command "Verify fails after an applied migration was edited" \
+        "run_db_tools migrate verify '$project_name' --connect '$connect_file'" \
+        "false"
+    
+    test_command "Refuse to apply migrations while history has drifted" \
+        "db-tools migrate up '$project_name' --connect '$connect_file' --force 2>&1 | grep 'Refusing to apply migrations while migration history has drifted'" \
+        "true"
+    
+    test_command "Refuse to apply a single migration file while history has drifted" \
+        "db-tools migrate '$project_name' '$drift_migration' --connect '$connect_file' --force 2>&1 | grep 'Refusing to apply migrations while migration history has drifted'" \
+        "true"
+    
+    test_command "Migrations are not applied while history has drifted" \
+        "run_db_tools list-tables '$project_name' --connect '$connect_file' | grep -q drift_items" \
+        "false"
+    
+    test_command "Apply migrations despite drift with --allow-drift" \
+        "run_db_tools migrate up '$project_name' --connect '$connect_file' --force --allow-drift" \
+        "true"
+    
+    test_command "Verify --allow-drift applied the pending migration" \
+        "run_db_tools list-tables '$project_name' --connect '$connect_file' | grep -q drift_items" \
+        "true"
+    
+    mv "$concurrent_migration.orig" "$concurrent_migration"
+    
+    test_command "Verify passes once the edit is reverted" \
+        "run_db_tools migrate verify '$project_name' --connect '$connect_file'" \
+        "true"
+    
+    # A second session holding the migration advisory lock makes migrate up give up and name the holder
+    local postgres_uri=$(grep -o 'postgresql://[^"]*' "$connect_file" | head -1)
+    local migration_lock_key="('x' || left(encode(sha256(('db-tools:migrate:$project_name:' || current_database())::bytea), 'hex'), 16))::bit(64)::bigint"
+    PGAPPNAME=db_tools_lock_test psql "$postgres_uri" -q -c "SELECT pg_advisory_lock($migration_lock_key)" -c "SELECT pg_sleep(60)" > /dev/null 2>&1 &
+    local lock_holder_pid=$!
+    sleep 2
+    
+    test_command "Migrate up fails while another session holds the migration lock" \
+        "run_db_tools migrate up '$project_name' --connect '$connect_file' --force --lock-timeout 1" \
+        "false"
+    
+    test_command "Migrate up names the session holding the migration lock" \
+        "run_db_tools migrate up '$project_name' --connect '$connect_file' --force --lock-timeout 1 | grep 'Held by PID .*db_tools_lock_test'" \
+        "true"
+    
+    psql "$postgres_uri" -q -c "SELECT pg_terminate_backend(pid) FROM pg_stat_activity WHERE application_name = 'db_tools_lock_test'" > /dev/null 2>&1
+    wait "$lock_holder_pid" 2>/dev/null
+    
+    # Cleanup
+    run_db_tools migrate rollback "$project_name" --connect "$connect_file" --force > /dev/null 2>&1
+    run_db_tools migrate rollback "$project_name" --connect "$connect_file" --force > /dev/null 2>&1
+    run_db_tools migrate rollback "$project_name" --connect "$connect_file" --force > /dev/null 2>&1
+    rm -f "$concurrent_migration" "$resumable_migration" "$drift_migration"
+    if [[ "$created_migrations_dir" == true ]]; then
+        rmdir migrations 2>/dev/null || true
+    fi
+    
+    # Tables outside public are reached with --schema or a qualified name
+    run_db_tools query "$project_name" "CREATE SCHEMA db_tools_other; CREATE TABLE db_tools_other.other_items (id SERIAL PRIMARY KEY, name TEXT); INSERT INTO db_tools_other.other_items (name) VALUES ('a'), ('b')" --connect "$connect_file" --force > /dev/null 2>&1
+    
+    test_command "List schemas includes a non-public schema" \
+        "run_db_tools list-schemas '$project_name' --connect '$connect_file' | grep -q db_tools_other" \
+        "true"
+    
+    test_command "Count records in a non-public schema with --schema" \
+        "run_db_tools count-records '$project_name' other_items --schema db_tools_other --connect '$connect_file' | grep -q 'Total records: 2'" \
+        "true"
+    
+    test_command "Count records with a non-public qualified table name" \
+        "run_db_tools count-records '$project_name' db_tools_other.other_items --connect '$connect_file' | grep -q 'Total records: 2'" \
+        "true"
+    
+    test_command "Add column in a non-public schema with --schema" \
+        "run_db_tools add-column '$project_name' other_items note TEXT --schema db_tools_other --connect '$connect_file' --force" \
+        "true"
+    
+    test_command "Add column with a non-public qualified table name" \
+        "run_db_tools add-column '$project_name' db_tools_other.other_items label TEXT --connect '$connect_file' --force" \
+        "true"
+    
+    test_command "Verify columns added in the non-public schema" \
+        "run_db_tools list-columns '$project_name' other_items --schema db_tools_other --connect '$connect_file' | grep -q label" \
+        "true"
+    
+    # Migrations run with --schema keep their tracking tables in that schema
+    created_migrations_dir=false
+    if [[ ! -d migrations ]]; then
+        mkdir migrations
+        created_migrations_dir=true
+    fi
+    
+    local schema_migration="migrations/test_pg_$$_05_other_schema.sql"
+    cat > "$schema_migration" << 'EOF'
+CREATE TABLE db_tools_other.schema_migration_items (id INT);
+-- +down
+DROP TABLE IF EXISTS db_tools_other.schema_migration_items;
+EOF
+    
+    test_command "Run migrations in a non-public schema" \
+        "run_db_tools migrate up '$project_name' --schema db_tools_other --connect '$connect_file' --force" \
+        "true"
+    
+    test_command "Migration tracking table is created in the non-public schema" \
+        "run_db_tools query '$project_name' \"SELECT table_name FROM information_schema.tables WHERE table_schema = 'db_tools_other' AND table_name = 'migrations'\" --connect '$connect_file' --json --force | grep -q migrations" \
+        "true"
+    
+    test_command "Migration is recorded in the non-public schema" \
+        "run_db_tools migrate status '$project_name' --schema db_tools_other --connect '$connect_file' --json | grep -q '\"name\": \"test_pg_$$_05_other_schema.sql\"'" \
+        "true"
+    
+    test_command "Migration is not recorded in public" \
+        "run_db_tools migrate status '$project_name' --connect '$connect_file' --json | grep -q '\"name\": \"test_pg_$$_05_other_schema.sql\"'" \
+        "false"
+    
+    # Cleanup
+    rm -f "$schema_migration"
+    if [[ "$created_migrations_dir" == true ]]; then
+        rmdir migrations 2>/dev/null || true
+    fi
+    run_db_tools query "$project_name" "DROP SCHEMA db_tools_other CASCADE" --connect "$connect_file" --force > /dev/null 2>&1
+    
     # Add JSONB column and data for JSON search test
     run_db_tools add-column "$project_name" users settings "JSONB" --connect "$connect_file" --force > /dev/null 2>&1
     run_db_tools query "$project_name" "UPDATE users SET settings = '{\"theme\": \"dark\", \"language\": \"en\"}' WHERE name = 'Test User'" --connect "$connect_file" --force > /dev/null 2>&1
@@ -170,6 +441,85 @@ EOF
         "run_db_tools query '$project_name' 'SELECT COUNT(*) as total, MAX(id) as max_id FROM users' --connect '$connect_file' --json --force" \
         "true"
     
+    # Constraints the schema format cannot express are listed, not dropped silently
+    run_db_tools query "$project_name" "CREATE TABLE introspect_parent (a INT, b INT, PRIMARY KEY (a, b)); CREATE TABLE introspect_child (id SERIAL PRIMARY KEY, pa INT, pb INT, FOREIGN KEY (pa, pb) REFERENCES introspect_parent (a, b))" --connect "$connect_file" --force > /dev/null 2>&1
+    
+    test_command "Introspect lists multi-column foreign keys" \
+        "run_db_tools introspect '$project_name' --connect '$connect_file' --dry-run 2>&1 | grep -q 'Multi-column foreign key'" \
+        "true"
+    
+    # Compare the test database with a second database that lacks some of its columns and has a table of its own
+    local db_name=$(grep -o 'db_tools_test_[0-9]*' "$connect_file" | head -1)
+    local compare_db="${db_name}_compare"
+    local compare_migration="temp/test_compare_schema_$$.sql"
+    createdb "$compare_db" 2>/dev/null || true
+    run_db_tools query "$project_name" "CREATE TABLE users (id SERIAL PRIMARY KEY); CREATE TABLE compare_only (id INT)" -d "$compare_db" --connect "$connect_file" --force > /dev/null 2>&1
+    
+    test_command "Compare schema reports what the target is missing" \
+        "run_db_tools compare-schema '$project_name' -d '$db_name' '$compare_db' --connect '$connect_file' | grep -q 'Add column \"users\".\"email\"'" \
+        "true"
+    
+    test_command "Compare schema reports objects only in the target" \
+        "run_db_tools compare-schema '$project_name' -d '$db_name' '$compare_db' --connect '$connect_file' | grep -q 'Drop table \"compare_only\"'" \
+        "true"
+    
+    test_command "Compare schema JSON output" \
+        "run_db_tools compare-schema '$project_name' -d '$db_name' '$compare_db' --connect '$connect_file' --json | grep -q '\"inSync\": false'" \
+        "true"
+    
+    test_command "Compare schema JSON lists the drop of a target-only table" \
+        "run_db_tools compare-schema '$project_name' -d '$db_name' '$compare_db' --connect '$connect_file' --json | grep -q compare_only" \
+        "true"
+    
+    test_command "Compare schema writes a migration for the target" \
+        "run_db_tools compare-schema '$project_name' -d '$db_name' '$compare_db' --connect '$connect_file' --migration --output '$compare_migration' && grep -q 'ALTER TABLE \"users\" ADD COLUMN \"email\"' '$compare_migration'" \
+        "true"
+    
+    test_command "Compare schema migration leaves target-only tables alone" \
+        "grep -q 'DROP TABLE \"compare_only\"' '$compare_migration'" \
+        "false"
+    
+    test_command "Compare schema migration drops target-only tables with --reverse" \
+        "run_db_tools compare-schema '$project_name' -d '$db_name' '$compare_db' --connect '$connect_file' --migration --reverse --output '$compare_migration' && grep -q 'DROP TABLE \"compare_only\"' '$compare_migration'" \
+        "true"
+    
+    # Cleanup
+    rm -f "$compare_migration"
+    dropdb "$compare_db" --if-exists 2>/dev/null || true
+    
+    # A column missing from the database becomes ADD COLUMN; one missing from the schema is dropped only with --reverse
+    run_db_tools query "$project_name" "ALTER TABLE users DROP COLUMN profile_picture" --connect "$connect_file" --force > /dev/null 2>&1
+    
+    test_command "Diff adds a column that is missing from the database" \
+        "run_db_tools diff '$project_name' --connect '$connect_file' --dry-run | grep -q 'ALTER TABLE \"users\" ADD COLUMN \"profile_picture\"'" \
+        "true"
+    
+    test_command "Diff leaves a column that is not in the schema alone" \
+        "run_db_tools diff '$project_name' --connect '$connect_file' --dry-run | grep -q 'ALTER TABLE \"users\" DROP COLUMN \"phone\"'" \
+        "false"
+    
+    test_command "Diff with --reverse drops a column that is not in the schema" \
+        "run_db_tools diff '$project_name' --connect '$connect_file' --dry-run --reverse | grep -q 'ALTER TABLE \"users\" DROP COLUMN \"phone\"'" \
+        "true"
+    
+    run_db_tools add-column "$project_name" users profile_picture 'VARCHAR(255)' --connect "$connect_file" --force > /dev/null 2>&1
+    
+    # A session reading the table holds a lock that ALTER TABLE conflicts with; the change gives up instead of queueing
+    PGAPPNAME=db_tools_table_lock_test psql "$postgres_uri" -q -c "BEGIN; LOCK TABLE users IN ACCESS SHARE MODE; SELECT pg_sleep(60); COMMIT;" > /dev/null 2>&1 &
+    local table_lock_holder_pid=$!
+    sleep 2
+    
+    test_command "Add column gives up when the table lock is not available" \
+        "db-tools add-column '$project_name' users lock_test_column TEXT --lock-timeout 1 --lock-retries 0 --connect '$connect_file' --force 2>&1 | grep 'Could not take the lock within lock_timeout'" \
+        "true"
+    
+    test_command "Nothing is changed when the table lock is not available" \
+        "run_db_tools list-columns '$project_name' users --connect '$connect_file' | grep -q lock_test_column" \
+        "false"
+    
+    psql "$postgres_uri" -q -c "SELECT pg_terminate_backend(pid) FROM pg_stat_activity WHERE application_name = 'db_tools_table_lock_test'" > /dev/null 2>&1
+    wait "$table_lock_holder_pid" 2>/dev/null
+    
     end_test_group
 }
 
@@ -188,6 +538,44 @@ test_postgres_safety() {
         "run_db_tools delete-table '$project_name' safety_test --connect '$connect_file' --force" \
         "true"
     
+    # Destructive commands are validated against the project's database
+    run_db_tools query "$project_name" "CREATE TABLE safety_test (id SERIAL PRIMARY KEY, data TEXT)" --connect "$connect_file" --force > /dev/null 2>&1
+    
+    test_command "Delete table runs safety validation" \
+        "run_db_tools delete-table '$project_name' safety_test --connect '$connect_file' --force 2>&1 | grep -q 'Safety Validation for delete-table'" \
+        "true"
+    
+    # The test database is a template copy when nothing else is connected; db-tools' own idle sessions must not count
+    run_db_tools query "$project_name" "CREATE TABLE safety_test (id SERIAL PRIMARY KEY, data TEXT)" --connect "$connect_file" --force > /dev/null 2>&1
+    
+    test_command "Safety validation with a template clone" \
+        "run_db_tools delete-table '$project_name' safety_test --connect '$connect_file' --clone-strategy template --force 2>&1 | grep -q '(template clone)'" \
+        "true"
+    
+    run_db_tools query "$project_name" "CREATE TABLE safety_test (id SERIAL PRIMARY KEY, data TEXT)" --connect "$connect_file" --force > /dev/null 2>&1
+    run_db_tools query "$project_name" "INSERT INTO safety_test (data) SELECT 'row ' || g FROM generate_series(1, 50) g" --connect "$connect_file" --force > /dev/null 2>&1
+    
+    test_command "Safety validation with a sample clone" \
+        "run_db_tools delete-table '$project_name' safety_test --connect '$connect_file' --clone-strategy sample --sample-rows 10 --force 2>&1 | grep -q 'Test database populated with .* sampled row(s) (at most 10 per table)'" \
+        "true"
+    
+    test_command "Safety validation requires the table name" \
+        "run_db_tools delete-table '$project_name' --connect '$connect_file' --force" \
+        "false"
+    
+    # Queries are classified statement by statement
+    test_command "Query hiding a DROP after a SELECT runs safety validation" \
+        "run_db_tools query '$project_name' 'SELECT 1; DROP TABLE IF EXISTS safety_test' --connect '$connect_file' --force 2>&1 | grep -q 'Safety Validation for query-drop'" \
+        "true"
+    
+    test_command "EXPLAIN query runs without confirmation" \
+        "run_db_tools query '$project_name' 'EXPLAIN SELECT 1' --connect '$connect_file' 2>&1 | grep -q 'QUERY PLAN'" \
+        "true"
+    
+    test_command "SET ROLE is classified as a privilege change" \
+        "run_db_tools query '$project_name' 'SET ROLE postgres' --connect '$connect_file' --dry-run 2>&1 | grep -q 'query-set-role'" \
+        "true"
+    
     # Create table with foreign key for CASCADE testing
     run_db_tools query "$project_name" "CREATE TABLE parent_table (id SERIAL PRIMARY KEY)" --connect "$connect_file" --force > /dev/null 2>&1
     run_db_tools query "$project_name" "CREATE TABLE child_table (id SERIAL PRIMARY KEY, parent_id INT REFERENCES parent_table(id) ON DELETE CASCADE)" --connect "$connect_file" --force > /dev/null 2>&1
@@ -197,6 +585,13 @@ test_postgres_safety() {
         "run_db_tools list-columns '$project_name' child_table --connect '$connect_file' 2>&1 | grep -q 'parent_id'" \
         "true"
     
+    # Table commands back up the table and the tables referencing it, not the whole database
+    run_db_tools query "$project_name" "ALTER TABLE parent_table ADD COLUMN scoped_column TEXT" --connect "$connect_file" --force > /dev/null 2>&1
+    
+    test_command "Temporary backup covers the table and its referencing tables" \
+        "run_db_tools remove-column '$project_name' parent_table scoped_column --connect '$connect_file' --force 2>&1 | grep -q 'Tables: public.parent_table, public.child_table'" \
+        "true"
+    
     # Test column removal
     run_db_tools add-column "$project_name" users temp_column "TEXT" --connect "$connect_file" --force > /dev/null 2>&1
     
@@ -204,11 +599,126 @@ test_postgres_safety() {
         "run_db_tools remove-column '$project_name' users temp_column --connect '$connect_file' --force" \
         "true"
     
+    # Test safety policy
+    local policy_file="$(dirname "$connect_file")/db-tools.policy.json"
+    echo '{"default": {"protectedTables": ["users"], "allowForce": false}}' > "$policy_file"
+    
+    test_command "Policy protects tables from being dropped" \
+        "run_db_tools delete-table '$project_name' users --connect '$connect_file' 2>&1 | grep -q 'Blocked by safety policy'" \
+        "true"
+    
+    test_command "Policy disallows --force" \
+        "run_db_tools query '$project_name' 'SELECT 1' --connect '$connect_file' --force" \
+        "false"
+    
+    rm -f "$policy_file"
+    
+    # Test plan and apply
+    local plan_file="$(dirname "$connect_file")/test-plan.json"
+    rm -f "$plan_file"
+    run_db_tools query "$project_name" "CREATE TABLE plan_test (id integer)" --connect "$connect_file" --force > /dev/null 2>&1
+    
+    test_command "Plan a table deletion" \
+        "run_db_tools plan delete-table '$project_name' plan_test --connect '$connect_file' --output '$plan_file'" \
+        "true"
+    
+    test_command "Apply the plan" \
+        "run_db_tools apply '$plan_file' --connect '$connect_file' --force" \
+        "true"
+    
+    test_command "Refuse to apply a plan twice" \
+        "run_db_tools apply '$plan_file' --connect '$connect_file' --force" \
+        "false"
+    
+    rm -f "$plan_file"
+    
+    # Test undoing an UPDATE run through query from its undo journal
+    run_db_tools query "$project_name" "CREATE TABLE undo_test (id SERIAL PRIMARY KEY, status TEXT)" --connect "$connect_file" --force > /dev/null 2>&1
+    run_db_tools query "$project_name" "INSERT INTO undo_test (status) VALUES ('new'), ('new')" --connect "$connect_file" --force > /dev/null 2>&1
+    
+    test_command "Journal rows changed by an UPDATE" \
+        "run_db_tools query '$project_name' \"UPDATE undo_test SET status = 'shipped'\" --connect '$connect_file' --force 2>&1 | grep -q 'Undo journal: undo_'" \
+        "true"
+    
+    local undo_journal
+    undo_journal=$(ls -t temp/undo_*.enc 2>/dev/null | head -1 | xargs -r basename -s .enc)
+    test_command "Undo the UPDATE" \
+        "run_db_tools undo '$undo_journal' --connect '$connect_file' --force" \
+        "true"
+    
+    test_command "Verify undone rows" \
+        "run_db_tools query '$project_name' \"SELECT COUNT(*) AS shipped FROM undo_test WHERE status = 'shipped'\" --connect '$connect_file' --json 2>&1 | grep -q '\"shipped\": \"0\"'" \
+        "true"
+    
+    # Test previewing an UPDATE with --what-if, which rolls it back
+    test_command "Preview an UPDATE with --what-if" \
+        "run_db_tools query '$project_name' \"UPDATE undo_test SET status = 'shipped'\" --connect '$connect_file' --what-if 2>&1 | grep -q 'status new → shipped'" \
+        "true"
+    
+    test_command "Verify --what-if changed nothing" \
+        "run_db_tools query '$project_name' \"SELECT COUNT(*) AS shipped FROM undo_test WHERE status = 'shipped'\" --connect '$connect_file' --json 2>&1 | grep -q '\"shipped\": \"0\"'" \
+        "true"
+    
+    test_command "Refuse --what-if for effects a rollback does not undo" \
+        "run_db_tools query '$project_name' 'SELECT pg_terminate_backend(0)' --connect '$connect_file' --what-if --skip-safety" \
+        "false"
+    
+    # Test changing rows in primary key batches
+    test_command "Update rows in batches" \
+        "run_db_tools batch-update '$project_name' undo_test --where \"status = 'new'\" --set \"status = 'packed'\" --batch-size 1 --sleep 0 --connect '$connect_file' --force 2>&1 | grep -q 'Updated 2 row(s) of \"undo_test\" in 2 batch(es)'" \
+        "true"
+    
+    test_command "Delete rows in batches" \
+        "run_db_tools batch-delete '$project_name' undo_test --where \"status = 'packed'\" --batch-size 1 --sleep 0 --connect '$connect_file' --force 2>&1 | grep -q 'Deleted 2 row(s)'" \
+        "true"
+    
+    test_command "Verify batch-delete removed the rows" \
+        "run_db_tools query '$project_name' \"SELECT COUNT(*) AS remaining FROM undo_test\" --connect '$connect_file' --json 2>&1 | grep -q '\"remaining\": \"0\"'" \
+        "true"
+    
     # Test temporary backups
     test_command "List temporary backups" \
         "run_db_tools list-temp-backups" \
         "true"
     
+    # Backups written before streaming encryption (hex-encoded AES-256-CBC .sql files) can still be restored
+    local legacy_backup="temp_legacy_$$"
+    mkdir -p temp
+    node -e '
+        const crypto = require("crypto");
+        const fs = require("fs");
+        const password = crypto.randomBytes(32).toString("hex");
+        let derived = Buffer.alloc(0);
+        let block = Buffer.alloc(0);
+        while (derived.length < 48) {
+            block = crypto.createHash("md5").update(Buffer.concat([block, Buffer.from(password)])).digest();
+            derived = Buffer.concat([derived, block]);
+        }
+        const cipher = crypto.createCipheriv("aes-256-cbc", derived.subarray(0, 32), derived.subarray(32, 48));
+        fs.writeFileSync(process.argv[1], Buffer.concat([cipher.update("CREATE TABLE legacy_restore_test (id INT);"), cipher.final()]).toString("hex"));
+        fs.writeFileSync(process.argv[1] + ".key", password);
+    ' "temp/$legacy_backup.sql"
+    
+    test_command "Restore a legacy temporary backup" \
+        "echo n | run_db_tools restore-temp '$project_name' '$legacy_backup' --connect '$connect_file' --force" \
+        "true"
+    
+    test_command "Verify legacy backup restore" \
+        "run_db_tools list-tables '$project_name' --connect '$connect_file' | grep -q legacy_restore_test" \
+        "true"
+    
+    rm -f "temp/$legacy_backup.sql" "temp/$legacy_backup.sql.key"
+    run_db_tools query "$project_name" "DROP TABLE IF EXISTS legacy_restore_test" --connect "$connect_file" --force > /dev/null 2>&1
+    
+    # Test audit log
+    test_command "Audit log records blocked commands" \
+        "run_db_tools audit --project '$project_name' --result blocked 2>&1 | grep -q 'delete-table'" \
+        "true"
+    
+    test_command "Audit log hash chain is intact" \
+        "run_db_tools audit --verify 2>&1 | grep -q 'intact'" \
+        "true"
+    
     # Test validation
     test_command "Validate configuration" \
         "run_db_tools validate-config --connect '$connect_file'" \
@@ -0,0 +1,161 @@
+// src/commands/apply.js
+// This file is used to apply a plan written by "db-tools plan"
+// The plan's statements run exactly as planned, in one transaction, and only if the schema has not changed since planning
+
+const db = require('../utils/db');
+const { loadPlan, markPlanApplied } = require('../utils/plan');
+const { createTempBackup, getBackupTables } = require('../utils/temp-backup');
+const { SAFETY_LEVELS } = require('../utils/safety-validator');
+const { confirmAction } = require('../utils/prompt');
+const { getCurrentUser } = require('../utils/audit');
+const chalk = require('chalk');
+
+/**
+ * Prints what a plan will do
+ * @param {Object} plan - Plan returned by loadPlan
+ */
+function printPlan(plan) {
+  console.log(chalk.cyan(`\n=== Plan: ${plan.command} on project "${plan.project}" ===`));
+  console.log(chalk.gray(`Made by ${plan.createdBy} at ${plan.createdAt}; schema "${plan.schema}"; risk level: ${plan.riskLevel.toUpperCase()}`));
+  
+  console.log(chalk.cyan('\n📋 Statements:'));
+  plan.statements.forEach((statement, index) => {
+    console.log(chalk.gray(`-- Statement ${index + 1}:`));
+    console.log(chalk.white(statement.sql));
+  });
+  
+  if (plan.affected.length > 0) {
+    console.log(chalk.yellow('\n🎯 Affected objects:'));
+    plan.affected.forEach(object => {
+      console.log(chalk.red(`  ✗ ${object.action} ${object.type} ${object.name}`));
+    });
+  }
+  
+  plan.estimates.forEach(estimate => {
+    console.log(chalk.yellow(`💡 ${estimate.table}${estimate.where ? ` WHERE ${estimate.where}` : ''}: ${estimate.rows} row(s) when planned`));
+  });
+  
+  if (plan.warnings.length > 0) {
+    console.log(chalk.red('\n⚠️  WARNINGS:'));
+    plan.warnings.forEach(warning => {
+      console.log(chalk.red(`  • ${warning}`));
+    });
+  }
+}
+
+/**
+ * Command to apply a plan file
+ * @param {string} planFile - Plan file written by the plan command
+ * @param {Object} [cmdOptions={}] - Command-specific options
+ * @param {Object} [cmd] - Commander command object
+ * @param {boolean} [cmdOptions.force] - Skip the confirmation prompts
+ * @param {Object} [cmdOptions.tempBackup] - Backup the safety policy already took for this plan
+ * @returns {Promise<boolean>} True if every statement of the plan ran, false otherwise
+ */
+async function applyCommand(planFile, cmdOptions = {}, cmd) {
+  const options = { ...cmd?.parent?.opts(), ...cmdOptions };
+  
+  let plan;
+  try {
+    plan = loadPlan(planFile);
+  } catch (error) {
+    console.error(chalk.red(`✗ ${error.message}`));
+    return false;
+  }
+  
+  if (plan.applied) {
+    console.error(chalk.red(`✗ This plan was already applied at ${plan.applied.at} by ${plan.applied.by}`));
+    return false;
+  }
+  
+  printPlan(plan);
+  
+  const dbConnection = await db.createConnection(plan.project, { ...options, ...plan.options });
+  
+  try {
+    if (dbConnection.type !== 'postgres') {
+      console.error(chalk.red('Plans are only available for PostgreSQL projects'));
+      return false;
+    }
+    
+    const pool = dbConnection.connection;
+    const schemaChanged = `The schema "${plan.schema}" has changed since the plan was made; make a new plan`;
+    
+    if (await db.postgres.getSchemaFingerprint(pool, plan.schema) !== plan.schemaFingerprint) {
+      console.error(chalk.red(`\n✗ ${schemaChanged}`));
+      return false;
+    }
+    
+    if (!options.force) {
+      const confirm = await confirmAction(chalk.red(`Apply this plan to project "${plan.project}"?`));
+      
+      if (!confirm) {
+        console.log('Apply canceled');
+        return false;
+      }
+    }
+    
+    // Reuse the backup the safety policy already took for this plan
+    let tempBackup = options.tempBackup || null;
+    if (!tempBackup && plan.riskLevel === SAFETY_LEVELS.DANGER) {
+      tempBackup = await createTempBackup(pool, plan.project, plan.command, {
+        compress: options.backupCompression,
+        tables: getBackupTables(plan.command, plan.args[0], options)
+      });
+      
+      if (!tempBackup.success) {
+        console.warn(chalk.yellow(`⚠️  Warning: Could not create temporary backup: ${tempBackup.error}`));
+        
+        if (options.force) {
+          console.log(chalk.red('⚠ Applying without a backup due to --force flag'));
+        } else if (!await confirmAction('Apply without a backup?')) {
+          console.log('Apply canceled');
+          return false;
+        }
+      }
+    }
+    
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      // Checked again in the transaction, since the schema may have changed while the prompts were open
+      if (await db.postgres.getSchemaFingerprint(client, plan.schema) !== plan.schemaFingerprint) {
+        throw new Error(schemaChanged);
+      }
+      
+      for (const [index, statement] of plan.statements.entries()) {
+        const result = await client.query(statement.sql);
+        const rows = typeof result.rowCount === 'number' && ['INSERT', 'UPDATE', 'DELETE', 'MERGE'].includes(result.command)
+          ? ` (${result.rowCount} row(s))`
+          : '';
+        console.log(chalk.green(`✓ Statement ${index + 1}: ${result.command || 'done'}${rows}`));
+      }
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(chalk.red(`\n✗ Plan failed, no changes were made: ${error.message}`));
+      return false;
+    } finally {
+      client.release();
+    }
+    
+    markPlanApplied(planFile, plan, {
+      at: new Date().toISOString(),
+      by: getCurrentUser(),
+      tempBackup: tempBackup && tempBackup.success ? tempBackup.backupName : null
+    });
+    
+    console.log(chalk.green(`\n✓ Plan applied to project "${plan.project}"`));
+    return true;
+  } catch (error) {
+    console.error(chalk.red('Error applying plan:'), error.message);
+    return false;
+  } finally {
+    await db.closeConnection(dbConnection);
+  }
+}
+
+module.exports = applyCommand;
@@ -0,0 +1,156 @@
+// src/commands/audit.js
+// This file is used to show and verify the audit log written by every command
+// Entries are read from logs/db-tools-audit.log in the working directory
+
+const { getAuditLogPath, readAuditLog, verifyAuditLog } = require('../utils/audit');
+const chalk = require('chalk');
+
+const RESULT_COLORS = {
+  success: chalk.green,
+  failure: chalk.red,
+  blocked: chalk.yellow
+};
+
+/**
+ * Parses a --since or --until date
+ * @param {string} value - Date or date and time
+ * @param {string} option - Option name used in error messages
+ * @returns {Date|null} Parsed date, or null if the option was not given
+ * @throws Will throw error if the date cannot be parsed
+ */
+function parseDate(value, option) {
+  if (!value) {
+    return null;
+  }
+  
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`${option} must be a date such as 2024-05-01 or 2024-05-01T12:00`);
+  }
+  
+  return date;
+}
+
+/**
+ * Prints one audit entry
+ * @param {Object} entry - Audit log entry
+ * @param {boolean} verbose - Whether to list the operations sent to the database
+ */
+function printEntry(entry, verbose) {
+  const color = RESULT_COLORS[entry.result] || chalk.white;
+  const target = entry.project ? ` ${entry.project}${entry.database ? `/${entry.database}` : ''}` : '';
+  const args = entry.args.length > 0 ? ` ${entry.args.join(' ')}` : '';
+  
+  console.log(`${chalk.gray(`#${entry.seq}`)} ${chalk.gray(entry.timestamp)} ${color(entry.result.padEnd(7))} ${chalk.cyan(entry.command)}${chalk.white(target)}${args}`);
+  
+  const details = [`${entry.user}@${entry.host}`, `${entry.durationMs} ms`];
+  if (entry.environment) details.push(`environment: ${entry.environment}`);
+  if (entry.rowsAffected > 0) details.push(`${entry.rowsAffected} row(s) affected`);
+  if (entry.operations.length > 0) details.push(`${entry.operations.length + entry.operationsOmitted} operation(s)`);
+  console.log(chalk.gray(`     ${details.join(', ')}`));
+  
+  if (entry.reason) {
+    console.log(chalk.yellow(`     Reason: ${entry.reason}`));
+  }
+  
+  entry.backups.forEach(backup => {
+    console.log(chalk.gray(`     Backup: ${backup}`));
+  });
+  
+  if (verbose) {
+    entry.operations.forEach(operation => {
+      const outcome = operation.error
+        ? chalk.red(` ✗ ${operation.error}`)
+        : operation.rowsAffected !== null ? chalk.gray(` (${operation.rowsAffected} row(s))`) : '';
+      console.log(`     ${chalk.gray('›')} ${operation.text.replace(/\s+/g, ' ')}${outcome}`);
+    });
+    
+    if (entry.operationsOmitted > 0) {
+      console.log(chalk.gray(`     ... ${entry.operationsOmitted} more operation(s) not recorded`));
+    }
+  }
+}
+
+/**
+ * Command to show or verify the audit log
+ * @param {Object} [cmdOptions={}] - Command-specific options
+ * @param {Object} [cmd] - Commander command object
+ * @param {string} [cmdOptions.project] - Only show entries for this project
+ * @param {string} [cmdOptions.command] - Only show entries for this command
+ * @param {string} [cmdOptions.user] - Only show entries by this user
+ * @param {string} [cmdOptions.result] - Only show entries with this result
+ * @param {string} [cmdOptions.since] - Only show entries at or after this date
+ * @param {string} [cmdOptions.until] - Only show entries before this date
+ * @param {string} [cmdOptions.limit='20'] - Number of most recent entries to show
+ * @param {boolean} [cmdOptions.json] - Print entries as JSON lines
+ * @param {boolean} [cmdOptions.verbose] - Show the operations of each entry
+ * @param {boolean} [cmdOptions.verify] - Check the hash chain instead of listing entries
+ * @returns {Promise<boolean>} True if the entries were shown or the log is intact, false otherwise
+ */
+async function auditCommand(cmdOptions = {}, cmd) {
+  const options = { ...cmd?.parent?.opts(), ...cmdOptions };
+  const logPath = getAuditLogPath();
+  
+  try {
+    const records = readAuditLog();
+    
+    if (options.verify) {
+      const verification = verifyAuditLog(records);
+      
+      if (!verification.valid) {
+        console.error(chalk.red(`✗ Audit log has been altered at line ${verification.line}${verification.seq ? ` (entry #${verification.seq})` : ''}: ${verification.reason}`));
+        console.log(chalk.gray(`  Log file: ${logPath}`));
+        return false;
+      }
+      
+      console.log(chalk.green(`✓ Audit log is intact (${verification.entries} entries)`));
+      console.log(chalk.gray(`  Head hash: ${verification.headHash}`));
+      console.log(chalk.gray('  Keep a copy of the head hash elsewhere; truncating the log can only be detected against it'));
+      return true;
+    }
+    
+    const since = parseDate(options.since, '--since');
+    const until = parseDate(options.until, '--until');
+    const limit = parseInt(options.limit, 10);
+    
+    if (isNaN(limit) || limit < 1) {
+      throw new Error('--limit must be a positive number');
+    }
+    
+    const matching = records
+      .filter(record => record.entry)
+      .map(record => record.entry)
+      .filter(entry => !options.project || entry.project === options.project)
+      .filter(entry => !options.command || entry.command === options.command || entry.command.split(' ')[0] === options.command)
+      .filter(entry => !options.user || entry.user === options.user)
+      .filter(entry => !options.result || entry.result === options.result)
+      .filter(entry => !since || new Date(entry.timestamp) >= since)
+      .filter(entry => !until || new Date(entry.timestamp) < until);
+    const shown = matching.slice(-limit);
+    
+    if (options.json) {
+      shown.forEach(entry => console.log(JSON.stringify(entry)));
+      return true;
+    }
+    
+    if (shown.length === 0) {
+      console.log(chalk.gray(records.length === 0 ? `No audit entries found in ${logPath}` : 'No audit entries match the filters'));
+      return true;
+    }
+    
+    console.log(chalk.cyan(`\nAudit log: ${logPath}\n`));
+    shown.forEach(entry => printEntry(entry, options.verbose));
+    
+    console.log(chalk.gray(`\nShowing ${shown.length} of ${matching.length} matching entries`));
+    if (records.some(record => record.error)) {
+      console.log(chalk.yellow('⚠️  Some lines could not be read; run "db-tools audit --verify" to check the log'));
+    }
+    
+    return true;
+  } catch (error) {
+    console.error(chalk.red('Error reading the audit log:'), error.message);
+    return false;
+  }
+}
+
+module.exports = auditCommand;
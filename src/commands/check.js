@@ -27,7 +27,7 @@ async function checkCommand(projectName, cmdOptions = {}, cmd) {
   const pool = dbConnection.connection;
   
   try {
-    console.log(chalk.cyan(`Checking database for project: ${projectName}`));
+    console.log(chalk.cyan(`Checking database for project: ${projectName} (schema "${db.postgres.getSchemaName(pool)}")`));
     
     // Check required extensions
     await checkExtensions(dbConnection, pool, projectName);
@@ -108,7 +108,8 @@ async function checkTables(dbConnection, pool, projectName) {
   // Get all tables from database
   const tablesResult = await db.executeQuery(
     dbConnection,
-    `SELECT table_name FROM information_schema.tables WHERE table_schema = 'public'`
+    `SELECT table_name FROM information_schema.tables WHERE table_schema = $1`,
+    [db.postgres.getSchemaName(pool)]
   );
   
   const existingTables = tablesResult.rows.map(row => row.table_name);
@@ -218,7 +219,8 @@ async function checkForeignKeys(dbConnection, pool) {
         AND ccu.table_schema = tc.table_schema
     WHERE 
       tc.constraint_type = 'FOREIGN KEY'
-      AND tc.table_schema = 'public'`
+      AND tc.table_schema = $1`,
+    [db.postgres.getSchemaName(pool)]
   );
   
   if (allConstraints.rows.length === 0) {
@@ -252,9 +254,10 @@ async function checkIndexes(dbConnection, pool) {
     FROM
       pg_indexes
     WHERE
-      schemaname = 'public'
+      schemaname = $1
     ORDER BY
-      tablename, indexname`
+      tablename, indexname`,
+    [db.postgres.getSchemaName(pool)]
   );
   
   if (allIndexes.rows.length === 0) {
@@ -317,9 +320,10 @@ async function checkSeedData(dbConnection, pool, projectName) {
   
   for (const table of seedTables) {
     try {
+      const qualifiedTable = db.postgres.quoteTableName(pool, table.name);
       const countQuery = table.condition
-        ? `SELECT COUNT(*) FROM "${table.name}" WHERE ${table.condition}`
-        : `SELECT COUNT(*) FROM "${table.name}"`;
+        ? `SELECT COUNT(*) FROM ${qualifiedTable} WHERE ${table.condition}`
+        : `SELECT COUNT(*) FROM ${qualifiedTable}`;
       
       const result = await db.executeQuery(dbConnection, countQuery);
       const count = parseInt(result.rows[0].count);
@@ -0,0 +1,172 @@
+// src/commands/compare-schema.js
+// This file is used to compare the structure of two live PostgreSQL databases, e.g. staging and production
+
+const db = require('../utils/db');
+const { promptForProject } = require('../utils/prompt');
+const { diffSnapshots, renderMigration, printChanges } = require('../utils/schema-diff');
+const { getMigrationsDir, getNextMigrationFileName } = require('../utils/migrations');
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+/**
+ * Builds a label for one side of the comparison
+ * @param {Object} side - Side with project and optional database
+ * @returns {string} Label such as "YDRV (staging)"
+ */
+function describeSide(side) {
+  return side.database ? `${side.project} (${side.database})` : side.project;
+}
+
+/**
+ * Connects to one side of the comparison and reads its structure
+ * Records the schema that was read on the side
+ * @param {Object} side - Side with project and optional database
+ * @param {Object} options - Command options (connection file, type, schema)
+ * @returns {Promise<Object>} Schema snapshot
+ * @throws Will throw error if the project is not a PostgreSQL project
+ */
+async function readSnapshot(side, options) {
+  const dbConnection = await db.createConnection(side.project, { ...options, database: side.database });
+  
+  try {
+    if (dbConnection.type !== 'postgres') {
+      throw new Error(`${describeSide(side)} is not a PostgreSQL project; compare-schema only supports PostgreSQL`);
+    }
+    
+    side.schema = db.postgres.getSchemaName(dbConnection.connection);
+    return await db.postgres.getSchemaSnapshot(dbConnection.connection);
+  } finally {
+    await db.closeConnection(dbConnection);
+  }
+}
+
+/**
+ * Prints the differences between the two databases
+ * @param {Array<Object>} changes - Changes returned by diffSnapshots
+ * @param {Object} source - Source side
+ * @param {Object} target - Target side
+ */
+function printReport(changes, source, target) {
+  const missing = changes.filter(change => change.kind !== 'drop');
+  const extra = changes.filter(change => change.kind === 'drop');
+  
+  if (missing.length > 0) {
+    console.log(chalk.cyan(`\nChanges needed for ${describeSide(target)} to match ${describeSide(source)} (${missing.length}):`));
+    printChanges(missing);
+  }
+  
+  if (extra.length > 0) {
+    console.log(chalk.cyan(`\nObjects only in ${describeSide(target)} (${extra.length}):`));
+    printChanges(extra);
+  }
+}
+
+/**
+ * Command to compare the schemas of two databases
+ * The first project (or first --database) is the source; the second is the target brought in line with it
+ * @param {string} projectA - Source project
+ * @param {string} [projectB] - Target project (defaults to projectA when two databases are given)
+ * @param {Object} [cmdOptions={}] - Command-specific options
+ * @param {Object} [cmd] - Commander command object
+ * @param {string} [cmd.parent.opts().connect] - Custom path to connection file
+ * @param {Array<string>} [cmdOptions.database] - One database for both sides, or source and target databases
+ * @param {boolean} [cmdOptions.json] - Output the differences as JSON
+ * @param {boolean} [cmdOptions.migration] - Write a migration that brings the target in line with the source
+ * @param {string} [cmdOptions.output] - Path for the migration file (default: next file in migrations/)
+ * @param {string} [cmdOptions.name] - Description used in the migration file name
+ * @param {boolean} [cmdOptions.reverse] - Include drops of objects that exist only in the target in the migration
+ * @returns {Promise<boolean>} True if the comparison completed, false on error
+ */
+async function compareSchemaCommand(projectA, projectB, cmdOptions = {}, cmd) {
+  // Merge command options with global options
+  const options = { ...cmd?.parent?.opts(), ...cmdOptions };
+  const databases = options.database || [];
+  
+  // If project name not provided, prompt for it
+  if (!projectA) {
+    projectA = await promptForProject();
+  }
+  
+  if (databases.length > 2) {
+    console.error(chalk.red('Give at most two --database values: the source database and the target database'));
+    return false;
+  }
+  
+  if (!projectB && databases.length < 2) {
+    console.error(chalk.red('Compare two projects, or one project with two --database values (source first, then target)'));
+    return false;
+  }
+  
+  const source = { project: projectA, database: databases[0] };
+  const target = { project: projectB || projectA, database: databases.length > 1 ? databases[1] : databases[0] };
+  
+  if (source.project === target.project && source.database === target.database) {
+    console.error(chalk.red('The source and target are the same database'));
+    return false;
+  }
+  
+  try {
+    if (!options.json) {
+      console.log(chalk.cyan(`Comparing ${describeSide(source)} (source) with ${describeSide(target)} (target)...`));
+    }
+    
+    const changes = diffSnapshots(await readSnapshot(source, options), await readSnapshot(target, options));
+    
+    if (options.json) {
+      console.log(JSON.stringify({
+        source,
+        target,
+        inSync: changes.length === 0,
+        changes: changes.map(({ kind, description, up, down }) => ({ kind, description, up, down }))
+      }, null, 2));
+    } else if (changes.length === 0) {
+      console.log(chalk.green(`✓ ${describeSide(target)} matches ${describeSide(source)}`));
+    } else {
+      printReport(changes, source, target);
+    }
+    
+    if (!options.migration) {
+      return true;
+    }
+    
+    // Generated migrations use unqualified names, which migrate up resolves in the public schema
+    if (source.schema !== 'public' || target.schema !== 'public') {
+      console.error(chalk.red('--migration only supports the public schema; compare other schemas without it'));
+      return false;
+    }
+    
+    const migrationChanges = options.reverse ? changes : changes.filter(change => change.kind !== 'drop');
+    
+    if (migrationChanges.length === 0) {
+      console.log(chalk.green('No migration needed'));
+      return true;
+    }
+    
+    let migrationPath = options.output ? path.resolve(options.output) : null;
+    if (!migrationPath) {
+      const migrationDir = getMigrationsDir();
+      fs.mkdirSync(migrationDir, { recursive: true });
+      migrationPath = path.join(migrationDir, getNextMigrationFileName(migrationDir, options.name || 'sync_schema'));
+    }
+    
+    fs.writeFileSync(migrationPath, renderMigration(migrationChanges, [
+      `Generated by db-tools compare-schema on ${new Date().toISOString()}`,
+      `Brings ${describeSide(target)} in line with ${describeSide(source)}`
+    ]));
+    
+    console.log(chalk.green(`\n✓ Migration written to ${migrationPath}`));
+    
+    if (!options.reverse && migrationChanges.length < changes.length) {
+      console.log(chalk.yellow(`${changes.length - migrationChanges.length} object(s) only in ${describeSide(target)} were left out; use --reverse to drop them`));
+    }
+    
+    console.log(`Review it, then apply it to ${describeSide(target)} with: db-tools migrate up ${target.project}${target.database ? ` -d ${target.database}` : ''}`);
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`Error comparing schemas: ${error.message}`));
+    return false;
+  }
+}
+
+module.exports = compareSchemaCommand;
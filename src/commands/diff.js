@@ -0,0 +1,108 @@
+// src/commands/diff.js
+// This file is used to compare a live database with its schema file and generate a migration for the differences
+
+const db = require('../utils/db');
+const { promptForProject } = require('../utils/prompt');
+const { generateFullSchema } = require('../utils/schema');
+const { schemaToSnapshot, diffSnapshots, renderMigration, printChanges } = require('../utils/schema-diff');
+const { getMigrationsDir, getNextMigrationFileName } = require('../utils/migrations');
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+/**
+ * Command to compare a database with its schema file and write a migration that brings it up to date
+ * @param {string} projectName - Name of the project to compare
+ * @param {Object} [cmdOptions={}] - Command-specific options
+ * @param {Object} [cmd] - Commander command object
+ * @param {string} [cmd.parent.opts().connect] - Custom path to connection file
+ * @param {string} [cmdOptions.database] - Database name to override default
+ * @param {boolean} [cmdOptions.reverse] - Also drop objects that exist in the database but not in the schema
+ * @param {boolean} [cmdOptions.dryRun] - Print the migration instead of writing it
+ * @param {string} [cmdOptions.name] - Description used in the migration file name
+ * @returns {Promise<boolean>} True if the database matches or a migration was generated, false on error
+ */
+async function diffCommand(projectName, cmdOptions = {}, cmd) {
+  // Merge command options with global options
+  const options = { ...cmd?.parent?.opts(), ...cmdOptions };
+  
+  // If project name not provided, prompt for it
+  if (!projectName) {
+    projectName = await promptForProject();
+  }
+  
+  const dbConnection = await db.createConnection(projectName, options);
+  
+  try {
+    if (dbConnection.type !== 'postgres') {
+      console.error(chalk.red('The diff command is only available for PostgreSQL projects'));
+      return false;
+    }
+    
+    // Generated migrations use unqualified names, which migrate up resolves in the public schema
+    const schemaName = db.postgres.getSchemaName(dbConnection.connection);
+    if (schemaName !== 'public') {
+      console.error(chalk.red(`The diff command only supports the public schema (got "${schemaName}")`));
+      return false;
+    }
+    
+    console.log(chalk.cyan(`Comparing database for project "${projectName}" with its schema...`));
+    
+    const desired = schemaToSnapshot(generateFullSchema(projectName));
+    const current = await db.postgres.getSchemaSnapshot(dbConnection.connection);
+    const allChanges = diffSnapshots(desired, current);
+    const drops = allChanges.filter(change => change.kind === 'drop');
+    const changes = options.reverse ? allChanges : allChanges.filter(change => change.kind !== 'drop');
+    
+    if (changes.length === 0) {
+      console.log(chalk.green('✓ Database matches the schema'));
+      
+      if (drops.length > 0) {
+        console.log(chalk.yellow(`${drops.length} object(s) exist only in the database; run with --reverse to see them`));
+      }
+      
+      return true;
+    }
+    
+    const additions = changes.filter(change => change.kind !== 'drop');
+    
+    if (additions.length > 0) {
+      console.log(chalk.cyan(`\nChanges needed to match the schema (${additions.length}):`));
+      printChanges(additions);
+    }
+    
+    if (options.reverse && drops.length > 0) {
+      console.log(chalk.red(`\nObjects in the database but not in the schema, to be dropped (${drops.length}):`));
+      printChanges(drops);
+    } else if (drops.length > 0) {
+      console.log(chalk.yellow(`\n${drops.length} object(s) exist only in the database and are left alone; use --reverse to drop them`));
+    }
+    
+    const migrationSql = renderMigration(changes, [
+      `Generated by db-tools diff for project "${projectName}" on ${new Date().toISOString()}`
+    ]);
+    
+    if (options.dryRun) {
+      console.log(chalk.cyan('\nMigration (not written because of --dry-run):\n'));
+      console.log(migrationSql);
+      return true;
+    }
+    
+    const migrationDir = getMigrationsDir();
+    fs.mkdirSync(migrationDir, { recursive: true });
+    
+    const migrationPath = path.join(migrationDir, getNextMigrationFileName(migrationDir, options.name || 'schema_diff'));
+    fs.writeFileSync(migrationPath, migrationSql);
+    
+    console.log(chalk.green(`\n✓ Migration written to ${migrationPath}`));
+    console.log(`Review it, then apply it with: db-tools migrate up ${projectName}`);
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`Error comparing database: ${error.message}`));
+    return false;
+  } finally {
+    await db.closeConnection(dbConnection);
+  }
+}
+
+module.exports = diffCommand;
@@ -7,6 +7,7 @@ const {
   generateInitializationSQL,
   generateFullSchema,
 } = require("../utils/schema");
+const { splitSqlStatements } = require("../utils/sql-splitter");
 const chalk = require("chalk");
 
 /**
@@ -52,16 +53,17 @@ async function initCommand(projectName, cmdOptions = {}, cmd) {
     // Initialize the database
     const initializationSQL = generateInitializationSQL(projectName);
 
-    // Execute the initialization SQL as a single statement
-    // This avoids issues with splitting function definitions
-    let successCount = 0;
-    let failedCount = 0;
+    // Split into statements with the tokenizer-aware splitter so function bodies stay intact,
+    // then run them in one transaction so a failure leaves the database untouched
+    const statements = splitSqlStatements(initializationSQL);
+    console.log(`Executing ${statements.length} initialization statements...`);
 
-    // Execute the entire SQL script
     try {
-      await db.executeQuery(dbConnection, initializationSQL);
-      successCount = 1;
-      
+      await db.postgres.executeTransaction(
+        pool,
+        statements.map((query) => ({ query }))
+      );
+
       console.log(`Database initialization completed for ${projectName}`);
       console.log(chalk.green("✓ Schema successfully initialized"));
 
@@ -70,7 +72,6 @@ async function initCommand(projectName, cmdOptions = {}, cmd) {
 
       return true;
     } catch (error) {
-      await db.executeQuery(dbConnection, "ROLLBACK");
       console.error(
         `Error initializing database for ${projectName}:`,
         error.message
@@ -0,0 +1,122 @@
+// src/commands/introspect.js
+// This file is used to generate a schemas/ file from the structure of a live database
+
+const db = require('../utils/db');
+const { promptForProject, confirmAction } = require('../utils/prompt');
+const { getSchemaFilePath } = require('../utils/schema');
+const { buildPostgresSchema, buildMongoSchema, renderSchemaModule } = require('../utils/introspect');
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+const DEFAULT_SAMPLE_SIZE = 100;
+
+/**
+ * Reads the structure of a MongoDB database by sampling each collection
+ * @param {Object} mongoDb - MongoDB database instance
+ * @param {number} sampleSize - Documents to sample per collection
+ * @returns {Promise<Array<Object>>} Collections with name, sampled, fields and indexes
+ */
+async function sampleMongoCollections(mongoDb, sampleSize) {
+  const names = (await db.mongodb.listCollections(mongoDb))
+    .filter(name => name !== 'migrations' && !name.startsWith('system.'))
+    .sort();
+  const collections = [];
+  
+  for (const name of names) {
+    console.log(`  Sampling ${name}...`);
+    const { sampled, fields } = await db.mongodb.sampleCollectionFields(mongoDb, name, sampleSize);
+    const indexes = await db.mongodb.getCollectionIndexes(mongoDb, name);
+    collections.push({ name, sampled, fields, indexes });
+  }
+  
+  return collections;
+}
+
+/**
+ * Command to reverse-engineer a live database into a schema file
+ * @param {string} projectName - Name of the project to introspect
+ * @param {Object} [cmdOptions={}] - Command-specific options
+ * @param {Object} [cmd] - Commander command object
+ * @param {string} [cmd.parent.opts().connect] - Custom path to connection file
+ * @param {string} [cmdOptions.database] - Database name to override default
+ * @param {string} [cmdOptions.output] - File to write (default: schemas/<project>.js)
+ * @param {string} [cmdOptions.sample] - Documents to sample per MongoDB collection
+ * @param {boolean} [cmdOptions.dryRun] - Print the schema instead of writing it
+ * @param {boolean} [cmdOptions.force] - Overwrite an existing file without asking
+ * @returns {Promise<boolean>} True if the schema was generated, false otherwise
+ */
+async function introspectCommand(projectName, cmdOptions = {}, cmd) {
+  // Merge command options with global options
+  const options = { ...cmd?.parent?.opts(), ...cmdOptions };
+  
+  // If project name not provided, prompt for it
+  if (!projectName) {
+    projectName = await promptForProject();
+  }
+  
+  const sampleSize = options.sample ? parseInt(options.sample, 10) : DEFAULT_SAMPLE_SIZE;
+  if (!Number.isInteger(sampleSize) || sampleSize < 1) {
+    console.error(chalk.red('--sample must be a positive number'));
+    return false;
+  }
+  
+  const outputPath = path.resolve(options.output || getSchemaFilePath(projectName));
+  const dbConnection = await db.createConnection(projectName, options);
+  
+  try {
+    console.log(chalk.cyan(`Reading database structure for project "${projectName}"...`));
+    
+    let result;
+    let summary;
+    
+    if (dbConnection.type === 'postgres') {
+      const snapshot = await db.postgres.getSchemaSnapshot(dbConnection.connection);
+      result = buildPostgresSchema(snapshot);
+      summary = `${result.schema.tables.length} table(s), ${result.schema.extensions.length} extension(s)`;
+    } else {
+      const collections = await sampleMongoCollections(dbConnection.connection.db, sampleSize);
+      result = buildMongoSchema(collections);
+      summary = `${collections.length} collection(s), up to ${sampleSize} sampled document(s) each`;
+    }
+    
+    const source = renderSchemaModule(result.schema, [
+      path.relative(process.cwd(), outputPath),
+      `Generated by db-tools introspect from project "${projectName}" on ${new Date().toISOString()}`,
+      'Review this file before using it with init, check or diff'
+    ], result.skipped);
+    
+    if (result.skipped.length > 0) {
+      console.log(chalk.yellow(`⚠ ${result.skipped.length} object(s) cannot be expressed in a schema file and are listed as comments:`));
+      result.skipped.forEach(item => console.log(chalk.yellow(`  - ${item}`)));
+    }
+    
+    if (options.dryRun) {
+      console.log(chalk.cyan(`\nSchema (${summary}, not written because of --dry-run):\n`));
+      console.log(source);
+      return true;
+    }
+    
+    if (fs.existsSync(outputPath) && !options.force) {
+      const confirm = await confirmAction(`${outputPath} already exists. Overwrite it?`);
+      
+      if (!confirm) {
+        console.log('Introspection canceled');
+        return false;
+      }
+    }
+    
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, source);
+    
+    console.log(chalk.green(`✓ Wrote ${summary} to ${outputPath}`));
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`Error introspecting database: ${error.message}`));
+    return false;
+  } finally {
+    await db.closeConnection(dbConnection);
+  }
+}
+
+module.exports = introspectCommand;
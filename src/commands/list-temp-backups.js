@@ -34,12 +34,18 @@ async function listTempBackupsCommand(options = {}) {
       const name = backup.name.length > 57 ? backup.name.substring(0, 54) + '...' : backup.name;
       const created = backup.created.toLocaleString();
       const status = backup.restorable ? '' : chalk.red(' [NO KEY]');
+      const format = backup.format === 'legacy' ? chalk.gray(' [legacy]') : backup.compressed ? '' : chalk.gray(' [uncompressed]');
+      const type = backup.type === 'mongodb' ? chalk.cyan(' [mongodb]') : '';
+      const scope = backup.tables ? chalk.cyan(` [${backup.tables.length} table(s)]`) : '';
       
       console.log(
         chalk.white(name.padEnd(60)) +
         chalk.gray(backup.size.padEnd(10)) +
         chalk.gray(created.padEnd(20)) +
         chalk.yellow(backup.expiresIn) +
+        type +
+        scope +
+        format +
         status
       );
     });
@@ -51,7 +57,13 @@ async function listTempBackupsCommand(options = {}) {
     console.log(chalk.blue('\nTo restore from a backup:'));
     console.log(chalk.white('  db-tools restore-temp [project] [backup-name]'));
     
+    if (backups.some(backup => backup.type === 'mongodb')) {
+      console.log(chalk.blue('To restore a single collection from a MongoDB backup:'));
+      console.log(chalk.white('  db-tools restore-temp [project] [backup-name] --collection <name>'));
+    }
+    
     console.log(chalk.yellow('\n⚠️  Note: Temporary backups are encrypted and require their key file to restore.'));
+    console.log(chalk.gray('Each backup is verified in full before anything is restored; a modified or truncated backup is refused.'));
     
     return true;
     
@@ -0,0 +1,56 @@
+// src/commands/mongodb/batch-delete.js
+// This file is used to delete many documents of a MongoDB collection in _id ranges, with a pause between batches
+
+const { BSON } = require('mongodb');
+const { promptForCollection } = require('../../utils/prompt');
+const { executeBatchJob } = require('../../utils/batch');
+const chalk = require('chalk');
+
+/**
+ * Deletes the documents of a MongoDB collection matching a filter, one _id range at a time
+ * @param {Object} connection - MongoDB connection object with client and db properties
+ * @param {string} collection - Name of the collection to delete documents from
+ * @param {Object} options - Command options
+ * @param {string} options.where - Filter document as Extended JSON
+ * @param {Object} [connectionInfo] - Raw connection information, naming the project the checkpoint is for
+ * @returns {Promise<boolean>} True if every matching document was deleted, false otherwise
+ */
+async function batchDeleteMongo(connection, collection, options, connectionInfo) {
+  try {
+    if (!options.where) {
+      console.error(chalk.red('Error: batch-delete needs --where (use --where "{}" to delete every document)'));
+      return false;
+    }
+    
+    let filter;
+    try {
+      filter = BSON.EJSON.parse(options.where);
+    } catch (error) {
+      console.error(chalk.red(`Error: --where must be a JSON document: ${error.message}`));
+      return false;
+    }
+    
+    // If collection not provided, prompt for it
+    if (!collection) {
+      collection = await promptForCollection(connection);
+      if (!collection) {
+        return false;
+      }
+    }
+    
+    const job = {
+      command: 'batch-delete',
+      project: connectionInfo ? connectionInfo.name : null,
+      database: options.database || null,
+      table: collection,
+      where: filter
+    };
+    
+    return await executeBatchJob({ type: 'mongodb', connection }, job, options);
+  } catch (error) {
+    console.error(chalk.red('Error running MongoDB batch delete:'), error.message);
+    return false;
+  }
+}
+
+module.exports = batchDeleteMongo;
@@ -0,0 +1,65 @@
+// src/commands/mongodb/batch-update.js
+// This file is used to update many documents of a MongoDB collection in _id ranges, with a pause between batches
+
+const { BSON } = require('mongodb');
+const { promptForCollection } = require('../../utils/prompt');
+const { executeBatchJob } = require('../../utils/batch');
+const chalk = require('chalk');
+
+/**
+ * Updates the documents of a MongoDB collection matching a filter, one _id range at a time
+ * @param {Object} connection - MongoDB connection object with client and db properties
+ * @param {string} collection - Name of the collection to update
+ * @param {Object} options - Command options
+ * @param {string} options.set - Update document as Extended JSON, such as '{"$set": {"status": "archived"}}'
+ * @param {string} options.where - Filter document as Extended JSON
+ * @param {Object} [connectionInfo] - Raw connection information, naming the project the checkpoint is for
+ * @returns {Promise<boolean>} True if every matching document was updated, false otherwise
+ */
+async function batchUpdateMongo(connection, collection, options, connectionInfo) {
+  try {
+    if (!options.set || !options.where) {
+      console.error(chalk.red('Error: batch-update needs --set and --where (use --where "{}" to update every document)'));
+      return false;
+    }
+    
+    let filter;
+    let update;
+    try {
+      filter = BSON.EJSON.parse(options.where);
+      update = BSON.EJSON.parse(options.set);
+    } catch (error) {
+      console.error(chalk.red(`Error: --where and --set must be JSON documents: ${error.message}`));
+      return false;
+    }
+    
+    if (Array.isArray(update) ? update.length === 0 : !Object.keys(update).every(key => key.startsWith('$'))) {
+      console.error(chalk.red('Error: --set must be an update document with operators such as $set, or a pipeline'));
+      return false;
+    }
+    
+    // If collection not provided, prompt for it
+    if (!collection) {
+      collection = await promptForCollection(connection);
+      if (!collection) {
+        return false;
+      }
+    }
+    
+    const job = {
+      command: 'batch-update',
+      project: connectionInfo ? connectionInfo.name : null,
+      database: options.database || null,
+      table: collection,
+      where: filter,
+      set: update
+    };
+    
+    return await executeBatchJob({ type: 'mongodb', connection }, job, options);
+  } catch (error) {
+    console.error(chalk.red('Error running MongoDB batch update:'), error.message);
+    return false;
+  }
+}
+
+module.exports = batchUpdateMongo;
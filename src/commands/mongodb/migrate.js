@@ -0,0 +1,369 @@
+// src/commands/mongodb/migrate.js
+// This file is used to apply and roll back MongoDB migrations written as JavaScript modules
+// Each migration file exports up(db, client, session) and optionally down(db, client, session)
+
+const db = require('../../utils/db');
+const { confirmAction } = require('../../utils/prompt');
+const {
+  MIGRATION_EXTENSIONS,
+  getMigrationsDir,
+  listMigrationFiles,
+  resolveMigrationFile,
+  getMigrationStatus,
+  selectPendingMigrations,
+  computeMigrationChecksum
+} = require('../../utils/migrations');
+const { createTempBackup } = require('../../utils/temp-backup');
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+/**
+ * Loads a JavaScript migration module
+ * @param {string} migrationPath - Path to the migration file
+ * @returns {Object} Migration object with name, path, up, down and checksum
+ * @throws Will throw error if the module cannot be loaded or does not export an up function
+ */
+function loadMongoMigration(migrationPath) {
+  const resolvedPath = path.resolve(migrationPath);
+  const name = path.basename(resolvedPath);
+  
+  // Always load the current file contents, not a cached module
+  delete require.cache[resolvedPath];
+  const migration = require(resolvedPath);
+  
+  if (typeof migration.up !== 'function') {
+    throw new Error(`Migration ${name} must export an up(db, client, session) function`);
+  }
+  
+  return {
+    name,
+    path: resolvedPath,
+    up: migration.up,
+    down: typeof migration.down === 'function' ? migration.down : null,
+    checksum: computeMigrationChecksum(fs.readFileSync(resolvedPath, 'utf8'))
+  };
+}
+
+/**
+ * Runs a migration step, inside a session transaction when the deployment supports it
+ * Operations only take part in the transaction if they pass the session ({ session }) to the driver
+ * @param {Object} connection - MongoDB connection object with client and db properties
+ * @param {boolean} useTransaction - Whether to run the step in a transaction
+ * @param {Function} work - Async function receiving the session (null without a transaction)
+ * @returns {Promise<void>}
+ */
+async function runMigrationStep({ client, db: mongoDb }, useTransaction, work) {
+  if (useTransaction) {
+    await db.mongodb.executeTransaction(client, mongoDb, [(_, session) => work(session)]);
+  } else {
+    await work(null);
+  }
+}
+
+/**
+ * Applies a single MongoDB migration and records it in the migrations collection
+ * @param {Object} connection - MongoDB connection object with client and db properties
+ * @param {Object} migration - Migration object returned by loadMongoMigration
+ * @param {boolean} useTransaction - Whether to run the migration in a transaction
+ * @returns {Promise<boolean>} True if the migration was applied, false if it failed
+ */
+async function applyMongoMigration(connection, migration, useTransaction) {
+  const { client, db: mongoDb } = connection;
+  
+  console.log(chalk.cyan(`Applying migration ${migration.name}${useTransaction ? ' in a transaction' : ''}...`));
+  
+  try {
+    await runMigrationStep(connection, useTransaction, async (session) => {
+      await migration.up(mongoDb, client, session);
+      await db.mongodb.trackMigration(mongoDb, migration.name, { checksum: migration.checksum }, session);
+    });
+    
+    console.log(chalk.green(`✓ Migration ${migration.name} applied successfully`));
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`Migration ${migration.name} failed:`), error.message);
+    
+    if (useTransaction) {
+      console.error(chalk.red('Operations that used the session were rolled back'));
+    } else {
+      console.error(chalk.yellow('This deployment does not support transactions, so changes made before the failure remain'));
+    }
+    
+    return false;
+  }
+}
+
+/**
+ * Reverts a single MongoDB migration and removes it from the migrations collection
+ * @param {Object} connection - MongoDB connection object with client and db properties
+ * @param {Object} migration - Migration object returned by loadMongoMigration
+ * @param {boolean} useTransaction - Whether to run the rollback in a transaction
+ * @returns {Promise<boolean>} True if the migration was reverted, false if it failed
+ */
+async function revertMongoMigration(connection, migration, useTransaction) {
+  const { client, db: mongoDb } = connection;
+  
+  console.log(chalk.cyan(`Rolling back migration ${migration.name}${useTransaction ? ' in a transaction' : ''}...`));
+  
+  try {
+    await runMigrationStep(connection, useTransaction, async (session) => {
+      await migration.down(mongoDb, client, session);
+      await db.mongodb.untrackMigration(mongoDb, migration.name, session);
+    });
+    
+    console.log(chalk.green(`✓ Migration ${migration.name} rolled back successfully`));
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`Rollback of ${migration.name} failed:`), error.message);
+    return false;
+  }
+}
+
+/**
+ * Checks for transaction support and reports how migrations will run
+ * @param {Object} mongoDb - MongoDB database instance
+ * @returns {Promise<boolean>} True if migrations will run in transactions
+ */
+async function detectTransactionSupport(mongoDb) {
+  const useTransaction = await db.mongodb.supportsTransactions(mongoDb);
+  
+  if (!useTransaction) {
+    console.log(chalk.yellow('⚠ This MongoDB deployment is not a replica set or sharded cluster; migrations will run without transactions'));
+  }
+  
+  return useTransaction;
+}
+
+/**
+ * Applies a single MongoDB migration file
+ * @param {Object} connection - MongoDB connection object with client and db properties
+ * @param {string} migrationFile - Path to the migration file, or a file name in the migrations directory
+ * @param {Object} options - Command options
+ * @param {boolean} [options.force] - Skip confirmation prompt
+ * @param {string} projectName - Name of the project being migrated
+ * @returns {Promise<boolean>} True if the migration was applied or already applied, false otherwise
+ */
+async function migrateMongoFile(connection, migrationFile, options, projectName) {
+  if (!migrationFile) {
+    console.error(chalk.red('Specify a migration file, or use "migrate up" to apply all pending migrations'));
+    return false;
+  }
+  
+  const resolvedPath = resolveMigrationFile(migrationFile);
+  
+  if (!resolvedPath) {
+    console.error(chalk.red(`Migration file not found: ${migrationFile}`));
+    return false;
+  }
+  
+  let migration;
+  try {
+    migration = loadMongoMigration(resolvedPath);
+  } catch (error) {
+    console.error(chalk.red(`Error loading migration: ${error.message}`));
+    return false;
+  }
+  
+  if (await db.mongodb.isMigrationApplied(connection.db, migration.name)) {
+    console.log(chalk.yellow(`Migration ${migration.name} has already been applied. Skipping.`));
+    return true;
+  }
+  
+  if (!options.force) {
+    const confirm = await confirmAction(`Are you sure you want to apply migration "${migration.name}" to project "${projectName}"?`);
+    
+    if (!confirm) {
+      console.log('Migration canceled');
+      return false;
+    }
+  }
+  
+  await db.mongodb.ensureMigrationsCollection(connection.db);
+  const useTransaction = await detectTransactionSupport(connection.db);
+  
+  return applyMongoMigration(connection, migration, useTransaction);
+}
+
+/**
+ * Applies all pending MongoDB migrations in the migrations directory, in order
+ * @param {Object} connection - MongoDB connection object with client and db properties
+ * @param {Object} options - Command options
+ * @param {string} [options.to] - Last migration to apply (file name, with or without extension)
+ * @param {boolean} [options.force] - Skip confirmation prompt
+ * @param {string} projectName - Name of the project being migrated
+ * @returns {Promise<boolean>} True if all selected migrations were applied, false otherwise
+ */
+async function migrateMongoUp(connection, options, projectName) {
+  const migrationDir = getMigrationsDir();
+  let status;
+  let toApply;
+  let migrations;
+  
+  try {
+    const migrationFiles = listMigrationFiles(migrationDir, MIGRATION_EXTENSIONS.mongodb);
+    status = getMigrationStatus(migrationFiles, await db.mongodb.getAppliedMigrations(connection.db));
+    toApply = selectPendingMigrations(migrationFiles, status.pending, options.to);
+    
+    // Load every module up front so a broken file stops the run before anything is applied
+    migrations = toApply.map(file => loadMongoMigration(path.join(migrationDir, file)));
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    return false;
+  }
+  
+  if (status.missing.length > 0) {
+    console.log(chalk.yellow(`⚠ ${status.missing.length} applied migration(s) have no file in ${migrationDir}:`));
+    status.missing.forEach(m => console.log(chalk.yellow(`  - ${m.name}`)));
+  }
+  
+  if (migrations.length === 0) {
+    console.log(chalk.green(`✓ Database is up to date${options.to ? ` (through ${options.to})` : ''}`));
+    return true;
+  }
+  
+  console.log(chalk.cyan(`Pending migrations to apply (${migrations.length}):`));
+  migrations.forEach(m => console.log(`  - ${m.name}`));
+  
+  if (!options.force) {
+    const confirm = await confirmAction(`Apply ${migrations.length} migration(s) to project "${projectName}"?`);
+    
+    if (!confirm) {
+      console.log('Migration canceled');
+      return false;
+    }
+  }
+  
+  await db.mongodb.ensureMigrationsCollection(connection.db);
+  const useTransaction = await detectTransactionSupport(connection.db);
+  let appliedCount = 0;
+  
+  for (const migration of migrations) {
+    const success = await applyMongoMigration(connection, migration, useTransaction);
+    
+    if (!success) {
+      const remaining = migrations.length - appliedCount - 1;
+      console.error(chalk.red(`Stopped after ${appliedCount} migration(s); ${remaining} remaining migration(s) were not attempted`));
+      return false;
+    }
+    
+    appliedCount++;
+  }
+  
+  console.log(chalk.green(`\n✓ Applied ${appliedCount} migration(s)`));
+  return true;
+}
+
+/**
+ * Rolls back the most recently applied MongoDB migrations using their down functions
+ * @param {Object} connection - MongoDB connection object with client and db properties
+ * @param {Object} options - Command options
+ * @param {number} [options.steps=1] - Number of migrations to roll back
+ * @param {boolean} [options.force] - Skip confirmation prompt
+ * @param {boolean} [options.backup] - false to roll back without taking a temporary backup first
+ * @param {string} projectName - Name of the project to roll back migrations for
+ * @param {string} [uri] - MongoDB connection URI, used by mongodump for the temporary backup
+ * @returns {Promise<boolean>} True if all selected migrations were rolled back, false otherwise
+ */
+async function migrateMongoRollback(connection, options, projectName, uri) {
+  const steps = options.steps === undefined ? 1 : parseInt(options.steps, 10);
+  const appliedMigrations = await db.mongodb.getAppliedMigrations(connection.db);
+  
+  if (appliedMigrations.length === 0) {
+    console.log(chalk.yellow('No applied migrations to roll back'));
+    return true;
+  }
+  
+  // Most recently applied first
+  const targets = appliedMigrations.slice(-steps).reverse();
+  const migrationDir = getMigrationsDir();
+  const plan = [];
+  
+  // Resolve every down function before touching the database
+  for (const { name } of targets) {
+    const migrationPath = path.join(migrationDir, name);
+    
+    if (!fs.existsSync(migrationPath)) {
+      console.error(chalk.red(`Migration ${name} cannot be rolled back because its file is missing from ${migrationDir}`));
+      return false;
+    }
+    
+    let migration;
+    try {
+      migration = loadMongoMigration(migrationPath);
+    } catch (error) {
+      console.error(chalk.red(`Error loading migration: ${error.message}`));
+      return false;
+    }
+    
+    if (!migration.down) {
+      console.error(chalk.red(`Migration ${name} has no down function and cannot be rolled back`));
+      console.log(`Export a down(db, client, session) function from ${name}`);
+      return false;
+    }
+    
+    plan.push(migration);
+  }
+  
+  if (steps > appliedMigrations.length) {
+    console.log(chalk.yellow(`Only ${appliedMigrations.length} migration(s) have been applied`));
+  }
+  
+  console.log(chalk.cyan(`Migrations to roll back (${plan.length}, newest first):`));
+  plan.forEach(m => console.log(`  - ${m.name}`));
+  
+  if (!options.force) {
+    const confirm = await confirmAction(chalk.red(`Roll back ${plan.length} migration(s) on project "${projectName}"?`));
+    
+    if (!confirm) {
+      console.log('Rollback canceled');
+      return false;
+    }
+  }
+  
+  let backupName = null;
+  
+  if (options.tempBackup) {
+    console.log(chalk.gray(`Using the temporary backup taken for the safety policy: ${options.tempBackup.backupName}`));
+    backupName = options.tempBackup.backupName;
+  } else if (options.backup !== false) {
+    const backupInfo = await createTempBackup(connection, projectName, 'migrate-rollback', { compress: options.backupCompression, uri });
+    
+    if (!backupInfo.success) {
+      console.error(chalk.red('Rollback aborted because the temporary backup could not be created'));
+      console.log('Use --no-backup to roll back without a backup (not recommended)');
+      return false;
+    }
+    
+    backupName = backupInfo.backupName;
+  } else {
+    console.log(chalk.yellow('⚠ Skipping temporary backup (--no-backup)'));
+  }
+  
+  const useTransaction = await detectTransactionSupport(connection.db);
+  let rolledBack = 0;
+  
+  for (const migration of plan) {
+    const success = await revertMongoMigration(connection, migration, useTransaction);
+    
+    if (!success) {
+      console.error(chalk.red(`Stopped after rolling back ${rolledBack} migration(s)`));
+      if (backupName) {
+        console.log(chalk.blue(`💡 To undo: db-tools restore-temp "${projectName}" ${backupName}`));
+      }
+      return false;
+    }
+    
+    rolledBack++;
+  }
+  
+  console.log(chalk.green(`\n✓ Rolled back ${rolledBack} migration(s)`));
+  if (backupName) {
+    console.log(chalk.blue(`💡 To undo: db-tools restore-temp "${projectName}" ${backupName}`));
+  }
+  return true;
+}
+
+module.exports = migrateMongoFile;
+module.exports.up = migrateMongoUp;
+module.exports.rollback = migrateMongoRollback;
@@ -3,17 +3,80 @@
 
 const db = require('../../utils/db');
 const { confirmAction } = require('../../utils/prompt');
+const { classifyMongoQuery } = require('../../utils/query-classifier');
+const { SAFETY_LEVELS } = require('../../utils/safety-validator');
+const { recordBackup } = require('../../utils/audit');
+const { printDataChanges } = require('../../utils/dry-run');
+const { whatIfMongoQuery } = require('../../utils/what-if');
 const inquirer = require('inquirer');
+const path = require('path');
 const chalk = require('chalk');
 
+/**
+ * Counts the documents a classified query would change
+ * @param {Object} client - MongoDB client
+ * @param {Object} mongoDb - MongoDB database instance
+ * @param {Object} classification - Classification returned by classifyMongoQuery
+ * @returns {Promise<Array<Object>>} Affected collections with database, collection, filter and documents
+ */
+async function estimateImpact(client, mongoDb, classification) {
+  const targets = classification.wholeDatabase
+    ? (await db.mongodb.listCollections(mongoDb)).map(collection => ({ database: null, collection, filter: null, single: false }))
+    : classification.targets;
+  const impact = [];
+  
+  for (const target of targets) {
+    const collection = (target.database ? client.db(target.database) : mongoDb).collection(target.collection);
+    const documents = target.filter === null
+      ? await collection.estimatedDocumentCount()
+      : await collection.countDocuments(target.filter, target.single ? { limit: 1 } : {});
+    
+    impact.push({ ...target, documents });
+  }
+  
+  return impact;
+}
+
+/**
+ * Exports the documents a query is about to change, so they can be loaded back with mongoimport
+ * Single-document operations export every matching document, since the one changed depends on the server's order
+ * @param {Object} client - MongoDB client
+ * @param {Object} mongoDb - MongoDB database instance
+ * @param {Array<Object>} impact - Affected collections returned by estimateImpact
+ * @param {string} operation - Operation name used in the backup directory name
+ * @returns {Promise<Object>} Object with success, directory and files (collection, file, documents), or error
+ */
+async function backupAffectedDocuments(client, mongoDb, impact, operation) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const directory = path.join(process.cwd(), 'backups', `${mongoDb.databaseName}_before_${operation}_${timestamp}`);
+  const files = [];
+  
+  try {
+    for (const target of impact.filter(entry => entry.documents > 0)) {
+      const baseName = target.database ? `${target.database}.${target.collection}` : target.collection;
+      const count = files.filter(file => file.baseName === baseName).length;
+      const file = path.join(directory, `${baseName}${count > 0 ? `_${count}` : ''}.json`);
+      const targetDb = target.database ? client.db(target.database) : mongoDb;
+      const documents = await db.mongodb.exportDocuments(targetDb, target.collection, target.filter || {}, file);
+      
+      files.push({ baseName, collection: target.collection, file, documents });
+    }
+    
+    return { success: true, directory, files };
+  } catch (error) {
+    return { success: false, directory, error: error.message };
+  }
+}
+
 /**
  * Execute a query on a MongoDB database
  * @param {Object} connection - MongoDB connection object with client and db properties
  * @param {string} query - MongoDB query to execute (JSON string)
  * @param {Object} options - Command options
+ * @param {boolean} [options.whatIf] - Show the documents an update or delete would change, without running it
  * @returns {Promise<boolean>} True if query was executed successfully, false otherwise
  */
-async function executeMongoQuery({ client, db }, query, options) {
+async function executeMongoQuery({ client, db: mongoDb }, query, options) {
   // Determine query type: collection, find, aggregate, update, or command
   let queryType = 'find';
   let collection = null;
@@ -34,13 +97,13 @@ async function executeMongoQuery({ client, db }, query, options) {
           queryType = parsedQuery.type.toLowerCase();
         }
         
-        if (parsedQuery.query) {
-          parsedQuery = parsedQuery.query;
-        }
-        
         if (parsedQuery.options) {
           parsedOptions = parsedQuery.options;
         }
+        
+        if (parsedQuery.query) {
+          parsedQuery = parsedQuery.query;
+        }
       } else {
         // If no collection specified, assume it's a database command
         queryType = 'command';
@@ -56,7 +119,7 @@ async function executeMongoQuery({ client, db }, query, options) {
           name: 'collectionChoice',
           message: 'Select a collection:',
           choices: async () => {
-            const collections = await require('../../utils/db').mongodb.listCollections(db);
+            const collections = await db.mongodb.listCollections(mongoDb);
             return collections;
           }
         },
@@ -118,17 +181,73 @@ async function executeMongoQuery({ client, db }, query, options) {
       }, null, 2));
     }
     
-    // Ask for confirmation for destructive queries unless force is enabled
-    const isDestructive = ['update', 'delete', 'remove', 'insertmany', 'insertone', 'bulkwrite', 'dropcollection', 'dropdatabase'].includes(queryType.toLowerCase());
+    // Classify the query from its type or command document
+    const classification = classifyMongoQuery({ type: queryType, collection, query: parsedQuery, options: parsedOptions || {} });
     
-    if (isDestructive && !options.force) {
+    if (classification.riskLevel !== SAFETY_LEVELS.SAFE) {
       console.log(chalk.yellow('Warning: This query may modify data or schema'));
+      console.log(chalk.yellow(`  [${classification.riskLevel.toUpperCase()}] ${classification.operation}`));
+      classification.warnings.forEach(warning => console.log(chalk.red(`  ⚠ ${warning}`)));
+      
+      const impact = await estimateImpact(client, mongoDb, classification);
+      const affected = impact.reduce((total, target) => total + target.documents, 0);
+      
+      impact.forEach(target => {
+        const name = target.database ? `${target.database}.${target.collection}` : target.collection;
+        console.log(chalk.yellow(`  ${target.filter === null ? '~' : ''}${target.documents} document(s) in "${name}" ${target.filter === null ? 'affected' : 'match the filter'}`));
+      });
+      
+      if (options.dryRun) {
+        console.log(chalk.cyan('\nDry run: the query was not executed'));
+        return true;
+      }
+      
+      // Apply the update operators to copies of the matching documents instead of running the query
+      if (options.whatIf) {
+        printDataChanges(await whatIfMongoQuery(mongoDb, { type: queryType, collection, query: parsedQuery, options: parsedOptions || {} }));
+        console.log(chalk.cyan('\nWhat-if: the query was not executed'));
+        return true;
+      }
       
-      const confirm = await confirmAction('Are you sure you want to execute this query?');
+      if (!options.force) {
+        const confirm = await confirmAction('Are you sure you want to execute this query?');
+        
+        if (!confirm) {
+          console.log('Query execution canceled');
+          return false;
+        }
+        
+        // Double confirmation when documents would be deleted or replaced
+        if (classification.riskLevel === SAFETY_LEVELS.DANGER && affected > 0) {
+          const doubleConfirm = await confirmAction(chalk.red(`Final confirmation: Are you ABSOLUTELY SURE? ${affected} document(s) will be deleted or replaced.`));
+          
+          if (!doubleConfirm) {
+            console.log('Query execution canceled');
+            return false;
+          }
+        }
+      }
       
-      if (!confirm) {
-        console.log('Query execution canceled');
-        return false;
+      if (affected > 0) {
+        console.log(chalk.blue('🔒 Backing up the affected documents...'));
+        const backup = await backupAffectedDocuments(client, mongoDb, impact, classification.operation);
+        
+        if (backup.success) {
+          console.log(chalk.green(`✓ Pre-operation backup: ${backup.directory}`));
+          recordBackup(backup.directory);
+          backup.files.forEach(file => {
+            console.log(chalk.gray(`   ${file.documents} document(s) - restore with: mongoimport --collection "${file.collection}" --file "${file.file}"`));
+          });
+        } else {
+          console.warn(chalk.yellow(`⚠️  Warning: Could not back up the affected documents: ${backup.error}`));
+          
+          if (options.force) {
+            console.log(chalk.red('⚠ Proceeding without a backup due to --force flag'));
+          } else if (!await confirmAction('Proceed without a backup?')) {
+            console.log('Query execution canceled');
+            return false;
+          }
+        }
       }
     }
     
@@ -137,10 +256,10 @@ async function executeMongoQuery({ client, db }, query, options) {
     // Execute the query based on query type
     if (queryType === 'command') {
       // Database command
-      result = await db.command(parsedQuery);
+      result = await mongoDb.command(parsedQuery);
     } else {
       // Collection query
-      const mongoCollection = db.collection(collection);
+      const mongoCollection = mongoDb.collection(collection);
       
       switch (queryType) {
         case 'find':
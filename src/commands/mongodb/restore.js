@@ -15,6 +15,11 @@ const { confirmAction } = require('../../utils/prompt');
  * @returns {Promise<boolean>} True if restore was successful, false otherwise
  */
 async function restoreMongoDatabase({ client, db: mongoDb }, options, connectionInfo) {
+  if (!options.input) {
+    console.error(chalk.red('No backup file given; pass it with --input <file>'));
+    return false;
+  }
+  
   // Check if mongorestore is available
   const mongoToolsAvailable = db.mongodb.isMongoToolAvailable('mongorestore');
   if (!mongoToolsAvailable) {
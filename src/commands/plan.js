@@ -0,0 +1,130 @@
+// src/commands/plan.js
+// This file is used to plan a destructive change without making it
+// The command runs in dry-run mode and the statements it would execute are written to a signed plan file for "db-tools apply"
+
+const crypto = require('crypto');
+const db = require('../utils/db');
+const { startCapture, stopCapture } = require('../utils/dry-run');
+const { inspectPostgresQuery } = require('../utils/query-classifier');
+const { SAFETY_LEVELS } = require('../utils/safety-validator');
+const { savePlan } = require('../utils/plan');
+const { getCurrentUser } = require('../utils/audit');
+const chalk = require('chalk');
+
+// Options that select what the plan runs against, recorded so apply connects the same way
+const CONNECTION_OPTIONS = ['database', 'schema', 'type'];
+
+// Commands whose dry run records the exact statements they would execute, with the arguments a plan needs
+const PLANNABLE_COMMANDS = {
+  'delete-table': { implementation: './postgres/delete-table', args: ['table'] },
+  'remove-column': { implementation: './postgres/remove-column', args: ['table', 'column'] },
+  'query': { implementation: './postgres/query', args: ['sql'] }
+};
+
+const RISK_ORDER = [SAFETY_LEVELS.SAFE, SAFETY_LEVELS.CAUTION, SAFETY_LEVELS.WARNING, SAFETY_LEVELS.DANGER];
+
+/**
+ * Command to write a plan for a destructive command
+ * @param {string} command - Command to plan (delete-table, remove-column or query)
+ * @param {string} projectName - Project name
+ * @param {Array<string>} [commandArgs=[]] - Arguments of the planned command after the project
+ * @param {Object} [cmdOptions={}] - Command-specific options
+ * @param {Object} [cmd] - Commander command object
+ * @param {string} [cmdOptions.output] - Plan file path (default: a new file in the plans directory)
+ * @param {string} [cmdOptions.database] - Database to connect to
+ * @returns {Promise<boolean>} True if the plan was written, false otherwise
+ */
+async function planCommand(command, projectName, commandArgs = [], cmdOptions = {}, cmd) {
+  const options = { ...cmd?.parent?.opts(), ...cmdOptions };
+  const planned = PLANNABLE_COMMANDS[command];
+  
+  if (!planned) {
+    console.error(chalk.red(`"${command}" cannot be planned (plannable commands: ${Object.keys(PLANNABLE_COMMANDS).join(', ')})`));
+    return false;
+  }
+  
+  if (!projectName) {
+    console.error(chalk.red(`Error: Project name is required: db-tools plan ${command} <project> ${planned.args.map(arg => `<${arg}>`).join(' ')}`));
+    return false;
+  }
+  
+  // A plan is made without prompts, so every argument must be given
+  if (commandArgs.length !== planned.args.length) {
+    console.error(chalk.red(`Error: Planning ${command} needs ${planned.args.join(' and ')} on the command line`));
+    return false;
+  }
+  
+  const dbConnection = await db.createConnection(projectName, options);
+  
+  try {
+    if (dbConnection.type !== 'postgres') {
+      console.error(chalk.red('Plans are only available for PostgreSQL projects'));
+      return false;
+    }
+    
+    const pool = dbConnection.connection;
+    const schemaFingerprint = await db.postgres.getSchemaFingerprint(pool);
+    
+    console.log(chalk.cyan(`\n=== Planning ${command} for project "${projectName}" ===`));
+    
+    // --force only answers the prompts a dry run can still show, such as dropping a column WITH CASCADE
+    startCapture();
+    let succeeded;
+    let captured;
+    try {
+      succeeded = await require(planned.implementation)(pool, ...commandArgs, { ...options, dryRun: true, force: true });
+    } finally {
+      captured = stopCapture();
+    }
+    
+    if (!succeeded) {
+      console.error(chalk.red('\nPlanning failed; no plan was written'));
+      return false;
+    }
+    
+    if (captured.statements.length === 0) {
+      console.log(chalk.yellow('\nThe command would not execute any statements; no plan was written'));
+      return false;
+    }
+    
+    // Volatile user functions the statements call are looked up, as the query command does
+    let riskLevel = SAFETY_LEVELS.SAFE;
+    for (const statement of captured.statements) {
+      const level = (await inspectPostgresQuery(pool, statement.sql)).riskLevel;
+      riskLevel = RISK_ORDER.indexOf(level) > RISK_ORDER.indexOf(riskLevel) ? level : riskLevel;
+    }
+    
+    const { path: planPath } = savePlan({
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      createdBy: getCurrentUser(),
+      project: projectName,
+      database: options.database || null,
+      schema: db.postgres.getSchemaName(pool),
+      command,
+      args: commandArgs,
+      options: Object.fromEntries(CONNECTION_OPTIONS.filter(key => options[key]).map(key => [key, options[key]])),
+      riskLevel,
+      statements: captured.statements,
+      affected: captured.affected,
+      estimates: captured.estimates,
+      warnings: captured.warnings,
+      schemaFingerprint
+    }, options.output);
+    
+    console.log(chalk.green(`\n✓ Plan written: ${planPath}`));
+    console.log(chalk.gray(`  ${captured.statements.length} statement(s), risk level: ${riskLevel.toUpperCase()}`));
+    console.log(chalk.blue('\nAfter reviewing the plan, apply it with:'));
+    console.log(chalk.white(`  db-tools apply "${planPath}"`));
+    console.log(chalk.gray('The plan is refused if it is edited or if the schema changes before it is applied'));
+    
+    return true;
+  } catch (error) {
+    console.error(chalk.red('Error writing plan:'), error.message);
+    return false;
+  } finally {
+    await db.closeConnection(dbConnection);
+  }
+}
+
+module.exports = planCommand;
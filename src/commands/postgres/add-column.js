@@ -13,6 +13,7 @@
 const db = require('../../utils/db');
 const { promptForTable, confirmAction } = require('../../utils/prompt');
 const { validateDatabaseIdentifier, validateNonEmptyString, throwIfInvalid } = require('../../utils/validation');
+const { estimateAddColumnRewrite, analyzeLockImpact, printLockImpact, executeWithLockTimeout } = require('../../utils/lock-impact');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 
@@ -32,6 +33,9 @@ const chalk = require('chalk');
  * @param {boolean} [options.notNull=false] - Whether the column should be NOT NULL
  * @param {boolean} [options.force=false] - Skip confirmation prompts
  * @param {boolean} [options.dryRun=false] - Show what would be executed without running
+ * @param {string} [options.lockTimeout] - How long to wait for the table lock before trying again
+ * @param {string} [options.statementTimeout] - How long the statement may run
+ * @param {number} [options.lockRetries] - How many times to try again after the lock timeout
  * 
  * @returns {Promise<boolean>} True if column was added successfully, false otherwise
  * 
@@ -53,7 +57,8 @@ async function addPostgresColumn(connection, table, column, datatype, options =
   try {
     // Validate inputs
     if (table) {
-      const tableValidation = validateDatabaseIdentifier(table, 'table');
+      // A schema-qualified name is checked by its table part; the schema is quoted when the name is used
+      const tableValidation = validateDatabaseIdentifier(db.postgres.parseTableName(connection, table).table, 'table');
       throwIfInvalid(tableValidation, 'Invalid table name');
     }
     
@@ -103,7 +108,8 @@ async function addPostgresColumn(connection, table, column, datatype, options =
     }
 
     // Build the ALTER TABLE query
-    let query = `ALTER TABLE "${table}" ADD COLUMN "${column}" ${datatype}`;
+    const qualifiedTable = db.postgres.quoteTableName(connection, table);
+    let query = `ALTER TABLE ${qualifiedTable} ADD COLUMN "${column}" ${datatype}`;
 
     if (options.notNull) {
       query += ` NOT NULL`;
@@ -112,7 +118,7 @@ async function addPostgresColumn(connection, table, column, datatype, options =
       if (!options.default) {
         const rowCount = await db.postgres.executeQuery(
           connection,
-          `SELECT COUNT(*) FROM "${table}"`
+          `SELECT COUNT(*) FROM ${qualifiedTable}`
         );
 
         if (parseInt(rowCount.rows[0].count) > 0) {
@@ -149,6 +155,11 @@ async function addPostgresColumn(connection, table, column, datatype, options =
     console.log(chalk.cyan("About to execute:"));
     console.log(query);
 
+    // ALTER TABLE takes ACCESS EXCLUSIVE, so reads and writes of the table wait while it waits and runs
+    const rewrite = await estimateAddColumnRewrite(connection, datatype, options);
+    const impact = await analyzeLockImpact(connection, qualifiedTable, { sql: query, lock: 'AccessExclusiveLock', ...rewrite });
+    printLockImpact(impact);
+    
     if (!options.force) {
       const confirm = await confirmAction(
         `Are you sure you want to add column "${column}" to table "${table}"?`
@@ -162,7 +173,7 @@ async function addPostgresColumn(connection, table, column, datatype, options =
 
     // Execute the query
     try {
-      await db.postgres.executeQuery(connection, query);
+      await executeWithLockTimeout(connection, query, options);
       console.log(
         chalk.green(
           `✓ Column "${column}" successfully added to table "${table}"`
@@ -0,0 +1,51 @@
+// src/commands/postgres/batch-delete.js
+// This file is used to delete many rows of a PostgreSQL table in primary key batches, with a pause between batches
+
+const db = require('../../utils/db');
+const { promptForTable } = require('../../utils/prompt');
+const { executeBatchJob } = require('../../utils/batch');
+const chalk = require('chalk');
+
+/**
+ * Deletes the rows of a PostgreSQL table matching a WHERE clause, one batch at a time
+ * @param {Object} connection - PostgreSQL connection
+ * @param {string} table - Name of the table to delete rows from
+ * @param {Object} options - Command options
+ * @param {string} options.where - WHERE clause selecting the rows
+ * @param {Object} [connectionInfo] - Raw connection information, naming the project the checkpoint is for
+ * @returns {Promise<boolean>} True if every matching row was deleted, false otherwise
+ */
+async function batchDeletePostgres(connection, table, options, connectionInfo) {
+  try {
+    if (!options.where) {
+      console.error(chalk.red('Error: batch-delete needs --where (use --where "TRUE" to delete every row)'));
+      return false;
+    }
+    
+    // If table not provided, prompt for it
+    if (!table) {
+      table = await promptForTable(connection, 'postgres');
+      if (!table) {
+        return false;
+      }
+    } else if (!await db.postgres.tableExists(connection, table)) {
+      console.error(chalk.red(`Table "${table}" does not exist`));
+      return false;
+    }
+    
+    const job = {
+      command: 'batch-delete',
+      project: connectionInfo ? connectionInfo.name : null,
+      database: options.database || null,
+      table,
+      where: options.where
+    };
+    
+    return await executeBatchJob({ type: 'postgres', connection }, job, options);
+  } catch (error) {
+    console.error(chalk.red('Error running PostgreSQL batch delete:'), error.message);
+    return false;
+  }
+}
+
+module.exports = batchDeletePostgres;
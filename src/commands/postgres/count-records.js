@@ -16,7 +16,8 @@ async function countPostgresRecords(connection, table, options) {
   try {
     // If we want to count all tables
     if (options.all) {
-      console.log(chalk.cyan(`Counting records in all PostgreSQL tables`));
+      const schemaName = db.postgres.getSchemaName(connection);
+      console.log(chalk.cyan(`Counting records in all PostgreSQL tables in schema "${schemaName}"`));
       
       // Get all tables
       const tablesQuery = `
@@ -25,13 +26,13 @@ async function countPostgresRecords(connection, table, options) {
         FROM 
           information_schema.tables 
         WHERE 
-          table_schema = 'public' 
+          table_schema = $1 
           AND table_type = 'BASE TABLE'
         ORDER BY 
           table_name;
       `;
       
-      const tablesResult = await db.postgres.executeQuery(connection, tablesQuery);
+      const tablesResult = await db.postgres.executeQuery(connection, tablesQuery, [schemaName]);
       
       if (tablesResult.rows.length === 0) {
         console.log(chalk.yellow('No tables found in the database'));
@@ -49,7 +50,7 @@ async function countPostgresRecords(connection, table, options) {
       // Count records in each table
       for (const tableRow of tablesResult.rows) {
         const tableName = tableRow.table_name;
-        const countQuery = `SELECT COUNT(*) FROM "${tableName}"`;
+        const countQuery = `SELECT COUNT(*) FROM ${db.postgres.quoteIdentifier(schemaName)}.${db.postgres.quoteIdentifier(tableName)}`;
         
         try {
           const countResult = await db.postgres.executeQuery(connection, countQuery);
@@ -86,7 +87,8 @@ async function countPostgresRecords(connection, table, options) {
     console.log(chalk.cyan(`Counting records in PostgreSQL table "${table}"`));
     
     // Count query
-    let countQuery = `SELECT COUNT(*) FROM "${table}"`;
+    const qualifiedTable = db.postgres.quoteTableName(connection, table);
+    let countQuery = `SELECT COUNT(*) FROM ${qualifiedTable}`;
     
     // Add where clause if provided
     if (options.where) {
@@ -109,13 +111,14 @@ async function countPostgresRecords(connection, table, options) {
         FROM 
           information_schema.columns
         WHERE 
-          table_schema = 'public'
-          AND table_name = $1
+          table_schema = $1
+          AND table_name = $2
         ORDER BY 
           ordinal_position;
       `;
       
-      const columnsResult = await db.postgres.executeQuery(connection, columnStatsQuery, [table]);
+      const { schema, table: tableName } = db.postgres.parseTableName(connection, table);
+      const columnsResult = await db.postgres.executeQuery(connection, columnStatsQuery, [schema, tableName]);
       
       console.log(chalk.cyan('\nColumn Statistics:'));
       
@@ -133,7 +136,7 @@ async function countPostgresRecords(connection, table, options) {
               MAX(LENGTH("${column.column_name}")) AS max_length,
               AVG(LENGTH("${column.column_name}")) AS avg_length
             FROM
-              "${table}";
+              ${qualifiedTable};
           `;
           
           const stats = await db.postgres.executeQuery(connection, statsQuery);
@@ -155,7 +158,7 @@ async function countPostgresRecords(connection, table, options) {
               MAX("${column.column_name}") AS max_value,
               AVG("${column.column_name}") AS avg_value
             FROM
-              "${table}";
+              ${qualifiedTable};
           `;
           
           const stats = await db.postgres.executeQuery(connection, statsQuery);
@@ -176,7 +179,7 @@ async function countPostgresRecords(connection, table, options) {
               MIN("${column.column_name}") AS min_value,
               MAX("${column.column_name}") AS max_value
             FROM
-              "${table}";
+              ${qualifiedTable};
           `;
           
           const stats = await db.postgres.executeQuery(connection, statsQuery);
@@ -194,7 +197,7 @@ async function countPostgresRecords(connection, table, options) {
               COUNT(DISTINCT "${column.column_name}") AS unique_values,
               COUNT(*) FILTER (WHERE "${column.column_name}" IS NULL) AS null_count
             FROM
-              "${table}";
+              ${qualifiedTable};
           `;
           
           const stats = await db.postgres.executeQuery(connection, statsQuery);
@@ -3,6 +3,7 @@
 
 const db = require('../../utils/db');
 const { promptForTable, confirmAction } = require('../../utils/prompt');
+const { analyzeLockImpact, printLockImpact, executeWithLockTimeout } = require('../../utils/lock-impact');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 
@@ -12,6 +13,9 @@ const chalk = require('chalk');
  * @param {string} table - Name of the table
  * @param {string} column - Name of the column to create index on
  * @param {Object} options - Command options
+ * @param {string} [options.lockTimeout] - How long to wait for the table lock before trying again
+ * @param {string} [options.statementTimeout] - How long the index build may run
+ * @param {number} [options.lockRetries] - How many times to try again after the lock timeout
  * @returns {Promise<boolean>} True if index was created successfully, false otherwise
  */
 async function createPostgresIndex(connection, table, column, options) {
@@ -31,6 +35,8 @@ async function createPostgresIndex(connection, table, column, options) {
       }
     }
     
+    const { schema, table: tableName } = db.postgres.parseTableName(connection, table);
+    
     // If column not provided, prompt for it
     let columns = [];
     
@@ -43,8 +49,8 @@ async function createPostgresIndex(connection, table, column, options) {
           choices: async () => {
             const tableColumns = await db.postgres.executeQuery(
               connection,
-              `SELECT column_name FROM information_schema.columns WHERE table_schema = 'public' AND table_name = $1`,
-              [table]
+              `SELECT column_name FROM information_schema.columns WHERE table_schema = $1 AND table_name = $2`,
+              [schema, tableName]
             );
             return tableColumns.rows.map(row => row.column_name);
           },
@@ -64,8 +70,8 @@ async function createPostgresIndex(connection, table, column, options) {
       columns = [column];
     }
     
-    // Generate index name
-    const indexName = `idx_${table}_${columns.join('_')}`;
+    // Generate index name (indexes always live in their table's schema, so the name is unqualified)
+    const indexName = `idx_${tableName}_${columns.join('_')}`;
     
     // Check if index already exists
     if (columns.length === 1) {
@@ -78,8 +84,8 @@ async function createPostgresIndex(connection, table, column, options) {
       // For multi-column indexes, we need a different approach
       const result = await db.postgres.executeQuery(
         connection,
-        `SELECT indexname FROM pg_indexes WHERE tablename = $1 AND indexname = $2`,
-        [table, indexName]
+        `SELECT indexname FROM pg_indexes WHERE schemaname = $1 AND tablename = $2 AND indexname = $3`,
+        [schema, tableName, indexName]
       );
       
       if (result.rows.length > 0) {
@@ -108,8 +114,8 @@ async function createPostgresIndex(connection, table, column, options) {
     
     // Build the CREATE INDEX query
     let query = options.unique 
-      ? `CREATE UNIQUE INDEX "${indexName}" ON "${table}" USING ${indexType} (`
-      : `CREATE INDEX "${indexName}" ON "${table}" USING ${indexType} (`;
+      ? `CREATE UNIQUE INDEX "${indexName}" ON ${db.postgres.quoteTableName(connection, table)} USING ${indexType} (`
+      : `CREATE INDEX "${indexName}" ON ${db.postgres.quoteTableName(connection, table)} USING ${indexType} (`;
     
     query += columns.map(col => `"${col}"`).join(', ');
     query += `);`;
@@ -118,6 +124,16 @@ async function createPostgresIndex(connection, table, column, options) {
     console.log(chalk.cyan('About to execute:'));
     console.log(query);
     
+    // CREATE INDEX takes SHARE, so writes to the table wait until the whole index is built
+    const impact = await analyzeLockImpact(connection, db.postgres.quoteTableName(connection, table), {
+      sql: query,
+      lock: 'ShareLock',
+      scan: true,
+      reason: 'the index is built from every row while writes wait',
+      note: 'On a busy table, build the index with CREATE INDEX CONCURRENTLY through the query command instead; it does not block writes'
+    });
+    printLockImpact(impact);
+    
     if (!options.force) {
       const confirm = await confirmAction(`Are you sure you want to create a${options.unique ? ' unique' : 'n'} index on ${columns.length > 1 ? 'columns' : 'column'} "${columns.join(', ')}" for table "${table}"?`);
       
@@ -129,7 +145,7 @@ async function createPostgresIndex(connection, table, column, options) {
     
     // Execute the query
     try {
-      await db.postgres.executeQuery(connection, query);
+      await executeWithLockTimeout(connection, query, options);
       console.log(chalk.green(`✓ Index "${indexName}" successfully created on table "${table}"`));
       return true;
     } catch (error) {
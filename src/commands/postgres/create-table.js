@@ -29,9 +29,11 @@ const chalk = require('chalk');
  */
 async function createPostgresTable(connection, table, definition, options = {}) {
   try {
-    // Validate inputs
-    const tableValidation = validateDatabaseIdentifier(table, 'Table name');
+    // Validate inputs (the table may be qualified with a schema, e.g. audit.events)
+    const { schema, table: tableName } = db.postgres.parseTableName(connection, table || '');
+    const tableValidation = validateDatabaseIdentifier(tableName, 'Table name');
     throwIfInvalid(tableValidation);
+    throwIfInvalid(validateDatabaseIdentifier(schema, 'Schema name'));
     
     const definitionValidation = validateNonEmptyString(definition, 'Table definition');
     throwIfInvalid(definitionValidation);
@@ -44,7 +46,7 @@ async function createPostgresTable(connection, table, definition, options = {})
     }
     
     // Build the CREATE TABLE statement
-    const createTableQuery = `CREATE TABLE "${table}" (${definition})`;
+    const createTableQuery = `CREATE TABLE ${db.postgres.quoteTableName(connection, table)} (${definition})`;
     
     // Show what will be executed
     console.log(chalk.cyan('About to execute:'));
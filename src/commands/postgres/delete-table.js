@@ -3,7 +3,7 @@
 
 const db = require('../../utils/db');
 const { promptForTable, confirmAction } = require('../../utils/prompt');
-const { isDryRun, printDryRunSQL, printDryRunSummary } = require('../../utils/dry-run');
+const { isDryRun, printDryRunSQL, printDryRunAffected, printDryRunSummary } = require('../../utils/dry-run');
 const chalk = require('chalk');
 
 /**
@@ -47,19 +47,23 @@ async function deletePostgresTable(connection, table, options) {
       }
     }
     
+    const qualifiedTable = db.postgres.quoteTableName(connection, table);
+    
     // Get row count
-    const countResult = await db.postgres.executeQuery(connection, `SELECT COUNT(*) FROM "${table}"`);
+    const countResult = await db.postgres.executeQuery(connection, `SELECT COUNT(*) FROM ${qualifiedTable}`);
     const rowCount = parseInt(countResult.rows[0].count);
     
     // Check for dry-run mode
     if (isDryRun(options, `Deleting table "${table}"`)) {
-      const dropSQL = `DROP TABLE "${table}" CASCADE;`;
+      const dropSQL = `DROP TABLE ${qualifiedTable} CASCADE;`;
       
       printDryRunSQL('SQL statement that would be executed', dropSQL, {
         affectedRows: rowCount,
         warning: rowCount > 0 ? `${rowCount} rows of data would be permanently lost` : undefined
       });
       
+      printDryRunAffected('table', qualifiedTable, 'drop');
+      
       // Check for dependent objects
       const dependentObjectsQuery = `
         SELECT
@@ -68,13 +72,13 @@ async function deletePostgresTable(connection, table, options) {
           pg_depend d
           JOIN pg_class c ON c.oid = d.refobjid
         WHERE
-          c.relname = $1
+          c.oid = $1::regclass
           AND d.deptype = 'n'
           AND objid != refobjid;
       `;
       
       try {
-        const dependentObjects = await db.postgres.executeQuery(connection, dependentObjectsQuery, [table]);
+        const dependentObjects = await db.postgres.executeQuery(connection, dependentObjectsQuery, [qualifiedTable]);
         
         const warnings = [];
         if (rowCount > 0) {
@@ -82,10 +86,7 @@ async function deletePostgresTable(connection, table, options) {
         }
         if (dependentObjects.rows.length > 0) {
           warnings.push(`${dependentObjects.rows.length} dependent object(s) would also be dropped`);
-          console.log(chalk.yellow('\n🔗 Dependent objects that would be affected:'));
-          dependentObjects.rows.forEach(obj => {
-            console.log(chalk.red(`  ✗ ${obj.dependent_object}`));
-          });
+          printDryRunAffected('dependent object', dependentObjects.rows.map(obj => obj.dependent_object), 'drop');
         }
         
         printDryRunSummary({
@@ -143,12 +144,12 @@ async function deletePostgresTable(connection, table, options) {
           pg_depend d
           JOIN pg_class c ON c.oid = d.refobjid
         WHERE
-          c.relname = $1
+          c.oid = $1::regclass
           AND d.deptype = 'n'
           AND objid != refobjid;
       `;
       
-      const dependentObjects = await db.postgres.executeQuery(connection, dependentObjectsQuery, [table]);
+      const dependentObjects = await db.postgres.executeQuery(connection, dependentObjectsQuery, [qualifiedTable]);
       
       if (dependentObjects.rows.length > 0) {
         console.log(chalk.yellow(`Warning: Table "${table}" has dependent objects that will also be dropped:`));
@@ -169,7 +170,7 @@ async function deletePostgresTable(connection, table, options) {
       }
       
       // Drop the table with CASCADE option to handle dependencies
-      await db.postgres.executeQuery(connection, `DROP TABLE "${table}" CASCADE;`);
+      await db.postgres.executeQuery(connection, `DROP TABLE ${qualifiedTable} CASCADE;`);
       
       console.log(chalk.green(`✓ Table "${table}" successfully deleted`));
       return true;
@@ -31,6 +31,8 @@ async function listPostgresColumns(connection, table, options) {
     
     console.log(chalk.cyan(`Listing columns for table "${table}"`));
     
+    const { schema, table: tableName } = db.postgres.parseTableName(connection, table);
+    
     // Query to get comprehensive column information
     const query = `
       SELECT 
@@ -54,7 +56,9 @@ async function listPostgresColumns(connection, table, options) {
       FROM 
         information_schema.columns c
       JOIN 
-        pg_catalog.pg_class pgc ON c.table_name = pgc.relname
+        pg_catalog.pg_namespace pgn ON pgn.nspname = c.table_schema
+      JOIN 
+        pg_catalog.pg_class pgc ON c.table_name = pgc.relname AND pgc.relnamespace = pgn.oid
       LEFT JOIN (
         SELECT
           ku.column_name
@@ -64,7 +68,8 @@ async function listPostgresColumns(connection, table, options) {
           information_schema.key_column_usage ku ON tc.constraint_name = ku.constraint_name
         WHERE
           tc.constraint_type = 'PRIMARY KEY'
-          AND tc.table_name = $1
+          AND tc.table_schema = $1
+          AND tc.table_name = $2
       ) pk ON c.column_name = pk.column_name
       LEFT JOIN (
         SELECT
@@ -77,7 +82,8 @@ async function listPostgresColumns(connection, table, options) {
           information_schema.constraint_column_usage ccu ON tc.constraint_name = ccu.constraint_name
         WHERE
           tc.constraint_type = 'FOREIGN KEY'
-          AND tc.table_name = $1
+          AND tc.table_schema = $1
+          AND tc.table_name = $2
       ) fk ON c.column_name = fk.column_name
       LEFT JOIN (
         SELECT
@@ -92,16 +98,17 @@ async function listPostgresColumns(connection, table, options) {
           information_schema.constraint_column_usage ccu ON tc.constraint_name = ccu.constraint_name
         WHERE
           tc.constraint_type = 'FOREIGN KEY'
-          AND tc.table_name = $1
+          AND tc.table_schema = $1
+          AND tc.table_name = $2
       ) fk_info ON c.column_name = fk_info.column_name
       WHERE 
-        c.table_schema = 'public'
-        AND c.table_name = $1
+        c.table_schema = $1
+        AND c.table_name = $2
       ORDER BY 
         c.ordinal_position;
     `;
     
-    const result = await db.postgres.executeQuery(connection, query, [table]);
+    const result = await db.postgres.executeQuery(connection, query, [schema, tableName]);
     
     if (result.rows.length === 0) {
       console.log(chalk.yellow(`No columns found in table "${table}"`));
@@ -167,14 +174,15 @@ async function listPostgresColumns(connection, table, options) {
         AND a.attrelid = t.oid
         AND a.attnum = ANY(ix.indkey)
         AND t.relkind = 'r'
-        AND t.relname = $1
+        AND t.relnamespace = $1::regnamespace
+        AND t.relname = $2
         AND i.relam = am.oid
       ORDER BY
         i.relname,
         a.attnum;
     `;
     
-    const indexResult = await db.postgres.executeQuery(connection, indexQuery, [table]);
+    const indexResult = await db.postgres.executeQuery(connection, indexQuery, [db.postgres.quoteIdentifier(schema), tableName]);
     
     if (indexResult.rows.length > 0) {
       console.log(chalk.cyan('\nIndexes:'));
@@ -0,0 +1,49 @@
+// src/commands/postgres/list-schemas.js
+// This file is used to list the schemas of a PostgreSQL database
+
+const db = require('../../utils/db');
+const chalk = require('chalk');
+
+/**
+ * Lists schemas in a PostgreSQL database
+ * @param {Object} connection - PostgreSQL connection
+ * @param {Object} options - Command options
+ * @returns {Promise<boolean>} True if listing was successful, false otherwise
+ */
+async function listPostgresSchemas(connection, options) {
+  try {
+    const schemas = await db.postgres.listSchemas(connection);
+    const currentSchema = db.postgres.getSchemaName(connection);
+    
+    if (schemas.length === 0) {
+      console.log(chalk.yellow('No schemas found in the database'));
+      return true;
+    }
+    
+    // Print results in a table format
+    console.log(chalk.green('\nSchema List:'));
+    console.log('---------------------------------------------------');
+    console.log(`${chalk.bold('Schema Name'.padEnd(25))} | ${chalk.bold('Owner'.padEnd(15))} | ${chalk.bold('Tables')}`);
+    console.log('---------------------------------------------------');
+    
+    schemas.forEach(row => {
+      const name = row.schema_name === currentSchema ? chalk.green(`${row.schema_name} *`.padEnd(25)) : row.schema_name.padEnd(25);
+      console.log(`${name} | ${row.owner.padEnd(15)} | ${row.table_count}`);
+    });
+    
+    console.log('---------------------------------------------------');
+    console.log(`Total schemas: ${schemas.length}`);
+    console.log(chalk.cyan(`\n* Default schema for unqualified table names: ${currentSchema}`));
+    
+    if (!schemas.some(row => row.schema_name === currentSchema)) {
+      console.log(chalk.yellow(`⚠ Schema "${currentSchema}" does not exist in this database`));
+    }
+    
+    return true;
+  } catch (error) {
+    console.error(chalk.red('Error listing PostgreSQL schemas:'), error.message);
+    return false;
+  }
+}
+
+module.exports = listPostgresSchemas;
@@ -12,33 +12,37 @@ const chalk = require('chalk');
  */
 async function listPostgresTables(connection, options) {
   try {
+    const schemaName = db.postgres.getSchemaName(connection);
+    
     // Query to list all tables with additional information
     const query = `
       SELECT 
         t.table_name,
-        pg_size_pretty(pg_total_relation_size(quote_ident(t.table_name))) AS size,
-        (SELECT COUNT(*) FROM information_schema.columns WHERE table_name = t.table_name) AS column_count,
+        pg_size_pretty(pg_total_relation_size(pgc.oid)) AS size,
+        (SELECT COUNT(*) FROM information_schema.columns WHERE table_schema = t.table_schema AND table_name = t.table_name) AS column_count,
         obj_description(pgc.oid, 'pg_class') AS description
       FROM 
         information_schema.tables t
       JOIN 
-        pg_catalog.pg_class pgc ON t.table_name = pgc.relname
+        pg_catalog.pg_namespace pgn ON pgn.nspname = t.table_schema
+      JOIN 
+        pg_catalog.pg_class pgc ON t.table_name = pgc.relname AND pgc.relnamespace = pgn.oid
       WHERE 
-        t.table_schema = 'public'
+        t.table_schema = $1
         AND t.table_type = 'BASE TABLE'
       ORDER BY 
         table_name;
     `;
     
-    const result = await db.postgres.executeQuery(connection, query);
+    const result = await db.postgres.executeQuery(connection, query, [schemaName]);
     
     if (result.rows.length === 0) {
-      console.log(chalk.yellow('No tables found in the database'));
+      console.log(chalk.yellow(`No tables found in schema "${schemaName}"`));
       return true;
     }
     
     // Print results in a table format
-    console.log(chalk.green('\nTable List:'));
+    console.log(chalk.green(`\nTable List (schema "${schemaName}"):`));
     console.log('---------------------------------------------------');
     console.log(`${chalk.bold('Table Name'.padEnd(30))} | ${chalk.bold('Size'.padEnd(15))} | ${chalk.bold('Columns')}`);
     console.log('---------------------------------------------------');
@@ -58,7 +62,7 @@ async function listPostgresTables(connection, options) {
         // Get row count
         const countResult = await db.postgres.executeQuery(
           connection, 
-          `SELECT COUNT(*) FROM "${table.table_name}"`
+          `SELECT COUNT(*) FROM ${db.postgres.quoteIdentifier(schemaName)}.${db.postgres.quoteIdentifier(table.table_name)}`
         );
         const rowCount = parseInt(countResult.rows[0].count);
         
@@ -70,7 +74,8 @@ async function listPostgresTables(connection, options) {
           FROM 
             pg_indexes
           WHERE 
-            tablename = $1
+            schemaname = $1
+            AND tablename = $2
           ORDER BY 
             indexname;
         `;
@@ -78,7 +83,7 @@ async function listPostgresTables(connection, options) {
         const indexResult = await db.postgres.executeQuery(
           connection, 
           indexQuery, 
-          [table.table_name]
+          [schemaName, table.table_name]
         );
         
         console.log(chalk.green(`\nTable: ${table.table_name}`));
@@ -1,22 +1,26 @@
 // src/commands/manage-permissions.js
 // This file is used to manage database user permissions and roles
 
-const { createPool, executeQuery } = require('../../utils/db');
+const { createConnection, closeConnection, postgres } = require('../../utils/db');
 const { promptForProject, confirmAction } = require('../../utils/prompt');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 
-async function managePermissionsCommand(projectName, options) {
+async function managePermissionsCommand(projectName, cmdOptions = {}, cmd) {
+  // Merge command options with global options
+  const options = { ...cmd?.parent?.opts(), ...cmdOptions };
+  
   // If project name not provided, prompt for it
   if (!projectName) {
     projectName = await promptForProject();
   }
   
   // Create DB connection pool
-  const pool = createPool(projectName, options);
+  const dbConnection = await createConnection(projectName, options);
+  const pool = dbConnection.connection;
   
   try {
-    console.log(chalk.cyan(`Managing database permissions for project: ${projectName}`));
+    console.log(chalk.cyan(`Managing database permissions for project: ${projectName} (schema "${postgres.getSchemaName(pool)}")`));
     
     // Prompt for action
     const { action } = await inquirer.prompt([
@@ -51,10 +55,34 @@ async function managePermissionsCommand(projectName, options) {
     }
   } finally {
     // Close connection pool
-    await pool.end();
+    await closeConnection(dbConnection);
   }
 }
 
+// List the tables and sequences of the connection's schema, as quoted qualified names
+async function getSchemaObjects(pool) {
+  const schemaName = postgres.getSchemaName(pool);
+  const qualify = name => `${postgres.quoteIdentifier(schemaName)}.${postgres.quoteIdentifier(name)}`;
+  
+  const tablesResult = await postgres.executeQuery(
+    pool,
+    `SELECT table_name FROM information_schema.tables WHERE table_schema = $1`,
+    [schemaName]
+  );
+  
+  const sequencesResult = await postgres.executeQuery(
+    pool,
+    `SELECT sequence_name FROM information_schema.sequences WHERE sequence_schema = $1`,
+    [schemaName]
+  );
+  
+  return {
+    schema: postgres.quoteIdentifier(schemaName),
+    tables: tablesResult.rows.map(row => qualify(row.table_name)),
+    sequences: sequencesResult.rows.map(row => qualify(row.sequence_name))
+  };
+}
+
 // Create app_user role with appropriate permissions
 async function createAppUserRole(pool) {
   // Check if role already exists
@@ -82,34 +110,25 @@ async function createAppUserRole(pool) {
   try {
     // Create role
     console.log(chalk.cyan('Creating app_user role...'));
-    await executeQuery(pool, 'CREATE ROLE app_user;');
+    await postgres.executeQuery(pool, 'CREATE ROLE app_user;');
     
     // Grant privileges
     console.log(chalk.cyan('Granting appropriate permissions...'));
     
-    // Get all tables
-    const tablesResult = await executeQuery(
-      pool,
-      `SELECT table_name FROM information_schema.tables WHERE table_schema = 'public'`
-    );
+    // Get all tables and sequences
+    const { schema, tables, sequences } = await getSchemaObjects(pool);
     
-    const tables = tablesResult.rows.map(row => row.table_name);
+    // Grant access to the schema itself
+    await postgres.executeQuery(pool, `GRANT USAGE ON SCHEMA ${schema} TO app_user;`);
     
     // Grant table permissions
     for (const table of tables) {
-      await executeQuery(pool, `GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE "${table}" TO app_user;`);
+      await postgres.executeQuery(pool, `GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE ${table} TO app_user;`);
     }
     
     // Grant sequence permissions
-    const sequencesResult = await executeQuery(
-      pool,
-      `SELECT sequence_name FROM information_schema.sequences WHERE sequence_schema = 'public'`
-    );
-    
-    const sequences = sequencesResult.rows.map(row => row.sequence_name);
-    
     for (const sequence of sequences) {
-      await executeQuery(pool, `GRANT USAGE ON SEQUENCE "${sequence}" TO app_user;`);
+      await postgres.executeQuery(pool, `GRANT USAGE ON SEQUENCE ${sequence} TO app_user;`);
     }
     
     console.log(chalk.green('✓ app_user role created with appropriate permissions'));
@@ -133,8 +152,8 @@ async function createAppUserRole(pool) {
         }
       ]);
       
-      await executeQuery(pool, `CREATE USER ${username} WITH PASSWORD '${password}';`);
-      await executeQuery(pool, `GRANT app_user TO ${username};`);
+      await postgres.executeQuery(pool, `CREATE USER ${username} WITH PASSWORD '${password}';`);
+      await postgres.executeQuery(pool, `GRANT app_user TO ${username};`);
       
       console.log(chalk.green(`✓ User ${username} created with app_user role`));
     }
@@ -173,29 +192,20 @@ async function updateAppUserPermissions(pool) {
   try {
     console.log(chalk.cyan('Updating app_user permissions...'));
     
-    // Get all tables
-    const tablesResult = await executeQuery(
-      pool,
-      `SELECT table_name FROM information_schema.tables WHERE table_schema = 'public'`
-    );
+    // Get all tables and sequences
+    const { schema, tables, sequences } = await getSchemaObjects(pool);
     
-    const tables = tablesResult.rows.map(row => row.table_name);
+    // Grant access to the schema itself
+    await postgres.executeQuery(pool, `GRANT USAGE ON SCHEMA ${schema} TO app_user;`);
     
     // Grant table permissions
     for (const table of tables) {
-      await executeQuery(pool, `GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE "${table}" TO app_user;`);
+      await postgres.executeQuery(pool, `GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE ${table} TO app_user;`);
     }
     
     // Grant sequence permissions
-    const sequencesResult = await executeQuery(
-      pool,
-      `SELECT sequence_name FROM information_schema.sequences WHERE sequence_schema = 'public'`
-    );
-    
-    const sequences = sequencesResult.rows.map(row => row.sequence_name);
-    
     for (const sequence of sequences) {
-      await executeQuery(pool, `GRANT USAGE ON SEQUENCE "${sequence}" TO app_user;`);
+      await postgres.executeQuery(pool, `GRANT USAGE ON SEQUENCE ${sequence} TO app_user;`);
     }
     
     console.log(chalk.green('✓ app_user permissions updated successfully'));
@@ -227,29 +237,17 @@ async function revokeAppUserPermissions(pool) {
   try {
     console.log(chalk.cyan('Revoking app_user permissions...'));
     
-    // Get all tables
-    const tablesResult = await executeQuery(
-      pool,
-      `SELECT table_name FROM information_schema.tables WHERE table_schema = 'public'`
-    );
-    
-    const tables = tablesResult.rows.map(row => row.table_name);
+    // Get all tables and sequences
+    const { tables, sequences } = await getSchemaObjects(pool);
     
     // Revoke table permissions
     for (const table of tables) {
-      await executeQuery(pool, `REVOKE ALL PRIVILEGES ON TABLE "${table}" FROM app_user;`);
+      await postgres.executeQuery(pool, `REVOKE ALL PRIVILEGES ON TABLE ${table} FROM app_user;`);
     }
     
     // Revoke sequence permissions
-    const sequencesResult = await executeQuery(
-      pool,
-      `SELECT sequence_name FROM information_schema.sequences WHERE sequence_schema = 'public'`
-    );
-    
-    const sequences = sequencesResult.rows.map(row => row.sequence_name);
-    
     for (const sequence of sequences) {
-      await executeQuery(pool, `REVOKE ALL PRIVILEGES ON SEQUENCE "${sequence}" FROM app_user;`);
+      await postgres.executeQuery(pool, `REVOKE ALL PRIVILEGES ON SEQUENCE ${sequence} FROM app_user;`);
     }
     
     console.log(chalk.green('✓ All permissions revoked from app_user role'));
@@ -283,7 +281,7 @@ async function dropAppUserRole(pool) {
     
     // Try to drop, but may fail if role has dependencies
     try {
-      await executeQuery(pool, 'DROP ROLE app_user;');
+      await postgres.executeQuery(pool, 'DROP ROLE app_user;');
       console.log(chalk.green('✓ app_user role dropped successfully'));
       return true;
     } catch (error) {
@@ -302,7 +300,7 @@ async function dropAppUserRole(pool) {
         await revokeAppUserPermissions(pool);
         
         // List users with this role
-        const usersResult = await executeQuery(
+        const usersResult = await postgres.executeQuery(
           pool,
           `SELECT rolname FROM pg_roles WHERE pg_has_role('app_user', oid, 'member');`
         );
@@ -311,11 +309,11 @@ async function dropAppUserRole(pool) {
         
         // Revoke role from users
         for (const user of users) {
-          await executeQuery(pool, `REVOKE app_user FROM ${user};`);
+          await postgres.executeQuery(pool, `REVOKE app_user FROM ${user};`);
         }
         
         // Now try to drop again
-        await executeQuery(pool, 'DROP ROLE IF EXISTS app_user;');
+        await postgres.executeQuery(pool, 'DROP ROLE IF EXISTS app_user;');
         console.log(chalk.green('✓ app_user role dropped successfully'));
         return true;
       } else {
@@ -342,12 +340,13 @@ async function showAppUserPermissions(pool) {
     console.log(chalk.cyan('Current permissions for app_user role:'));
     
     // Get table permissions
-    const tablePermissionsResult = await executeQuery(
+    const tablePermissionsResult = await postgres.executeQuery(
       pool,
       `SELECT grantee, table_name, privilege_type
        FROM information_schema.table_privileges
-       WHERE grantee = 'app_user'
-       ORDER BY table_name, privilege_type;`
+       WHERE grantee = 'app_user' AND table_schema = $1
+       ORDER BY table_name, privilege_type;`,
+      [postgres.getSchemaName(pool)]
     );
     
     if (tablePermissionsResult.rows.length === 0) {
@@ -372,7 +371,7 @@ async function showAppUserPermissions(pool) {
     }
     
     // Get sequence permissions
-    const sequencePermissionsResult = await executeQuery(
+    const sequencePermissionsResult = await postgres.executeQuery(
       pool,
       `SELECT grantor, privilege_type
        FROM information_schema.usage_privileges
@@ -388,7 +387,7 @@ async function showAppUserPermissions(pool) {
     }
     
     // Get users with this role
-    const usersResult = await executeQuery(
+    const usersResult = await postgres.executeQuery(
       pool,
       `SELECT rolname FROM pg_roles WHERE pg_has_role('app_user', oid, 'member');`
     );
@@ -414,7 +413,7 @@ async function showAppUserPermissions(pool) {
 // Helper function to check if a role exists
 async function checkRoleExists(pool, roleName) {
   try {
-    const result = await executeQuery(
+    const result = await postgres.executeQuery(
       pool,
       'SELECT 1 FROM pg_roles WHERE rolname = $1',
       [roleName]
@@ -1,13 +1,358 @@
 // src/commands/migrate.js
 // This file is used to apply database migrations from SQL files
 
-const { createConnection, closeConnection, executeQuery, trackMigration, getAppliedMigrations } = require('../../utils/db');
+const { createConnection, closeConnection, getAppliedMigrations, postgres } = require('../../utils/db');
 const { promptForProject, confirmAction } = require('../../utils/prompt');
+const {
+  MIGRATION_EXTENSIONS,
+  getMigrationsDir,
+  listMigrationFiles,
+  loadMigration,
+  getDownMigrationPath,
+  parseMigrationDirectives,
+  computeMigrationChecksum,
+  resolveMigrationFile,
+  getMigrationStatus,
+  selectPendingMigrations,
+  detectMigrationDrift,
+  hasMigrationDrift
+} = require('../../utils/migrations');
+const { createTempBackup } = require('../../utils/temp-backup');
+const mongodbMigrate = require('../mongodb/migrate');
+const { splitSqlStatements } = require('../../utils/sql-splitter');
 const inquirer = require('inquirer');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
 const chalk = require('chalk');
 
+// Seconds to wait for another migration run to release the migration lock
+const DEFAULT_LOCK_TIMEOUT_SECONDS = 10;
+
+/**
+ * Executes migration statements one by one on a client, logging progress
+ * @param {Object} client - PostgreSQL client with an open transaction
+ * @param {Array<string>} statements - SQL statements to execute
+ * @returns {Promise<void>}
+ * @throws Will rethrow the error of the first failing statement
+ */
+async function executeMigrationStatements(client, statements) {
+  for (let i = 0; i < statements.length; i++) {
+    const statement = statements[i];
+    
+    console.log(`Executing statement ${i+1}/${statements.length}...`);
+    
+    try {
+      await postgres.executeQuery(client, statement);
+    } catch (error) {
+      console.error(chalk.red(`Error executing statement ${i+1}:`), error.message);
+      throw error; // Rethrow to trigger rollback
+    }
+  }
+}
+
+/**
+ * Runs work inside a transaction on a dedicated client from the pool
+ * BEGIN, the statements and COMMIT must share one session, which pool.query does not guarantee
+ * @param {Object} dbConnection - Database connection object returned by createConnection
+ * @param {Function} work - Async function receiving the client
+ * @returns {Promise<void>}
+ * @throws Will rethrow the error after rolling back
+ */
+async function withTransaction(dbConnection, work) {
+  const client = await dbConnection.connection.connect();
+  
+  try {
+    await postgres.executeQuery(client, 'BEGIN');
+    await work(client);
+    await postgres.executeQuery(client, 'COMMIT');
+  } catch (error) {
+    // A failed ROLLBACK (e.g. a dropped connection) must not hide the error that caused it
+    await postgres.executeQuery(client, 'ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Runs work on a dedicated client from the pool without opening a transaction
+ * Session settings such as SET statement_timeout then carry over between statements
+ * @param {Object} dbConnection - Database connection object returned by createConnection
+ * @param {Function} work - Async function receiving the client
+ * @returns {Promise<*>} Result of work
+ */
+async function withClient(dbConnection, work) {
+  const client = await dbConnection.connection.connect();
+  
+  try {
+    return await work(client);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Computes the checksum of the first statements of a migration, used to check that a resume is safe
+ * @param {Array<string>} statements - All statements of the migration
+ * @param {number} count - Number of leading statements to include
+ * @returns {string} Checksum of the leading statements
+ */
+function getStatementsChecksum(statements, count) {
+  return computeMigrationChecksum(JSON.stringify(statements.slice(0, count)));
+}
+
+/**
+ * Applies a migration marked with "-- db-tools:no-transaction" one statement at a time
+ * Each completed statement is recorded in migration_progress, so a failed run resumes at the failed statement
+ * as long as the statements that already ran are unchanged
+ * @param {Object} dbConnection - Database connection object returned by createConnection
+ * @param {Object} migration - Migration object returned by loadMigration
+ * @returns {Promise<boolean>} True if the migration was applied, false if a statement failed
+ */
+async function applyMigrationWithoutTransaction(dbConnection, migration) {
+  const pool = dbConnection.connection;
+  const statements = splitSqlStatements(migration.up);
+  const progress = await postgres.getMigrationProgress(pool, migration.name);
+  let startAt = 0;
+  
+  if (progress) {
+    const completed = progress.statements_completed;
+    
+    if (completed > statements.length || getStatementsChecksum(statements, completed) !== progress.statements_checksum) {
+      console.error(chalk.red(`Migration ${migration.name} was partially applied, but the ${completed} statement(s) that already ran have since been changed`));
+      console.log('It cannot be resumed safely. Reconcile the database by hand, then clear the recorded progress with:');
+      console.log(chalk.gray(`  DELETE FROM ${postgres.quoteTableName(pool, 'migration_progress')} WHERE name = '${migration.name}';`));
+      return false;
+    }
+    
+    startAt = completed;
+    console.log(chalk.yellow(`Resuming migration ${migration.name} at statement ${startAt + 1}/${statements.length} (${startAt} already applied)`));
+  }
+  
+  console.log(chalk.cyan(`Applying migration ${migration.name} without a transaction (${statements.length} statements)...`));
+  
+  const failedAt = await withClient(dbConnection, async (client) => {
+    for (let i = startAt; i < statements.length; i++) {
+      console.log(`Executing statement ${i+1}/${statements.length}...`);
+      
+      try {
+        await postgres.executeQuery(client, statements[i]);
+      } catch (error) {
+        console.error(chalk.red(`Error executing statement ${i+1}:`), error.message);
+        await postgres.saveMigrationProgress(pool, migration.name, i, getStatementsChecksum(statements, i), error.message);
+        return i;
+      }
+      
+      await postgres.saveMigrationProgress(pool, migration.name, i + 1, getStatementsChecksum(statements, i + 1));
+    }
+    
+    return null;
+  });
+  
+  if (failedAt !== null) {
+    console.error(chalk.red(`Migration ${migration.name} stopped at statement ${failedAt + 1}; the ${failedAt} statement(s) before it remain applied`));
+    console.log(`Fix the problem and run the migration again to resume from statement ${failedAt + 1}`);
+    return false;
+  }
+  
+  await withTransaction(dbConnection, async (client) => {
+    await postgres.trackMigration(client, migration.name, migration.sql, migration.down, migration.checksum);
+    await postgres.clearMigrationProgress(client, migration.name);
+  });
+  
+  console.log(chalk.green(`✓ Migration ${migration.name} applied successfully`));
+  return true;
+}
+
+/**
+ * Applies a single migration file inside a transaction and records it in the migrations table
+ * Migrations marked with "-- db-tools:no-transaction" are applied statement by statement instead
+ * @param {Object} dbConnection - Database connection object returned by createConnection
+ * @param {string} migrationPath - Path to the migration file
+ * @returns {Promise<boolean>} True if the migration was applied, false if it failed
+ */
+async function applyMigration(dbConnection, migrationPath) {
+  const migration = loadMigration(migrationPath);
+  
+  if (migration.directives.noTransaction) {
+    return applyMigrationWithoutTransaction(dbConnection, migration);
+  }
+  
+  const statements = splitSqlStatements(migration.up);
+  
+  console.log(chalk.cyan(`Applying migration ${migration.name} (${statements.length} statements)...`));
+  
+  try {
+    await withTransaction(dbConnection, async (client) => {
+      await executeMigrationStatements(client, statements);
+      
+      // Track the migration, keeping the down SQL for rollback and the checksum for drift detection
+      await postgres.trackMigration(client, migration.name, migration.sql, migration.down, migration.checksum);
+    });
+    
+    console.log(chalk.green(`✓ Migration ${migration.name} applied successfully`));
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`Migration ${migration.name} failed and was rolled back: ${error.message}`));
+    return false;
+  }
+}
+
+/**
+ * Reverts a single applied migration inside a transaction and removes its tracking row
+ * @param {Object} dbConnection - Database connection object returned by createConnection
+ * @param {string} migrationName - Name of the migration to revert
+ * @param {string} downSql - SQL that reverts the migration
+ * @param {boolean} [noTransaction=false] - Run the down statements one at a time outside a transaction
+ * @returns {Promise<boolean>} True if the migration was reverted, false if it failed
+ */
+async function revertMigration(dbConnection, migrationName, downSql, noTransaction = false) {
+  const statements = splitSqlStatements(downSql);
+  
+  if (noTransaction) {
+    console.log(chalk.cyan(`Rolling back migration ${migrationName} without a transaction (${statements.length} statements)...`));
+    
+    try {
+      await withClient(dbConnection, client => executeMigrationStatements(client, statements));
+    } catch (error) {
+      console.error(chalk.red(`Rollback of ${migrationName} failed part way; statements before the failure remain applied`));
+      console.log(`${migrationName} is still recorded as applied`);
+      return false;
+    }
+    
+    await postgres.untrackMigration(dbConnection.connection, migrationName);
+    console.log(chalk.green(`✓ Migration ${migrationName} rolled back successfully`));
+    return true;
+  }
+  
+  console.log(chalk.cyan(`Rolling back migration ${migrationName} (${statements.length} statements)...`));
+  
+  try {
+    await withTransaction(dbConnection, async (client) => {
+      await executeMigrationStatements(client, statements);
+      await postgres.untrackMigration(client, migrationName);
+    });
+    
+    console.log(chalk.green(`✓ Migration ${migrationName} rolled back successfully`));
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`Rollback of ${migrationName} failed; the database was left unchanged: ${error.message}`));
+    return false;
+  }
+}
+
+/**
+ * Takes the PostgreSQL advisory lock that serializes migration runs for a project and database
+ * Prints the sessions holding the lock if it cannot be acquired within the lock timeout
+ * @param {Object} dbConnection - Database connection object returned by createConnection
+ * @param {string} projectName - Name of the project being migrated
+ * @param {Object} options - Command options
+ * @param {number|string} [options.lockTimeout] - Seconds to wait for the lock (default: 10)
+ * @returns {Promise<Object|null>} Lock with a release function, or null if it was not acquired
+ */
+async function acquireMigrationLock(dbConnection, projectName, options) {
+  const timeoutSeconds = options.lockTimeout === undefined ? DEFAULT_LOCK_TIMEOUT_SECONDS : Number(options.lockTimeout);
+  
+  if (!Number.isFinite(timeoutSeconds) || timeoutSeconds < 0) {
+    console.error(chalk.red(`Invalid --lock-timeout value: ${options.lockTimeout}`));
+    return null;
+  }
+  
+  const pool = dbConnection.connection;
+  const database = (await postgres.executeQuery(pool, 'SELECT current_database() AS name;')).rows[0].name;
+  const user = process.env.USER || process.env.USERNAME || 'unknown';
+  
+  const lock = await postgres.acquireAdvisoryLock(pool, `db-tools:migrate:${projectName}:${database}`, {
+    timeout: timeoutSeconds * 1000,
+    applicationName: `db-tools migrate (${user}@${os.hostname()})`
+  });
+  
+  if (lock.acquired) {
+    return lock;
+  }
+  
+  console.error(chalk.red(`Another migration run holds the migration lock for project "${projectName}" (database ${database})`));
+  
+  if (lock.holders.length === 0) {
+    console.log('The lock was released before its holder could be identified; try again');
+  }
+  
+  lock.holders.forEach(holder => {
+    const from = holder.client_addr ? ` from ${holder.client_addr}` : '';
+    const since = holder.backend_start ? new Date(holder.backend_start).toLocaleString() : 'unknown';
+    console.log(chalk.yellow(`  Held by PID ${holder.pid}: ${holder.application_name || 'unknown application'} as ${holder.usename}${from}, connected since ${since} (${holder.state})`));
+  });
+  
+  console.log(`Waited ${timeoutSeconds}s. Wait for that run to finish, or use --lock-timeout to wait longer`);
+  return null;
+}
+
+/**
+ * Prints the edited, deleted and out-of-order migrations in a drift report
+ * @param {Object} drift - Report returned by detectMigrationDrift
+ * @param {string} migrationDir - Migrations directory the files were compared against
+ */
+function printMigrationDrift(drift, migrationDir) {
+  if (drift.edited.length > 0) {
+    console.log(chalk.red(`\nEdited after being applied (${drift.edited.length}):`));
+    drift.edited.forEach(m => console.log(chalk.red(`  ✗ ${m.name}${m.down ? ' (down migration)' : ''}`) + chalk.gray(`  (recorded ${m.expected.slice(0, 12)}, file ${m.actual.slice(0, 12)})`)));
+  }
+  
+  if (drift.deleted.length > 0) {
+    console.log(chalk.red(`\nApplied but deleted from ${migrationDir} (${drift.deleted.length}):`));
+    drift.deleted.forEach(name => console.log(chalk.red(`  ✗ ${name}`)));
+  }
+  
+  if (drift.outOfOrder.length > 0) {
+    console.log(chalk.red(`\nPending but ordered before an applied migration (${drift.outOfOrder.length}):`));
+    drift.outOfOrder.forEach(name => console.log(chalk.red(`  ✗ ${name}`)));
+  }
+}
+
+/**
+ * Refuses to apply migrations on top of drifted history unless --allow-drift is given
+ * Applying on top of drifted history is how environments end up with divergent schemas
+ * @param {Object} drift - Report returned by detectMigrationDrift
+ * @param {string} migrationDir - Migrations directory the files were compared against
+ * @param {string} projectName - Project name, for the verify hint
+ * @param {Object} options - Command options
+ * @param {boolean} [options.allowDrift] - Apply migrations even if applied migrations have drifted
+ * @returns {boolean} True if migrations may be applied
+ */
+function checkMigrationDrift(drift, migrationDir, projectName, options) {
+  if (!hasMigrationDrift(drift)) {
+    return true;
+  }
+  
+  printMigrationDrift(drift, migrationDir);
+  
+  if (!options.allowDrift) {
+    console.error(chalk.red('\nRefusing to apply migrations while migration history has drifted'));
+    console.log(`Run "db-tools migrate verify ${projectName}" for details, or pass --allow-drift to apply anyway`);
+    return false;
+  }
+  
+  console.log(chalk.yellow('\n⚠ Continuing despite migration drift (--allow-drift)'));
+  return true;
+}
+
+/**
+ * Loads migration files, applied migrations and drift for a PostgreSQL connection
+ * @param {Object} dbConnection - Database connection object returned by createConnection
+ * @param {string} migrationDir - Migrations directory
+ * @returns {Promise<Object>} Object with migrationFiles, status and drift
+ * @throws Will throw error if the migrations directory does not exist
+ */
+async function loadMigrationState(dbConnection, migrationDir) {
+  const migrationFiles = listMigrationFiles(migrationDir);
+  const status = getMigrationStatus(migrationFiles, await getAppliedMigrations(dbConnection));
+  const records = await postgres.getMigrationChecksums(dbConnection.connection);
+  const drift = detectMigrationDrift(migrationDir, migrationFiles, records);
+  
+  return { migrationFiles, status, drift };
+}
+
 /**
  * Command to apply SQL migrations to a PostgreSQL database
  * @param {string} projectName - Name of the project to apply migrations to
@@ -17,6 +362,8 @@ const chalk = require('chalk');
  * @param {boolean} [cmd.parent.opts().force] - Whether to force operations without confirmation
  * @param {string} [cmd.parent.opts().connect] - Custom path to connection file
  * @param {string} [cmdOptions.database] - Database name to override default
+ * @param {number} [cmdOptions.lockTimeout=10] - Seconds to wait for another migration run to release the migration lock
+ * @param {boolean} [cmdOptions.allowDrift] - Apply the migration even if applied migrations have drifted
  * @returns {Promise<boolean>} True if migration was successful, false otherwise
  */
 async function migrateCommand(projectName, migrationFile, cmdOptions = {}, cmd) {
@@ -29,22 +376,27 @@ async function migrateCommand(projectName, migrationFile, cmdOptions = {}, cmd)
   
   // Create DB connection
   const dbConnection = await createConnection(projectName, options);
+  let migrationLock = null;
   
   try {
+    // MongoDB migrations are JavaScript modules with their own runner
+    if (dbConnection.type === 'mongodb') {
+      return await mongodbMigrate(dbConnection.connection, migrationFile, options, projectName);
+    }
+    
     // If migration file not provided, look for migrations directory and list available migrations
     if (!migrationFile) {
-      const migrationDir = path.join(process.cwd(), 'migrations');
+      const migrationDir = getMigrationsDir();
       
-      if (!fs.existsSync(migrationDir)) {
-        console.error(chalk.red(`Migrations directory not found at ${migrationDir}`));
+      let migrationFiles;
+      try {
+        migrationFiles = listMigrationFiles(migrationDir);
+      } catch (error) {
+        console.error(chalk.red(error.message));
         console.log('Please create a migrations directory or specify a migration file');
         return;
       }
       
-      const migrationFiles = fs.readdirSync(migrationDir)
-        .filter(file => file.endsWith('.sql'))
-        .sort(); // Sort in alphabetical order, typically by timestamp
-      
       if (migrationFiles.length === 0) {
         console.error(chalk.red('No migration files found in migrations directory'));
         console.log('Please create migration files or specify a migration file');
@@ -55,6 +407,8 @@ async function migrateCommand(projectName, migrationFile, cmdOptions = {}, cmd)
       const appliedMigrations = await getAppliedMigrations(dbConnection);
       const appliedMigrationNames = appliedMigrations.map(m => m.name);
       
+      console.log(chalk.gray(`Tip: run "db-tools migrate up ${projectName}" to apply all pending migrations without prompts`));
+      
       // Mark applied migrations in the list
       const choices = migrationFiles.map(file => ({
         name: `${file} ${appliedMigrationNames.includes(file) ? chalk.green('(already applied)') : ''}`,
@@ -72,17 +426,16 @@ async function migrateCommand(projectName, migrationFile, cmdOptions = {}, cmd)
       ]);
       
       migrationFile = path.join(migrationDir, selectedMigration);
-    } else if (!fs.existsSync(migrationFile)) {
+    } else {
       // If file doesn't exist, check if it's in the migrations directory
-      const migrationDir = path.join(process.cwd(), 'migrations');
-      const altPath = path.join(migrationDir, migrationFile);
+      const resolvedPath = resolveMigrationFile(migrationFile);
       
-      if (fs.existsSync(altPath)) {
-        migrationFile = altPath;
-      } else {
+      if (!resolvedPath) {
         console.error(chalk.red(`Migration file not found: ${migrationFile}`));
         return;
       }
+      
+      migrationFile = resolvedPath;
     }
     
     // Read the migration file
@@ -100,10 +453,7 @@ async function migrateCommand(projectName, migrationFile, cmdOptions = {}, cmd)
       return;
     }
     
-    // Split the SQL into individual statements
-    const statements = sql.split(';').filter(stmt => stmt.trim().length > 0);
-    
-    console.log(`Migration file contains ${statements.length} SQL statements`);
+    console.log(`Migration file contains ${splitSqlStatements(loadMigration(migrationFile).up).length} SQL statements`);
     
     // Show preview of the migration
     console.log(chalk.cyan('Migration preview:'));
@@ -119,50 +469,419 @@ async function migrateCommand(projectName, migrationFile, cmdOptions = {}, cmd)
       }
     }
     
-    console.log(chalk.cyan(`Applying migration ${migrationName}...`));
-    
     // Check if this is a PostgreSQL connection
     if (dbConnection.type !== 'postgres') {
       console.error(chalk.red('Migration command currently only supports PostgreSQL databases'));
       return false;
     }
     
-    const pool = dbConnection.connection;
+    migrationLock = await acquireMigrationLock(dbConnection, projectName, options);
+    if (!migrationLock) {
+      return false;
+    }
+    
+    // Another run may have applied it while we were waiting for the lock
+    if (await postgres.isMigrationApplied(dbConnection.connection, migrationName)) {
+      console.log(chalk.yellow(`Migration ${migrationName} has already been applied. Skipping.`));
+      return true;
+    }
+    
+    // A single file is held to the same history check as "migrate up", when there is a migrations directory to check against
+    const migrationDir = getMigrationsDir();
+    if (fs.existsSync(migrationDir)) {
+      let drift;
+      try {
+        ({ drift } = await loadMigrationState(dbConnection, migrationDir));
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        return false;
+      }
+      
+      if (!checkMigrationDrift(drift, migrationDir, projectName, options)) {
+        return false;
+      }
+    }
+    
+    return await applyMigration(dbConnection, migrationFile);
+  } finally {
+    if (migrationLock) {
+      await migrationLock.release();
+    }
+    
+    // Close connection
+    await closeConnection(dbConnection);
+  }
+}
+
+/**
+ * Command to apply all pending migrations in the migrations directory, in order
+ * @param {string} projectName - Name of the project to apply migrations to
+ * @param {Object} [cmdOptions={}] - Command-specific options
+ * @param {string} [cmdOptions.to] - Last migration to apply (file name, with or without extension)
+ * @param {boolean} [cmdOptions.allowDrift] - Apply migrations even if applied migrations have drifted
+ * @param {boolean} [cmdOptions.force] - Skip confirmation prompt
+ * @param {number} [cmdOptions.lockTimeout=10] - Seconds to wait for another migration run to release the migration lock
+ * @param {string} [cmdOptions.database] - Database name to override default
+ * @param {Object} [cmd] - Commander command object
+ * @returns {Promise<boolean>} True if all selected migrations were applied, false otherwise
+ */
+async function migrateUpCommand(projectName, cmdOptions = {}, cmd) {
+  // Merge command options with global options
+  const options = { ...cmd?.parent?.opts(), ...cmdOptions };
+  // If project name not provided, prompt for it
+  if (!projectName) {
+    projectName = await promptForProject();
+  }
+  
+  const dbConnection = await createConnection(projectName, options);
+  let migrationLock = null;
+  
+  try {
+    if (dbConnection.type === 'mongodb') {
+      return await mongodbMigrate.up(dbConnection.connection, options, projectName);
+    }
+    
+    if (dbConnection.type !== 'postgres') {
+      console.error(chalk.red('Migration command currently only supports PostgreSQL databases'));
+      return false;
+    }
+    
+    migrationLock = await acquireMigrationLock(dbConnection, projectName, options);
+    if (!migrationLock) {
+      return false;
+    }
+    
+    const migrationDir = getMigrationsDir();
+    let toApply;
+    let drift;
     
-    // Execute all statements in a transaction
     try {
-      await executeQuery(dbConnection, 'BEGIN');
-      
-      for (let i = 0; i < statements.length; i++) {
-        const statement = statements[i].trim() + ';';
-        
-        if (statement.trim() === ';') continue;
-        
-        console.log(`Executing statement ${i+1}/${statements.length}...`);
-        
-        try {
-          await executeQuery(dbConnection, statement);
-        } catch (error) {
-          console.error(chalk.red(`Error executing statement ${i+1}:`), error.message);
-          throw error; // Rethrow to trigger rollback
-        }
+      const state = await loadMigrationState(dbConnection, migrationDir);
+      drift = state.drift;
+      toApply = selectPendingMigrations(state.migrationFiles, state.status.pending, options.to);
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      return false;
+    }
+    
+    if (!checkMigrationDrift(drift, migrationDir, projectName, options)) {
+      return false;
+    }
+    
+    if (toApply.length === 0) {
+      console.log(chalk.green(`✓ Database is up to date${options.to ? ` (through ${options.to})` : ''}`));
+      return true;
+    }
+    
+    console.log(chalk.cyan(`Pending migrations to apply (${toApply.length}):`));
+    toApply.forEach(file => {
+      const { directives } = loadMigration(path.join(migrationDir, file));
+      console.log(`  - ${file}${directives.noTransaction ? chalk.yellow(' (no transaction)') : ''}`);
+    });
+    
+    if (!options.force) {
+      const confirm = await confirmAction(`Apply ${toApply.length} migration(s) to project "${projectName}"?`);
+      
+      if (!confirm) {
+        console.log('Migration canceled');
+        return false;
       }
+    }
+    
+    let appliedCount = 0;
+    
+    for (const file of toApply) {
+      const success = await applyMigration(dbConnection, path.join(migrationDir, file));
       
-      // Track the migration
-      await trackMigration(dbConnection, migrationName, sql);
+      if (!success) {
+        const remaining = toApply.length - appliedCount - 1;
+        console.error(chalk.red(`Stopped after ${appliedCount} migration(s); ${remaining} remaining migration(s) were not attempted`));
+        return false;
+      }
+      
+      appliedCount++;
+    }
+    
+    console.log(chalk.green(`\n✓ Applied ${appliedCount} migration(s)`));
+    return true;
+  } finally {
+    if (migrationLock) {
+      await migrationLock.release();
+    }
+    
+    await closeConnection(dbConnection);
+  }
+}
+
+/**
+ * Command to show applied, pending and missing migrations
+ * @param {string} projectName - Name of the project to inspect
+ * @param {Object} [cmdOptions={}] - Command-specific options
+ * @param {boolean} [cmdOptions.json] - Output status as JSON
+ * @param {string} [cmdOptions.database] - Database name to override default
+ * @param {Object} [cmd] - Commander command object
+ * @returns {Promise<boolean>} True if status was retrieved, false otherwise
+ */
+async function migrateStatusCommand(projectName, cmdOptions = {}, cmd) {
+  // Merge command options with global options
+  const options = { ...cmd?.parent?.opts(), ...cmdOptions };
+  // If project name not provided, prompt for it
+  if (!projectName) {
+    projectName = await promptForProject();
+  }
+  
+  const dbConnection = await createConnection(projectName, options);
+  
+  try {
+    const migrationDir = getMigrationsDir();
+    let status;
+    
+    try {
+      const extensions = MIGRATION_EXTENSIONS[dbConnection.type] || MIGRATION_EXTENSIONS.postgres;
+      const migrationFiles = fs.existsSync(migrationDir) ? listMigrationFiles(migrationDir, extensions) : [];
+      status = getMigrationStatus(migrationFiles, await getAppliedMigrations(dbConnection));
       
-      await executeQuery(dbConnection, 'COMMIT');
-      console.log(chalk.green(`✓ Migration ${migrationName} applied successfully`));
+      // Non-transactional migrations that stopped part way are still pending, but record how far they got
+      status.partial = dbConnection.type === 'postgres'
+        ? await postgres.listMigrationProgress(dbConnection.connection)
+        : [];
+    } catch (error) {
+      console.error(chalk.red(`Error reading migration status: ${error.message}`));
+      return false;
+    }
+    
+    if (options.json) {
+      console.log(JSON.stringify(status, null, 2));
       return true;
+    }
+    
+    console.log(chalk.cyan(`Migration status for project: ${projectName}`));
+    
+    console.log(chalk.cyan(`\nApplied (${status.applied.length}):`));
+    status.applied.forEach(m => {
+      const appliedAt = m.applied_at ? new Date(m.applied_at).toLocaleString() : 'unknown';
+      console.log(chalk.green(`  ✓ ${m.name}`) + chalk.gray(`  (${appliedAt})`));
+    });
+    
+    console.log(chalk.cyan(`\nPending (${status.pending.length}):`));
+    status.pending.forEach(name => {
+      const progress = status.partial.find(p => p.name === name);
+      const note = progress
+        ? chalk.gray(`  (partially applied: ${progress.statements_completed} statement(s) done${progress.last_error ? `, last error: ${progress.last_error}` : ''})`)
+        : '';
+      console.log(chalk.yellow(`  • ${name}`) + note);
+    });
+    
+    if (status.missing.length > 0) {
+      console.log(chalk.cyan(`\nMissing files (${status.missing.length}):`));
+      status.missing.forEach(m => console.log(chalk.red(`  ✗ ${m.name}`) + chalk.gray('  (applied, but not found in migrations directory)')));
+    }
+    
+    if (status.pending.length > 0) {
+      console.log(chalk.blue(`\nRun "db-tools migrate up ${projectName}" to apply pending migrations`));
+    }
+    
+    return true;
+  } finally {
+    await closeConnection(dbConnection);
+  }
+}
+
+/**
+ * Command to roll back the most recently applied migrations using their down SQL
+ * Down SQL comes from the migration's "-- +down" section or paired .down file, falling back
+ * to the down SQL recorded when the migration was applied
+ * @param {string} projectName - Name of the project to roll back migrations for
+ * @param {Object} [cmdOptions={}] - Command-specific options
+ * @param {number} [cmdOptions.steps=1] - Number of migrations to roll back
+ * @param {boolean} [cmdOptions.force] - Skip confirmation prompt
+ * @param {boolean} [cmdOptions.backup=true] - Create a temporary backup first (--no-backup disables)
+ * @param {number} [cmdOptions.lockTimeout=10] - Seconds to wait for another migration run to release the migration lock
+ * @param {string} [cmdOptions.database] - Database name to override default
+ * @param {Object} [cmd] - Commander command object
+ * @returns {Promise<boolean>} True if all selected migrations were rolled back, false otherwise
+ */
+async function migrateRollbackCommand(projectName, cmdOptions = {}, cmd) {
+  // Merge command options with global options
+  const options = { ...cmd?.parent?.opts(), ...cmdOptions };
+  // If project name not provided, prompt for it
+  if (!projectName) {
+    projectName = await promptForProject();
+  }
+  
+  const steps = options.steps === undefined ? 1 : parseInt(options.steps, 10);
+  if (!Number.isInteger(steps) || steps < 1) {
+    console.error(chalk.red(`Invalid --steps value: ${options.steps}`));
+    return false;
+  }
+  
+  const dbConnection = await createConnection(projectName, options);
+  let migrationLock = null;
+  
+  try {
+    if (dbConnection.type === 'mongodb') {
+      return await mongodbMigrate.rollback(dbConnection.connection, options, projectName, dbConnection.raw.mongodb_uri);
+    }
+    
+    if (dbConnection.type !== 'postgres') {
+      console.error(chalk.red('Migration command currently only supports PostgreSQL databases'));
+      return false;
+    }
+    
+    migrationLock = await acquireMigrationLock(dbConnection, projectName, options);
+    if (!migrationLock) {
+      return false;
+    }
+    
+    const appliedMigrations = await getAppliedMigrations(dbConnection);
+    
+    if (appliedMigrations.length === 0) {
+      console.log(chalk.yellow('No applied migrations to roll back'));
+      return true;
+    }
+    
+    // Most recently applied first
+    const targets = appliedMigrations.slice(-steps).reverse();
+    const migrationDir = getMigrationsDir();
+    const plan = [];
+    
+    // Resolve every down migration before touching the database
+    for (const { name } of targets) {
+      const migrationPath = path.join(migrationDir, name);
+      const migration = fs.existsSync(migrationPath) ? loadMigration(migrationPath) : null;
+      let downSql = migration ? migration.down : null;
+      let noTransaction = migration ? migration.directives.noTransaction : false;
+      
+      if (downSql === null) {
+        const record = await postgres.getMigrationRecord(dbConnection.connection, name);
+        downSql = record ? record.down_sql : null;
+        noTransaction = record && record.sql_content ? parseMigrationDirectives(record.sql_content).noTransaction : false;
+      }
+      
+      if (!downSql || downSql.trim().length === 0) {
+        console.error(chalk.red(`Migration ${name} has no down migration and cannot be rolled back`));
+        console.log(`Add a "-- +down" section to ${name} or create ${path.basename(getDownMigrationPath(name))}`);
+        return false;
+      }
+      
+      plan.push({ name, downSql, noTransaction });
+    }
+    
+    if (steps > appliedMigrations.length) {
+      console.log(chalk.yellow(`Only ${appliedMigrations.length} migration(s) have been applied`));
+    }
+    
+    console.log(chalk.cyan(`Migrations to roll back (${plan.length}, newest first):`));
+    plan.forEach(({ name }) => console.log(`  - ${name}`));
+    
+    if (!options.force) {
+      const confirm = await confirmAction(chalk.red(`Roll back ${plan.length} migration(s) on project "${projectName}"?`));
+      
+      if (!confirm) {
+        console.log('Rollback canceled');
+        return false;
+      }
+    }
+    
+    if (options.tempBackup) {
+      console.log(chalk.gray(`Using the temporary backup taken for the safety policy: ${options.tempBackup.backupName}`));
+    } else if (options.backup !== false) {
+      const backupInfo = await createTempBackup(dbConnection.connection, projectName, 'migrate-rollback', { compress: options.backupCompression });
+      
+      if (!backupInfo.success) {
+        console.error(chalk.red('Rollback aborted because the temporary backup could not be created'));
+        console.log('Use --no-backup to roll back without a backup (not recommended)');
+        return false;
+      }
+    } else {
+      console.log(chalk.yellow('⚠ Skipping temporary backup (--no-backup)'));
+    }
+    
+    let rolledBack = 0;
+    
+    for (const { name, downSql, noTransaction } of plan) {
+      const success = await revertMigration(dbConnection, name, downSql, noTransaction);
+      
+      if (!success) {
+        console.error(chalk.red(`Stopped after rolling back ${rolledBack} migration(s)`));
+        return false;
+      }
+      
+      rolledBack++;
+    }
+    
+    console.log(chalk.green(`\n✓ Rolled back ${rolledBack} migration(s)`));
+    return true;
+  } finally {
+    if (migrationLock) {
+      await migrationLock.release();
+    }
+    
+    await closeConnection(dbConnection);
+  }
+}
+
+/**
+ * Command to verify that applied migrations still match the files in the migrations directory
+ * Reports migrations edited after being applied, deleted migration files and pending
+ * migrations ordered before an applied one
+ * @param {string} projectName - Name of the project to verify
+ * @param {Object} [cmdOptions={}] - Command-specific options
+ * @param {boolean} [cmdOptions.json] - Output the drift report as JSON
+ * @param {string} [cmdOptions.database] - Database name to override default
+ * @param {Object} [cmd] - Commander command object
+ * @returns {Promise<boolean>} True if no drift was found, false otherwise
+ */
+async function migrateVerifyCommand(projectName, cmdOptions = {}, cmd) {
+  // Merge command options with global options
+  const options = { ...cmd?.parent?.opts(), ...cmdOptions };
+  // If project name not provided, prompt for it
+  if (!projectName) {
+    projectName = await promptForProject();
+  }
+  
+  const dbConnection = await createConnection(projectName, options);
+  
+  try {
+    if (dbConnection.type !== 'postgres') {
+      console.error(chalk.red('Migration command currently only supports PostgreSQL databases'));
+      return false;
+    }
+    
+    const migrationDir = getMigrationsDir();
+    let drift;
+    
+    try {
+      drift = (await loadMigrationState(dbConnection, migrationDir)).drift;
     } catch (error) {
-      await executeQuery(dbConnection, 'ROLLBACK');
-      console.error(chalk.red(`Migration failed and was rolled back`));
+      console.error(chalk.red(`Error verifying migrations: ${error.message}`));
       return false;
     }
+    
+    const clean = !hasMigrationDrift(drift);
+    
+    if (options.json) {
+      console.log(JSON.stringify({ ok: clean, ...drift }, null, 2));
+      return clean;
+    }
+    
+    console.log(chalk.cyan(`Verifying migrations for project: ${projectName}`));
+    
+    if (clean) {
+      console.log(chalk.green('✓ Applied migrations match the files in the migrations directory'));
+      return true;
+    }
+    
+    printMigrationDrift(drift, migrationDir);
+    console.log(chalk.yellow('\nRestore edited or deleted files from version control, and put changes in a new migration instead'));
+    return false;
   } finally {
-    // Close connection
     await closeConnection(dbConnection);
   }
 }
 
-module.exports = migrateCommand;
\ No newline at end of file
+module.exports = migrateCommand;
+module.exports.up = migrateUpCommand;
+module.exports.status = migrateStatusCommand;
+module.exports.rollback = migrateRollbackCommand;
+module.exports.verify = migrateVerifyCommand;
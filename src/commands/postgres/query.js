@@ -3,16 +3,24 @@
 
 const db = require('../../utils/db');
 const { confirmAction } = require('../../utils/prompt');
+const { inspectPostgresQuery, getRowChangeTarget, getDroppedOrRenamedNames } = require('../../utils/query-classifier');
+const { SAFETY_LEVELS } = require('../../utils/safety-validator');
+const { printDryRunSQL, printDryRunAffected, printDataChanges, estimateAffectedRows } = require('../../utils/dry-run');
+const { executeWithUndoJournal } = require('../../utils/undo-journal');
+const { whatIfPostgresQuery } = require('../../utils/what-if');
 const chalk = require('chalk');
 
 /**
  * Execute a SQL query on a PostgreSQL database
  * @param {Object} connection - PostgreSQL connection
- * @param {string} query - SQL query to execute
+ * @param {string} sqlQuery - SQL query to execute
  * @param {Object} options - Command options
+ * @param {boolean} [options.undo] - false to run UPDATE and DELETE statements without an undo journal
+ * @param {boolean} [options.whatIf] - Run the query in a transaction, print the rows it changes and roll it back
+ * @param {Object} [connectionInfo] - Raw connection information, naming the project an undo journal is recorded for
  * @returns {Promise<boolean>} True if query was executed successfully, false otherwise
  */
-async function executePostgresQuery(connection, sqlQuery, options) {
+async function executePostgresQuery(connection, sqlQuery, options, connectionInfo) {
   // Make sure we have a valid query - allow for query coming from options.raw
   const query = sqlQuery || options.raw;
   
@@ -21,30 +29,90 @@ async function executePostgresQuery(connection, sqlQuery, options) {
     return false;
   }
   
-  // Check if the query is potentially destructive (non-SELECT)
-  const isDestructive = !query.trim().toLowerCase().startsWith('select');
-  
   // Show the query if verbose mode is enabled
   if (options.verbose) {
     console.log(chalk.cyan('Executing SQL query:'));
     console.log(query);
   }
   
-  // Ask for confirmation for destructive queries unless force is enabled
-  if (isDestructive && !options.force) {
-    console.log(chalk.yellow('Warning: This query may modify data or schema'));
+  // Ask for confirmation unless every statement only reads, or force is enabled
+  if (!options.force || options.dryRun || options.whatIf) {
+    let classification;
+    try {
+      classification = await inspectPostgresQuery(connection, query);
+    } catch (error) {
+      console.error(chalk.red('Error classifying query:'), error.message);
+      return false;
+    }
     
-    const confirm = await confirmAction('Are you sure you want to execute this query?');
+    // A dry run lists every statement, otherwise only those that may change something
+    const shown = classification.statements.filter(statement => options.dryRun || statement.riskLevel !== SAFETY_LEVELS.SAFE);
     
-    if (!confirm) {
-      console.log('Query execution canceled');
-      return false;
+    if (shown.length > 0 && !options.dryRun && !options.whatIf) {
+      console.log(chalk.yellow('Warning: This query may modify data or schema'));
+    }
+    
+    shown.forEach(statement => {
+      const text = statement.sql.replace(/\s+/g, ' ');
+      console.log(chalk.yellow(`  [${statement.riskLevel.toUpperCase()}] ${statement.operation}: ${text.length > 60 ? `${text.slice(0, 57)}...` : text}`));
+    });
+    
+    if (options.dryRun) {
+      // Count the rows each plain UPDATE and DELETE would change
+      const targets = classification.statements.map(statement => getRowChangeTarget(statement.sql)).filter(Boolean);
+      let affectedRows;
+      
+      for (const target of targets) {
+        affectedRows = (affectedRows || 0) + await estimateAffectedRows({ type: 'postgres', connection }, target.table, target.where);
+      }
+      
+      printDryRunSQL('SQL statements that would be executed', classification.statements.map(statement => statement.sql), { affectedRows });
+      
+      if (targets.length > 0) {
+        printDryRunAffected('table', [...new Set(targets.map(target => target.table))], 'modify');
+      }
+      
+      const droppedOrRenamed = getDroppedOrRenamedNames('postgres', query);
+      if (droppedOrRenamed.length > 0) {
+        printDryRunAffected('table', droppedOrRenamed, 'drop or rename');
+      }
+      
+      console.log(chalk.cyan('\nDry run: the query was not executed'));
+      return true;
+    }
+    
+    if (options.whatIf) {
+      try {
+        printDataChanges(await whatIfPostgresQuery(connection, query));
+      } catch (error) {
+        console.error(chalk.red('Error previewing query:'), error.message);
+        return false;
+      }
+      
+      console.log(chalk.cyan('\n↩ Rolled back: nothing was changed'));
+      return true;
+    }
+    
+    if (shown.length > 0) {
+      const confirm = await confirmAction('Are you sure you want to execute this query?');
+      
+      if (!confirm) {
+        console.log('Query execution canceled');
+        return false;
+      }
     }
   }
   
   try {
-    // Execute the query
-    const result = await db.postgres.executeQuery(connection, query);
+    // Execute the query, journaling the rows plain UPDATE and DELETE statements change so "db-tools undo" can restore them
+    let result;
+    let journal = null;
+    
+    if (options.undo === false || !connectionInfo) {
+      result = await db.postgres.executeQuery(connection, query);
+    } else {
+      ({ result, journal } = await executeWithUndoJournal(connection, query, { project: connectionInfo.name, database: options.database }));
+    }
     
     // Output the results
     if (options.json) {
@@ -114,6 +182,11 @@ async function executePostgresQuery(connection, sqlQuery, options) {
       }
     }
     
+    if (journal) {
+      console.log(chalk.gray(`↩ Undo journal: ${journal.id} (${journal.rows} row(s) of ${journal.tables.join(', ')})`));
+      console.log(chalk.gray(`   To undo: db-tools undo ${journal.id}`));
+    }
+    
     return true;
   } catch (error) {
     console.error(chalk.red('Error executing query:'), error.message);
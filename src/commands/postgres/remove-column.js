@@ -3,7 +3,8 @@
 
 const db = require('../../utils/db');
 const { promptForTable, promptForColumn, confirmAction } = require('../../utils/prompt');
-const { isDryRun, printDryRunSQL, printDryRunSummary } = require('../../utils/dry-run');
+const { isDryRun, printDryRunSQL, printDryRunAffected, printDryRunSummary } = require('../../utils/dry-run');
+const { analyzeLockImpact, printLockImpact, executeWithLockTimeout } = require('../../utils/lock-impact');
 const chalk = require('chalk');
 
 /**
@@ -12,6 +13,9 @@ const chalk = require('chalk');
  * @param {string} table - Name of the table to remove column from
  * @param {string} column - Name of the column to remove
  * @param {Object} options - Command options
+ * @param {string} [options.lockTimeout] - How long to wait for the table lock before trying again
+ * @param {string} [options.statementTimeout] - How long the statement may run
+ * @param {number} [options.lockRetries] - How many times to try again after the lock timeout
  * @returns {Promise<boolean>} True if column was removed successfully, false otherwise
  */
 async function removePostgresColumn(connection, table, column, options) {
@@ -46,6 +50,9 @@ async function removePostgresColumn(connection, table, column, options) {
       }
     }
     
+    const { schema, table: tableName } = db.postgres.parseTableName(connection, table);
+    const qualifiedTable = db.postgres.quoteTableName(connection, table);
+    
     // Check if this is a required column or primary key
     const columnInfo = await db.postgres.executeQuery(
       connection,
@@ -56,13 +63,13 @@ async function removePostgresColumn(connection, table, column, options) {
         column_default,
         (SELECT constraint_type FROM information_schema.table_constraints tc
           JOIN information_schema.constraint_column_usage ccu ON tc.constraint_name = ccu.constraint_name
-          WHERE tc.table_schema = 'public' AND tc.table_name = $1 
+          WHERE tc.table_schema = $1 AND tc.table_name = $2 
           AND ccu.column_name = c.column_name
           AND tc.constraint_type = 'PRIMARY KEY'
         ) as constraint_type
       FROM information_schema.columns c
-      WHERE table_schema = 'public' AND table_name = $1 AND column_name = $2`,
-      [table, column]
+      WHERE table_schema = $1 AND table_name = $2 AND column_name = $3`,
+      [schema, tableName, column]
     );
     
     if (columnInfo.rows.length === 0) {
@@ -89,12 +96,12 @@ async function removePostgresColumn(connection, table, column, options) {
           ON ccu.constraint_name = tc.constraint_name
       WHERE 
         tc.constraint_type = 'FOREIGN KEY' 
-        AND tc.table_schema = 'public'
-        AND ccu.table_name = $1
-        AND ccu.column_name = $2;
+        AND ccu.table_schema = $1
+        AND ccu.table_name = $2
+        AND ccu.column_name = $3;
     `;
     
-    const dependencies = await db.postgres.executeQuery(connection, dependenciesQuery, [table, column]);
+    const dependencies = await db.postgres.executeQuery(connection, dependenciesQuery, [schema, tableName, column]);
     
     if (dependencies.rows.length > 0) {
       console.error(chalk.red(`Column "${column}" has foreign key dependencies:`));
@@ -118,13 +125,20 @@ async function removePostgresColumn(connection, table, column, options) {
     
     // Build the ALTER TABLE query
     const query = dependencies.rows.length > 0
-      ? `ALTER TABLE "${table}" DROP COLUMN "${column}" CASCADE;`
-      : `ALTER TABLE "${table}" DROP COLUMN "${column}";`;
+      ? `ALTER TABLE ${qualifiedTable} DROP COLUMN "${column}" CASCADE;`
+      : `ALTER TABLE ${qualifiedTable} DROP COLUMN "${column}";`;
     
     // Get row count
-    const countResult = await db.postgres.executeQuery(connection, `SELECT COUNT(*) FROM "${table}"`);
+    const countResult = await db.postgres.executeQuery(connection, `SELECT COUNT(*) FROM ${qualifiedTable}`);
     const rowCount = parseInt(countResult.rows[0].count);
     
+    // DROP COLUMN only marks the column dropped, but takes ACCESS EXCLUSIVE to do it
+    const impact = await analyzeLockImpact(connection, qualifiedTable, {
+      sql: query,
+      lock: 'AccessExclusiveLock',
+      note: dependencies.rows.length > 0 ? 'CASCADE also locks the tables whose foreign keys it drops' : undefined
+    });
+    
     // Check for dry-run mode
     if (isDryRun(options, `Removing column "${column}" from table "${table}"`)) {
       printDryRunSQL('SQL statement that would be executed', query, {
@@ -132,11 +146,11 @@ async function removePostgresColumn(connection, table, column, options) {
         warning: rowCount > 0 ? `Data in column "${column}" for ${rowCount} rows would be permanently lost` : undefined
       });
       
+      printLockImpact(impact);
+      printDryRunAffected('column', `${qualifiedTable}."${column}"`, 'drop');
+      
       if (dependencies.rows.length > 0) {
-        console.log(chalk.yellow('\n🔗 Dependent objects that would be affected:'));
-        dependencies.rows.forEach(dep => {
-          console.log(chalk.red(`  ✗ ${dep.dependent_name} (${dep.dependent_type})`));
-        });
+        printDryRunAffected('foreign key', dependencies.rows.map(dep => `${dep.referencing_table}.${dep.referencing_column}`), 'drop');
       }
       
       const warnings = [];
@@ -160,6 +174,7 @@ async function removePostgresColumn(connection, table, column, options) {
     // Confirm the operation
     console.log(chalk.cyan('About to execute:'));
     console.log(query);
+    printLockImpact(impact);
     
     if (!options.force) {
       const confirm = await confirmAction(chalk.red(`Are you sure you want to remove column "${column}" from table "${table}"? This will delete data in ${rowCount} rows!`));
@@ -184,7 +199,7 @@ async function removePostgresColumn(connection, table, column, options) {
     
     // Execute the query
     try {
-      await db.postgres.executeQuery(connection, query);
+      await executeWithLockTimeout(connection, query, options);
       console.log(chalk.green(`✓ Column "${column}" successfully removed from table "${table}"`));
       return true;
     } catch (error) {
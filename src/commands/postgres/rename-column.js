@@ -95,7 +95,7 @@ async function renamePostgresColumn(connection, tableName, oldColumnName, newCol
     }
     
     // Execute rename query
-    const renameQuery = `ALTER TABLE "${tableName}" RENAME COLUMN "${oldColumnName}" TO "${newColumnName}"`;
+    const renameQuery = `ALTER TABLE ${db.postgres.quoteTableName(connection, tableName)} RENAME COLUMN "${oldColumnName}" TO "${newColumnName}"`;
     console.log(chalk.cyan('About to execute:'));
     console.log(renameQuery);
     
@@ -3,6 +3,7 @@
 
 const db = require('../../utils/db');
 const { promptForTable } = require('../../utils/prompt');
+const { analyzeLockImpact, printLockImpact, executeWithLockTimeout } = require('../../utils/lock-impact');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 
@@ -12,6 +13,9 @@ const inquirer = require('inquirer');
  * @param {string} oldTableName - Current name of the table to rename
  * @param {string} newTableName - New name for the table
  * @param {Object} options - Command options
+ * @param {string} [options.lockTimeout] - How long to wait for the table lock before trying again
+ * @param {string} [options.statementTimeout] - How long the rename may run
+ * @param {number} [options.lockRetries] - How many times to try again after the lock timeout
  * @returns {Promise<boolean>} True if table was renamed successfully, false otherwise
  */
 async function renamePostgresTable(connection, oldTableName, newTableName, options) {
@@ -53,8 +57,17 @@ async function renamePostgresTable(connection, oldTableName, newTableName, optio
       newTableName = answers.newTableName;
     }
     
+    // The renamed table stays in its schema; a qualified new name must name that same schema
+    const source = db.postgres.parseTableName(connection, oldTableName);
+    const target = db.postgres.parseTableName(connection, newTableName);
+    if (target.table !== newTableName && target.schema !== source.schema) {
+      console.error(chalk.red(`Cannot move table "${oldTableName}" to schema "${target.schema}" with a rename`));
+      return false;
+    }
+    newTableName = target.table;
+    
     // Verify that new table name doesn't already exist
-    const newTableExists = await db.postgres.tableExists(connection, newTableName);
+    const newTableExists = await db.postgres.tableExists(connection, `${db.postgres.quoteIdentifier(source.schema)}.${db.postgres.quoteIdentifier(newTableName)}`);
     if (newTableExists) {
       console.error(chalk.red(`Table "${newTableName}" already exists. Please choose a different name.`));
       return false;
@@ -72,13 +85,12 @@ async function renamePostgresTable(connection, oldTableName, newTableName, optio
       JOIN pg_namespace dependent_ns ON dependent_view.relnamespace = dependent_ns.oid 
       JOIN pg_namespace source_ns ON source_table.relnamespace = source_ns.oid 
       WHERE 
-        source_ns.nspname = 'public'
-        AND source_table.relname = $1
-        AND dependent_ns.nspname = 'public'
-        AND dependent_view.relname != $1;
+        source_ns.nspname = $1
+        AND source_table.relname = $2
+        AND dependent_view.oid != source_table.oid;
     `;
     
-    const dependentObjects = await db.postgres.executeQuery(connection, dependencyQuery, [oldTableName]);
+    const dependentObjects = await db.postgres.executeQuery(connection, dependencyQuery, [source.schema, source.table]);
     
     if (dependentObjects.rows.length > 0) {
       console.log(chalk.yellow(`Warning: Table "${oldTableName}" has dependent objects that may be affected by this rename:`));
@@ -105,6 +117,14 @@ async function renamePostgresTable(connection, oldTableName, newTableName, optio
       }
     }
     
+    // Show the rename and the lock it takes before confirming it
+    const renameQuery = `ALTER TABLE ${db.postgres.quoteTableName(connection, oldTableName)} RENAME TO ${db.postgres.quoteIdentifier(newTableName)}`;
+    console.log(chalk.cyan('About to execute:'));
+    console.log(renameQuery);
+    
+    const impact = await analyzeLockImpact(connection, db.postgres.quoteTableName(connection, oldTableName), { sql: renameQuery, lock: 'AccessExclusiveLock' });
+    printLockImpact(impact);
+    
     // Confirm rename if not using force option
     if (!options.force) {
       const answers = await inquirer.prompt([
@@ -123,11 +143,7 @@ async function renamePostgresTable(connection, oldTableName, newTableName, optio
     }
     
     // Execute rename query
-    const renameQuery = `ALTER TABLE "${oldTableName}" RENAME TO "${newTableName}"`;
-    console.log(chalk.cyan('About to execute:'));
-    console.log(renameQuery);
-    
-    await db.postgres.executeQuery(connection, renameQuery);
+    await executeWithLockTimeout(connection, renameQuery, options);
     console.log(chalk.green(`✓ Table "${oldTableName}" successfully renamed to "${newTableName}"`));
     
     return true;
@@ -16,6 +16,11 @@ const { confirmAction } = require('../../utils/prompt');
  * @returns {Promise<boolean>} True if restore was successful, false otherwise
  */
 async function restorePostgresDatabase(connection, options, connectionInfo) {
+  if (!options.input) {
+    console.error(chalk.red('No backup file given; pass it with --input <file>'));
+    return false;
+  }
+  
   // Check if pg_restore and psql are available (for better error messages)
   if (!isPgToolAvailable('pg_restore') || !isPgToolAvailable('psql')) {
     console.log(chalk.red('Error: pg_restore or psql command not found'));
@@ -77,7 +77,7 @@ async function safeDeleteTable(projectName, tableName, cmdOptions = {}, cmd) {
     
     if (dryRun) {
       console.log(chalk.blue('\n🔍 DRY RUN - Would execute the following:'));
-      console.log(chalk.gray(`  DROP TABLE IF EXISTS "${tableName}" CASCADE;`));
+      console.log(chalk.gray(`  DROP TABLE IF EXISTS ${db.postgres.quoteTableName(dbConnection.connection, tableName)} CASCADE;`));
       console.log(chalk.blue('No actual changes made.'));
       return true;
     }
@@ -139,13 +139,15 @@ async function safeDeleteTable(projectName, tableName, cmdOptions = {}, cmd) {
  */
 async function getTableInfo(dbConnection, tableName) {
   try {
+    const { schema, table } = db.postgres.parseTableName(dbConnection.connection, tableName);
+    
     // Check if table exists
     const existsResult = await db.executeQuery(dbConnection, `
       SELECT EXISTS (
         SELECT 1 FROM information_schema.tables 
-        WHERE table_schema = 'public' AND table_name = $1
+        WHERE table_schema = $1 AND table_name = $2
       )
-    `, [tableName]);
+    `, [schema, table]);
     
     if (!existsResult.rows[0].exists) {
       return { exists: false };
@@ -153,37 +155,26 @@ async function getTableInfo(dbConnection, tableName) {
     
     // Get row count
     const countResult = await db.executeQuery(dbConnection, 
-      `SELECT COUNT(*) as count FROM "${tableName}"`
+      `SELECT COUNT(*) as count FROM ${db.postgres.quoteTableName(dbConnection.connection, tableName)}`
     );
     
     // Get column count
     const columnsResult = await db.executeQuery(dbConnection, `
       SELECT COUNT(*) as count 
       FROM information_schema.columns 
-      WHERE table_name = $1 AND table_schema = 'public'
-    `, [tableName]);
+      WHERE table_name = $2 AND table_schema = $1
+    `, [schema, table]);
     
     // Get foreign key dependencies
-    const dependenciesResult = await db.executeQuery(dbConnection, `
-      SELECT 
-        tc.table_name,
-        kcu.column_name
-      FROM information_schema.table_constraints tc
-      JOIN information_schema.key_column_usage kcu 
-        ON tc.constraint_name = kcu.constraint_name
-      JOIN information_schema.constraint_column_usage ccu 
-        ON ccu.constraint_name = tc.constraint_name
-      WHERE tc.constraint_type = 'FOREIGN KEY' 
-        AND ccu.table_name = $1
-    `, [tableName]);
+    const dependencies = await db.postgres.getReferencingTables(dbConnection.connection, tableName);
     
     return {
       exists: true,
       rowCount: parseInt(countResult.rows[0].count),
       columnCount: parseInt(columnsResult.rows[0].count),
-      dependencies: dependenciesResult.rows.map(row => ({
-        table: row.table_name,
-        column: row.column_name
+      dependencies: dependencies.map(dependency => ({
+        table: dependency.schema === schema ? dependency.table : `${dependency.schema}.${dependency.table}`,
+        column: dependency.column
       }))
     };
     
@@ -202,14 +193,15 @@ async function getTableInfo(dbConnection, tableName) {
 async function createTableBackup(dbConnection, tableName, projectName) {
   try {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupTableName = `backup_${tableName}_${timestamp}`;
+    const { schema, table } = db.postgres.parseTableName(dbConnection.connection, tableName);
+    const backupTableName = `backup_${table}_${timestamp}`;
     
-    // Create backup table with data
+    // Create backup table with data, next to the original table
     await db.executeQuery(dbConnection, 
-      `CREATE TABLE "${backupTableName}" AS SELECT * FROM "${tableName}"`
+      `CREATE TABLE ${db.postgres.quoteIdentifier(schema)}.${db.postgres.quoteIdentifier(backupTableName)} AS SELECT * FROM ${db.postgres.quoteTableName(dbConnection.connection, tableName)}`
     );
     
-    console.log(chalk.green(`✅ Backup created: ${backupTableName}`));
+    console.log(chalk.green(`✅ Backup created: ${schema}.${backupTableName}`));
     
   } catch (error) {
     console.warn(chalk.yellow('Warning: Could not create backup:'), error.message);
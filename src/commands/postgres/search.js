@@ -108,12 +108,12 @@ async function getAllTables(connection) {
   const query = `
     SELECT table_name 
     FROM information_schema.tables 
-    WHERE table_schema = 'public' 
+    WHERE table_schema = $1 
       AND table_type = 'BASE TABLE'
     ORDER BY table_name;
   `;
   
-  const result = await db.postgres.executeQuery(connection, query);
+  const result = await db.postgres.executeQuery(connection, query, [db.postgres.getSchemaName(connection)]);
   return result.rows.map(row => row.table_name);
 }
 
@@ -121,6 +121,7 @@ async function getAllTables(connection) {
  * Get all searchable columns for a table
  */
 async function getTableColumns(connection, tableName) {
+  const { schema, table } = db.postgres.parseTableName(connection, tableName);
   const query = `
     SELECT 
       column_name, 
@@ -128,13 +129,13 @@ async function getTableColumns(connection, tableName) {
     FROM 
       information_schema.columns
     WHERE 
-      table_schema = 'public' 
-      AND table_name = $1
+      table_schema = $1 
+      AND table_name = $2
     ORDER BY 
       ordinal_position;
   `;
   
-  const result = await db.postgres.executeQuery(connection, query, [tableName]);
+  const result = await db.postgres.executeQuery(connection, query, [schema, table]);
   
   // Filter out columns that aren't searchable (like geometric types)
   return result.rows
@@ -188,7 +189,7 @@ async function searchTable(connection, tableName, columns, searchValue, options)
   // Build and execute the query
   const query = `
     SELECT *, '${tableName}' as "_table_name" 
-    FROM "${tableName}" 
+    FROM ${db.postgres.quoteTableName(connection, tableName)} 
     WHERE ${whereClause}
     LIMIT ${options.limit || 1000};
   `;
@@ -13,6 +13,7 @@ const inquirer = require('inquirer');
  * @param {string} projectName - Project name
  * @param {string} backupName - Backup name (optional)
  * @param {Object} options - Command options
+ * @param {string} [options.collection] - Only restore this collection (MongoDB projects)
  * @param {Object} cmd - Commander command object
  * @returns {boolean} Success status
  */
@@ -29,6 +30,11 @@ async function restoreTempCommand(projectName, backupName, options = {}, cmd) {
     const dbConnection = await db.createConnection(projectName, cmdOptions);
     
     try {
+      if (cmdOptions.collection && dbConnection.type !== 'mongodb') {
+        console.error(chalk.red('--collection is only available for MongoDB projects'));
+        return false;
+      }
+      
       // If backup name not provided, show list and prompt
       if (!backupName) {
         const backups = listTempBackups();
@@ -38,11 +44,11 @@ async function restoreTempCommand(projectName, backupName, options = {}, cmd) {
           return false;
         }
         
-        // Filter only restorable backups
-        const restorableBackups = backups.filter(b => b.restorable);
+        // Filter only restorable backups of this kind of database
+        const restorableBackups = backups.filter(b => b.restorable && b.type === dbConnection.type);
         
         if (restorableBackups.length === 0) {
-          console.log(chalk.red('No restorable backups found (missing encryption keys).'));
+          console.log(chalk.red(`No restorable ${dbConnection.type === 'mongodb' ? 'MongoDB' : 'PostgreSQL'} backups found (missing encryption keys).`));
           return false;
         }
         
@@ -62,8 +68,16 @@ async function restoreTempCommand(projectName, backupName, options = {}, cmd) {
         backupName = selectedBackup;
       }
       
-      // Show warning
-      console.log(chalk.red('\n⚠️  WARNING: This will REPLACE ALL DATA in the current database!'));
+      // Show warning; a table-scoped backup only replaces its own tables
+      const backupInfo = listTempBackups().find(b => b.name === backupName);
+      
+      if (cmdOptions.collection) {
+        console.log(chalk.red(`\n⚠️  WARNING: This will REPLACE collection "${cmdOptions.collection}" in the current database!`));
+      } else if (backupInfo && backupInfo.tables) {
+        console.log(chalk.red(`\n⚠️  WARNING: This will REPLACE table(s) ${backupInfo.tables.join(', ')} in the current database!`));
+      } else {
+        console.log(chalk.red('\n⚠️  WARNING: This will REPLACE ALL DATA in the current database!'));
+      }
       console.log(chalk.yellow(`Target database: ${projectName}`));
       console.log(chalk.yellow(`Backup to restore: ${backupName}`));
       
@@ -102,7 +116,10 @@ async function restoreTempCommand(projectName, backupName, options = {}, cmd) {
       }
       
       // Perform the restore
-      const result = await restoreTempBackup(backupName, dbConnection.connection);
+      const result = await restoreTempBackup(backupName, dbConnection.connection, {
+        collections: cmdOptions.collection ? [cmdOptions.collection] : null,
+        uri: dbConnection.raw.mongodb_uri
+      });
       
       if (result) {
         console.log(chalk.green('\n✅ Database successfully restored from temporary backup'));
@@ -1,14 +1,147 @@
 // Safe Command Wrapper
 // Wraps dangerous database operations with safety validation
 
-const { performSafetyCheck } = require('../utils/safety-validator');
-const { promptForConfirmation } = require('../utils/prompt');
+const db = require('../utils/db');
+const { performSafetyCheck, SAFETY_LEVELS } = require('../utils/safety-validator');
+const { createTempBackup } = require('../utils/temp-backup');
+const { promptForProject, confirmAction } = require('../utils/prompt');
+const { inspectPostgresQuery, findIrreversibleStatement } = require('../utils/query-classifier');
 const chalk = require('chalk');
 
+/**
+ * Maps the positional arguments of each wrapped command to safety validation parameters
+ * The parameter names match those expected by prepareOperationArguments in the safety validator
+ */
+const OPERATION_PARAMS = {
+  'delete-table': ([table]) => ({ table }),
+  'remove-column': ([table, column]) => ({ table, column }),
+  'rename-table': ([oldName, newName]) => ({ oldName, newName }),
+  'rename-column': ([table, oldColumn, newColumn]) => ({ table, oldColumn, newColumn }),
+  'delete-collection': ([collection]) => ({ collection }),
+  'remove-field': ([collection, field]) => ({ collection, field }),
+  'rename-collection': ([oldName, newName]) => ({ oldName, newName }),
+  'batch-update': ([table]) => ({ table }),
+  'batch-delete': ([table]) => ({ table }),
+  'restore': (positional, options) => ({ input: options.input }),
+  'query': ([sql], options) => ({ sql: sql || options.raw })
+};
+
+/**
+ * Takes a temporary backup of a MongoDB database before a destructive command
+ * MongoDB has no test database validation, so the backup is the safety net
+ * @param {Object} dbConnection - Connection returned by createConnection
+ * @param {string} operation - Operation about to run
+ * @param {Object} params - Operation parameters
+ * @param {string} projectName - Project name
+ * @param {Object} options - Merged command and global options
+ * @returns {Promise<boolean>} Whether the operation should proceed
+ */
+async function takeMongoBackup(dbConnection, operation, params, projectName, options) {
+  console.log(chalk.cyan(`\n=== Safe Execution: ${operation} ===`));
+  
+  // Reuse the backup the safety policy already took for this command
+  const backup = options.tempBackup || await createTempBackup(dbConnection.connection, projectName, operation, {
+    compress: options.backupCompression,
+    uri: dbConnection.raw.mongodb_uri
+  });
+  
+  if (backup.success) {
+    const collection = params.collection || params.table || params.oldName;
+    console.log(chalk.blue(`💡 To undo: db-tools restore-temp "${projectName}" ${backup.backupName}${collection ? ` --collection ${collection}` : ''}`));
+    return true;
+  }
+  
+  console.warn(chalk.yellow(`⚠️  Warning: Could not create temporary backup: ${backup.error}`));
+  
+  if (options.force) {
+    console.log(chalk.red('⚠ Proceeding without a backup due to --force flag'));
+    return true;
+  }
+  
+  return await confirmAction('Proceed without a backup?');
+}
+
+/**
+ * Runs safety validation for an operation against the project's real database
+ * @param {string} operationType - Type of operation for risk assessment
+ * @param {Object} params - Operation parameters
+ * @param {string} projectName - Project name
+ * @param {Object} options - Merged command and global options
+ * @returns {Promise<boolean>} Whether the operation should proceed
+ */
+async function runSafetyCheck(operationType, params, projectName, options) {
+  const dbConnection = await db.createConnection(projectName, options);
+  
+  try {
+    let operation = operationType;
+    
+    // Without --input there is no backup to validate yet; the restore command reports the missing file itself
+    if (operationType === 'restore' && !params.input) {
+      return true;
+    }
+    
+    // Only DANGER statements are validated; the query command confirms the rest itself
+    // MongoDB queries classify and confirm destructive query types themselves
+    if (operationType === 'query') {
+      if (dbConnection.type !== 'postgres' || !params.sql) {
+        return true;
+      }
+      
+      const classification = await inspectPostgresQuery(dbConnection.connection, params.sql);
+      
+      // A what-if run is rolled back, which undoes everything except calls like pg_terminate_backend or nextval
+      if (options.whatIf && !findIrreversibleStatement(classification)) {
+        return true;
+      }
+      
+      if (classification.riskLevel !== SAFETY_LEVELS.DANGER) {
+        return true;
+      }
+      
+      operation = classification.operation;
+    }
+    
+    if (dbConnection.type !== 'postgres') {
+      return await takeMongoBackup(dbConnection, operation, params, projectName, options);
+    }
+    
+    console.log(chalk.cyan(`\n=== Safe Execution: ${operation} ===`));
+    
+    const missing = Object.keys(params).filter(key => !params[key]);
+    if (missing.length > 0) {
+      console.error(chalk.red(`Safety validation needs ${missing.join(', ')} on the command line`));
+      console.log(chalk.yellow('Use --skip-safety to run the command interactively without validation (not recommended)'));
+      return false;
+    }
+    
+    try {
+      return await performSafetyCheck(
+        operation,
+        { ...params, options },
+        dbConnection.connection,
+        projectName,
+        { force: options.force }
+      );
+    } catch (error) {
+      console.error(chalk.red(`Safety validation could not run: ${error.message}`));
+      
+      if (options.force) {
+        console.log(chalk.red('⚠ Proceeding without validation due to --force flag'));
+        return true;
+      }
+      
+      return await confirmAction('Proceed without safety validation?');
+    }
+  } finally {
+    await db.closeConnection(dbConnection);
+  }
+}
+
 /**
  * Wraps a database command with safety validation
+ * The wrapped command is called as (projectName, ...positionalArgs, options, cmd), like a command action
  * @param {Function} commandFunction - The original command function
- * @param {string} operationType - Type of operation for risk assessment
+ * @param {string} operationType - Type of operation for risk assessment (a key of OPERATION_PARAMS)
  * @returns {Function} Wrapped command function
  */
 function wrapWithSafety(commandFunction, operationType) {
@@ -20,90 +153,43 @@ function wrapWithSafety(commandFunction, operationType) {
     
     // Merge all options
     const allOptions = { ...globalOptions, ...options };
+    const { skipSafety = false, dryRun = false } = allOptions;
     
-    // Extract connection and project info
-    const projectName = args[0];
-    const { force = false, skipSafety = false, dryRun = false } = allOptions;
-    
-    console.log(chalk.cyan(`\n=== Safe Execution: ${operationType} ===`));
-    
-    // Skip safety for dry runs
+    // Skip safety for dry runs; what-if runs are checked below, since a rollback does not undo every statement
     if (dryRun) {
-      console.log(chalk.blue('🔍 Dry run mode - no changes will be made'));
       return await commandFunction(...args);
     }
     
-    try {
-      // Create mock connection for safety check
-      // In real implementation, extract actual connection details
-      const mockConnection = {
-        host: 'localhost',
-        port: 5432,
-        database: 'development'
-      };
-      
-      // Perform safety validation
-      const shouldProceed = await performSafetyCheck(
-        operationType,
-        { args, options: allOptions },
-        mockConnection,
-        projectName,
-        { force, skipSafety }
-      );
-      
-      if (!shouldProceed) {
-        console.log(chalk.red('\n🛑 Operation cancelled due to safety concerns'));
-        console.log(chalk.yellow('Use --force to override safety checks (not recommended)'));
-        console.log(chalk.yellow('Use --skip-safety to skip validation entirely'));
-        console.log(chalk.yellow('Use --dry-run to see what would happen without making changes'));
+    if (skipSafety) {
+      console.log(chalk.yellow('⚠ Safety checks skipped by user request'));
+      return await commandFunction(...args);
+    }
+    
+    // Resolve the project here so validation and the command use the same one
+    if (!args[0]) {
+      args[0] = await promptForProject();
+      if (!args[0]) {
+        console.error(chalk.red('No project selected.'));
         return false;
       }
-      
-      // Additional confirmation for dangerous operations
-      if (!force && !skipSafety) {
-        const confirmed = await promptForConfirmation(
-          'Do you want to proceed with this operation?'
-        );
-        
-        if (!confirmed) {
-          console.log(chalk.yellow('Operation cancelled by user'));
-          return false;
-        }
-      }
-      
-      console.log(chalk.green('✓ Safety checks passed, executing operation...'));
-      
-      // Execute the original command
-      return await commandFunction(...args);
-      
-    } catch (error) {
-      console.error(chalk.red('Error during safe execution:'), error.message);
-      throw error;
     }
+    
+    const params = OPERATION_PARAMS[operationType](args.slice(1, -2), allOptions);
+    const shouldProceed = await runSafetyCheck(operationType, params, args[0], allOptions);
+    
+    if (!shouldProceed) {
+      console.log(chalk.red('\n🛑 Operation cancelled due to safety concerns'));
+      console.log(chalk.yellow('Use --force to override safety checks (not recommended)'));
+      console.log(chalk.yellow('Use --skip-safety to skip validation entirely'));
+      console.log(chalk.yellow('Use --dry-run to see what would happen without making changes'));
+      return false;
+    }
+    
+    // Execute the original command
+    return await commandFunction(...args);
   };
 }
 
-/**
- * Creates a confirmation prompt for dangerous operations
- * @param {string} message - Confirmation message
- * @returns {Promise<boolean>} User's confirmation
- */
-async function promptForConfirmation(message) {
-  const readline = require('readline');
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
-  
-  return new Promise((resolve) => {
-    rl.question(chalk.yellow(`${message} (y/N): `), (answer) => {
-      rl.close();
-      resolve(['y', 'yes', 'Y', 'YES'].includes(answer.trim()));
-    });
-  });
-}
-
 module.exports = {
-  wrapWithSafety,
-  promptForConfirmation
-};
\ No newline at end of file
+  wrapWithSafety
+};
@@ -4,6 +4,7 @@
 const { createPool, executeQuery, tableExists } = require('../utils/db');
 const { promptForProject, promptForTable, confirmAction } = require('../utils/prompt');
 const { generateFullSchema, generateSeedDataSQL } = require('../utils/schema');
+const { splitSqlStatements } = require('../utils/sql-splitter');
 const inquirer = require('inquirer');
 const fs = require('fs');
 const path = require('path');
@@ -133,13 +134,13 @@ async function seedCommand(projectName, table, options) {
       await executeQuery(pool, 'BEGIN');
       
       // Split the SQL into individual statements
-      const statements = seedSql.split(';').filter(stmt => stmt.trim().length > 0);
+      const statements = splitSqlStatements(seedSql);
       
       let successCount = 0;
       
       for (const statement of statements) {
         try {
-          await executeQuery(pool, statement + ';');
+          await executeQuery(pool, statement);
           successCount++;
         } catch (error) {
           console.error(chalk.red(`Error executing statement:`), error.message);
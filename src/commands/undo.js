@@ -0,0 +1,148 @@
+// src/commands/undo.js
+// This file is used to undo an UPDATE or DELETE run through the query command, from the journal written when it ran
+// Deleted rows are inserted again and updated rows get their old values back, in one transaction,
+// and only if the rows still look the way the query left them
+
+const db = require('../utils/db');
+const { loadUndoJournal, buildUndoStatements, markJournalUndone, listUndoJournals } = require('../utils/undo-journal');
+const { printDryRunSQL } = require('../utils/dry-run');
+const { confirmAction } = require('../utils/prompt');
+const { getCurrentUser } = require('../utils/audit');
+const chalk = require('chalk');
+
+/**
+ * Prints the undo journals that can still be undone
+ * @returns {boolean} Always true
+ */
+function printJournals() {
+  const journals = listUndoJournals();
+  
+  if (journals.length === 0) {
+    console.log(chalk.yellow('No undo journals found'));
+    return true;
+  }
+  
+  console.log(chalk.cyan('\n=== Undo journals ===\n'));
+  journals.forEach(journal => {
+    const status = journal.undone ? chalk.gray(` [undone at ${journal.undone.at}]`) : '';
+    console.log(chalk.white(`${journal.id}${status}`));
+    console.log(chalk.gray(`  Project: ${journal.project}, ${journal.rows} row(s) of ${journal.tables.join(', ')}`));
+    console.log(chalk.gray(`  Made by ${journal.createdBy} at ${journal.createdAt}; expires in ${journal.expiresIn}`));
+  });
+  
+  console.log(chalk.cyan('\nTo undo: db-tools undo <journal-id>'));
+  return true;
+}
+
+/**
+ * Command to undo the rows a query changed
+ * @param {string} [journalId] - Journal id printed by the query command (lists the journals if omitted)
+ * @param {Object} [cmdOptions={}] - Command-specific options
+ * @param {Object} [cmd] - Commander command object
+ * @param {boolean} [cmdOptions.dryRun] - Print the undo statements without running them
+ * @param {boolean} [cmdOptions.overwrite] - Restore rows even if they changed after the query ran
+ * @param {boolean} [cmdOptions.force] - Skip the confirmation prompt
+ * @returns {Promise<boolean>} True if every row was restored, false otherwise
+ */
+async function undoCommand(journalId, cmdOptions = {}, cmd) {
+  const options = { ...cmd?.parent?.opts(), ...cmdOptions };
+  
+  if (!journalId) {
+    return printJournals();
+  }
+  
+  let journal;
+  try {
+    journal = await loadUndoJournal(journalId);
+  } catch (error) {
+    console.error(chalk.red(`✗ ${error.message}`));
+    return false;
+  }
+  
+  if (journal.undone) {
+    console.error(chalk.red(`✗ This journal was already undone at ${journal.undone.at} by ${journal.undone.by}`));
+    return false;
+  }
+  
+  console.log(chalk.cyan(`\n=== Undo ${journal.id} on project "${journal.project}" ===`));
+  console.log(chalk.gray(`Query run by ${journal.createdBy} at ${journal.createdAt}:`));
+  console.log(chalk.white(journal.query));
+  
+  journal.changes.forEach(change => {
+    const action = change.command === 'DELETE' ? 'insert again' : 'set back';
+    console.log(chalk.yellow(`💡 Statement ${change.statement}: ${change.rows.length} row(s) of ${change.schema}.${change.table} to ${action}`));
+  });
+  
+  const statements = buildUndoStatements(journal, { overwrite: options.overwrite });
+  
+  if (options.dryRun) {
+    printDryRunSQL('SQL statements that would be executed', statements.map(statement => statement.sql));
+    console.log(chalk.cyan('\nDry run: nothing was undone'));
+    return true;
+  }
+  
+  const dbConnection = await db.createConnection(journal.project, { ...options, ...journal.options });
+  
+  try {
+    if (dbConnection.type !== 'postgres') {
+      console.error(chalk.red('Undo journals are only available for PostgreSQL projects'));
+      return false;
+    }
+    
+    const pool = dbConnection.connection;
+    const { rows: [{ database }] } = await pool.query('SELECT current_database() AS database');
+    
+    if (database !== journal.database) {
+      console.error(chalk.red(`✗ The journal was written for database "${journal.database}", but project "${journal.project}" is now connected to "${database}"`));
+      return false;
+    }
+    
+    if (!options.force) {
+      const confirm = await confirmAction(chalk.red(`Restore ${statements.length} row(s) in project "${journal.project}"?`));
+      
+      if (!confirm) {
+        console.log('Undo canceled');
+        return false;
+      }
+    }
+    
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      await client.query('SET LOCAL standard_conforming_strings = on');
+      
+      for (const statement of statements) {
+        const result = await client.query(statement.sql);
+        
+        // An UPDATE guarded by the row's after-image matches nothing once the row has changed again
+        if (result.rowCount === 0 && statement.command === 'UPDATE') {
+          throw new Error(`A row of ${statement.table} changed after the query ran, or was deleted: ${statement.sql}`);
+        }
+      }
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error(chalk.red(`\n✗ Undo failed, no rows were restored: ${error.message}`));
+      if (!options.overwrite) {
+        console.log(chalk.yellow('Use --overwrite to restore the rows even if they changed after the query ran'));
+      }
+      return false;
+    } finally {
+      client.release();
+    }
+    
+    markJournalUndone(journal.id, { at: new Date().toISOString(), by: getCurrentUser() });
+    
+    console.log(chalk.green(`\n✓ Restored ${statements.length} row(s) in project "${journal.project}"`));
+    return true;
+  } catch (error) {
+    console.error(chalk.red('Error undoing query:'), error.message);
+    return false;
+  } finally {
+    await db.closeConnection(dbConnection);
+  }
+}
+
+module.exports = undoCommand;
@@ -0,0 +1,528 @@
+// src/utils/audit.js
+// This file contains the audit log, which records one hash-chained entry per command
+// Entries are collected while the command runs and appended when the process exits, so every exit path is logged
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { BSON } = require('mongodb');
+
+const AUDIT_LOG_FILE = 'db-tools-audit.log';
+const GENESIS_HASH = '0'.repeat(64);
+
+// Limits that keep a single entry readable
+const MAX_OPERATIONS = 500;
+const MAX_OPERATION_LENGTH = 2000;
+
+// Statement types whose row count is a number of changed rows
+const ROW_CHANGING_COMMANDS = ['INSERT', 'UPDATE', 'DELETE', 'MERGE'];
+
+// MongoDB commands sent by the driver itself (handshakes, authentication, cursors)
+const MONGO_INTERNAL_COMMANDS = ['hello', 'ismaster', 'saslstart', 'saslcontinue', 'ping', 'endsessions', 'buildinfo', 'getmore', 'killcursors', 'getnonce', 'authenticate'];
+
+// Option names and document fields whose values are never written to the log
+const SECRET_OPTION = /pass|pwd|secret|token|key|uri|credential/i;
+const SECRET_FIELD = /^(pwd|password|passwd|secret|token)$/i;
+
+const LOCK_TIMEOUT_MS = 2000;
+const STALE_LOCK_MS = 10000;
+
+// The entry of the command running in this process
+let currentEntry = null;
+
+/**
+ * Gets the path of the audit log
+ * @returns {string} logs/db-tools-audit.log in the working directory, next to the error logs
+ */
+function getAuditLogPath() {
+  return path.join(process.cwd(), 'logs', AUDIT_LOG_FILE);
+}
+
+/**
+ * Removes passwords from connection strings and SQL text
+ * @param {string} text - Text to redact
+ * @returns {string} Text with credentials replaced by [REDACTED]
+ */
+function redactText(text) {
+  return String(text)
+    .replace(/([a-z][a-z0-9+.-]*:\/\/[^:/\s@]+:)[^@\s]+@/gi, '$1[REDACTED]@')
+    .replace(/\b(PASSWORD\s+)'(?:[^']|'')*'/gi, "$1'[REDACTED]'");
+}
+
+/**
+ * Redacts secret fields in a value, recursing into plain objects and arrays
+ * @param {*} value - Value to redact
+ * @returns {*} Copy of the value with secret fields replaced by [REDACTED] and strings redacted
+ */
+function redactValue(value) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+  
+  // BSON values such as ObjectId are left as they are
+  if (value && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+    const redacted = {};
+    Object.entries(value).forEach(([key, child]) => {
+      redacted[key] = SECRET_FIELD.test(key) ? '[REDACTED]' : redactValue(child);
+    });
+    return redacted;
+  }
+  
+  return value;
+}
+
+/**
+ * Shortens operation text for the log
+ * @param {string} text - Operation text
+ * @returns {string} Text of at most MAX_OPERATION_LENGTH characters
+ */
+function truncate(text) {
+  return text.length > MAX_OPERATION_LENGTH
+    ? `${text.slice(0, MAX_OPERATION_LENGTH)}... (${text.length - MAX_OPERATION_LENGTH} more characters)`
+    : text;
+}
+
+/**
+ * Gets the name of the database a connection string points at
+ * @param {string} uri - PostgreSQL or MongoDB connection string
+ * @returns {string|null} Database name, or null if the string has none
+ */
+function getDatabaseName(uri) {
+  const match = /^[a-z][a-z0-9+.-]*:\/\/[^/]*\/([^?]+)/i.exec(uri || '');
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Gets the name of the operating system user running the command
+ * @returns {string} User name
+ */
+function getUserName() {
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    return process.env.USER || process.env.USERNAME || 'unknown';
+  }
+}
+
+/**
+ * Gets who is running the command, as plans, undo journals and their markers record it
+ * @returns {string} user@host
+ */
+function getCurrentUser() {
+  return `${getUserName()}@${os.hostname()}`;
+}
+
+/**
+ * Starts the audit entry for the command about to run
+ * @param {Object} details - Command details
+ * @param {string} details.command - Command name, with the parent for subcommands
+ * @param {string} [details.projectName] - Project given on the command line
+ * @param {Array<string>} [details.args=[]] - Arguments after the project
+ * @param {Object} [details.options={}] - Merged global and command options
+ */
+function startAuditEntry({ command, projectName, args = [], options = {} }) {
+  const loggedOptions = {};
+  
+  // Only plain values; objects such as the policy's temp backup are recorded separately
+  Object.entries(options).forEach(([key, value]) => {
+    if (value === undefined || (typeof value === 'object' && !Array.isArray(value))) return;
+    loggedOptions[key] = SECRET_OPTION.test(key) ? '[REDACTED]' : redactValue(value);
+  });
+  
+  currentEntry = {
+    timestamp: new Date().toISOString(),
+    user: getUserName(),
+    host: os.hostname(),
+    project: projectName || null,
+    database: options.database || null,
+    dbType: null,
+    environment: null,
+    command,
+    args: args.filter(arg => arg !== undefined).map(arg => redactValue(arg)),
+    options: loggedOptions,
+    operations: [],
+    operationsOmitted: 0,
+    rowsAffected: 0,
+    backups: [],
+    result: null,
+    reason: null,
+    startedAt: Date.now()
+  };
+  
+  process.on('exit', code => finishAuditEntry(code));
+}
+
+/**
+ * Adds the database details of the project's connection to the running command's entry
+ * Kept apart from startAuditEntry so a command naming an unknown project is still logged
+ * @param {Object} connection - The project's connection from the connection file
+ */
+function setAuditConnection(connection) {
+  if (!currentEntry || !connection) {
+    return;
+  }
+  
+  currentEntry.database = currentEntry.database || getDatabaseName(connection.postgres_uri || connection.mongodb_uri);
+  currentEntry.dbType = connection.type || (connection.postgres_uri ? 'postgres' : 'mongodb');
+  currentEntry.environment = connection.environment || null;
+}
+
+/**
+ * Records an operation sent to the database by the running command
+ * @param {string} type - 'sql' or 'mongo'
+ * @param {string} text - Statement text or command document
+ * @returns {Object|null} The recorded operation, to pass to completeOperation, or null if no command is being audited
+ */
+function recordOperation(type, text) {
+  if (!currentEntry) {
+    return null;
+  }
+  
+  const operation = { type, text: truncate(redactText(text)), rowsAffected: null, error: null, startedAt: Date.now() };
+  
+  if (currentEntry.operations.length < MAX_OPERATIONS) {
+    currentEntry.operations.push(operation);
+  } else {
+    currentEntry.operationsOmitted++;
+  }
+  
+  return operation;
+}
+
+/**
+ * Records the outcome of an operation
+ * @param {Object|null} operation - Operation returned by recordOperation
+ * @param {Error|null} error - Error, if the operation failed
+ * @param {number|null} [rowsAffected=null] - Rows or documents changed
+ */
+function completeOperation(operation, error, rowsAffected = null) {
+  if (!operation || !currentEntry) {
+    return;
+  }
+  
+  operation.durationMs = Date.now() - operation.startedAt;
+  delete operation.startedAt;
+  
+  if (error) {
+    operation.error = error.message;
+  } else if (rowsAffected !== null) {
+    operation.rowsAffected = rowsAffected;
+    currentEntry.rowsAffected += rowsAffected;
+  }
+}
+
+/**
+ * Records a backup taken by the running command (temporary backup or pre-operation export)
+ * @param {string} name - Backup name or directory
+ */
+function recordBackup(name) {
+  if (currentEntry && !currentEntry.backups.includes(name)) {
+    currentEntry.backups.push(name);
+  }
+}
+
+/**
+ * Marks the running command as blocked, for example by the safety policy
+ * @param {string} reason - Why the command did not run
+ */
+function markBlocked(reason) {
+  if (currentEntry) {
+    currentEntry.result = 'blocked';
+    currentEntry.reason = reason || null;
+  }
+}
+
+/**
+ * Records the SQL statements run through a PostgreSQL pool
+ * Every physical client is wrapped as the pool creates it, which also covers pool.query and transactions
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @returns {Pool} The same pool
+ */
+function instrumentPgPool(pool) {
+  pool.on('connect', client => {
+    const query = client.query;
+    
+    client.query = function auditedQuery(config, ...rest) {
+      const text = typeof config === 'string' ? config : config && config.text;
+      const operation = text ? recordOperation('sql', text) : null;
+      
+      if (!operation) {
+        return query.call(this, config, ...rest);
+      }
+      
+      const complete = (error, result) => {
+        const results = Array.isArray(result) ? result : result ? [result] : [];
+        const changed = results.filter(entry => ROW_CHANGING_COMMANDS.includes(entry.command));
+        completeOperation(operation, error, changed.length > 0 ? changed.reduce((total, entry) => total + (entry.rowCount || 0), 0) : null);
+      };
+      
+      const callbackIndex = rest.findIndex(arg => typeof arg === 'function');
+      if (callbackIndex !== -1) {
+        const callback = rest[callbackIndex];
+        rest[callbackIndex] = (error, result) => {
+          complete(error, result);
+          callback(error, result);
+        };
+        return query.call(this, config, ...rest);
+      }
+      
+      const returned = query.call(this, config, ...rest);
+      if (returned && typeof returned.then === 'function') {
+        returned.then(result => complete(null, result), error => complete(error));
+      }
+      return returned;
+    };
+  });
+  
+  return pool;
+}
+
+/**
+ * Records the commands a MongoDB client sends, using the driver's command monitoring
+ * The client must be created with monitorCommands: true
+ * @param {MongoClient} client - MongoDB client
+ * @returns {MongoClient} The same client
+ */
+function instrumentMongoClient(client) {
+  const pending = new Map();
+  
+  client.on('commandStarted', event => {
+    if (MONGO_INTERNAL_COMMANDS.includes(event.commandName.toLowerCase())) return;
+    
+    // Drop session and cluster bookkeeping the driver adds to every command
+    const { lsid, $clusterTime, $db, txnNumber, autocommit, startTransaction, ...command } = event.command;
+    const operation = recordOperation('mongo', `${event.databaseName}: ${BSON.EJSON.stringify(redactValue(command))}`);
+    
+    if (operation) {
+      pending.set(event.requestId, { operation, commandName: event.commandName.toLowerCase() });
+    }
+  });
+  
+  client.on('commandSucceeded', event => {
+    const started = pending.get(event.requestId);
+    if (!started) return;
+    pending.delete(event.requestId);
+    
+    const reply = event.reply || {};
+    let rowsAffected = null;
+    
+    if (started.commandName === 'update') {
+      rowsAffected = reply.nModified !== undefined ? reply.nModified : reply.n;
+    } else if (['insert', 'delete'].includes(started.commandName)) {
+      rowsAffected = reply.n;
+    } else if (started.commandName === 'findandmodify') {
+      rowsAffected = reply.lastErrorObject ? reply.lastErrorObject.n : null;
+    }
+    
+    completeOperation(started.operation, null, typeof rowsAffected === 'number' ? rowsAffected : null);
+  });
+  
+  client.on('commandFailed', event => {
+    const started = pending.get(event.requestId);
+    if (!started) return;
+    pending.delete(event.requestId);
+    completeOperation(started.operation, event.failure || new Error('Command failed'));
+  });
+  
+  return client;
+}
+
+/**
+ * Computes the hash of an entry, chained to the previous entry's hash
+ * @param {Object} entry - Entry without its hash field
+ * @returns {string} SHA-256 hex digest
+ */
+function hashEntry(entry) {
+  return crypto.createHash('sha256').update(entry.prevHash).update(JSON.stringify(entry)).digest('hex');
+}
+
+/**
+ * Reads the last entry of the audit log without reading the whole file
+ * @param {string} logPath - Audit log path
+ * @returns {Object|null} Last entry, or null if the log is empty or missing
+ */
+function readLastEntry(logPath) {
+  if (!fs.existsSync(logPath)) {
+    return null;
+  }
+  
+  const fd = fs.openSync(logPath, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+    let text = '';
+    let position = size;
+    
+    // Read backwards until the text holds a complete last line
+    while (position > 0) {
+      const length = Math.min(65536, position);
+      position -= length;
+      const buffer = Buffer.alloc(length);
+      fs.readSync(fd, buffer, 0, length, position);
+      text = buffer.toString('utf8') + text;
+      
+      const lines = text.trimEnd().split('\n');
+      if (lines.length > 1 || position === 0) {
+        const last = lines[lines.length - 1];
+        return last ? JSON.parse(last) : null;
+      }
+    }
+    
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Takes the audit log lock so concurrent commands do not fork the hash chain
+ * @param {string} lockPath - Lock file path
+ * @returns {boolean} True if the lock was taken
+ */
+function acquireLock(lockPath) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  const sleeper = new Int32Array(new SharedArrayBuffer(4));
+  
+  while (Date.now() < deadline) {
+    try {
+      fs.closeSync(fs.openSync(lockPath, 'wx'));
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      
+      // A lock left behind by a killed process
+      try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_MS) {
+          fs.unlinkSync(lockPath);
+          continue;
+        }
+      } catch (statError) {
+        continue;
+      }
+      
+      Atomics.wait(sleeper, 0, 0, 20);
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * Appends an entry to the audit log, chained to the last one
+ * Runs synchronously, since it is called from the process exit handler
+ * @param {Object} entry - Entry without seq, prevHash and hash
+ * @returns {Object} The entry as written
+ */
+function appendAuditEntry(entry) {
+  const logPath = getAuditLogPath();
+  const lockPath = `${logPath}.lock`;
+  fs.mkdirSync(path.dirname(logPath), { recursive: true });
+  
+  if (!acquireLock(lockPath)) {
+    throw new Error(`Timed out waiting for ${lockPath}`);
+  }
+  
+  try {
+    const last = readLastEntry(logPath);
+    const chained = { seq: last ? last.seq + 1 : 1, ...entry, prevHash: last ? last.hash : GENESIS_HASH };
+    const written = { ...chained, hash: hashEntry(chained) };
+    
+    fs.appendFileSync(logPath, `${JSON.stringify(written)}\n`);
+    return written;
+  } finally {
+    fs.unlinkSync(lockPath);
+  }
+}
+
+/**
+ * Writes the running command's entry to the audit log
+ * @param {number} exitCode - Process exit code
+ */
+function finishAuditEntry(exitCode) {
+  if (!currentEntry) {
+    return;
+  }
+  
+  const { startedAt, ...entry } = currentEntry;
+  currentEntry = null;
+  
+  entry.durationMs = Date.now() - startedAt;
+  entry.result = entry.result || (exitCode === 0 ? 'success' : 'failure');
+  entry.operations = entry.operations.map(({ startedAt: operationStart, ...operation }) => operation);
+  
+  try {
+    appendAuditEntry(entry);
+  } catch (error) {
+    console.error(`Warning: Could not write the audit log: ${error.message}`);
+  }
+}
+
+/**
+ * Reads every entry of the audit log
+ * @returns {Array<Object>} Entries with their line number; lines that are not valid JSON have an error instead
+ */
+function readAuditLog() {
+  const logPath = getAuditLogPath();
+  
+  if (!fs.existsSync(logPath)) {
+    return [];
+  }
+  
+  return fs.readFileSync(logPath, 'utf8').split('\n').map((text, index) => ({ text, line: index + 1 }))
+    .filter(({ text }) => text.trim() !== '')
+    .map(({ text, line }) => {
+      try {
+        return { line, entry: JSON.parse(text) };
+      } catch (error) {
+        return { line, error: `Line is not valid JSON: ${error.message}` };
+      }
+    });
+}
+
+/**
+ * Checks the hash chain of the audit log
+ * An edited, inserted, reordered or deleted entry breaks the chain at that point
+ * @param {Array<Object>} [records=readAuditLog()] - Records returned by readAuditLog
+ * @returns {Object} Object with valid, entries, headHash, and line, seq and reason for the first broken entry
+ */
+function verifyAuditLog(records = readAuditLog()) {
+  let previous = null;
+  
+  for (const record of records) {
+    const fail = reason => ({ valid: false, entries: records.length, line: record.line, seq: record.entry ? record.entry.seq : null, reason });
+    
+    if (record.error) return fail(record.error);
+    
+    const { hash, ...entry } = record.entry;
+    const expectedSeq = previous ? previous.seq + 1 : 1;
+    const expectedPrevHash = previous ? previous.hash : GENESIS_HASH;
+    
+    if (entry.seq !== expectedSeq) return fail(`expected entry ${expectedSeq}, found ${entry.seq}`);
+    if (entry.prevHash !== expectedPrevHash) return fail('previous hash does not match the entry before it');
+    if (hashEntry(entry) !== hash) return fail('entry was modified after it was written');
+    
+    previous = record.entry;
+  }
+  
+  return { valid: true, entries: records.length, headHash: previous ? previous.hash : GENESIS_HASH };
+}
+
+module.exports = {
+  getAuditLogPath,
+  getCurrentUser,
+  redactText,
+  startAuditEntry,
+  setAuditConnection,
+  recordOperation,
+  completeOperation,
+  recordBackup,
+  markBlocked,
+  instrumentPgPool,
+  instrumentMongoClient,
+  readAuditLog,
+  verifyAuditLog
+};
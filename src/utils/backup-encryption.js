@@ -0,0 +1,282 @@
+// src/utils/backup-encryption.js
+// This file contains the streaming encryption used for temporary backups
+// Data is cut into chunks that are each sealed with AES-256-GCM, so a backup of any size is encrypted
+// and verified without holding it in memory, and a modified, reordered or truncated file is rejected
+
+const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// File layout: header, then records of [final flag (1)] [ciphertext length (4)] [ciphertext] [GCM tag (16)]
+// Header: magic (4), format version (1), flags (1), chunk size (4), nonce prefix (7)
+const MAGIC = Buffer.from('DBTB');
+const FORMAT_VERSION = 1;
+const HEADER_LENGTH = 17;
+const CHUNK_SIZE = 64 * 1024;
+const TAG_LENGTH = 16;
+const FLAG_GZIP = 1;
+
+/**
+ * Builds the nonce of a chunk from the file's random prefix, the chunk number and the final flag
+ * Authenticating the final flag means a file cut short at a chunk boundary is still detected
+ * @param {Buffer} prefix - 7 random bytes from the header
+ * @param {number} counter - Chunk number
+ * @param {boolean} final - Whether this is the last chunk
+ * @returns {Buffer} 12-byte GCM nonce
+ */
+function chunkNonce(prefix, counter, final) {
+  const nonce = Buffer.alloc(12);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(counter, 7);
+  nonce[11] = final ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Transform stream that encrypts its input into the chunked AES-256-GCM format
+ */
+class EncryptStream extends Transform {
+  /**
+   * @param {Buffer} key - 32-byte key
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.compressed=false] - Whether the input is gzip data (recorded in the header)
+   */
+  constructor(key, options = {}) {
+    super();
+    this.key = key;
+    this.prefix = crypto.randomBytes(7);
+    this.counter = 0;
+    this.pending = [];
+    this.pendingLength = 0;
+    
+    this.header = Buffer.alloc(HEADER_LENGTH);
+    MAGIC.copy(this.header, 0);
+    this.header[4] = FORMAT_VERSION;
+    this.header[5] = options.compressed ? FLAG_GZIP : 0;
+    this.header.writeUInt32BE(CHUNK_SIZE, 6);
+    this.prefix.copy(this.header, 10);
+    this.push(this.header);
+  }
+  
+  sealChunk(plaintext, final) {
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, chunkNonce(this.prefix, this.counter++, final));
+    cipher.setAAD(this.header);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    
+    const recordHeader = Buffer.alloc(5);
+    recordHeader[0] = final ? 1 : 0;
+    recordHeader.writeUInt32BE(ciphertext.length, 1);
+    this.push(Buffer.concat([recordHeader, ciphertext, cipher.getAuthTag()]));
+  }
+  
+  _transform(chunk, encoding, callback) {
+    this.pending.push(chunk);
+    this.pendingLength += chunk.length;
+    
+    if (this.pendingLength > CHUNK_SIZE) {
+      let buffered = Buffer.concat(this.pending);
+      
+      // Keep the remainder back, so the final chunk is never empty unless the input is
+      while (buffered.length > CHUNK_SIZE) {
+        this.sealChunk(buffered.subarray(0, CHUNK_SIZE), false);
+        buffered = buffered.subarray(CHUNK_SIZE);
+      }
+      
+      this.pending = [buffered];
+      this.pendingLength = buffered.length;
+    }
+    
+    callback();
+  }
+  
+  _flush(callback) {
+    this.sealChunk(Buffer.concat(this.pending), true);
+    callback();
+  }
+}
+
+/**
+ * Transform stream that decrypts the chunked AES-256-GCM format, failing on any modified or missing chunk
+ */
+class DecryptStream extends Transform {
+  /**
+   * @param {Buffer} key - 32-byte key
+   */
+  constructor(key) {
+    super();
+    this.key = key;
+    this.buffered = Buffer.alloc(0);
+    this.header = null;
+    this.counter = 0;
+    this.finished = false;
+  }
+  
+  _transform(chunk, encoding, callback) {
+    this.buffered = Buffer.concat([this.buffered, chunk]);
+    
+    try {
+      if (!this.header) {
+        if (this.buffered.length < HEADER_LENGTH) return callback();
+        this.header = parseHeader(this.buffered.subarray(0, HEADER_LENGTH));
+        this.buffered = this.buffered.subarray(HEADER_LENGTH);
+      }
+      
+      while (this.buffered.length >= 5) {
+        if (this.finished) {
+          throw new Error('Backup has data after its final chunk');
+        }
+        
+        const final = this.buffered[0] === 1;
+        const length = this.buffered.readUInt32BE(1);
+        if (length > this.header.chunkSize) {
+          throw new Error('Backup is corrupt (chunk larger than the chunk size)');
+        }
+        if (this.buffered.length < 5 + length + TAG_LENGTH) break;
+        
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, chunkNonce(this.header.prefix, this.counter++, final));
+        decipher.setAAD(this.header.raw);
+        decipher.setAuthTag(this.buffered.subarray(5 + length, 5 + length + TAG_LENGTH));
+        
+        try {
+          this.push(Buffer.concat([decipher.update(this.buffered.subarray(5, 5 + length)), decipher.final()]));
+        } catch (error) {
+          throw new Error(`Backup failed integrity verification at chunk ${this.counter} (wrong key, or the file was modified)`);
+        }
+        
+        this.buffered = this.buffered.subarray(5 + length + TAG_LENGTH);
+        this.finished = final;
+      }
+      
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+  
+  _flush(callback) {
+    if (this.finished && this.buffered.length > 0) {
+      return callback(new Error('Backup has data after its final chunk'));
+    }
+    
+    if (!this.finished) {
+      return callback(new Error('Backup is truncated (the final chunk is missing)'));
+    }
+    callback();
+  }
+}
+
+/**
+ * Parses the header of an encrypted backup
+ * @param {Buffer} raw - First HEADER_LENGTH bytes of the file
+ * @returns {Object} Header with version, compressed, chunkSize, prefix and raw
+ * @throws Will throw error if the bytes are not a backup header of a known version
+ */
+function parseHeader(raw) {
+  if (raw.length < HEADER_LENGTH || !raw.subarray(0, 4).equals(MAGIC)) {
+    throw new Error('Not an encrypted db-tools backup');
+  }
+  
+  if (raw[4] !== FORMAT_VERSION) {
+    throw new Error(`Unsupported backup format version ${raw[4]}`);
+  }
+  
+  return {
+    version: raw[4],
+    compressed: (raw[5] & FLAG_GZIP) !== 0,
+    chunkSize: raw.readUInt32BE(6),
+    prefix: raw.subarray(10, 17),
+    raw: Buffer.from(raw)
+  };
+}
+
+/**
+ * Reads the header of an encrypted backup file
+ * @param {string} filePath - Backup file path
+ * @returns {Object|null} Header returned by parseHeader, or null if the file is not in this format
+ */
+function readBackupHeader(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  
+  try {
+    const raw = Buffer.alloc(HEADER_LENGTH);
+    const read = fs.readSync(fd, raw, 0, HEADER_LENGTH, 0);
+    return parseHeader(raw.subarray(0, read));
+  } catch (error) {
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Generates a key for a new backup
+ * @returns {Buffer} 32 random bytes
+ */
+function generateBackupKey() {
+  return crypto.randomBytes(32);
+}
+
+/**
+ * Compresses (optionally) and encrypts a stream into a file
+ * @param {Readable} input - Data to back up
+ * @param {string} filePath - File to write (created with mode 600)
+ * @param {Buffer} key - 32-byte key
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.compress=true] - Gzip the data before encrypting it
+ * @returns {Promise<void>}
+ */
+async function encryptToFile(input, filePath, key, options = {}) {
+  const compress = options.compress !== false;
+  const stages = compress ? [zlib.createGzip()] : [];
+  
+  await pipeline(input, ...stages, new EncryptStream(key, { compressed: compress }), fs.createWriteStream(filePath, { mode: 0o600 }));
+}
+
+/**
+ * Decrypts (and decompresses) a backup file into a stream
+ * Output may already have been written when a later chunk fails verification; use verifyBackupFile first
+ * @param {string} filePath - Backup file path
+ * @param {Buffer} key - 32-byte key
+ * @param {Writable} output - Destination of the original data
+ * @returns {Promise<void>}
+ * @throws Will throw error if the file fails integrity verification
+ */
+async function decryptFromFile(filePath, key, output) {
+  const header = readBackupHeader(filePath);
+  if (!header) {
+    throw new Error(`${filePath} is not an encrypted db-tools backup`);
+  }
+  
+  const stages = header.compressed ? [zlib.createGunzip()] : [];
+  await pipeline(fs.createReadStream(filePath), new DecryptStream(key), ...stages, output);
+}
+
+/**
+ * Checks that a backup file decrypts completely with its key, without writing the data anywhere
+ * @param {string} filePath - Backup file path
+ * @param {Buffer} key - 32-byte key
+ * @returns {Promise<number>} Size of the original data in bytes
+ * @throws Will throw error if the file fails integrity verification
+ */
+async function verifyBackupFile(filePath, key) {
+  let size = 0;
+  
+  await decryptFromFile(filePath, key, new Writable({
+    write(chunk, encoding, callback) {
+      size += chunk.length;
+      callback();
+    }
+  }));
+  
+  return size;
+}
+
+module.exports = {
+  generateBackupKey,
+  readBackupHeader,
+  encryptToFile,
+  decryptFromFile,
+  verifyBackupFile
+};
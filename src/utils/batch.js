@@ -0,0 +1,372 @@
+// src/utils/batch.js
+// This file is used by batch-update and batch-delete to change many rows or documents in small chunks
+// Each chunk is its own short transaction, taken in primary key (or _id) order after the last key done,
+// with a pause between chunks, progress with an ETA, and a checkpoint file to resume from
+
+const fs = require('fs');
+const path = require('path');
+const { BSON } = require('mongodb');
+const db = require('./db');
+const { PERFORMANCE } = require('./constants');
+const { printDryRunSQL, estimateAffectedRows } = require('./dry-run');
+const { confirmAction } = require('./prompt');
+const chalk = require('chalk');
+
+// Pause between batches, so replicas, autovacuum and other sessions keep up
+const DEFAULT_BATCH_SLEEP = 100; // milliseconds
+
+/**
+ * Waits between batches
+ * @param {number} milliseconds - Time to wait
+ * @returns {Promise<void>}
+ */
+function sleep(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Formats a number of seconds as a short duration
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Duration such as "1h 5m", "3m 20s" or "12s"
+ */
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${total % 60}s`;
+  return `${total}s`;
+}
+
+/**
+ * Gets the checkpoint file of a batch job
+ * @param {Object} job - Batch job with command and table
+ * @param {Object} options - Command options
+ * @param {string} [options.checkpoint] - Checkpoint file given on the command line
+ * @returns {string} Absolute path of the checkpoint file
+ */
+function getCheckpointPath(job, options) {
+  const name = `${job.command}_${job.table.replace(/[^a-zA-Z0-9_.-]/g, '_')}.checkpoint.json`;
+  return path.resolve(options.checkpoint || name);
+}
+
+/**
+ * Reads the checkpoint a batch job resumes from
+ * @param {string} file - Checkpoint file
+ * @param {Object} job - Batch job with command, project, database, table, where and set
+ * @returns {Object|null} Checkpoint with total, lastKey, done, batches and startedAt, or null if there is none
+ * @throws Will throw error if the checkpoint was written for a different job
+ */
+function readCheckpoint(file, job) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  
+  const checkpoint = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const changed = ['command', 'project', 'database', 'table', 'where', 'set']
+    .filter(field => JSON.stringify(checkpoint.job[field]) !== JSON.stringify(job[field]));
+  
+  if (changed.length > 0) {
+    throw new Error(`Checkpoint ${file} was written for a different job (${changed.join(', ')} differ)`);
+  }
+  
+  return checkpoint;
+}
+
+/**
+ * Writes the checkpoint of a batch job, replacing the file in one step so an interrupted write leaves the previous one
+ * @param {string} file - Checkpoint file
+ * @param {Object} checkpoint - Checkpoint with job, total, lastKey, done, batches and startedAt
+ */
+function writeCheckpoint(file, checkpoint) {
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() }, null, 2));
+  fs.renameSync(temporary, file);
+}
+
+/**
+ * Runs the batches of a job until none is left, printing progress and keeping the checkpoint up to date
+ * Ctrl+C stops after the batch in progress, with the checkpoint pointing past it
+ * @param {Object} job - Batch job with command, project, database, table, where and set
+ * @param {Function} runBatch - Called with the last key done (null at the start); returns the rows changed and the batch's last key,
+ * or null when no rows are left
+ * @param {Object} settings - Settings
+ * @param {number} settings.total - Rows expected to change, for the progress and ETA
+ * @param {string} settings.checkpointFile - Checkpoint file
+ * @param {Object|null} settings.checkpoint - Checkpoint to resume from
+ * @param {number} settings.sleep - Pause between batches in milliseconds
+ * @returns {Promise<Object>} Object with done (rows changed), batches, and interrupted (true if stopped by Ctrl+C)
+ */
+async function runBatches(job, runBatch, { total, checkpointFile, checkpoint, sleep: pause }) {
+  const state = checkpoint
+    ? { ...checkpoint, job }
+    : { job, total, lastKey: null, done: 0, batches: 0, startedAt: new Date().toISOString() };
+  const startDone = state.done;
+  const started = Date.now();
+  let interrupted = false;
+  const onInterrupt = () => {
+    interrupted = true;
+    console.log(chalk.yellow('\n⚠ Stopping after the current batch...'));
+  };
+  
+  process.on('SIGINT', onInterrupt);
+  
+  try {
+    while (!interrupted) {
+      const batch = await runBatch(state.lastKey);
+      if (!batch) break;
+      
+      state.lastKey = batch.lastKey;
+      state.done += batch.changed;
+      state.batches++;
+      writeCheckpoint(checkpointFile, state);
+      
+      // The rate only counts this run, so a resumed job does not report the rows of earlier runs as instant
+      const seconds = (Date.now() - started) / 1000;
+      const rate = seconds > 0 ? (state.done - startDone) / seconds : 0;
+      const remaining = Math.max(total - state.done, 0);
+      const percent = total > 0 ? ` (${Math.min(100, (state.done / total) * 100).toFixed(1)}%)` : '';
+      const eta = rate > 0 ? `, ETA ${formatDuration(remaining / rate)}` : '';
+      console.log(chalk.gray(`Batch ${state.batches}: ${state.done}/${total} row(s)${percent}, ${Math.round(rate)} row(s)/s${eta}`));
+      
+      if (pause > 0) {
+        await sleep(pause);
+      }
+    }
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+  
+  return { done: state.done, batches: state.batches, interrupted };
+}
+
+/**
+ * Reads the primary key columns of a table with their types
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} qualifiedTable - Quoted, schema-qualified table name
+ * @returns {Promise<Array<Object>>} Key columns (name, type) in key order; empty if the table has no primary key
+ */
+async function getPrimaryKey(pool, qualifiedTable) {
+  const { rows } = await pool.query(`
+    SELECT a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type
+    FROM pg_index i
+    JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+    WHERE i.indrelid = to_regclass($1) AND i.indisprimary
+    ORDER BY array_position(i.indkey::int2[], a.attnum)
+  `, [qualifiedTable]);
+  
+  return rows;
+}
+
+/**
+ * Builds the statement that changes one batch of a PostgreSQL table
+ * The batch is the next rows matching the WHERE clause in primary key order after the last key done, locked while they change;
+ * the statement returns the batch's last key and how many rows it changed
+ * @param {string} qualifiedTable - Quoted, schema-qualified table name
+ * @param {Array<Object>} key - Primary key columns (name, type)
+ * @param {Object} job - Batch job with command (batch-update or batch-delete), where and set
+ * @param {number} batchSize - Rows per batch
+ * @param {boolean} first - Whether this is the first batch, which has no last key to start after
+ * @returns {string} SQL taking the last key as $1, $2, ... (one parameter per key column, as text)
+ */
+function buildPostgresBatchStatement(qualifiedTable, key, job, batchSize, first) {
+  const quote = db.postgres.quoteIdentifier;
+  const keyColumns = key.map(column => quote(column.name)).join(', ');
+  const batchColumns = key.map((column, index) => `${quote(column.name)} AS batch_key_${index}`).join(', ');
+  const lastKey = key.map((column, index) => `$${index + 1}::${column.type}`).join(', ');
+  const after = first ? '' : ` AND (${keyColumns}) > (${lastKey})`;
+  const matchBatch = key.map((column, index) => `${qualifiedTable}.${quote(column.name)} = batch.batch_key_${index}`).join(' AND ');
+  const descending = key.map((column, index) => `batch_key_${index} DESC`).join(', ');
+  
+  const change = job.command === 'batch-delete'
+    ? `DELETE FROM ${qualifiedTable} USING batch WHERE ${matchBatch} RETURNING 1`
+    : `UPDATE ${qualifiedTable} SET ${job.set} FROM batch WHERE ${matchBatch} RETURNING 1`;
+  
+  return `WITH batch AS (
+  SELECT ${batchColumns} FROM ${qualifiedTable}
+  WHERE (${job.where})${after}
+  ORDER BY ${keyColumns} LIMIT ${batchSize} FOR UPDATE
+), changed AS (
+  ${change}
+)
+SELECT ${key.map((column, index) => `last.batch_key_${index}::text`).join(', ')}, (SELECT COUNT(*) FROM changed) AS changed
+FROM (SELECT * FROM batch ORDER BY ${descending} LIMIT 1) last`;
+}
+
+/**
+ * Returns a batch runner for runBatches that changes a PostgreSQL table in primary key chunks
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} qualifiedTable - Quoted, schema-qualified table name
+ * @param {Array<Object>} key - Primary key columns (name, type)
+ * @param {Object} job - Batch job with command, where and set
+ * @param {number} batchSize - Rows per batch
+ * @returns {Function} Batch runner taking the last key (text values) and returning changed and lastKey, or null when done
+ */
+function createPostgresBatchRunner(pool, qualifiedTable, key, job, batchSize) {
+  return async lastKey => {
+    const result = await pool.query({
+      text: buildPostgresBatchStatement(qualifiedTable, key, job, batchSize, lastKey === null),
+      values: lastKey || [],
+      rowMode: 'array'
+    });
+    
+    if (result.rows.length === 0) {
+      return null;
+    }
+    
+    const row = result.rows[0];
+    return { lastKey: row.slice(0, key.length), changed: parseInt(row[key.length]) };
+  };
+}
+
+/**
+ * Returns a batch runner for runBatches that changes a MongoDB collection in _id ranges
+ * Each batch finds the next _id values matching the filter and sends one bulkWrite for the range they span
+ * @param {Object} mongoDb - MongoDB database instance
+ * @param {Object} job - Batch job with command, table (collection), where (filter) and set (update document)
+ * @param {number} batchSize - Documents per batch
+ * @returns {Function} Batch runner taking the last _id (Extended JSON) and returning changed and lastKey, or null when done
+ */
+function createMongoBatchRunner(mongoDb, job, batchSize) {
+  const collection = mongoDb.collection(job.table);
+  
+  return async lastKey => {
+    const after = lastKey === null ? job.where : { $and: [job.where, { _id: { $gt: BSON.EJSON.parse(lastKey) } }] };
+    const ids = await collection.find(after, { projection: { _id: 1 }, sort: { _id: 1 }, limit: batchSize }).toArray();
+    
+    if (ids.length === 0) {
+      return null;
+    }
+    
+    const range = { $and: [job.where, { _id: { $gte: ids[0]._id, $lte: ids[ids.length - 1]._id } }] };
+    const operation = job.command === 'batch-delete'
+      ? { deleteMany: { filter: range } }
+      : { updateMany: { filter: range, update: job.set } };
+    const result = await collection.bulkWrite([operation], { ordered: true });
+    
+    return {
+      lastKey: BSON.EJSON.stringify(ids[ids.length - 1]._id, { relaxed: false }),
+      changed: job.command === 'batch-delete' ? result.deletedCount : result.modifiedCount
+    };
+  };
+}
+
+/**
+ * Runs a batch-update or batch-delete job: counts the rows, confirms, then changes them batch by batch
+ * @param {Object} dbConnection - Database connection with type and connection
+ * @param {Object} job - Batch job
+ * @param {string} job.command - batch-update or batch-delete
+ * @param {string} job.project - Project name
+ * @param {string} [job.database] - Database given with --database
+ * @param {string} job.table - Table or collection
+ * @param {string|Object} job.where - WHERE clause, or filter document for MongoDB
+ * @param {string|Object} [job.set] - SET expression, or update document for MongoDB (batch-update only)
+ * @param {Object} options - Command options
+ * @param {number} [options.batchSize] - Rows per batch
+ * @param {number} [options.sleep] - Pause between batches in milliseconds
+ * @param {string} [options.checkpoint] - Checkpoint file
+ * @param {boolean} [options.resume] - Continue from the checkpoint of an earlier run
+ * @param {boolean} [options.dryRun] - Show the count and the batch statement without changing anything
+ * @param {boolean} [options.force] - Skip the confirmation prompt
+ * @returns {Promise<boolean>} True if every batch ran (or the dry run finished), false otherwise
+ */
+async function executeBatchJob(dbConnection, job, options = {}) {
+  const batchSize = options.batchSize || PERFORMANCE.BATCH_SIZE;
+  const pause = options.sleep !== undefined ? options.sleep : DEFAULT_BATCH_SLEEP;
+  const action = job.command === 'batch-delete' ? 'delete' : 'update';
+  
+  if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > PERFORMANCE.MAX_BATCH_SIZE) {
+    console.error(chalk.red(`✗ --batch-size must be between 1 and ${PERFORMANCE.MAX_BATCH_SIZE}`));
+    return false;
+  }
+  
+  const checkpointFile = getCheckpointPath(job, options);
+  const checkpoint = readCheckpoint(checkpointFile, job);
+  
+  if (checkpoint && !options.resume && !options.dryRun) {
+    console.error(chalk.red(`✗ An earlier run stopped after ${checkpoint.done} row(s); its checkpoint is ${checkpointFile}`));
+    console.log(chalk.yellow('Use --resume to continue it, or delete the checkpoint to start over'));
+    return false;
+  }
+  
+  if (options.resume && !checkpoint) {
+    console.log(chalk.yellow(`No checkpoint at ${checkpointFile}; starting from the beginning`));
+  }
+  
+  let runBatch;
+  let statement;
+  let countTable = job.table;
+  
+  if (dbConnection.type === 'postgres') {
+    const pool = dbConnection.connection;
+    countTable = db.postgres.quoteTableName(pool, job.table);
+    const key = await getPrimaryKey(pool, countTable);
+    
+    if (key.length === 0) {
+      console.error(chalk.red(`✗ Table "${job.table}" has no primary key, so it cannot be changed in batches`));
+      return false;
+    }
+    
+    runBatch = createPostgresBatchRunner(pool, countTable, key, job, batchSize);
+    statement = buildPostgresBatchStatement(countTable, key, job, batchSize, false);
+  } else {
+    runBatch = createMongoBatchRunner(dbConnection.connection.db, job, batchSize);
+    statement = `db.${job.table}.bulkWrite([{ ${action === 'delete' ? 'deleteMany' : 'updateMany'}: { filter: { $and: [${BSON.EJSON.stringify(job.where)}, { _id: { $gte: <first>, $lte: <last> } }] }${job.set ? `, update: ${BSON.EJSON.stringify(job.set)}` : ''} } }])`;
+  }
+  
+  // A resumed job keeps the count taken when it started, so the progress carries on from where it was
+  const total = checkpoint ? checkpoint.total : await estimateAffectedRows(dbConnection, countTable, job.where);
+  
+  console.log(chalk.cyan(`\n=== ${job.command} on "${job.table}" ===`));
+  console.log(chalk.white(`${total} row(s) match; batches of ${batchSize} with a ${pause}ms pause between them`));
+  if (checkpoint) {
+    console.log(chalk.white(`Resuming after ${checkpoint.done} row(s) in ${checkpoint.batches} batch(es), started at ${checkpoint.startedAt}`));
+  }
+  console.log(chalk.gray(`Checkpoint: ${checkpointFile}`));
+  
+  if (options.dryRun) {
+    printDryRunSQL('Statement run for each batch', statement, { affectedRows: total });
+    console.log(chalk.cyan('\nDry run: nothing was changed'));
+    return true;
+  }
+  
+  if (total === 0 && !checkpoint) {
+    console.log(chalk.green('✓ No rows match; nothing to do'));
+    return true;
+  }
+  
+  if (!options.force) {
+    const confirm = await confirmAction(chalk.red(`Are you sure you want to ${action} ${total} row(s) of "${job.table}"?`));
+    
+    if (!confirm) {
+      console.log('Operation canceled');
+      return false;
+    }
+  }
+  
+  let outcome;
+  try {
+    outcome = await runBatches(job, runBatch, { total, checkpointFile, checkpoint, sleep: pause });
+  } catch (error) {
+    console.error(chalk.red(`✗ Batch failed: ${error.message}`));
+    if (fs.existsSync(checkpointFile)) {
+      console.log(chalk.yellow(`Earlier batches were committed; fix the problem and run the same command with --resume to continue`));
+    }
+    return false;
+  }
+  
+  if (outcome.interrupted) {
+    console.log(chalk.yellow(`Stopped after ${outcome.done} row(s); run the same command with --resume to continue`));
+    return false;
+  }
+  
+  fs.rmSync(checkpointFile, { force: true });
+  console.log(chalk.green(`✓ ${action === 'delete' ? 'Deleted' : 'Updated'} ${outcome.done} row(s) of "${job.table}" in ${outcome.batches} batch(es)`));
+  return true;
+}
+
+module.exports = {
+  executeBatchJob,
+  DEFAULT_BATCH_SLEEP
+};
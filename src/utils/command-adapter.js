@@ -61,15 +61,16 @@ function createCommandAdapter(implementation) {
       const newArgs = [...args];
       newArgs[0] = connection;
       
+      if (cmd) {
+        newArgs.pop(); // Remove cmd if present
+      }
+      
       // For commands that need the connection info (like backup), pass it as the last argument
+      // This comes after removing cmd, so the connection info is not the argument removed
       if (implementation.length > newArgs.length) {
         newArgs.push(dbConnection.raw); // Add raw connection info as the last argument
       }
       
-      if (cmd) {
-        newArgs.pop(); // Remove cmd if present
-      }
-      
       return await implementation(...newArgs);
     } catch (error) {
       console.error(chalk.red(`Error executing command:`), error.message);
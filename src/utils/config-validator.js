@@ -251,6 +251,34 @@ function validateConnectionObject(conn, index) {
     }
   }
 
+  // Validate default schema field if present (PostgreSQL only)
+  if (conn.schema !== undefined) {
+    if (typeof conn.schema !== 'string' || conn.schema.trim() === '') {
+      result.errors.push({
+        type: 'invalid_schema',
+        message: `${prefix}: Invalid schema ${JSON.stringify(conn.schema)}`,
+        suggestion: 'Set "schema" to the name of a PostgreSQL schema, such as "app"'
+      });
+      result.isValid = false;
+    } else if (result.detectedType === 'mongodb') {
+      result.warnings.push({
+        type: 'unused_schema',
+        message: `${prefix}: The "schema" field only applies to PostgreSQL connections`,
+        suggestion: 'Remove the "schema" field from this MongoDB connection'
+      });
+    }
+  }
+  
+  // Validate environment field if present (selects a section of the safety policy)
+  if (conn.environment !== undefined && (typeof conn.environment !== 'string' || conn.environment.trim() === '')) {
+    result.errors.push({
+      type: 'invalid_environment',
+      message: `${prefix}: Invalid environment ${JSON.stringify(conn.environment)}`,
+      suggestion: 'Set "environment" to a name such as "production" that matches a section of db-tools.policy.json'
+    });
+    result.isValid = false;
+  }
+  
   return result;
 }
 
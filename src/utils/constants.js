@@ -95,8 +95,16 @@ const POSTGRES = {
     RELATION_NOT_FOUND: '42P01',
     COLUMN_NOT_FOUND: '42703',
     DUPLICATE_COLUMN: '42701',
-    SYNTAX_ERROR: '42601'
-  }
+    SYNTAX_ERROR: '42601',
+    LOCK_NOT_AVAILABLE: '55P03',
+    QUERY_CANCELED: '57014'
+  },
+  
+  // Timeouts for DDL run by add-column, create-index, rename-table and remove-column
+  DDL_LOCK_TIMEOUT: '5s',
+  DDL_STATEMENT_TIMEOUT: '30min',
+  DDL_LOCK_RETRIES: 3,
+  DDL_RETRY_DELAY: 2000 // milliseconds, doubled after each attempt
 };
 
 /**
@@ -1,17 +1,19 @@
 // src/utils/db/mongodb.js
 // This file contains MongoDB-specific database utility functions
 
-const { MongoClient } = require('mongodb');
+const { MongoClient, BSON } = require('mongodb');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { execSync } = require('child_process');
+const { instrumentMongoClient } = require('../audit');
 
 /**
  * Creates a MongoDB client connection for a specific project
  * @param {Object} connection - Database connection configuration object
  * @param {Object} options - Additional connection options
  * @param {string} [options.database] - Optional database name to override the default in connection URI
+ * @param {boolean} [options.audit=true] - Record the commands sent through the client in the audit log
  * @returns {Promise<Object>} MongoDB client and database instance
  */
 async function createClient(connection, options = {}) {
@@ -29,9 +31,12 @@ async function createClient(connection, options = {}) {
         dbName = uriParts[3].split('?')[0]; // Remove query parameters if they exist
       }
     }
-
-    // Create MongoDB client
-    const client = new MongoClient(connectionUri);
+    
+    // Create MongoDB client; command monitoring feeds the audit log
+    const client = new MongoClient(connectionUri, { monitorCommands: options.audit !== false });
+    if (options.audit !== false) {
+      instrumentMongoClient(client);
+    }
     await client.connect();
     
     // Use the specified database
@@ -286,6 +291,104 @@ async function getCollectionIndexes(db, collectionName) {
   }
 }
 
+/**
+ * Gets the BSON type name of a value, using the names MongoDB uses in $type queries
+ * @param {*} value - Field value
+ * @returns {string} BSON type name (e.g. "string", "int", "objectId", "date")
+ */
+function getBsonType(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  if (value instanceof RegExp) return 'regex';
+  if (typeof value === 'string') return 'string';
+  if (typeof value === 'boolean') return 'bool';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'double';
+  
+  // Driver classes identify themselves with _bsontype
+  const bsonTypes = { ObjectId: 'objectId', Decimal128: 'decimal', Long: 'long', Int32: 'int', Double: 'double', Binary: 'binData', Timestamp: 'timestamp', UUID: 'binData' };
+  if (value._bsontype) return bsonTypes[value._bsontype] || value._bsontype.toLowerCase();
+  
+  return 'object';
+}
+
+/**
+ * Samples documents from a collection and records the types seen for every field path
+ * Nested objects use dot paths; objects inside arrays use "field[*].child"
+ * @param {Object} db - MongoDB database instance
+ * @param {string} collectionName - Name of the collection
+ * @param {number} [sampleSize=100] - Number of documents to sample
+ * @returns {Promise<Object>} Object with sampled (document count) and fields (path -> { types, count })
+ */
+async function sampleCollectionFields(db, collectionName, sampleSize = 100) {
+  const documents = await db.collection(collectionName).aggregate([{ $sample: { size: sampleSize } }]).toArray();
+  const fields = {};
+  
+  const record = (fieldPath, value, counted) => {
+    if (!fields[fieldPath]) {
+      fields[fieldPath] = { types: new Set(), count: 0 };
+    }
+    
+    // Only count each path once per document, even when it appears in several array elements
+    if (!counted.has(fieldPath)) {
+      fields[fieldPath].count++;
+      counted.add(fieldPath);
+    }
+    
+    const type = getBsonType(value);
+    fields[fieldPath].types.add(type);
+    
+    if (type === 'object') {
+      Object.entries(value).forEach(([key, child]) => record(`${fieldPath}.${key}`, child, counted));
+    } else if (type === 'array') {
+      value
+        .filter(element => getBsonType(element) === 'object')
+        .forEach(element => Object.entries(element).forEach(([key, child]) => record(`${fieldPath}[*].${key}`, child, counted)));
+    }
+  };
+  
+  documents.forEach(doc => {
+    const counted = new Set();
+    Object.entries(doc).forEach(([key, value]) => record(key, value, counted));
+  });
+  
+  Object.values(fields).forEach(field => {
+    field.types = Array.from(field.types).sort();
+  });
+  
+  return { sampled: documents.length, fields };
+}
+
+/**
+ * Writes the documents matching a filter to a file as canonical Extended JSON, one document per line
+ * The file can be loaded back with mongoimport, which keeps types such as ObjectId and Date
+ * @param {Object} db - MongoDB database instance
+ * @param {string} collectionName - Name of the collection
+ * @param {Object} [filter={}] - Query filter
+ * @param {string} outputFile - File to write
+ * @param {Object} [options={}] - Export options
+ * @param {number} [options.limit] - Maximum number of documents to write
+ * @returns {Promise<number>} Number of documents written
+ */
+async function exportDocuments(db, collectionName, filter = {}, outputFile, options = {}) {
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+  
+  const cursor = db.collection(collectionName).find(filter, options.limit ? { limit: options.limit } : {});
+  const fd = fs.openSync(outputFile, 'w');
+  let written = 0;
+  
+  try {
+    for await (const doc of cursor) {
+      fs.writeSync(fd, `${BSON.EJSON.stringify(doc, { relaxed: false })}\n`);
+      written++;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  
+  return written;
+}
+
 /**
  * Checks if mongodump/mongorestore tools are available
  * @param {string} tool - Name of the MongoDB tool to check (e.g., 'mongodump', 'mongorestore')
@@ -487,23 +590,36 @@ async function restoreDatabase(connection, backupFile, options = {}) {
   }
 }
 
+/**
+ * Creates the migrations collection if it does not exist yet
+ * Collections cannot always be created inside a transaction, so call this before starting one
+ * @param {Object} db - MongoDB database instance
+ * @returns {Promise<void>}
+ */
+async function ensureMigrationsCollection(db) {
+  const collections = await db.listCollections({ name: 'migrations' }).toArray();
+  if (collections.length === 0) {
+    await db.createCollection('migrations');
+  }
+}
+
 /**
  * Records an applied migration in the migrations collection
  * @param {Object} db - MongoDB database instance
  * @param {string} migrationName - Name of the migration
  * @param {Object} operations - Operations performed in the migration
+ * @param {Object} [session=null] - Session of the transaction the migration runs in, if any
  * @returns {Promise<Object>} Result object with applied status and message
  */
-async function trackMigration(db, migrationName, operations) {
+async function trackMigration(db, migrationName, operations, session = null) {
   try {
     // Check if migrations collection exists, create if not
-    const collections = await db.listCollections({ name: 'migrations' }).toArray();
-    if (collections.length === 0) {
-      await db.createCollection('migrations');
+    if (!session) {
+      await ensureMigrationsCollection(db);
     }
     
     // Check if migration has already been applied
-    const existingMigration = await db.collection('migrations').findOne({ name: migrationName });
+    const existingMigration = await db.collection('migrations').findOne({ name: migrationName }, { session });
     
     if (existingMigration) {
       return { applied: false, message: `Migration ${migrationName} has already been applied` };
@@ -514,7 +630,7 @@ async function trackMigration(db, migrationName, operations) {
       name: migrationName,
       applied_at: new Date(),
       operations: operations
-    });
+    }, { session });
     
     return { applied: true, message: `Migration ${migrationName} tracked successfully` };
   } catch (error) {
@@ -523,6 +639,33 @@ async function trackMigration(db, migrationName, operations) {
   }
 }
 
+/**
+ * Removes an applied migration from the migrations collection after it has been rolled back
+ * @param {Object} db - MongoDB database instance
+ * @param {string} migrationName - Name of the migration
+ * @param {Object} [session=null] - Session of the transaction the rollback runs in, if any
+ * @returns {Promise<boolean>} True if a migration record was removed, false otherwise
+ */
+async function untrackMigration(db, migrationName, session = null) {
+  const result = await db.collection('migrations').deleteOne({ name: migrationName }, { session });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Checks whether the deployment supports multi-document transactions
+ * Transactions need a replica set or a sharded cluster; standalone servers do not support them
+ * @param {Object} db - MongoDB database instance
+ * @returns {Promise<boolean>} True if transactions can be used
+ */
+async function supportsTransactions(db) {
+  try {
+    const hello = await db.admin().command({ hello: 1 });
+    return Boolean(hello.setName || hello.msg === 'isdbgrid');
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * Checks if a specific migration has been applied
  * @param {Object} db - MongoDB database instance
@@ -585,9 +728,14 @@ module.exports = {
   fieldExists,
   indexExists,
   getCollectionIndexes,
+  sampleCollectionFields,
+  exportDocuments,
   createDatabaseBackup,
   restoreDatabase,
+  ensureMigrationsCollection,
   trackMigration,
+  untrackMigration,
+  supportsTransactions,
   isMigrationApplied,
   getAppliedMigrations,
   isMongoToolAvailable
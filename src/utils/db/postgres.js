@@ -7,12 +7,25 @@ const fs = require('fs');
 const path = require('path');
 const { execSync, spawnSync } = require('child_process');
 const crypto = require('crypto');
+const { instrumentPgPool } = require('../audit');
+
+const DEFAULT_SCHEMA = 'public';
+
+// Schema in which each pool resolves unqualified table names (from --schema or the connection's "schema" field)
+const poolSchemas = new WeakMap();
+
+// Matches schema.table, with either part optionally double-quoted
+const QUALIFIED_NAME = /^(?:"((?:[^"]|"")+)"|([^."]+))\.(?:"((?:[^"]|"")+)"|([^."]+))$/;
 
 /**
  * Creates a PostgreSQL connection pool for a specific project
  * @param {Object} connection - Database connection configuration object
+ * @param {string} [connection.schema] - Default schema for unqualified table names
  * @param {Object} options - Additional connection options
  * @param {string} [options.database] - Optional database name to override the default in connection URI
+ * @param {string} [options.schema] - Schema to override the connection's default schema
+ * @param {boolean} [options.readOnly] - Open read-only sessions (default_transaction_read_only)
+ * @param {boolean} [options.audit=true] - Record the statements run through the pool in the audit log
  * @returns {Pool} PostgreSQL connection pool
  */
 function createPool(connection, options = {}) {
@@ -34,11 +47,90 @@ function createPool(connection, options = {}) {
     }
   }
   
-  return new Pool({
+  const pool = new Pool({
     connectionString: connectionUri,
     // IMPORTANT: This allows the Node.js process to exit when idle
-    allowExitOnIdle: true
+    allowExitOnIdle: true,
+    // Read-only projects (see the safety policy) get sessions in which PostgreSQL itself rejects writes
+    ...(options.readOnly ? { options: '-c default_transaction_read_only=on' } : {})
   });
+  
+  poolSchemas.set(pool, options.schema || connection.schema || DEFAULT_SCHEMA);
+  // Clients checked out for a transaction resolve names in the same schema as their pool
+  pool.on('connect', client => poolSchemas.set(client, poolSchemas.get(pool)));
+  
+  if (options.audit !== false) {
+    instrumentPgPool(pool);
+  }
+  
+  return pool;
+}
+
+/**
+ * Gets the schema in which a pool resolves unqualified table names
+ * @param {Pool|Client} pool - PostgreSQL connection pool, or a client checked out of one
+ * @returns {string} Schema name ("public" unless configured otherwise)
+ */
+function getSchemaName(pool) {
+  return poolSchemas.get(pool) || DEFAULT_SCHEMA;
+}
+
+/**
+ * Splits a table identifier into schema and table name
+ * @param {Pool} pool - PostgreSQL connection pool, whose schema is used for unqualified names
+ * @param {string} tableName - Table name, optionally qualified (e.g. "users" or "audit.events")
+ * @returns {Object} Object with schema and table
+ */
+function parseTableName(pool, tableName) {
+  const match = tableName.match(QUALIFIED_NAME);
+  
+  if (!match) {
+    return { schema: getSchemaName(pool), table: tableName };
+  }
+  
+  return {
+    schema: match[1] !== undefined ? match[1].replace(/""/g, '"') : match[2],
+    table: match[3] !== undefined ? match[3].replace(/""/g, '"') : match[4]
+  };
+}
+
+/**
+ * Quotes an identifier for use in SQL
+ * @param {string} name - Identifier
+ * @returns {string} Double-quoted identifier
+ */
+function quoteIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Builds the schema-qualified, quoted name of a table for use in SQL
+ * @param {Pool} pool - PostgreSQL connection pool, whose schema is used for unqualified names
+ * @param {string} tableName - Table name, optionally qualified
+ * @returns {string} Quoted name, e.g. "audit"."events"
+ */
+function quoteTableName(pool, tableName) {
+  const { schema, table } = parseTableName(pool, tableName);
+  return `${quoteIdentifier(schema)}.${quoteIdentifier(table)}`;
+}
+
+/**
+ * Lists the schemas in the database, excluding PostgreSQL's internal schemas
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @returns {Promise<Array<Object>>} Schemas (schema_name, owner, table_count)
+ */
+async function listSchemas(pool) {
+  const query = `
+    SELECT 
+      n.nspname AS schema_name,
+      pg_get_userbyid(n.nspowner) AS owner,
+      (SELECT COUNT(*)::int FROM pg_class c WHERE c.relnamespace = n.oid AND c.relkind IN ('r', 'p')) AS table_count
+    FROM pg_namespace n
+    WHERE n.nspname <> 'information_schema' AND n.nspname NOT LIKE 'pg\\_%'
+    ORDER BY n.nspname;
+  `;
+  const result = await executeQuery(pool, query);
+  return result.rows;
 }
 
 /**
@@ -92,28 +184,30 @@ async function executeTransaction(pool, queries) {
 }
 
 /**
- * Lists all tables in the database
+ * Lists all tables in a schema
  * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} [schemaName] - Schema to list (default: the pool's schema)
  * @returns {Promise<Array<string>>} Array of table names
  */
-async function listTables(pool) {
+async function listTables(pool, schemaName = getSchemaName(pool)) {
   const query = `
     SELECT table_name 
     FROM information_schema.tables 
-    WHERE table_schema = 'public' 
+    WHERE table_schema = $1 
     ORDER BY table_name;
   `;
-  const result = await executeQuery(pool, query);
+  const result = await executeQuery(pool, query, [schemaName]);
   return result.rows.map(row => row.table_name);
 }
 
 /**
  * Gets information about columns in a table
  * @param {Pool} pool - PostgreSQL connection pool
- * @param {string} tableName - Name of the table
+ * @param {string} tableName - Name of the table, optionally schema-qualified
  * @returns {Promise<Array<Object>>} Array of column information objects
  */
 async function getTableColumns(pool, tableName) {
+  const { schema, table } = parseTableName(pool, tableName);
   const query = `
     SELECT 
       column_name, 
@@ -124,77 +218,82 @@ async function getTableColumns(pool, tableName) {
       numeric_precision,
       numeric_scale
     FROM information_schema.columns
-    WHERE table_schema = 'public' AND table_name = $1
+    WHERE table_schema = $1 AND table_name = $2
     ORDER BY ordinal_position;
   `;
-  const result = await executeQuery(pool, query, [tableName]);
+  const result = await executeQuery(pool, query, [schema, table]);
   return result.rows;
 }
 
 /**
  * Checks if a table exists in the database
  * @param {Pool} pool - PostgreSQL connection pool
- * @param {string} tableName - Name of the table to check
+ * @param {string} tableName - Name of the table to check, optionally schema-qualified
  * @returns {Promise<boolean>} True if table exists, false otherwise
  */
 async function tableExists(pool, tableName) {
+  const { schema, table } = parseTableName(pool, tableName);
   const query = `
     SELECT EXISTS (
       SELECT FROM information_schema.tables 
-      WHERE table_schema = 'public' AND table_name = $1
+      WHERE table_schema = $1 AND table_name = $2
     );
   `;
-  const result = await executeQuery(pool, query, [tableName]);
+  const result = await executeQuery(pool, query, [schema, table]);
   return result.rows[0].exists;
 }
 
 /**
  * Checks if a column exists in a specific table
  * @param {Pool} pool - PostgreSQL connection pool
- * @param {string} tableName - Name of the table
+ * @param {string} tableName - Name of the table, optionally schema-qualified
  * @param {string} columnName - Name of the column to check
  * @returns {Promise<boolean>} True if column exists, false otherwise
  */
 async function columnExists(pool, tableName, columnName) {
+  const { schema, table } = parseTableName(pool, tableName);
   const query = `
     SELECT EXISTS (
       SELECT FROM information_schema.columns 
-      WHERE table_schema = 'public' 
-      AND table_name = $1 
-      AND column_name = $2
+      WHERE table_schema = $1 
+      AND table_name = $2 
+      AND column_name = $3
     );
   `;
-  const result = await executeQuery(pool, query, [tableName, columnName]);
+  const result = await executeQuery(pool, query, [schema, table, columnName]);
   return result.rows[0].exists;
 }
 
 /**
  * Checks if an index exists for a specific table and column
  * @param {Pool} pool - PostgreSQL connection pool
- * @param {string} tableName - Name of the table
+ * @param {string} tableName - Name of the table, optionally schema-qualified
  * @param {string} columnName - Name of the column to check for index
  * @returns {Promise<boolean>} True if index exists, false otherwise
  */
 async function indexExists(pool, tableName, columnName) {
+  const { schema, table } = parseTableName(pool, tableName);
   const query = `
     SELECT EXISTS (
       SELECT 1
       FROM pg_indexes
-      WHERE tablename = $1
-      AND indexdef LIKE '%(' || $2 || ')%'
+      WHERE schemaname = $1
+      AND tablename = $2
+      AND indexdef LIKE '%(' || $3 || ')%'
     );
   `;
-  const result = await executeQuery(pool, query, [tableName, columnName]);
+  const result = await executeQuery(pool, query, [schema, table, columnName]);
   return result.rows[0].exists;
 }
 
 /**
  * Gets all constraints for a table
  * @param {Pool} pool - PostgreSQL connection pool
- * @param {string} tableName - Name of the table
+ * @param {string} tableName - Name of the table, optionally schema-qualified
  * @returns {Promise<Array<Object>>} Array of constraint information objects
  */
 async function getTableConstraints(pool, tableName) {
+  const { schema, table } = parseTableName(pool, tableName);
   const query = `
     SELECT 
       tc.constraint_name, 
@@ -211,21 +310,22 @@ async function getTableConstraints(pool, tableName) {
         ON ccu.constraint_name = tc.constraint_name
         AND ccu.table_schema = tc.table_schema
     WHERE 
-      tc.table_name = $1
-      AND tc.table_schema = 'public';
+      tc.table_name = $2
+      AND tc.table_schema = $1;
   `;
   
-  const result = await executeQuery(pool, query, [tableName]);
+  const result = await executeQuery(pool, query, [schema, table]);
   return result.rows;
 }
 
 /**
  * Gets all indexes for a table
  * @param {Pool} pool - PostgreSQL connection pool
- * @param {string} tableName - Name of the table
+ * @param {string} tableName - Name of the table, optionally schema-qualified
  * @returns {Promise<Array<Object>>} Array of index information objects
  */
 async function getTableIndexes(pool, tableName) {
+  const { schema, table } = parseTableName(pool, tableName);
   const query = `
     SELECT
       indexname,
@@ -233,13 +333,44 @@ async function getTableIndexes(pool, tableName) {
     FROM
       pg_indexes
     WHERE
-      tablename = $1;
+      schemaname = $1
+      AND tablename = $2;
   `;
   
-  const result = await executeQuery(pool, query, [tableName]);
+  const result = await executeQuery(pool, query, [schema, table]);
   return result.rows;
 }
 
+/**
+ * Gets the tables with a foreign key referencing a table
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} tableName - Name of the referenced table, optionally schema-qualified
+ * @returns {Promise<Array<Object>>} Referencing tables (schema, table, column), one per foreign key column
+ */
+async function getReferencingTables(pool, tableName) {
+  const { schema, table } = parseTableName(pool, tableName);
+  const query = `
+    SELECT DISTINCT
+      tc.table_schema,
+      tc.table_name,
+      kcu.column_name
+    FROM information_schema.table_constraints tc
+    JOIN information_schema.key_column_usage kcu 
+      ON tc.constraint_name = kcu.constraint_name
+      AND tc.constraint_schema = kcu.constraint_schema
+    JOIN information_schema.constraint_column_usage ccu 
+      ON ccu.constraint_name = tc.constraint_name
+      AND ccu.constraint_schema = tc.constraint_schema
+    WHERE tc.constraint_type = 'FOREIGN KEY' 
+      AND ccu.table_schema = $1
+      AND ccu.table_name = $2
+    ORDER BY tc.table_schema, tc.table_name, kcu.column_name;
+  `;
+  
+  const result = await executeQuery(pool, query, [schema, table]);
+  return result.rows.map(row => ({ schema: row.table_schema, table: row.table_name, column: row.column_name }));
+}
+
 /**
  * Checks if a specific PostgreSQL client tool is available
  * @param {string} tool - Name of the PostgreSQL tool to check (e.g., 'pg_dump', 'pg_restore')
@@ -539,28 +670,81 @@ async function getInstalledExtensions(pool) {
 }
 
 /**
- * Records an applied migration in the migrations table
+ * Finds which of the given functions are volatile user functions, which may write to the database
+ * Built-in and extension functions are left out
  * @param {Pool} pool - PostgreSQL connection pool
- * @param {string} migrationName - Name of the migration
- * @param {string} sql - SQL content of the migration
- * @returns {Promise<Object>} Result object with applied status and message
+ * @param {Array<string>} names - Function names, optionally qualified with their schema
+ * @returns {Promise<Array<string>>} The names that match a volatile user function
  */
-async function trackMigration(pool, migrationName, sql) {
-  // Check if the migrations table exists, create if not
+async function getVolatileFunctions(pool, names) {
+  const query = `
+    SELECT DISTINCT name
+    FROM unnest($1::text[]) AS name
+    WHERE EXISTS (
+      SELECT 1
+      FROM pg_proc p
+      JOIN pg_namespace n ON n.oid = p.pronamespace
+      WHERE p.provolatile = 'v'
+        AND n.nspname NOT IN ('pg_catalog', 'information_schema')
+        AND (p.proname = name OR n.nspname || '.' || p.proname = name)
+        AND NOT EXISTS (SELECT 1 FROM pg_depend d WHERE d.objid = p.oid AND d.deptype = 'e')
+    );
+  `;
+  
+  const result = await executeQuery(pool, query, [names]);
+  return result.rows.map(row => row.name);
+}
+
+/**
+ * Creates the migrations tracking table if needed and adds columns introduced by later versions
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @returns {Promise<void>}
+ */
+async function ensureMigrationsTable(pool) {
+  // Skip the DDL when the table is already current, so read-only sessions can still inspect migrations
+  const currentColumns = await executeQuery(pool, `
+    SELECT column_name FROM information_schema.columns
+    WHERE table_schema = $1 AND table_name = 'migrations' AND column_name IN ('down_sql', 'checksum');
+  `, [getSchemaName(pool)]);
+  
+  if (currentColumns.rows.length === 2) {
+    return;
+  }
+  
   const migrationsTableQuery = `
-    CREATE TABLE IF NOT EXISTS migrations (
+    CREATE TABLE IF NOT EXISTS ${quoteTableName(pool, 'migrations')} (
       id SERIAL PRIMARY KEY,
       name VARCHAR(255) NOT NULL UNIQUE,
       applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-      sql_content TEXT
+      sql_content TEXT,
+      down_sql TEXT,
+      checksum VARCHAR(64)
     );
   `;
   
   await executeQuery(pool, migrationsTableQuery);
   
+  // Tables created by earlier versions lack the down_sql and checksum columns
+  await executeQuery(pool, `ALTER TABLE ${quoteTableName(pool, 'migrations')} ADD COLUMN IF NOT EXISTS down_sql TEXT;`);
+  await executeQuery(pool, `ALTER TABLE ${quoteTableName(pool, 'migrations')} ADD COLUMN IF NOT EXISTS checksum VARCHAR(64);`);
+}
+
+/**
+ * Records an applied migration in the migrations table
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} migrationName - Name of the migration
+ * @param {string} sql - SQL content of the migration
+ * @param {string|null} [downSql=null] - SQL that reverts the migration, kept for rollback
+ * @param {string|null} [checksum=null] - Checksum of the migration file, used to detect later edits
+ * @returns {Promise<Object>} Result object with applied status and message
+ */
+async function trackMigration(pool, migrationName, sql, downSql = null, checksum = null) {
+  // Check if the migrations table exists, create if not
+  await ensureMigrationsTable(pool);
+  
   // Check if migration has already been applied
   const existingQuery = `
-    SELECT id FROM migrations WHERE name = $1;
+    SELECT id FROM ${quoteTableName(pool, 'migrations')} WHERE name = $1;
   `;
   
   const existingResult = await executeQuery(pool, existingQuery, [migrationName]);
@@ -571,15 +755,47 @@ async function trackMigration(pool, migrationName, sql) {
   
   // Track the migration
   const trackQuery = `
-    INSERT INTO migrations (name, sql_content)
-    VALUES ($1, $2);
+    INSERT INTO ${quoteTableName(pool, 'migrations')} (name, sql_content, down_sql, checksum)
+    VALUES ($1, $2, $3, $4);
   `;
   
-  await executeQuery(pool, trackQuery, [migrationName, sql]);
+  await executeQuery(pool, trackQuery, [migrationName, sql, downSql, checksum]);
   
   return { applied: true, message: `Migration ${migrationName} tracked successfully` };
 }
 
+/**
+ * Removes an applied migration from the migrations table after it has been rolled back
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} migrationName - Name of the migration
+ * @returns {Promise<boolean>} True if a tracking row was removed, false otherwise
+ */
+async function untrackMigration(pool, migrationName) {
+  const result = await executeQuery(pool, `DELETE FROM ${quoteTableName(pool, 'migrations')} WHERE name = $1;`, [migrationName]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Gets the full tracking record of an applied migration
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} migrationName - Name of the migration
+ * @returns {Promise<Object|null>} Migration record (name, applied_at, sql_content, down_sql) or null if not applied
+ */
+async function getMigrationRecord(pool, migrationName) {
+  if (!(await isMigrationApplied(pool, migrationName))) {
+    return null;
+  }
+  
+  await ensureMigrationsTable(pool);
+  
+  const result = await executeQuery(
+    pool,
+    `SELECT name, applied_at, sql_content, down_sql FROM ${quoteTableName(pool, 'migrations')} WHERE name = $1;`,
+    [migrationName]
+  );
+  return result.rows[0] || null;
+}
+
 /**
  * Checks if a specific migration has been applied
  * @param {Pool} pool - PostgreSQL connection pool
@@ -591,11 +807,11 @@ async function isMigrationApplied(pool, migrationName) {
   const tableCheck = `
     SELECT EXISTS (
       SELECT FROM information_schema.tables 
-      WHERE table_schema = 'public' AND table_name = 'migrations'
+      WHERE table_schema = $1 AND table_name = 'migrations'
     );
   `;
   
-  const tableExists = await executeQuery(pool, tableCheck);
+  const tableExists = await executeQuery(pool, tableCheck, [getSchemaName(pool)]);
   
   if (!tableExists.rows[0].exists) {
     return false;
@@ -604,7 +820,7 @@ async function isMigrationApplied(pool, migrationName) {
   // Check if migration exists
   const query = `
     SELECT EXISTS (
-      SELECT FROM migrations
+      SELECT FROM ${quoteTableName(pool, 'migrations')}
       WHERE name = $1
     );
   `;
@@ -623,11 +839,11 @@ async function getAppliedMigrations(pool) {
   const tableCheck = `
     SELECT EXISTS (
       SELECT FROM information_schema.tables 
-      WHERE table_schema = 'public' AND table_name = 'migrations'
+      WHERE table_schema = $1 AND table_name = 'migrations'
     );
   `;
   
-  const tableExists = await executeQuery(pool, tableCheck);
+  const tableExists = await executeQuery(pool, tableCheck, [getSchemaName(pool)]);
   
   if (!tableExists.rows[0].exists) {
     return [];
@@ -636,19 +852,432 @@ async function getAppliedMigrations(pool) {
   // Get migrations
   const query = `
     SELECT name, applied_at
-    FROM migrations
-    ORDER BY applied_at;
+    FROM ${quoteTableName(pool, 'migrations')}
+    ORDER BY applied_at, id;
   `;
   
   const result = await executeQuery(pool, query);
   return result.rows;
 }
 
+/**
+ * Gets the recorded checksum and SQL content of every applied migration, for drift detection
+ * Migrations tracked before checksums were introduced have a null checksum
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @returns {Promise<Array<Object>>} Records (name, applied_at, checksum, sql_content, down_sql) in the order they were applied
+ */
+async function getMigrationChecksums(pool) {
+  const appliedMigrations = await getAppliedMigrations(pool);
+  
+  if (appliedMigrations.length === 0) {
+    return [];
+  }
+  
+  await ensureMigrationsTable(pool);
+  
+  const result = await executeQuery(pool, `
+    SELECT name, applied_at, checksum, sql_content, down_sql
+    FROM ${quoteTableName(pool, 'migrations')}
+    ORDER BY applied_at, id;
+  `);
+  return result.rows;
+}
+
+/**
+ * Creates the table that records partial progress of non-transactional migrations
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @returns {Promise<void>}
+ */
+async function ensureMigrationProgressTable(pool) {
+  await executeQuery(pool, `
+    CREATE TABLE IF NOT EXISTS ${quoteTableName(pool, 'migration_progress')} (
+      name VARCHAR(255) PRIMARY KEY,
+      statements_completed INTEGER NOT NULL DEFAULT 0,
+      statements_checksum VARCHAR(64),
+      last_error TEXT,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+/**
+ * Gets the recorded progress of a partially applied non-transactional migration
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} migrationName - Name of the migration
+ * @returns {Promise<Object|null>} Progress record (name, statements_completed, statements_checksum, last_error, updated_at) or null
+ */
+async function getMigrationProgress(pool, migrationName) {
+  await ensureMigrationProgressTable(pool);
+  
+  const result = await executeQuery(
+    pool,
+    `SELECT name, statements_completed, statements_checksum, last_error, updated_at FROM ${quoteTableName(pool, 'migration_progress')} WHERE name = $1;`,
+    [migrationName]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Lists all partially applied non-transactional migrations
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @returns {Promise<Array<Object>>} Progress records ordered by migration name
+ */
+async function listMigrationProgress(pool) {
+  const tableCheck = await executeQuery(pool, `
+    SELECT EXISTS (
+      SELECT FROM information_schema.tables 
+      WHERE table_schema = $1 AND table_name = 'migration_progress'
+    );
+  `, [getSchemaName(pool)]);
+  
+  if (!tableCheck.rows[0].exists) {
+    return [];
+  }
+  
+  const result = await executeQuery(pool, `
+    SELECT name, statements_completed, statements_checksum, last_error, updated_at
+    FROM ${quoteTableName(pool, 'migration_progress')}
+    ORDER BY name;
+  `);
+  return result.rows;
+}
+
+/**
+ * Records how many statements of a non-transactional migration have been executed
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} migrationName - Name of the migration
+ * @param {number} statementsCompleted - Number of leading statements that succeeded
+ * @param {string} statementsChecksum - Checksum of the completed statements, used to check a resume is safe
+ * @param {string|null} [lastError=null] - Error message of the statement that failed, if any
+ * @returns {Promise<void>}
+ */
+async function saveMigrationProgress(pool, migrationName, statementsCompleted, statementsChecksum, lastError = null) {
+  await ensureMigrationProgressTable(pool);
+  
+  await executeQuery(pool, `
+    INSERT INTO ${quoteTableName(pool, 'migration_progress')} (name, statements_completed, statements_checksum, last_error, updated_at)
+    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+    ON CONFLICT (name) DO UPDATE SET
+      statements_completed = EXCLUDED.statements_completed,
+      statements_checksum = EXCLUDED.statements_checksum,
+      last_error = EXCLUDED.last_error,
+      updated_at = EXCLUDED.updated_at;
+  `, [migrationName, statementsCompleted, statementsChecksum, lastError]);
+}
+
+/**
+ * Removes the partial progress record of a migration once it has been fully applied
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} migrationName - Name of the migration
+ * @returns {Promise<void>}
+ */
+async function clearMigrationProgress(pool, migrationName) {
+  await ensureMigrationProgressTable(pool);
+  await executeQuery(pool, `DELETE FROM ${quoteTableName(pool, 'migration_progress')} WHERE name = $1;`, [migrationName]);
+}
+
+/**
+ * Derives the 64-bit advisory lock key for a lock name
+ * @param {string} lockName - Name identifying what the lock protects
+ * @returns {bigint} Signed 64-bit key
+ */
+function getAdvisoryLockKey(lockName) {
+  return crypto.createHash('sha256').update(lockName).digest().readBigInt64BE(0);
+}
+
+/**
+ * Lists the sessions currently holding a session-level advisory lock
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} lockName - Name the lock was acquired with
+ * @returns {Promise<Array<Object>>} Sessions (pid, usename, application_name, client_addr, backend_start, state, query)
+ */
+async function getAdvisoryLockHolders(pool, lockName) {
+  // pg_locks splits a bigint advisory key into classid (high 32 bits) and objid (low 32 bits)
+  const key = BigInt.asUintN(64, getAdvisoryLockKey(lockName));
+  const classId = (key >> 32n).toString();
+  const objId = (key & 0xffffffffn).toString();
+  
+  const result = await executeQuery(pool, `
+    SELECT a.pid, a.usename, a.application_name, a.client_addr, a.backend_start, a.state, a.query
+    FROM pg_locks l
+    JOIN pg_stat_activity a ON a.pid = l.pid
+    WHERE l.locktype = 'advisory'
+      AND l.granted
+      AND l.classid::bigint = $1
+      AND l.objid::bigint = $2
+      AND l.objsubid = 1;
+  `, [classId, objId]);
+  return result.rows;
+}
+
+/**
+ * Acquires a session-level advisory lock on a dedicated client, retrying until the timeout expires
+ * The lock is held until release() is called, even across transactions run on other clients
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} lockName - Name identifying what the lock protects
+ * @param {Object} [options={}] - Lock options
+ * @param {number} [options.timeout=0] - Milliseconds to keep retrying before giving up
+ * @param {string} [options.applicationName] - application_name to set on the locking session, shown to other waiters
+ * @returns {Promise<Object>} Lock result
+ * @returns {boolean} returns.acquired - Whether the lock was acquired
+ * @returns {Function} [returns.release] - Releases the lock and its client (when acquired)
+ * @returns {Array<Object>} [returns.holders] - Sessions holding the lock (when not acquired)
+ */
+async function acquireAdvisoryLock(pool, lockName, options = {}) {
+  const { timeout = 0, applicationName } = options;
+  const key = getAdvisoryLockKey(lockName).toString();
+  const deadline = Date.now() + timeout;
+  const client = await pool.connect();
+  
+  try {
+    if (applicationName) {
+      await executeQuery(client, `SELECT set_config('application_name', $1, false);`, [applicationName]);
+    }
+    
+    while (true) {
+      const result = await executeQuery(client, `SELECT pg_try_advisory_lock($1::bigint) AS locked;`, [key]);
+      
+      if (result.rows[0].locked) {
+        return {
+          acquired: true,
+          release: async () => {
+            try {
+              await executeQuery(client, `SELECT pg_advisory_unlock($1::bigint);`, [key]);
+            } finally {
+              client.release();
+            }
+          }
+        };
+      }
+      
+      if (Date.now() >= deadline) {
+        break;
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, Math.min(500, Math.max(deadline - Date.now(), 0))));
+    }
+  } catch (error) {
+    client.release();
+    throw error;
+  }
+  
+  client.release();
+  return { acquired: false, holders: await getAdvisoryLockHolders(pool, lockName) };
+}
+
+/**
+ * Reads the structure of every table in a schema in one pass
+ * Used to compare a live database with a schema definition or with another database
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {string} [schemaName] - Schema to read (default: the pool's schema)
+ * @returns {Promise<Object>} Snapshot with extensions (names), functions (name, arguments, definition)
+ *   and tables keyed by name, each with columns (keyed by name: type, notNull, default, primaryKey,
+ *   unique, uniqueConstraint), primaryKey (column names), indexes, foreignKeys (single-column),
+ *   compositeForeignKeys (name, columns, refTable, refColumns, onDelete, onUpdate) and checks
+ */
+async function getSchemaSnapshot(pool, schemaName = getSchemaName(pool)) {
+  const columnsQuery = `
+    SELECT c.relname AS table_name, a.attname AS column_name,
+           format_type(a.atttypid, a.atttypmod) AS data_type,
+           a.attnotnull AS not_null,
+           pg_get_expr(d.adbin, d.adrelid) AS column_default
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+    LEFT JOIN pg_attrdef d ON d.adrelid = c.oid AND d.adnum = a.attnum
+    WHERE n.nspname = $1 AND c.relkind IN ('r', 'p')
+    ORDER BY c.relname, a.attnum;
+  `;
+  
+  const indexesQuery = `
+    SELECT t.relname AS table_name, i.relname AS index_name,
+           ix.indisunique AS is_unique, ix.indisprimary AS is_primary,
+           am.amname AS method,
+           pg_get_indexdef(ix.indexrelid) AS definition,
+           pg_get_expr(ix.indpred, ix.indrelid) AS predicate,
+           con.contype AS constraint_type, con.conname AS constraint_name,
+           ARRAY(
+             SELECT a.attname::text
+             FROM unnest(ix.indkey) WITH ORDINALITY AS k(attnum, ord)
+             JOIN pg_attribute a ON a.attrelid = ix.indrelid AND a.attnum = k.attnum
+             ORDER BY k.ord
+           ) AS columns,
+           ix.indnatts AS column_count
+    FROM pg_index ix
+    JOIN pg_class t ON t.oid = ix.indrelid
+    JOIN pg_class i ON i.oid = ix.indexrelid
+    JOIN pg_namespace n ON n.oid = t.relnamespace
+    JOIN pg_am am ON am.oid = i.relam
+    LEFT JOIN pg_constraint con ON con.conindid = ix.indexrelid AND con.contype IN ('p', 'u', 'x')
+    WHERE n.nspname = $1
+    ORDER BY t.relname, i.relname;
+  `;
+  
+  const foreignKeysQuery = `
+    SELECT t.relname AS table_name, con.conname AS constraint_name,
+           ARRAY(
+             SELECT a.attname::text
+             FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, ord)
+             JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+             ORDER BY k.ord
+           ) AS columns,
+           rt.relname AS ref_table,
+           ARRAY(
+             SELECT a.attname::text
+             FROM unnest(con.confkey) WITH ORDINALITY AS k(attnum, ord)
+             JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum
+             ORDER BY k.ord
+           ) AS ref_columns,
+           con.confdeltype AS on_delete, con.confupdtype AS on_update
+    FROM pg_constraint con
+    JOIN pg_class t ON t.oid = con.conrelid
+    JOIN pg_namespace n ON n.oid = t.relnamespace
+    JOIN pg_class rt ON rt.oid = con.confrelid
+    WHERE n.nspname = $1 AND con.contype = 'f'
+    ORDER BY t.relname, con.conname;
+  `;
+  
+  const checksQuery = `
+    SELECT t.relname AS table_name, con.conname AS constraint_name,
+           pg_get_constraintdef(con.oid) AS definition
+    FROM pg_constraint con
+    JOIN pg_class t ON t.oid = con.conrelid
+    JOIN pg_namespace n ON n.oid = t.relnamespace
+    WHERE n.nspname = $1 AND con.contype = 'c'
+    ORDER BY t.relname, con.conname;
+  `;
+  
+  // Functions installed by extensions belong to the extension, not the schema
+  const functionsQuery = `
+    SELECT p.proname AS name, pg_get_function_identity_arguments(p.oid) AS arguments,
+           pg_get_functiondef(p.oid) AS definition
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE n.nspname = $1 AND p.prokind IN ('f', 'p')
+      AND NOT EXISTS (SELECT 1 FROM pg_depend d WHERE d.objid = p.oid AND d.deptype = 'e')
+    ORDER BY p.proname, arguments;
+  `;
+  
+  const columns = await executeQuery(pool, columnsQuery, [schemaName]);
+  const indexes = await executeQuery(pool, indexesQuery, [schemaName]);
+  const foreignKeys = await executeQuery(pool, foreignKeysQuery, [schemaName]);
+  const checks = await executeQuery(pool, checksQuery, [schemaName]);
+  const functions = await executeQuery(pool, functionsQuery, [schemaName]);
+  const extensions = await getInstalledExtensions(pool);
+  
+  const tables = {};
+  const getTable = (name) => {
+    if (!tables[name]) {
+      tables[name] = { name, columns: {}, primaryKey: [], indexes: [], foreignKeys: [], compositeForeignKeys: [], checks: [] };
+    }
+    return tables[name];
+  };
+  
+  columns.rows.forEach(row => {
+    getTable(row.table_name).columns[row.column_name] = {
+      type: row.data_type,
+      notNull: row.not_null,
+      default: row.column_default,
+      primaryKey: false,
+      unique: false,
+      uniqueConstraint: null
+    };
+  });
+  
+  indexes.rows.forEach(row => {
+    const table = tables[row.table_name];
+    if (!table) return;
+    
+    // Expression indexes have no column entry for their expressions
+    const isExpression = row.columns.length !== row.column_count;
+    
+    if (row.is_primary) {
+      table.primaryKey = row.columns;
+      row.columns.forEach(col => { table.columns[col].primaryKey = true; });
+    } else if (row.constraint_type === 'u' && row.columns.length === 1) {
+      const column = table.columns[row.columns[0]];
+      column.unique = true;
+      column.uniqueConstraint = row.constraint_name;
+    }
+    
+    table.indexes.push({
+      name: row.index_name,
+      columns: row.columns,
+      unique: row.is_unique,
+      primary: row.is_primary,
+      constraint: row.constraint_name,
+      method: row.method,
+      where: row.predicate,
+      expression: isExpression,
+      definition: row.definition
+    });
+  });
+  
+  const actions = { a: 'NO ACTION', r: 'RESTRICT', c: 'CASCADE', n: 'SET NULL', d: 'SET DEFAULT' };
+  
+  foreignKeys.rows.forEach(row => {
+    const table = tables[row.table_name];
+    if (!table) return;
+    
+    // Multi-column foreign keys are kept apart, since the schema format and the diff work column by column
+    if (row.columns.length > 1) {
+      table.compositeForeignKeys.push({
+        name: row.constraint_name,
+        columns: row.columns,
+        refTable: row.ref_table,
+        refColumns: row.ref_columns,
+        onDelete: actions[row.on_delete],
+        onUpdate: actions[row.on_update]
+      });
+      return;
+    }
+    
+    table.foreignKeys.push({
+      name: row.constraint_name,
+      column: row.columns[0],
+      refTable: row.ref_table,
+      refColumn: row.ref_columns[0],
+      onDelete: actions[row.on_delete],
+      onUpdate: actions[row.on_update]
+    });
+  });
+  
+  checks.rows.forEach(row => {
+    const table = tables[row.table_name];
+    if (!table) return;
+    
+    table.checks.push({ name: row.constraint_name, definition: row.definition });
+  });
+  
+  return {
+    extensions: extensions.map(ext => ext.name),
+    tables,
+    functions: functions.rows.map(row => ({ name: row.name, arguments: row.arguments, definition: row.definition }))
+  };
+}
+
+/**
+ * Computes a fingerprint of a schema's structure, which changes whenever a table, column, index,
+ * constraint, function or extension is added, removed or altered
+ * @param {Pool|Client} pool - PostgreSQL connection pool, or a client inside a transaction
+ * @param {string} [schemaName] - Schema to fingerprint (default: the pool's schema)
+ * @returns {Promise<string>} SHA-256 hex digest of the schema snapshot
+ */
+async function getSchemaFingerprint(pool, schemaName = getSchemaName(pool)) {
+  const snapshot = await getSchemaSnapshot(pool, schemaName);
+  return crypto.createHash('sha256').update(JSON.stringify(snapshot)).digest('hex');
+}
+
 // Export PostgreSQL-specific functionality
 module.exports = {
   createPool,
+  getSchemaName,
+  parseTableName,
+  quoteIdentifier,
+  quoteTableName,
   executeQuery,
   executeTransaction,
+  listSchemas,
   listTables,
   getTableColumns,
   tableExists,
@@ -656,11 +1285,24 @@ module.exports = {
   indexExists,
   getTableConstraints,
   getTableIndexes,
+  getReferencingTables,
   createDatabaseBackup,
   restoreDatabase,
   getInstalledExtensions,
+  getVolatileFunctions,
+  getSchemaSnapshot,
+  getSchemaFingerprint,
   trackMigration,
+  untrackMigration,
+  getMigrationRecord,
   isMigrationApplied,
   getAppliedMigrations,
+  getMigrationChecksums,
+  getMigrationProgress,
+  listMigrationProgress,
+  saveMigrationProgress,
+  clearMigrationProgress,
+  acquireAdvisoryLock,
+  getAdvisoryLockHolders,
   isPgClientToolAvailable
 };
\ No newline at end of file
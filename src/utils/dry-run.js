@@ -12,6 +12,27 @@
 
 const chalk = require('chalk');
 
+// What the dry-run helpers printed since startCapture, for the plan command; null when not capturing
+let capture = null;
+
+/**
+ * Starts recording the statements, affected objects, estimates and warnings printed by the dry-run helpers
+ */
+function startCapture() {
+  capture = { statements: [], affected: [], estimates: [], warnings: [] };
+}
+
+/**
+ * Stops recording and returns what the dry-run helpers printed
+ * @returns {Object} Object with statements (sql, description), affected (type, name, action),
+ *   estimates (table, where, rows) and warnings
+ */
+function stopCapture() {
+  const captured = capture || { statements: [], affected: [], estimates: [], warnings: [] };
+  capture = null;
+  return captured;
+}
+
 /**
  * Checks if dry-run mode is enabled and prints appropriate messages
  * @param {Object} options - Command options
@@ -45,6 +66,11 @@ function printDryRunSQL(description, sqlStatements, options = {}) {
     console.log(chalk.white(sql.trim()));
   });
   
+  if (capture) {
+    statements.forEach(sql => capture.statements.push({ sql: sql.trim(), description }));
+    if (options.warning) capture.warnings.push(options.warning);
+  }
+  
   if (options.affectedRows !== undefined) {
     console.log(chalk.yellow(`\n💡 This would affect approximately ${options.affectedRows} row(s)`));
   }
@@ -67,6 +93,10 @@ function printDryRunAffected(type, objects, action = 'delete') {
   items.forEach(item => {
     console.log(chalk.red(`  ✗ ${item}`));
   });
+  
+  if (capture) {
+    items.forEach(item => capture.affected.push({ type, name: item, action }));
+  }
 }
 
 /**
@@ -92,6 +122,10 @@ function printDryRunSummary(summary) {
     console.log(chalk.red(`  🗑️  ${summary.deleted} item(s) would be deleted`));
   }
   
+  if (capture && summary.warnings) {
+    summary.warnings.filter(warning => !capture.warnings.includes(warning)).forEach(warning => capture.warnings.push(warning));
+  }
+  
   if (summary.warnings && summary.warnings.length > 0) {
     console.log(chalk.red('\n⚠️  WARNINGS:'));
     summary.warnings.forEach(warning => {
@@ -99,20 +133,87 @@ function printDryRunSummary(summary) {
     });
   }
   
-  console.log(chalk.cyan('\n💡 To execute these changes, run the same command without --dry-run'));
+  if (!capture) {
+    console.log(chalk.cyan('\n💡 To execute these changes, run the same command without --dry-run'));
+  }
+}
+
+/**
+ * Formats one value of a changed row for printDataChanges
+ * @param {*} value - Column value, or undefined for a missing field
+ * @returns {string} Short text for the value
+ */
+function formatChangedValue(value) {
+  let text;
+  if (value === undefined) {
+    text = '(missing)';
+  } else if (value === null) {
+    text = 'NULL';
+  } else if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+/**
+ * Formats a row as column=value pairs for printDataChanges
+ * @param {Object} row - Row keyed by column name
+ * @returns {string} The pairs, comma separated
+ */
+function formatChangedRow(row) {
+  return Object.entries(row).map(([column, value]) => `${column}=${formatChangedValue(value)}`).join(', ');
+}
+
+/**
+ * Prints what a query changed or would change, row by row: + inserted, ~ updated (old → new per changed column), - deleted
+ * @param {Array<Object>} reports - Per statement: statement, command, table, rowCount, inserted, updated (key and changes),
+ *   deleted, more (rows beyond those listed) and note
+ */
+function printDataChanges(reports) {
+  console.log(chalk.cyan('\n🔍 Data changes:'));
+  
+  reports.forEach(report => {
+    const table = report.table ? ` on ${report.table}` : '';
+    console.log(chalk.white(`\n-- Statement ${report.statement}: ${report.command}${table}, ${report.rowCount ?? 0} row(s)`));
+    
+    (report.inserted || []).forEach(row => console.log(chalk.green(`  + ${formatChangedRow(row)}`)));
+    (report.updated || []).forEach(row => {
+      const changes = row.changes.map(change => `${change.column} ${formatChangedValue(change.from)} → ${formatChangedValue(change.to)}`);
+      console.log(chalk.yellow(`  ~ ${formatChangedRow(row.key)}${changes.length > 0 ? `: ${changes.join(', ')}` : ''}`));
+    });
+    (report.deleted || []).forEach(row => console.log(chalk.red(`  - ${formatChangedRow(row)}`)));
+    
+    const listed = (report.inserted || report.updated || report.deleted || []).length;
+    if (report.more) {
+      console.log(chalk.gray(report.rowCount > listed ? `  ... and ${report.rowCount - listed} more` : '  ... and more'));
+    }
+    
+    if (report.note) {
+      console.log(chalk.gray(`  💡 ${report.note}`));
+    }
+  });
 }
 
 /**
  * Simulates counting rows that would be affected by a query
  * @param {Object} dbConnection - Database connection
- * @param {string} tableName - Name of the table
- * @param {string} whereClause - WHERE clause for the operation (optional)
+ * @param {string} tableName - Name of the table or collection
+ * @param {string|Object} whereClause - WHERE clause for the operation, or a filter document for MongoDB (optional)
  * @returns {Promise<number>} Number of rows that would be affected
  */
 async function estimateAffectedRows(dbConnection, tableName, whereClause = null) {
   const db = require('./db');
   
   try {
+    if (dbConnection.type === 'mongodb') {
+      return await dbConnection.connection.db.collection(tableName).countDocuments(whereClause || {});
+    }
+    
     let countQuery = `SELECT COUNT(*) as count FROM ${tableName}`;
     if (whereClause) {
       countQuery += ` WHERE ${whereClause}`;
@@ -121,10 +222,9 @@ async function estimateAffectedRows(dbConnection, tableName, whereClause = null)
     const result = await db.executeQuery(dbConnection, countQuery);
     
     if (dbConnection.type === 'postgres') {
-      return parseInt(result.rows[0].count);
-    } else if (dbConnection.type === 'mongodb') {
-      // For MongoDB, this would need different handling
-      return result.count || 0;
+      const rows = parseInt(result.rows[0].count);
+      if (capture) capture.estimates.push({ table: tableName, where: whereClause, rows });
+      return rows;
     }
     
     return 0;
@@ -161,10 +261,13 @@ function createDryRunOption() {
 }
 
 module.exports = {
+  startCapture,
+  stopCapture,
   isDryRun,
   printDryRunSQL,
   printDryRunAffected,
   printDryRunSummary,
+  printDataChanges,
   estimateAffectedRows,
   validateDryRunSupport,
   createDryRunOption
@@ -0,0 +1,278 @@
+// src/utils/introspect.js
+// This file contains utilities for turning a live database structure into a schemas/ module
+// The PostgreSQL output uses the same format generateCreateTableSQL consumes
+
+const { IGNORED_TABLES } = require('./schema-diff');
+
+// Built-in types written in upper case, as hand-written schema files do
+const BUILTIN_TYPES = {
+  'character varying': 'VARCHAR',
+  character: 'CHAR',
+  'timestamp without time zone': 'TIMESTAMP',
+  'timestamp with time zone': 'TIMESTAMP WITH TIME ZONE',
+  'time without time zone': 'TIME',
+  'time with time zone': 'TIME WITH TIME ZONE',
+  'double precision': 'DOUBLE PRECISION',
+  'bit varying': 'VARBIT'
+};
+
+const UPPER_CASE_TYPES = [
+  'smallint', 'integer', 'bigint', 'boolean', 'text', 'numeric', 'real', 'json', 'jsonb', 'uuid',
+  'date', 'bytea', 'inet', 'cidr', 'macaddr', 'interval', 'money', 'tsvector', 'tsquery', 'xml', 'bit'
+];
+
+const SERIAL_TYPES = { smallint: 'SMALLSERIAL', integer: 'SERIAL', bigint: 'BIGSERIAL' };
+
+/**
+ * Converts a type reported by PostgreSQL into the spelling used in schema files
+ * User-defined types keep their name as reported
+ * @param {string} type - Type from format_type, e.g. "character varying(255)" or "timestamp(3) with time zone"
+ * @returns {string} Type for a column definition, e.g. "VARCHAR(255)"
+ */
+function formatColumnType(type) {
+  const match = type.match(/^([a-z ]+?)(\([\d,]+\))?((?: with| without) time zone)?((?:\[\])*)$/);
+  
+  if (!match) {
+    return type;
+  }
+  
+  const [, base, modifier = '', zone = '', arraySuffix] = match;
+  const name = `${base}${zone}`;
+  
+  if (BUILTIN_TYPES[name]) {
+    // Time types carry their precision before the time zone words
+    const [kind, ...rest] = BUILTIN_TYPES[name].split(' ');
+    return [`${kind}${modifier}`, ...rest].join(' ') + arraySuffix;
+  }
+  
+  if (UPPER_CASE_TYPES.includes(name)) {
+    return `${name.toUpperCase()}${modifier}${arraySuffix}`;
+  }
+  
+  return type;
+}
+
+/**
+ * Simplifies a default expression reported by PostgreSQL
+ * A quoted literal cast to the column type ('active'::character varying) is written without the cast
+ * @param {string} expression - Default expression from pg_get_expr
+ * @returns {string} Default expression for a column definition
+ */
+function formatDefault(expression) {
+  const literal = expression.match(/^('(?:[^']|'')*')::[a-z][a-z0-9_ ]*(\([\d,]+\))?(\[\])?$/i);
+  return literal ? literal[1] : expression;
+}
+
+/**
+ * Builds the column definition string for one column of a snapshot table
+ * @param {Object} table - Snapshot table
+ * @param {string} columnName - Column name
+ * @returns {string} Column definition, e.g. "BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE"
+ */
+function buildColumnDefinition(table, columnName) {
+  const column = table.columns[columnName];
+  const serial = /^nextval\(/i.test(column.default || '') && SERIAL_TYPES[column.type];
+  const parts = [serial || formatColumnType(column.type)];
+  
+  if (column.primaryKey && table.primaryKey.length === 1) {
+    parts.push('PRIMARY KEY');
+  } else if (column.notNull) {
+    parts.push('NOT NULL');
+  }
+  
+  if (column.default !== null && !serial) {
+    parts.push(`DEFAULT ${formatDefault(column.default)}`);
+  }
+  
+  if (column.unique) {
+    parts.push('UNIQUE');
+  }
+  
+  const foreignKey = table.foreignKeys.find(fk => fk.column === columnName);
+  if (foreignKey) {
+    parts.push(`REFERENCES ${foreignKey.refTable}(${foreignKey.refColumn})`);
+    if (foreignKey.onDelete !== 'NO ACTION') parts.push(`ON DELETE ${foreignKey.onDelete}`);
+    if (foreignKey.onUpdate !== 'NO ACTION') parts.push(`ON UPDATE ${foreignKey.onUpdate}`);
+  }
+  
+  return parts.join(' ');
+}
+
+/**
+ * Converts a PostgreSQL snapshot (from getSchemaSnapshot) into a schema definition
+ * @param {Object} snapshot - Live database snapshot
+ * @returns {Object} Object with schema (extensions and tables) and skipped (descriptions of
+ *   objects the schema format cannot express, such as expression indexes, composite primary keys,
+ *   multi-column foreign keys and unique constraints, and check constraints)
+ */
+function buildPostgresSchema(snapshot) {
+  const skipped = [];
+  
+  const tables = Object.values(snapshot.tables)
+    .filter(table => !IGNORED_TABLES.includes(table.name))
+    .map(table => {
+      if (table.primaryKey.length > 1) {
+        skipped.push(`Composite primary key on "${table.name}" (${table.primaryKey.join(', ')})`);
+      }
+      
+      (table.compositeForeignKeys || []).forEach(foreignKey => {
+        const actions = ['Delete', 'Update']
+          .filter(action => foreignKey[`on${action}`] !== 'NO ACTION')
+          .map(action => ` ON ${action.toUpperCase()} ${foreignKey[`on${action}`]}`)
+          .join('');
+        skipped.push(`Multi-column foreign key "${foreignKey.name}" on "${table.name}": FOREIGN KEY (${foreignKey.columns.join(', ')}) ` +
+          `REFERENCES ${foreignKey.refTable}(${foreignKey.refColumns.join(', ')})${actions}`);
+      });
+      
+      // Single-column unique constraints are written as UNIQUE in the column definition
+      table.indexes
+        .filter(index => index.constraint && !index.primary && !(index.unique && index.columns.length === 1 && !index.expression))
+        .forEach(index => {
+          skipped.push(index.unique
+            ? `Multi-column unique constraint "${index.constraint}" on "${table.name}": UNIQUE (${index.columns.join(', ')})`
+            : `Exclusion constraint "${index.constraint}" on "${table.name}": ${index.definition}`);
+        });
+      
+      (table.checks || []).forEach(check => {
+        skipped.push(`Check constraint "${check.name}" on "${table.name}": ${check.definition}`);
+      });
+      
+      const columns = {};
+      Object.keys(table.columns).forEach(columnName => {
+        columns[columnName] = buildColumnDefinition(table, columnName);
+      });
+      
+      const indexes = [];
+      table.indexes
+        .filter(index => !index.primary && !index.constraint)
+        .forEach(index => {
+          if (index.expression) {
+            skipped.push(`Expression index "${index.name}": ${index.definition}`);
+            return;
+          }
+          
+          const entry = { columns: index.columns };
+          if (index.unique) entry.unique = true;
+          if (index.method !== 'btree') entry.type = index.method;
+          if (index.where) entry.where = index.where;
+          indexes.push(entry);
+        });
+      
+      return indexes.length > 0 ? { name: table.name, columns, indexes } : { name: table.name, columns };
+    });
+  
+  return {
+    schema: {
+      extensions: snapshot.extensions.filter(ext => ext !== 'plpgsql'),
+      tables
+    },
+    skipped
+  };
+}
+
+/**
+ * Converts sampled MongoDB collections into a schema definition
+ * @param {Array<Object>} collections - Collections with name, sampled, fields (from sampleCollectionFields) and indexes
+ * @returns {Object} Object with schema (collections with field types and indexes) and skipped (always empty)
+ */
+function buildMongoSchema(collections) {
+  return {
+    schema: {
+      collections: collections.map(collection => {
+        const fields = {};
+        
+        Object.keys(collection.fields).sort((a, b) => (a === '_id' ? -1 : b === '_id' ? 1 : a.localeCompare(b))).forEach(fieldPath => {
+          const field = collection.fields[fieldPath];
+          fields[fieldPath] = { types: field.types, required: field.count === collection.sampled };
+        });
+        
+        const indexes = collection.indexes
+          .filter(index => index.name !== '_id_')
+          .map(index => {
+            const entry = { key: index.key, name: index.name };
+            ['unique', 'sparse', 'expireAfterSeconds', 'partialFilterExpression'].forEach(option => {
+              if (index[option] !== undefined) entry[option] = index[option];
+            });
+            return entry;
+          });
+        
+        return { name: collection.name, sampledDocuments: collection.sampled, fields, indexes };
+      })
+    },
+    skipped: []
+  };
+}
+
+/**
+ * Renders a value as JavaScript source in the style of hand-written schema files
+ * @param {*} value - Value to render (objects, arrays, strings, numbers, booleans, null)
+ * @param {number} [depth=0] - Current nesting level
+ * @returns {string} JavaScript source
+ */
+function toSource(value, depth = 0) {
+  const indent = '  '.repeat(depth + 1);
+  const closing = '  '.repeat(depth);
+  
+  if (typeof value === 'string') {
+    const escaped = value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+    // Prefer double quotes for SQL defaults such as DEFAULT 'active'
+    return escaped.includes("'") && !escaped.includes('"')
+      ? `"${escaped}"`
+      : `'${escaped.replace(/'/g, "\\'")}'`;
+  }
+  
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    if (value.every(item => item === null || typeof item !== 'object')) {
+      return `[${value.map(item => toSource(item)).join(', ')}]`;
+    }
+    return `[\n${value.map(item => `${indent}${toSource(item, depth + 1)}`).join(',\n')}\n${closing}]`;
+  }
+  
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    
+    const rendered = entries.map(([key, item]) => {
+      const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : toSource(key);
+      return `${name}: ${toSource(item, depth + 1)}`;
+    });
+    
+    // Small flat objects such as index definitions fit on one line
+    const inline = `{ ${rendered.join(', ')} }`;
+    const isFlat = entries.every(([, item]) => item === null || typeof item !== 'object' || Array.isArray(item));
+    if (isFlat && !inline.includes('\n') && indent.length + inline.length <= 100) {
+      return inline;
+    }
+    
+    return `{\n${rendered.map(line => `${indent}${line}`).join(',\n')}\n${closing}}`;
+  }
+  
+  return String(value);
+}
+
+/**
+ * Renders a schema definition as a CommonJS module for the schemas/ directory
+ * @param {Object} schema - Schema definition
+ * @param {Array<string>} headerLines - Comment lines for the top of the file
+ * @param {Array<string>} [skipped=[]] - Objects that could not be expressed, listed as comments
+ * @returns {string} Module source
+ */
+function renderSchemaModule(schema, headerLines, skipped = []) {
+  const lines = headerLines.map(line => `// ${line}`);
+  
+  if (skipped.length > 0) {
+    lines.push('//');
+    lines.push('// Not represented below; create these in a migration:');
+    skipped.forEach(item => lines.push(`//   - ${item}`));
+  }
+  
+  return `${lines.join('\n')}\n\nmodule.exports = ${toSource(schema)};\n`;
+}
+
+module.exports = {
+  formatColumnType,
+  buildPostgresSchema,
+  buildMongoSchema,
+  renderSchemaModule
+};
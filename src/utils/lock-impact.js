@@ -0,0 +1,290 @@
+// src/utils/lock-impact.js
+// This file is used to check what a DDL statement will lock before add-column, create-index, rename-table and remove-column run it
+// It reports the lock level, the sessions that hold conflicting locks on the table, and whether the table is rewritten or scanned,
+// then runs the statement with lock_timeout and statement_timeout, retrying when the lock cannot be taken in time
+
+const { tokenizeSql } = require('./sql-lexer');
+const { POSTGRES } = require('./constants');
+const chalk = require('chalk');
+
+// Table lock modes as pg_locks names them, with the SQL name of each
+const LOCK_MODES = {
+  AccessShareLock: 'ACCESS SHARE',
+  RowShareLock: 'ROW SHARE',
+  RowExclusiveLock: 'ROW EXCLUSIVE',
+  ShareUpdateExclusiveLock: 'SHARE UPDATE EXCLUSIVE',
+  ShareLock: 'SHARE',
+  ShareRowExclusiveLock: 'SHARE ROW EXCLUSIVE',
+  ExclusiveLock: 'EXCLUSIVE',
+  AccessExclusiveLock: 'ACCESS EXCLUSIVE'
+};
+
+// The modes each mode conflicts with, from the PostgreSQL table-level lock conflict table
+const LOCK_CONFLICTS = {
+  AccessShareLock: ['AccessExclusiveLock'],
+  RowShareLock: ['ExclusiveLock', 'AccessExclusiveLock'],
+  RowExclusiveLock: ['ShareLock', 'ShareRowExclusiveLock', 'ExclusiveLock', 'AccessExclusiveLock'],
+  ShareUpdateExclusiveLock: ['ShareUpdateExclusiveLock', 'ShareLock', 'ShareRowExclusiveLock', 'ExclusiveLock', 'AccessExclusiveLock'],
+  ShareLock: ['RowExclusiveLock', 'ShareUpdateExclusiveLock', 'ShareRowExclusiveLock', 'ExclusiveLock', 'AccessExclusiveLock'],
+  ShareRowExclusiveLock: ['RowExclusiveLock', 'ShareUpdateExclusiveLock', 'ShareLock', 'ShareRowExclusiveLock', 'ExclusiveLock', 'AccessExclusiveLock'],
+  ExclusiveLock: ['RowShareLock', 'RowExclusiveLock', 'ShareUpdateExclusiveLock', 'ShareLock', 'ShareRowExclusiveLock', 'ExclusiveLock', 'AccessExclusiveLock'],
+  AccessExclusiveLock: Object.keys(LOCK_MODES)
+};
+
+// Column types whose default is a sequence, which is volatile
+const SERIAL_TYPES = ['SMALLSERIAL', 'SERIAL', 'BIGSERIAL', 'SERIAL2', 'SERIAL4', 'SERIAL8'];
+
+/**
+ * Describes what other sessions cannot do while a lock is waited for or held
+ * @param {string} mode - Lock mode as pg_locks names it
+ * @returns {string} Description such as "reads and writes"
+ */
+function describeBlockedWork(mode) {
+  if (LOCK_CONFLICTS[mode].includes('AccessShareLock')) return 'every read and write';
+  if (LOCK_CONFLICTS[mode].includes('RowExclusiveLock')) return 'every INSERT, UPDATE and DELETE';
+  return 'VACUUM, ANALYZE and other schema changes';
+}
+
+/**
+ * Checks whether adding a column rewrites the table or scans it
+ * PostgreSQL 11 and later store a non-volatile default without touching the rows; a volatile default,
+ * a serial type, an identity or a stored generated column rewrites every row
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} datatype - Column type as given to add-column, possibly with further column options
+ * @param {Object} options - Column options
+ * @param {string} [options.default] - Default value expression
+ * @param {boolean} [options.notNull] - Whether the column is NOT NULL
+ * @returns {Promise<Object>} Object with rewrite, scan and reason (null if neither)
+ */
+async function estimateAddColumnRewrite(pool, datatype, options = {}) {
+  const typeWords = tokenizeSql(datatype).map(token => token.upper).filter(Boolean);
+  
+  if (typeWords.some(word => SERIAL_TYPES.includes(word))) {
+    return { rewrite: true, scan: false, reason: `${datatype} fills every existing row from a sequence` };
+  }
+  
+  if (typeWords.includes('GENERATED')) {
+    return { rewrite: true, scan: false, reason: 'an identity or stored generated column is computed for every existing row' };
+  }
+  
+  // The default may come from --default or be written into the type, as in "TIMESTAMPTZ DEFAULT now()"
+  const hasDefault = (options.default !== undefined && options.default !== null) || typeWords.includes('DEFAULT');
+  
+  if (hasDefault) {
+    const { rows: [{ server_version_num: version }] } = await pool.query('SHOW server_version_num');
+    
+    if (parseInt(version) < 110000) {
+      return { rewrite: true, scan: false, reason: 'PostgreSQL before 11 writes a default into every existing row' };
+    }
+    
+    // Function calls in the default, such as now() or gen_random_uuid()
+    const tokens = tokenizeSql(`${datatype} ${options.default ?? ''}`);
+    const functions = tokens
+      .filter((token, index) => token.type === 'word' && tokens[index + 1] && tokens[index + 1].value === '(')
+      .map(token => token.value.toLowerCase());
+    
+    if (functions.length > 0) {
+      const { rows } = await pool.query(
+        `SELECT DISTINCT proname FROM pg_proc WHERE proname = ANY($1) AND provolatile = 'v'`,
+        [functions]
+      );
+      
+      if (rows.length > 0) {
+        return { rewrite: true, scan: false, reason: `the default calls the volatile function ${rows.map(row => `${row.proname}()`).join(', ')}, which is evaluated for every existing row` };
+      }
+    }
+  }
+  
+  if ((options.notNull || /\bNOT\s+NULL\b/i.test(datatype)) && !hasDefault) {
+    return { rewrite: false, scan: true, reason: 'NOT NULL is checked against every existing row' };
+  }
+  
+  if (typeWords.includes('UNIQUE') || typeWords.includes('PRIMARY')) {
+    return { rewrite: false, scan: true, reason: 'an index is built from every existing row' };
+  }
+  
+  if (typeWords.includes('CHECK') || typeWords.includes('REFERENCES')) {
+    return { rewrite: false, scan: true, reason: 'the constraint is checked against every existing row' };
+  }
+  
+  return { rewrite: false, scan: false, reason: null };
+}
+
+/**
+ * Checks what a DDL statement will lock and who it would wait for
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} qualifiedTable - Quoted, schema-qualified table name
+ * @param {Object} statement - Statement to check
+ * @param {string} statement.sql - SQL text
+ * @param {string} statement.lock - Lock mode the statement takes on the table, as pg_locks names it
+ * @param {boolean} [statement.rewrite] - Whether the statement rewrites every row while holding the lock
+ * @param {boolean} [statement.scan] - Whether the statement reads every row while holding the lock
+ * @param {string} [statement.reason] - Why the table is rewritten or scanned
+ * @param {string} [statement.note] - Further advice to print
+ * @returns {Promise<Object>} The statement with table, rows (estimated, null if never analyzed) and bytes, blocking (sessions holding conflicting locks)
+ * and queued (sessions already waiting for a lock on the table), each session with pid, user, application, state, mode,
+ * seconds (transaction age) and query
+ */
+async function analyzeLockImpact(pool, qualifiedTable, statement) {
+  const { rows: [size] } = await pool.query(
+    `SELECT CASE WHEN reltuples >= 0 THEN reltuples::bigint END AS rows, pg_total_relation_size(oid) AS bytes FROM pg_class WHERE oid = to_regclass($1)`,
+    [qualifiedTable]
+  );
+  
+  const { rows: sessions } = await pool.query(`
+    SELECT l.pid, l.mode, l.granted, a.usename AS user, a.application_name AS application, a.state,
+      EXTRACT(EPOCH FROM now() - a.xact_start)::int AS seconds, a.query
+    FROM pg_locks l
+    JOIN pg_stat_activity a ON a.pid = l.pid
+    WHERE l.locktype = 'relation' AND l.relation = to_regclass($1) AND l.pid <> pg_backend_pid()
+    ORDER BY a.xact_start
+  `, [qualifiedTable]);
+  
+  const conflicts = LOCK_CONFLICTS[statement.lock];
+  
+  return {
+    ...statement,
+    table: qualifiedTable,
+    rows: size && size.rows !== null ? parseInt(size.rows) : null,
+    bytes: size ? parseInt(size.bytes) : 0,
+    blocking: sessions.filter(session => session.granted && conflicts.includes(session.mode)),
+    queued: sessions.filter(session => !session.granted)
+  };
+}
+
+/**
+ * Formats a byte count for the lock impact report
+ * @param {number} bytes - Byte count
+ * @returns {string} Size such as "12.5 MB"
+ */
+function formatBytes(bytes) {
+  const units = ['bytes', 'kB', 'MB', 'GB', 'TB'];
+  let size = bytes;
+  let unit = 0;
+  
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  
+  return unit === 0 ? `${size} ${units[unit]}` : `${size.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Prints the lock impact of a DDL statement
+ * @param {Object} impact - Impact returned by analyzeLockImpact
+ */
+function printLockImpact(impact) {
+  const blocked = describeBlockedWork(impact.lock);
+  
+  console.log(chalk.cyan('\n🔒 Lock impact:'));
+  const rows = impact.rows === null ? '' : `~${impact.rows} row(s), `;
+  console.log(chalk.white(`  Takes ${LOCK_MODES[impact.lock]} on ${impact.table} (${rows}${formatBytes(impact.bytes)})`));
+  console.log(chalk.white(`  ${blocked.charAt(0).toUpperCase() + blocked.slice(1)} on the table waits while the statement waits for its lock and runs`));
+  
+  if (impact.rewrite) {
+    console.log(chalk.red(`  ⚠ Rewrites the table: ${impact.reason}`));
+  } else if (impact.scan) {
+    console.log(chalk.yellow(`  ⚠ Scans the table: ${impact.reason}`));
+  } else {
+    console.log(chalk.green('  ✓ Changes the catalog only; the lock is held briefly'));
+  }
+  
+  if (impact.blocking.length > 0) {
+    console.log(chalk.red(`  ⚠ ${impact.blocking.length} session(s) hold locks the statement must wait for:`));
+    impact.blocking.forEach(session => {
+      const query = (session.query || '').replace(/\s+/g, ' ');
+      console.log(chalk.gray(`    pid ${session.pid} ${session.user || '?'}${session.application ? ` (${session.application})` : ''}, ${LOCK_MODES[session.mode] || session.mode}, ${session.state || 'unknown'} for ${session.seconds ?? '?'}s: ${query.length > 60 ? `${query.slice(0, 57)}...` : query}`));
+    });
+  }
+  
+  if (impact.queued.length > 0) {
+    console.log(chalk.yellow(`  ⚠ ${impact.queued.length} session(s) are already waiting for a lock on the table`));
+    impact.queued.forEach(session => {
+      console.log(chalk.gray(`    pid ${session.pid} ${session.user || '?'}, waiting for ${LOCK_MODES[session.mode] || session.mode}`));
+    });
+  }
+  
+  if (impact.note) {
+    console.log(chalk.cyan(`  💡 ${impact.note}`));
+  }
+}
+
+/**
+ * Waits before the next attempt to take a lock
+ * @param {number} milliseconds - Time to wait
+ * @returns {Promise<void>}
+ */
+function sleep(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Turns a timeout option into a PostgreSQL duration
+ * A bare number means seconds, as --lock-timeout does on migrate; set_config would read it as milliseconds
+ * @param {string|number} value - Duration such as 5s, 2min or 500ms, or a number of seconds
+ * @returns {string} PostgreSQL duration
+ */
+function toPostgresDuration(value) {
+  return /^\d+(\.\d+)?$/.test(String(value).trim()) ? `${String(value).trim()}s` : String(value);
+}
+
+/**
+ * Runs a DDL statement with lock_timeout and statement_timeout set for its transaction
+ * When the lock cannot be taken within lock_timeout, the statement is given up so the sessions queued behind it can go on,
+ * and tried again after a delay that doubles each time
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} sql - DDL statement
+ * @param {Object} [options={}] - Command options
+ * @param {string} [options.lockTimeout] - How long to wait for the lock, as a PostgreSQL duration such as 5s, or seconds
+ * @param {string} [options.statementTimeout] - How long the statement may run, as a PostgreSQL duration such as 30min, or seconds
+ * @param {number} [options.lockRetries] - How many times to try again after lock_timeout
+ * @returns {Promise<Object>} Query result
+ * @throws Will throw error if the statement fails, runs past statement_timeout, or every attempt times out waiting for the lock
+ */
+async function executeWithLockTimeout(pool, sql, options = {}) {
+  const lockTimeout = toPostgresDuration(options.lockTimeout || POSTGRES.DDL_LOCK_TIMEOUT);
+  const statementTimeout = toPostgresDuration(options.statementTimeout || POSTGRES.DDL_STATEMENT_TIMEOUT);
+  const retries = options.lockRetries !== undefined ? options.lockRetries : POSTGRES.DDL_LOCK_RETRIES;
+  let delay = POSTGRES.DDL_RETRY_DELAY;
+  
+  for (let attempt = 1; ; attempt++) {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      await client.query(`SELECT set_config('lock_timeout', $1, true), set_config('statement_timeout', $2, true)`, [lockTimeout, statementTimeout]);
+      const result = await client.query(sql);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      
+      if (error.code === POSTGRES.ERROR_CODES.QUERY_CANCELED) {
+        throw new Error(`The statement ran longer than statement_timeout (${statementTimeout}) and was canceled; nothing was changed`);
+      }
+      
+      if (error.code !== POSTGRES.ERROR_CODES.LOCK_NOT_AVAILABLE) {
+        throw error;
+      }
+      
+      if (attempt > retries) {
+        throw new Error(`Could not take the lock within lock_timeout (${lockTimeout}) after ${attempt} attempt(s); nothing was changed. Try again when the table is less busy`);
+      }
+      
+      console.log(chalk.yellow(`⚠ Could not take the lock within ${lockTimeout} (attempt ${attempt} of ${retries + 1}); trying again in ${delay / 1000}s`));
+    } finally {
+      client.release();
+    }
+    
+    await sleep(delay);
+    delay *= 2;
+  }
+}
+
+module.exports = {
+  estimateAddColumnRewrite,
+  analyzeLockImpact,
+  printLockImpact,
+  executeWithLockTimeout
+};
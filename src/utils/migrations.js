@@ -0,0 +1,313 @@
+// src/utils/migrations.js
+// This file contains database-agnostic helpers for migration files
+// Handles locating migration files on disk and comparing them with applied migrations
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { FILE_PATHS } = require('./constants');
+
+// Migration file extensions by database type: SQL scripts for PostgreSQL, JavaScript modules for MongoDB
+const MIGRATION_EXTENSIONS = {
+  postgres: ['.sql'],
+  mongodb: ['.js']
+};
+
+/**
+ * Gets the default migrations directory for the current working directory
+ * @returns {string} Absolute path to the migrations directory
+ */
+function getMigrationsDir() {
+  return path.join(process.cwd(), FILE_PATHS.MIGRATIONS_DIR);
+}
+
+/**
+ * Lists migration files in a directory, sorted by name
+ * @param {string} [migrationDir] - Directory to scan (defaults to ./migrations)
+ * @param {Array<string>} [extensions=['.sql']] - File extensions to include
+ * @returns {Array<string>} Sorted migration file names (without directory)
+ * @throws Will throw error if the migrations directory does not exist
+ */
+function listMigrationFiles(migrationDir = getMigrationsDir(), extensions = ['.sql']) {
+  if (!fs.existsSync(migrationDir)) {
+    throw new Error(`Migrations directory not found at ${migrationDir}`);
+  }
+  
+  return fs.readdirSync(migrationDir)
+    .filter(file => extensions.includes(path.extname(file)))
+    .filter(file => !isDownMigrationFile(file))
+    .sort(); // Sort in alphabetical order, typically by timestamp or sequence number
+}
+
+/**
+ * Checks whether a file is the down half of a paired migration (e.g. 002_add_users.down.sql)
+ * @param {string} fileName - Migration file name
+ * @returns {boolean} True if the file contains down migration SQL
+ */
+function isDownMigrationFile(fileName) {
+  return /\.down\.[^.]+$/.test(fileName);
+}
+
+/**
+ * Gets the path of the paired down migration file for an up migration
+ * Both 002_add_users.sql and 002_add_users.up.sql pair with 002_add_users.down.sql
+ * @param {string} migrationPath - Path to the up migration file
+ * @returns {string} Path where the paired down migration file would live
+ */
+function getDownMigrationPath(migrationPath) {
+  const { dir, name, ext } = path.parse(migrationPath);
+  const baseName = name.replace(/\.up$/, '');
+  return path.join(dir, `${baseName}.down${ext}`);
+}
+
+/**
+ * Splits migration SQL into up and down sections
+ * A line containing only "-- +down" starts the down section; an optional "-- +up" line marks the up section
+ * @param {string} sql - Full contents of the migration file
+ * @returns {Object} Sections object
+ * @returns {string} returns.up - SQL to apply the migration
+ * @returns {string|null} returns.down - SQL to revert the migration, or null if the file has no down section
+ */
+function parseMigrationSections(sql) {
+  const lines = sql.split(/\r?\n/);
+  const downIndex = lines.findIndex(line => /^\s*--\s*\+down\s*$/i.test(line));
+  const upLines = downIndex === -1 ? lines : lines.slice(0, downIndex);
+  
+  return {
+    up: upLines.filter(line => !/^\s*--\s*\+up\s*$/i.test(line)).join('\n'),
+    down: downIndex === -1 ? null : lines.slice(downIndex + 1).join('\n')
+  };
+}
+
+/**
+ * Reads "-- db-tools:<directive>" comment lines that change how a migration is executed
+ * Supported directives:
+ * - no-transaction: run statements one at a time outside a transaction (e.g. CREATE INDEX CONCURRENTLY)
+ * @param {string} sql - Full contents of the migration file
+ * @returns {Object} Directives object
+ * @returns {boolean} returns.noTransaction - Whether the migration must run outside a transaction
+ */
+function parseMigrationDirectives(sql) {
+  const directives = new Set();
+  
+  for (const line of sql.split(/\r?\n/)) {
+    const match = line.match(/^\s*--\s*db-tools:([a-z-]+)\s*$/i);
+    if (match) {
+      directives.add(match[1].toLowerCase());
+    }
+  }
+  
+  return {
+    noTransaction: directives.has('no-transaction')
+  };
+}
+
+/**
+ * Computes the checksum recorded for a migration when it is applied
+ * @param {string} content - Full contents of the migration file
+ * @returns {string} SHA-256 hex digest of the content
+ */
+function computeMigrationChecksum(content) {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+/**
+ * Loads a migration file along with its down SQL (from a -- +down section or a paired .down file)
+ * @param {string} migrationPath - Path to the migration file
+ * @returns {Object} Migration object
+ * @returns {string} returns.name - Migration name (file name without directory)
+ * @returns {string} returns.path - Path to the migration file
+ * @returns {string} returns.sql - Full file contents
+ * @returns {string} returns.up - SQL to apply the migration
+ * @returns {string|null} returns.down - SQL to revert the migration, or null if none is defined
+ * @returns {string} returns.checksum - Checksum of the full file contents
+ * @returns {Object} returns.directives - Directives parsed by parseMigrationDirectives
+ */
+function loadMigration(migrationPath) {
+  const sql = fs.readFileSync(migrationPath, 'utf8');
+  const sections = parseMigrationSections(sql);
+  let down = sections.down;
+  
+  if (down === null) {
+    const downPath = getDownMigrationPath(migrationPath);
+    if (fs.existsSync(downPath)) {
+      down = fs.readFileSync(downPath, 'utf8');
+    }
+  }
+  
+  return {
+    name: path.basename(migrationPath),
+    path: migrationPath,
+    sql,
+    up: sections.up,
+    down,
+    checksum: computeMigrationChecksum(sql),
+    directives: parseMigrationDirectives(sql)
+  };
+}
+
+/**
+ * Resolves a migration file path, falling back to the migrations directory
+ * @param {string} migrationFile - File path or bare file name
+ * @param {string} [migrationDir] - Migrations directory to search (defaults to ./migrations)
+ * @returns {string|null} Resolved path, or null if the file cannot be found
+ */
+function resolveMigrationFile(migrationFile, migrationDir = getMigrationsDir()) {
+  if (fs.existsSync(migrationFile)) {
+    return migrationFile;
+  }
+  
+  const altPath = path.join(migrationDir, migrationFile);
+  return fs.existsSync(altPath) ? altPath : null;
+}
+
+/**
+ * Compares migration files on disk with migrations recorded in the database
+ * @param {Array<string>} migrationFiles - Sorted migration file names
+ * @param {Array<Object>} appliedMigrations - Applied migrations as returned by getAppliedMigrations
+ * @returns {Object} Status object with applied, pending and missing arrays
+ * @returns {Array<Object>} returns.applied - Applied migrations ({ name, applied_at }) whose file still exists
+ * @returns {Array<string>} returns.pending - Migration files that have not been applied, in order
+ * @returns {Array<Object>} returns.missing - Applied migrations whose file no longer exists
+ */
+function getMigrationStatus(migrationFiles, appliedMigrations) {
+  const appliedNames = new Set(appliedMigrations.map(m => m.name));
+  const fileNames = new Set(migrationFiles);
+  
+  return {
+    applied: appliedMigrations.filter(m => fileNames.has(m.name)),
+    pending: migrationFiles.filter(file => !appliedNames.has(file)),
+    missing: appliedMigrations.filter(m => !fileNames.has(m.name))
+  };
+}
+
+/**
+ * Checks whether a migration file name matches a user-supplied migration reference
+ * @param {string} fileName - Migration file name (e.g. 002_add_users.sql)
+ * @param {string} reference - Name given on the command line, with or without extension
+ * @returns {boolean} True if the reference identifies the file
+ */
+function matchesMigration(fileName, reference) {
+  if (!reference) return false;
+  const target = path.basename(reference);
+  return fileName === target || path.parse(fileName).name === target;
+}
+
+/**
+ * Selects the pending migrations to run, optionally stopping at a target migration
+ * @param {Array<string>} migrationFiles - All migration file names in order
+ * @param {Array<string>} pending - Pending migration file names in order
+ * @param {string} [target] - Last migration to apply (inclusive)
+ * @returns {Array<string>} Migration file names to apply
+ * @throws Will throw error if the target migration does not exist
+ */
+function selectPendingMigrations(migrationFiles, pending, target) {
+  if (!target) {
+    return pending;
+  }
+  
+  const targetIndex = migrationFiles.findIndex(file => matchesMigration(file, target));
+  
+  if (targetIndex === -1) {
+    throw new Error(`Target migration not found: ${target}`);
+  }
+  
+  const included = new Set(migrationFiles.slice(0, targetIndex + 1));
+  return pending.filter(file => included.has(file));
+}
+
+/**
+ * Compares applied migration records with the files on disk to find drift
+ * - edited: applied migrations whose file, or whose down SQL, has changed since it was applied
+ * - deleted: applied migrations whose file no longer exists
+ * - outOfOrder: pending files that sort before an already applied migration
+ * @param {string} migrationDir - Migrations directory
+ * @param {Array<string>} migrationFiles - Sorted migration file names
+ * @param {Array<Object>} migrationRecords - Applied migrations with checksum, sql_content and down_sql, in applied order
+ * @returns {Object} Drift report with edited (name, expected, actual and down, set when only the down SQL changed), deleted and outOfOrder arrays
+ */
+function detectMigrationDrift(migrationDir, migrationFiles, migrationRecords) {
+  const fileNames = new Set(migrationFiles);
+  const appliedNames = new Set(migrationRecords.map(m => m.name));
+  const edited = [];
+  
+  for (const record of migrationRecords.filter(m => fileNames.has(m.name))) {
+    // Rows tracked before checksums existed can still be checked against their stored SQL
+    const expected = record.checksum ||
+      (record.sql_content != null ? computeMigrationChecksum(record.sql_content) : null);
+    
+    const migration = loadMigration(path.join(migrationDir, record.name));
+    
+    if (expected && migration.checksum !== expected) {
+      edited.push({ name: record.name, expected, actual: migration.checksum });
+      continue;
+    }
+    
+    // The checksum covers only the migration file, so a paired .down file is compared with the down SQL stored when it was applied
+    if (record.down_sql != null && migration.down != null && migration.down !== record.down_sql) {
+      edited.push({
+        name: record.name,
+        expected: computeMigrationChecksum(record.down_sql),
+        actual: computeMigrationChecksum(migration.down),
+        down: true
+      });
+    }
+  }
+  
+  const lastApplied = migrationFiles.filter(file => appliedNames.has(file)).pop();
+  
+  return {
+    edited,
+    deleted: migrationRecords.filter(m => !fileNames.has(m.name)).map(m => m.name),
+    outOfOrder: lastApplied
+      ? migrationFiles.filter(file => !appliedNames.has(file) && file < lastApplied)
+      : []
+  };
+}
+
+/**
+ * Checks whether a drift report contains any drift
+ * @param {Object} drift - Report returned by detectMigrationDrift
+ * @returns {boolean} True if any migration was edited, deleted or is out of order
+ */
+function hasMigrationDrift(drift) {
+  return drift.edited.length > 0 || drift.deleted.length > 0 || drift.outOfOrder.length > 0;
+}
+
+/**
+ * Builds the file name for a new migration, numbered after the highest existing prefix
+ * Keeps the zero-padded width already used in the directory (at least three digits)
+ * @param {string} migrationDir - Path to the migrations directory
+ * @param {string} description - Short description used in the file name
+ * @param {string} [extension='.sql'] - File extension
+ * @returns {string} File name such as 004_add_user_roles.sql
+ */
+function getNextMigrationFileName(migrationDir, description, extension = '.sql') {
+  const prefixes = fs.existsSync(migrationDir)
+    ? fs.readdirSync(migrationDir).map(file => file.match(/^(\d+)_/)).filter(Boolean).map(match => match[1])
+    : [];
+  const width = Math.max(3, ...prefixes.map(prefix => prefix.length));
+  const next = prefixes.reduce((max, prefix) => Math.max(max, parseInt(prefix, 10)), 0) + 1;
+  const slug = description.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'migration';
+  
+  return `${String(next).padStart(width, '0')}_${slug}${extension}`;
+}
+
+module.exports = {
+  MIGRATION_EXTENSIONS,
+  getMigrationsDir,
+  listMigrationFiles,
+  isDownMigrationFile,
+  getDownMigrationPath,
+  parseMigrationSections,
+  parseMigrationDirectives,
+  computeMigrationChecksum,
+  loadMigration,
+  resolveMigrationFile,
+  getMigrationStatus,
+  matchesMigration,
+  selectPendingMigrations,
+  detectMigrationDrift,
+  hasMigrationDrift,
+  getNextMigrationFileName
+};
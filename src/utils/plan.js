@@ -0,0 +1,141 @@
+// src/utils/plan.js
+// This file reads and writes plan files, which record a change made with "db-tools plan" for "db-tools apply"
+// Plans are signed with a key kept in the plans directory, so an edited plan is refused
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PLANS_DIR = path.join(process.cwd(), 'plans');
+const SIGNING_KEY_FILE = '.signing-key';
+const PLAN_VERSION = 1;
+
+/**
+ * Gets the key plans are signed with, creating it on first use
+ * @returns {Buffer} 32-byte HMAC key
+ */
+function getSigningKey() {
+  const keyPath = path.join(PLANS_DIR, SIGNING_KEY_FILE);
+  
+  if (!fs.existsSync(keyPath)) {
+    fs.mkdirSync(PLANS_DIR, { recursive: true });
+    fs.writeFileSync(keyPath, crypto.randomBytes(32).toString('hex'), { mode: 0o600, flag: 'wx' });
+  }
+  
+  return Buffer.from(fs.readFileSync(keyPath, 'utf8').trim(), 'hex');
+}
+
+/**
+ * Signs a plan
+ * The signature covers every field except the signature itself and the applied record
+ * @param {Object} plan - Plan contents
+ * @returns {string} HMAC-SHA256 hex digest
+ */
+function signPlan(plan) {
+  const { signature, applied, ...signed } = plan;
+  return crypto.createHmac('sha256', getSigningKey()).update(JSON.stringify(signed)).digest('hex');
+}
+
+/**
+ * Gets the default path of a new plan file
+ * @param {string} projectName - Project name
+ * @param {string} command - Planned command
+ * @returns {string} plans/<project>_<command>_<timestamp>.json in the working directory
+ */
+function getDefaultPlanPath(projectName, command) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const name = `${projectName}_${command}`.toLowerCase().replace(/[^a-z0-9_-]+/g, '_');
+  return path.join(PLANS_DIR, `${name}_${timestamp}.json`);
+}
+
+/**
+ * Signs a plan and writes it to a file
+ * @param {Object} plan - Plan contents without version and signature
+ * @param {string} [outputFile] - Plan file path (default: a new file in the plans directory)
+ * @returns {Object} Object with path and plan (as written)
+ */
+function savePlan(plan, outputFile) {
+  const planPath = path.resolve(outputFile || getDefaultPlanPath(plan.project, plan.command));
+  const versioned = { version: PLAN_VERSION, ...plan };
+  const written = { ...versioned, signature: signPlan(versioned) };
+  
+  fs.mkdirSync(path.dirname(planPath), { recursive: true });
+  fs.writeFileSync(planPath, `${JSON.stringify(written, null, 2)}\n`, { flag: 'wx' });
+  
+  return { path: planPath, plan: written };
+}
+
+/**
+ * Reads a plan file without checking its signature
+ * @param {string} planFile - Plan file path
+ * @returns {Object} Plan contents
+ * @throws Will throw error if the file is missing or is not a plan
+ */
+function readPlanFile(planFile) {
+  if (!planFile || !fs.existsSync(planFile)) {
+    throw new Error(`Plan file not found: ${planFile}`);
+  }
+  
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${planFile}: ${error.message}`);
+  }
+  
+  if (!plan || plan.version !== PLAN_VERSION || !Array.isArray(plan.statements) || !plan.project || !plan.command) {
+    throw new Error(`${planFile} is not a db-tools plan (version ${PLAN_VERSION})`);
+  }
+  
+  return plan;
+}
+
+/**
+ * Reads a plan file and checks its signature
+ * @param {string} planFile - Plan file path
+ * @returns {Object} Plan contents
+ * @throws Will throw error if the plan is unreadable or was changed after it was signed
+ */
+function loadPlan(planFile) {
+  const plan = readPlanFile(planFile);
+  const expected = Buffer.from(signPlan(plan), 'hex');
+  const actual = Buffer.from(typeof plan.signature === 'string' ? plan.signature : '', 'hex');
+  
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error(`The signature of ${planFile} does not match: the plan was changed after it was made, or was made with another signing key`);
+  }
+  
+  return plan;
+}
+
+/**
+ * Records in the plan file that the plan was applied, so it cannot be applied twice
+ * @param {string} planFile - Plan file path
+ * @param {Object} plan - Plan returned by loadPlan
+ * @param {Object} applied - When, by whom and with which backup the plan was applied
+ */
+function markPlanApplied(planFile, plan, applied) {
+  fs.writeFileSync(planFile, `${JSON.stringify({ ...plan, applied }, null, 2)}\n`);
+}
+
+/**
+ * Describes the command a plan file runs, so the safety policy can check "apply" as that command
+ * @param {string} planFile - Plan file path
+ * @returns {Object|null} Object with command, projectName, args and options, or null if the file is not a readable plan
+ */
+function readPlanRequest(planFile) {
+  try {
+    const plan = readPlanFile(planFile);
+    return { command: plan.command, projectName: plan.project, args: plan.args || [], options: plan.options || {} };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  PLANS_DIR,
+  savePlan,
+  loadPlan,
+  markPlanApplied,
+  readPlanRequest
+};
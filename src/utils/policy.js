@@ -0,0 +1,251 @@
+// src/utils/policy.js
+// This file loads the safety policy file and decides whether a command may run
+// The policy lives next to the connection file, so it travels with the credentials it protects
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const db = require('./db');
+const { createTempBackup, getBackupTables } = require('./temp-backup');
+const { isReadOnlyQuery, getDroppedOrRenamedNames, inspectPostgresQuery, findIrreversibleStatement } = require('./query-classifier');
+
+const POLICY_FILE_NAME = 'db-tools.policy.json';
+
+const LIST_RULES = ['forbiddenCommands', 'protectedTables', 'requireBackup'];
+const BOOLEAN_RULES = ['readOnly', 'allowForce'];
+
+// Commands that never change a database; a read-only policy allows only these and read-only queries
+const READ_ONLY_COMMANDS = [
+  'check', 'diff', 'introspect', 'compare-schema', 'backup', 'auto-backup', 'validate-config', 'list-temp-backups', 'audit', 'plan',
+  'list-databases', 'list-schemas', 'list-tables', 'list-columns', 'count-records', 'search',
+  'migrate status', 'migrate verify'
+];
+
+// Commands that drop or rename the table or collection given as their first argument after the project
+const DROP_RENAME_COMMANDS = ['delete-table', 'rename-table', 'delete-collection', 'rename-collection'];
+
+/**
+ * Gets the path of the policy file for a connection file
+ * @param {string} [connectionFile] - Custom path to connection file (default: connect.json in the working directory)
+ * @returns {string} Path of db-tools.policy.json next to the connection file
+ */
+function getPolicyPath(connectionFile) {
+  const connectPath = path.resolve(connectionFile || path.join(process.cwd(), 'connect.json'));
+  return path.join(path.dirname(connectPath), POLICY_FILE_NAME);
+}
+
+/**
+ * Checks one section of a policy file
+ * @param {Object} rules - Section with rules such as readOnly and forbiddenCommands
+ * @param {string} where - Section name used in error messages
+ * @throws Will throw error if the section has unknown keys or values of the wrong type
+ */
+function validateRules(rules, where) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error(`${where} must be an object`);
+  }
+  
+  Object.keys(rules).forEach(key => {
+    if (BOOLEAN_RULES.includes(key)) {
+      if (typeof rules[key] !== 'boolean') {
+        throw new Error(`${where}.${key} must be true or false`);
+      }
+    } else if (LIST_RULES.includes(key)) {
+      if (!Array.isArray(rules[key]) || !rules[key].every(item => typeof item === 'string' && item.trim() !== '')) {
+        throw new Error(`${where}.${key} must be a list of names`);
+      }
+    } else {
+      throw new Error(`${where} has unknown rule "${key}" (expected one of: ${[...BOOLEAN_RULES, ...LIST_RULES].join(', ')})`);
+    }
+  });
+}
+
+/**
+ * Loads the policy file next to the connection file
+ * @param {string} [connectionFile] - Custom path to connection file
+ * @returns {Object|null} Policy with default, environments and projects sections, or null if there is no policy file
+ * @throws Will throw error if the policy file is not valid JSON or has invalid rules
+ */
+function loadPolicy(connectionFile) {
+  const policyPath = getPolicyPath(connectionFile);
+  
+  if (!fs.existsSync(policyPath)) {
+    return null;
+  }
+  
+  let policy;
+  try {
+    policy = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${policyPath}: ${error.message}`);
+  }
+  
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error(`${policyPath} must contain an object`);
+  }
+  
+  Object.keys(policy).forEach(key => {
+    if (key === 'default') {
+      validateRules(policy.default, 'default');
+    } else if (key === 'environments' || key === 'projects') {
+      if (!policy[key] || typeof policy[key] !== 'object' || Array.isArray(policy[key])) {
+        throw new Error(`${key} must map names to rules`);
+      }
+      Object.entries(policy[key]).forEach(([name, rules]) => validateRules(rules, `${key}.${name}`));
+    } else {
+      throw new Error(`${policyPath} has unknown section "${key}" (expected default, environments and projects)`);
+    }
+  });
+  
+  return { ...policy, path: policyPath };
+}
+
+/**
+ * Combines the default, environment and project sections that apply to a project
+ * The most restrictive value wins, so a project section cannot loosen the default
+ * @param {Object} policy - Policy returned by loadPolicy
+ * @param {string} [projectName] - Project name
+ * @param {string} [environment] - The connection's "environment" field
+ * @returns {Object} Rules: readOnly, allowForce, forbiddenCommands, protectedTables and requireBackup
+ */
+function getProjectRules(policy, projectName, environment) {
+  const sections = [
+    policy.default,
+    environment && policy.environments && policy.environments[environment],
+    projectName && policy.projects && policy.projects[projectName]
+  ].filter(Boolean);
+  
+  const rules = {
+    readOnly: sections.some(section => section.readOnly === true),
+    allowForce: !sections.some(section => section.allowForce === false)
+  };
+  
+  LIST_RULES.forEach(rule => {
+    rules[rule] = [...new Set(sections.flatMap(section => section[rule] || []))];
+  });
+  
+  return rules;
+}
+
+/**
+ * Checks whether a table or collection name is protected
+ * Protected names may be qualified (app.users) or bare (users, matched in the connection's schema)
+ * @param {Array<string>} protectedNames - Protected table and collection names
+ * @param {string} name - Name as given on the command line or in the query
+ * @param {string} [schema] - Schema of unqualified names (PostgreSQL only)
+ * @returns {boolean} True if the name is protected
+ */
+function isProtectedName(protectedNames, name, schema) {
+  const target = name.toLowerCase();
+  const qualified = schema && !target.includes('.') ? `${schema.toLowerCase()}.${target}` : target;
+  
+  return protectedNames.some(entry => {
+    const protectedName = entry.toLowerCase();
+    return protectedName.includes('.') ? protectedName === qualified : protectedName === target.split('.').pop();
+  });
+}
+
+/**
+ * Checks a command against the safety policy before it runs
+ * Takes the required backup, and reports whether the project is read-only so connections can enforce it
+ * @param {Object} request - Command about to run
+ * @param {string} request.command - Command name, with the parent for subcommands (e.g. "migrate up")
+ * @param {boolean} request.takesProject - Whether the command's first argument is a project
+ * @param {string} [request.projectName] - Project given on the command line
+ * @param {Array<string>} [request.args=[]] - Arguments after the project
+ * @param {Object} [request.options={}] - Merged global and command options
+ * @returns {Promise<Object>} Object with allowed, readOnly and tempBackup (the backup taken, if any), or allowed false and reason
+ */
+async function enforcePolicy({ command, takesProject, projectName, args = [], options = {} }) {
+  let policy;
+  
+  try {
+    policy = loadPolicy(options.connect);
+  } catch (error) {
+    // A broken policy must not silently turn into no policy
+    console.error(chalk.red(`✗ Safety policy error: ${error.message}`));
+    return { allowed: false, reason: `policy error: ${error.message}` };
+  }
+  
+  if (!policy) {
+    return { allowed: true, readOnly: false, tempBackup: null };
+  }
+  
+  const deny = reason => {
+    console.error(chalk.red(`✗ Blocked by safety policy: ${reason}`));
+    console.log(chalk.gray(`  Policy file: ${policy.path}`));
+    return { allowed: false, reason };
+  };
+  
+  if (takesProject && !projectName) {
+    return deny('name the project on the command line when a safety policy is in effect');
+  }
+  
+  const connection = projectName ? db.getConnectionForProject(projectName, options) : null;
+  const dbType = connection ? db.getDatabaseType(connection) : null;
+  const schema = dbType === 'postgres' ? options.schema || connection.schema || 'public' : null;
+  const rules = getProjectRules(policy, projectName, connection && connection.environment);
+  const topCommand = command.split(' ')[0];
+  const subject = projectName ? `project "${projectName}"` : 'this configuration';
+  
+  if (rules.forbiddenCommands.includes(command) || rules.forbiddenCommands.includes(topCommand)) {
+    return deny(`"${command}" is forbidden for ${subject}`);
+  }
+  
+  if (!rules.allowForce && (options.force || options.skipSafety)) {
+    return deny(`--force and --skip-safety are not allowed for ${subject}`);
+  }
+  
+  const query = command === 'query' ? args[0] || options.raw : null;
+  
+  if (rules.readOnly) {
+    if (command === 'query' ? !isReadOnlyQuery(dbType, query) : !READ_ONLY_COMMANDS.includes(command)) {
+      return deny(`${subject} is read-only`);
+    }
+  }
+  
+  const targets = command === 'query'
+    ? getDroppedOrRenamedNames(dbType, query)
+    : DROP_RENAME_COMMANDS.includes(command) && args[0] ? [args[0]] : [];
+  const protectedTarget = targets.find(name => isProtectedName(rules.protectedTables, name, schema));
+  
+  if (protectedTarget) {
+    return deny(`"${protectedTarget}" is protected from being dropped or renamed`);
+  }
+  
+  let tempBackup = null;
+  
+  // A dry run changes nothing, so it needs no backup
+  if ((rules.requireBackup.includes(command) || rules.requireBackup.includes(topCommand)) && !options.dryRun) {
+    const dbConnection = await db.createConnection(projectName, options);
+    try {
+      // A what-if run is rolled back (MongoDB's does not run the query at all), unless a statement has effects the rollback does not undo
+      const rolledBack = options.whatIf &&
+        (dbType !== 'postgres' || !findIrreversibleStatement(await inspectPostgresQuery(dbConnection.connection, query)));
+      
+      if (!rolledBack) {
+        tempBackup = await createTempBackup(dbConnection.connection, projectName, command, {
+          compress: options.backupCompression,
+          tables: getBackupTables(command, args[0], options),
+          uri: connection.mongodb_uri
+        });
+      }
+    } finally {
+      await db.closeConnection(dbConnection);
+    }
+    
+    if (tempBackup && !tempBackup.success) {
+      return deny(`"${command}" requires a backup first, and the backup failed: ${tempBackup.error}`);
+    }
+  }
+  
+  return { allowed: true, readOnly: rules.readOnly, tempBackup };
+}
+
+module.exports = {
+  POLICY_FILE_NAME,
+  getPolicyPath,
+  loadPolicy,
+  getProjectRules,
+  enforcePolicy
+};
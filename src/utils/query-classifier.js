@@ -0,0 +1,719 @@
+// src/utils/query-classifier.js
+// This file contains helpers that work out what a raw query given to the query command does
+// PostgreSQL queries are split with the SQL splitter and each statement is classified from its tokens,
+// so every statement in a multi-statement string maps to one of the query-* risks in OPERATION_RISKS
+// MongoDB queries are classified from their query type or command document
+
+const db = require('./db');
+const { splitSqlStatements } = require('./sql-splitter');
+const { tokenizeSql, findClosingParen } = require('./sql-lexer');
+const { SAFETY_LEVELS, OPERATION_RISKS } = require('./safety-validator');
+
+// MongoDB database commands that only read
+const MONGO_READ_COMMANDS = ['find', 'count', 'distinct', 'aggregate', 'listCollections', 'listIndexes', 'dbStats', 'collStats', 'ping', 'buildInfo', 'serverStatus'];
+
+const RISK_ORDER = [SAFETY_LEVELS.SAFE, SAFETY_LEVELS.CAUTION, SAFETY_LEVELS.WARNING, SAFETY_LEVELS.DANGER];
+
+// Statements that only read, or only change the session rather than the database
+const READ_COMMANDS = ['SELECT', 'VALUES', 'TABLE', 'SHOW'];
+const SESSION_COMMANDS = [
+  'BEGIN', 'START', 'COMMIT', 'END', 'ROLLBACK', 'ABORT', 'SAVEPOINT', 'RELEASE', 'SET', 'RESET',
+  'LISTEN', 'UNLISTEN', 'FETCH', 'MOVE', 'CLOSE', 'DEALLOCATE', 'DISCARD'
+];
+
+// Commands that can follow a WITH clause
+const MAIN_COMMANDS = ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'VALUES', 'TABLE'];
+
+// ALTER ... DROP forms that remove a property rather than a column or constraint
+const HARMLESS_ALTER_DROPS = ['NOT', 'DEFAULT', 'IDENTITY', 'EXPRESSION'];
+
+// Built-in functions that change state when a SELECT calls them
+const STATE_FUNCTIONS = ['nextval', 'setval', 'set_config'];
+const SIDE_EFFECT_FUNCTIONS = [
+  'pg_terminate_backend', 'pg_cancel_backend', 'pg_reload_conf', 'pg_rotate_logfile', 'pg_switch_wal', 'pg_promote',
+  'pg_create_restore_point', 'pg_create_physical_replication_slot', 'pg_create_logical_replication_slot',
+  'pg_drop_replication_slot', 'pg_logical_slot_get_changes', 'pg_logical_slot_get_binary_changes',
+  'pg_replication_origin_drop', 'pg_stat_reset', 'pg_stat_reset_shared', 'pg_stat_reset_single_table_counters',
+  'lo_create', 'lo_creat', 'lo_import', 'lo_export', 'lo_unlink', 'lo_put', 'lo_from_bytea', 'lo_truncate',
+  'pg_file_write', 'pg_file_rename', 'pg_file_unlink', 'pg_file_sync', 'dblink', 'dblink_exec'
+];
+
+/**
+ * Picks the riskier of two query operations
+ * @param {string} current - Operation so far (a query-* key of OPERATION_RISKS)
+ * @param {string} candidate - Operation to compare
+ * @returns {string} The operation with the higher risk level; the current one on a tie
+ */
+function riskier(current, candidate) {
+  return RISK_ORDER.indexOf(OPERATION_RISKS[candidate]) > RISK_ORDER.indexOf(OPERATION_RISKS[current]) ? candidate : current;
+}
+
+/**
+ * Gets the name a word or quoted identifier token refers to
+ * @param {Object} token - Token returned by tokenizeSql
+ * @returns {string} Name without identifier quotes
+ */
+function tokenName(token) {
+  return token.type === 'identifier' ? token.name : token.value;
+}
+
+/**
+ * Reads a possibly qualified name (schema.table) starting at a token
+ * @param {Array<Object>} tokens - Statement tokens
+ * @param {number} start - Index of the first name token
+ * @returns {Object} Object with name (null if there is no name) and next (index after the name)
+ */
+function readName(tokens, start) {
+  const parts = [];
+  let i = start;
+  
+  while (tokens[i] && ['word', 'identifier'].includes(tokens[i].type)) {
+    parts.push(tokenName(tokens[i]));
+    i++;
+    if (!tokens[i] || tokens[i].value !== '.') break;
+    i++;
+  }
+  
+  return { name: parts.length > 0 ? parts.join('.') : null, next: i };
+}
+
+/**
+ * Checks whether a SET or RESET statement changes the role or session user the session runs as
+ * Covers SET [SESSION | LOCAL] ROLE, SET [SESSION | LOCAL] SESSION AUTHORIZATION, SET role = x and their RESET forms
+ * @param {Array<Object>} tokens - Statement tokens
+ * @returns {boolean} True for privilege-changing SET and RESET statements
+ */
+function changesPrivileges(tokens) {
+  if (!['SET', 'RESET'].includes(tokens[0].upper)) {
+    return false;
+  }
+  
+  let i = 1;
+  
+  // SET SESSION AUTHORIZATION, as opposed to SET SESSION ROLE or SET SESSION work_mem
+  if (tokens[i] && ['SESSION', 'LOCAL'].includes(tokens[i].upper) && !(tokens[i].upper === 'SESSION' && tokens[i + 1] && tokens[i + 1].upper === 'AUTHORIZATION')) {
+    i++;
+  }
+  
+  const setting = tokens[i] ? tokenName(tokens[i]).toUpperCase() : null;
+  return setting === 'ROLE' || (setting === 'SESSION' && tokens[i + 1] && tokens[i + 1].upper === 'AUTHORIZATION');
+}
+
+/**
+ * Classifies the tokens of one statement, or of a statement nested in another (CTE bodies, EXPLAIN ANALYZE)
+ * @param {Array<Object>} tokens - Tokens returned by tokenizeSql
+ * @returns {string} A query-* key of OPERATION_RISKS; 'query' when the statement cannot be classified
+ */
+function classifyTokens(tokens) {
+  if (tokens.length === 0) {
+    return 'query-select';
+  }
+  
+  const first = tokens[0];
+  const base = first.depth;
+  const topWords = tokens.filter(token => token.depth === base && token.type === 'word').map(token => token.upper);
+  
+  // (SELECT ...) UNION (SELECT ...)
+  if (first.value === '(') {
+    return classifyTokens(tokens.slice(1, findClosingParen(tokens, 0)));
+  }
+  
+  if (first.type !== 'word') {
+    return 'query';
+  }
+  
+  const command = first.upper;
+  
+  if (READ_COMMANDS.includes(command)) {
+    // SELECT ... INTO creates a table
+    return command === 'SELECT' && topWords.includes('INTO') ? 'query-insert' : 'query-select';
+  }
+  
+  if (SESSION_COMMANDS.includes(command)) {
+    return changesPrivileges(tokens) ? 'query-set-role' : 'query-select';
+  }
+  
+  switch (command) {
+    case 'WITH': {
+      // Each CTE body is a statement of its own, and may delete or update rows
+      let operation = 'query-select';
+      
+      for (let i = 1; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.depth !== base) continue;
+        
+        if (token.value === '(' && ['AS', 'MATERIALIZED'].includes(tokens[i - 1].upper)) {
+          const close = findClosingParen(tokens, i);
+          operation = riskier(operation, classifyTokens(tokens.slice(i + 1, close)));
+          i = close;
+          continue;
+        }
+        
+        if (token.type === 'word' && MAIN_COMMANDS.includes(token.upper)) {
+          const next = tokens[i + 1];
+          const afterColumns = next && next.value === '(' ? tokens[findClosingParen(tokens, i + 1) + 1] : null;
+          const isCteName = (next && next.upper === 'AS') || (afterColumns && afterColumns.upper === 'AS');
+          
+          if (!isCteName) {
+            return riskier(operation, classifyTokens(tokens.slice(i)));
+          }
+        }
+      }
+      
+      return riskier(operation, 'query');
+    }
+    
+    case 'EXPLAIN': {
+      // EXPLAIN ANALYZE runs the statement it explains
+      let analyze = false;
+      let i = 1;
+      
+      if (tokens[1] && tokens[1].value === '(') {
+        const close = findClosingParen(tokens, 1);
+        
+        for (let j = 2; j < close; j++) {
+          if (['ANALYZE', 'ANALYSE'].includes(tokens[j].upper)) {
+            const setting = tokens[j + 1] && (tokens[j + 1].upper || tokens[j + 1].value);
+            analyze = !['FALSE', 'OFF', '0'].includes(setting);
+          }
+        }
+        
+        i = close + 1;
+      } else {
+        while (tokens[i] && ['ANALYZE', 'ANALYSE', 'VERBOSE'].includes(tokens[i].upper)) {
+          analyze = analyze || tokens[i].upper !== 'VERBOSE';
+          i++;
+        }
+      }
+      
+      return analyze ? classifyTokens(tokens.slice(i)) : 'query-select';
+    }
+    
+    case 'INSERT':
+      return 'query-insert';
+    
+    case 'UPDATE':
+      return 'query-update';
+    
+    case 'MERGE':
+      return topWords.includes('DELETE') ? 'query-delete' : 'query-update';
+    
+    case 'DELETE':
+      return 'query-delete';
+    
+    case 'TRUNCATE':
+      return 'query-truncate';
+    
+    case 'DROP':
+      if (topWords[1] === 'DATABASE') return 'query-dropdatabase';
+      return topWords.includes('CASCADE') ? 'query-drop-cascade' : 'query-drop';
+    
+    case 'ALTER': {
+      const dropsSomething = tokens.some((token, i) => token.depth === base && token.upper === 'DROP' &&
+        !(tokens[i + 1] && HARMLESS_ALTER_DROPS.includes(tokens[i + 1].upper)));
+      return dropsSomething ? 'query-alter-drop' : 'query-alter';
+    }
+    
+    case 'CREATE':
+      return 'query-create';
+    
+    case 'COPY':
+      // COPY ... PROGRAM runs a shell command on the server
+      if (topWords.includes('PROGRAM')) return 'query';
+      if (tokens[1] && tokens[1].value === '(') return classifyTokens(tokens.slice(2, findClosingParen(tokens, 1)));
+      return topWords.includes('FROM') ? 'query-insert' : 'query-select';
+    
+    case 'DECLARE':
+    case 'PREPARE': {
+      // DECLARE name CURSOR FOR query, PREPARE name AS statement
+      const keyword = command === 'DECLARE' ? 'FOR' : 'AS';
+      const index = tokens.findIndex(token => token.depth === base && token.upper === keyword);
+      return index === -1 ? 'query' : classifyTokens(tokens.slice(index + 1));
+    }
+    
+    default:
+      return 'query';
+  }
+}
+
+/**
+ * Finds the functions a statement calls
+ * @param {Array<Object>} tokens - Tokens returned by tokenizeSql
+ * @returns {Array<string>} Function names, lower-cased unless quoted, with their schema if one was written
+ */
+function findFunctionCalls(tokens) {
+  const names = [];
+  
+  tokens.forEach((token, i) => {
+    if (!['word', 'identifier'].includes(token.type) || !tokens[i + 1] || tokens[i + 1].value !== '(') return;
+    
+    const name = token.type === 'identifier' ? token.name : token.value.toLowerCase();
+    const schema = tokens[i - 1] && tokens[i - 1].value === '.' ? tokens[i - 2] : null;
+    
+    names.push(schema ? `${schema.type === 'identifier' ? schema.name : schema.value.toLowerCase()}.${name}` : name);
+  });
+  
+  return [...new Set(names)];
+}
+
+/**
+ * Classifies one PostgreSQL statement
+ * @param {string} sql - Statement text
+ * @param {Array<string>} [volatileFunctions=[]] - User functions known to be volatile, which may write anything
+ * @returns {Object} Object with sql, command, operation, riskLevel, readOnly, functions, sideEffects (the state-changing,
+ *   side-effect and volatile functions it calls) and changesRows
+ */
+function classifyStatement(sql, volatileFunctions = []) {
+  const tokens = tokenizeSql(sql);
+  const functions = findFunctionCalls(tokens);
+  const sideEffects = [];
+  const statementOperation = classifyTokens(tokens);
+  let operation = statementOperation;
+  
+  functions.forEach(name => {
+    const bareName = name.split('.').pop();
+    
+    if (STATE_FUNCTIONS.includes(bareName)) {
+      operation = riskier(operation, 'query-update');
+      sideEffects.push(name);
+    } else if (SIDE_EFFECT_FUNCTIONS.includes(bareName) || volatileFunctions.includes(name)) {
+      operation = riskier(operation, 'query');
+      sideEffects.push(name);
+    }
+  });
+  
+  const command = tokens[0] && tokens[0].type === 'word' ? tokens[0].upper : null;
+  const upsert = statementOperation === 'query-insert'
+    && tokens.some((token, index) => token.upper === 'DO' && tokens[index + 1] && tokens[index + 1].upper === 'UPDATE');
+  
+  return {
+    sql,
+    command,
+    operation,
+    riskLevel: OPERATION_RISKS[operation],
+    // SET and READ WRITE transactions can turn off a read-only session
+    readOnly: operation === 'query-select' && !['SET', 'RESET'].includes(command) && !tokens.some(token => token.upper === 'WRITE'),
+    functions,
+    sideEffects,
+    // Whether the statement itself updates, deletes or truncates existing rows, apart from the functions it calls
+    changesRows: ['query-update', 'query-delete', 'query-truncate'].includes(statementOperation) || upsert
+  };
+}
+
+/**
+ * Classifies every statement of a PostgreSQL query
+ * @param {string} sql - SQL text, possibly with several statements
+ * @param {Array<string>} [volatileFunctions=[]] - User functions known to be volatile
+ * @returns {Object} Object with statements, and the operation and riskLevel of the riskiest statement
+ */
+function classifyPostgresQuery(sql, volatileFunctions = []) {
+  const statements = splitSqlStatements(sql || '').map(statement => classifyStatement(statement, volatileFunctions));
+  const operation = statements.reduce((current, statement) => riskier(current, statement.operation), 'query-select');
+  
+  return { statements, operation, riskLevel: OPERATION_RISKS[operation] };
+}
+
+/**
+ * Classifies a PostgreSQL query, looking up the user functions it calls in the database
+ * Calls to volatile user functions count as arbitrary queries, since the function body may write anything
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} sql - SQL text
+ * @returns {Promise<Object>} Classification returned by classifyPostgresQuery
+ */
+async function inspectPostgresQuery(pool, sql) {
+  const names = [...new Set(splitSqlStatements(sql || '').flatMap(statement => findFunctionCalls(tokenizeSql(statement))))]
+    .filter(name => !STATE_FUNCTIONS.includes(name) && !SIDE_EFFECT_FUNCTIONS.includes(name));
+  const volatileFunctions = names.length > 0 ? await db.postgres.getVolatileFunctions(pool, names) : [];
+  
+  return classifyPostgresQuery(sql, volatileFunctions);
+}
+
+/**
+ * Finds the first statement whose effects a rolled-back transaction does not undo: one that calls a state-changing,
+ * side-effect or volatile function, or one that cannot be classified (DO, CALL, COPY ... PROGRAM, VACUUM, ...)
+ * @param {Object} classification - Classification returned by classifyPostgresQuery or inspectPostgresQuery
+ * @returns {Object|null} The statement's classification, or null if a rollback undoes every statement
+ */
+function findIrreversibleStatement(classification) {
+  return classification.statements.find(statement => statement.operation === 'query' || statement.sideEffects.length > 0) || null;
+}
+
+/**
+ * Gets the columns the SET clause of an UPDATE assigns, folded the way PostgreSQL folds names
+ * @param {Array<Object>} tokens - Tokens of the UPDATE statement
+ * @returns {Array<string>} Column names, including those assigned as a list with (a, b) = (...)
+ */
+function getSetColumns(tokens) {
+  const columnName = token => token.type === 'identifier' ? token.name : token.value.toLowerCase();
+  const isName = token => token && ['word', 'identifier'].includes(token.type);
+  const setIndex = tokens.findIndex(token => token.depth === 0 && token.upper === 'SET');
+  const columns = [];
+  let expectColumn = true;
+  
+  for (let i = setIndex + 1; i < tokens.length; i++) {
+    const token = tokens[i];
+    
+    if (token.depth === 0 && ['WHERE', 'RETURNING'].includes(token.upper)) break;
+    
+    if (token.depth === 0 && token.value === ',') {
+      expectColumn = true;
+    } else if (expectColumn) {
+      expectColumn = false;
+      
+      if (token.value === '(') {
+        for (i++; i < tokens.length && tokens[i].depth > 0; i++) {
+          if (['(', ','].includes(tokens[i - 1].value) && isName(tokens[i])) columns.push(columnName(tokens[i]));
+        }
+      } else if (isName(token)) {
+        columns.push(columnName(token));
+      }
+    }
+  }
+  
+  return columns;
+}
+
+/**
+ * Finds the table and WHERE clause of a plain UPDATE or DELETE, so the rows it would change can be counted or journaled
+ * Statements with a WITH clause, a USING or FROM list or WHERE CURRENT OF are not plain
+ * @param {string} sql - One SQL statement
+ * @returns {Object|null} Object with command (UPDATE or DELETE), table (as written, with ONLY and any alias),
+ * relation (the table name as written), where (null for every row) and columns (assigned by an UPDATE), or null
+ */
+function getRowChangeTarget(sql) {
+  const tokens = tokenizeSql(sql).filter(token => token.value !== ';');
+  const top = tokens.filter(token => token.depth === 0);
+  const words = top.map(token => token.upper);
+  let tableStart;
+  let tableEnd;
+  
+  if (words[0] === 'DELETE' && words[1] === 'FROM') {
+    if (words.includes('USING')) return null;
+    tableStart = 2;
+    tableEnd = words.findIndex(word => word === 'WHERE' || word === 'RETURNING');
+  } else if (words[0] === 'UPDATE') {
+    if (words.includes('FROM')) return null;
+    tableStart = 1;
+    tableEnd = words.indexOf('SET');
+  } else {
+    return null;
+  }
+  
+  if (tableEnd === -1) tableEnd = top.length;
+  if (tableEnd <= tableStart) return null;
+  
+  const whereIndex = words.indexOf('WHERE');
+  if (whereIndex !== -1 && words[whereIndex + 1] === 'CURRENT' && words[whereIndex + 2] === 'OF') return null;
+  
+  const returningIndex = words.indexOf('RETURNING');
+  const whereEnd = returningIndex === -1 ? top.length : returningIndex;
+  const nameStart = words[tableStart] === 'ONLY' ? tableStart + 1 : tableStart;
+  const { name, next } = readName(top, nameStart);
+  
+  return {
+    command: words[0],
+    table: sql.slice(top[tableStart].start, top[tableEnd - 1].end),
+    relation: name ? sql.slice(top[nameStart].start, top[next - 1].end) : null,
+    where: whereIndex === -1 || whereEnd <= whereIndex + 1 ? null : sql.slice(top[whereIndex + 1].start, top[whereEnd - 1].end),
+    columns: words[0] === 'UPDATE' ? getSetColumns(tokens) : null
+  };
+}
+
+/**
+ * Parses a MongoDB query given as JSON
+ * @param {string} query - Query text
+ * @returns {Object|null} Parsed query, or null if it is not a JSON object
+ */
+function parseMongoQuery(query) {
+  try {
+    const parsed = JSON.parse(query);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Checks whether a MongoDB filter matches every document
+ * @param {*} filter - Query filter
+ * @returns {boolean} True if the filter is missing or empty
+ */
+function isEmptyFilter(filter) {
+  return !filter || (typeof filter === 'object' && Object.keys(filter).length === 0);
+}
+
+/**
+ * Reads the collection an $out or $merge stage writes to
+ * @param {Object} stage - Aggregation stage
+ * @returns {Object|null} Object with collection and database (null for the current one), or null if the stage does not write
+ */
+function getWriteStageTarget(stage) {
+  if (!stage || typeof stage !== 'object') return null;
+  
+  let target;
+  if (stage.$out !== undefined) {
+    target = stage.$out;
+  } else if (stage.$merge !== undefined) {
+    target = stage.$merge.into !== undefined ? stage.$merge.into : stage.$merge;
+  } else {
+    return null;
+  }
+  
+  return typeof target === 'string' ? { collection: target, database: null } : { collection: target.coll, database: target.db || null };
+}
+
+/**
+ * Classifies an aggregation pipeline
+ * $out replaces every document of its target, $merge updates or replaces matching ones
+ * @param {*} pipeline - Aggregation pipeline
+ * @returns {Object} Classification, as returned by classifyMongoQuery
+ */
+function classifyPipeline(pipeline) {
+  const stages = Array.isArray(pipeline) ? pipeline : [];
+  const writeStage = stages.find(stage => getWriteStageTarget(stage));
+  
+  if (!writeStage) {
+    return mongoClassification('query-select');
+  }
+  
+  const target = { ...getWriteStageTarget(writeStage), filter: null };
+  
+  if (writeStage.$out !== undefined) {
+    return mongoClassification('query-dropcollection', [target], [`$out replaces every document in "${target.collection}"`]);
+  }
+  
+  return mongoClassification('query-update', [target], [`$merge may update or replace documents in "${target.collection}"`]);
+}
+
+/**
+ * Builds a MongoDB query classification
+ * @param {string} operation - A query-* key of OPERATION_RISKS (or rename-collection)
+ * @param {Array<Object>} [targets=[]] - Documents the query changes: collection, database, filter (null for the whole collection) and single
+ * @param {Array<string>} [warnings=[]] - Reasons to take extra care
+ * @returns {Object} Object with operation, riskLevel, targets, warnings and wholeDatabase
+ */
+function mongoClassification(operation, targets = [], warnings = []) {
+  return {
+    operation,
+    riskLevel: OPERATION_RISKS[operation],
+    targets: targets.map(target => ({ database: null, filter: null, single: false, ...target })),
+    warnings,
+    wholeDatabase: operation === 'query-dropdatabase'
+  };
+}
+
+/**
+ * Classifies a MongoDB query
+ * @param {Object} query - Query as executed by the query command
+ * @param {string} query.type - Query type (find, update, delete, ...), or 'command' for a database command
+ * @param {string} [query.collection] - Collection for collection queries
+ * @param {Object} query.query - Filter or pipeline for collection queries, the command document for commands
+ * @param {Object} [query.options={}] - Options for collection queries (updateMany, deleteMany)
+ * @returns {Object} Object with operation, riskLevel, targets, warnings and wholeDatabase; unknown queries are 'query' (DANGER)
+ */
+function classifyMongoQuery({ type, collection, query, options = {} }) {
+  if (type !== 'command') {
+    switch (type) {
+      case 'find':
+      case 'count':
+      case 'distinct':
+        return mongoClassification('query-select');
+      
+      case 'aggregate':
+        return classifyPipeline(query);
+      
+      case 'update': {
+        const many = Boolean(options && options.updateMany);
+        const warnings = many && isEmptyFilter(query) ? [`updateMany with an empty filter updates every document in "${collection}"`] : [];
+        return mongoClassification('query-update', [{ collection, filter: query || {}, single: !many }], warnings);
+      }
+      
+      case 'delete': {
+        const many = Boolean(options && options.deleteMany);
+        const warnings = many && isEmptyFilter(query) ? [`deleteMany with an empty filter deletes every document in "${collection}"`] : [];
+        return mongoClassification(many ? 'query-deletemany' : 'query-delete', [{ collection, filter: query || {}, single: !many }], warnings);
+      }
+      
+      case 'insertone':
+      case 'insertmany':
+        return mongoClassification('query-insert');
+      
+      case 'bulkwrite':
+        return mongoClassification('query-bulkwrite');
+      
+      case 'drop':
+      case 'dropcollection':
+        return mongoClassification('query-dropcollection', [{ collection }]);
+      
+      case 'dropdatabase':
+        return mongoClassification('query-dropdatabase', [], ['dropDatabase deletes every collection in the database']);
+      
+      default:
+        return mongoClassification('query');
+    }
+  }
+  
+  const command = Object.keys(query || {})[0];
+  if (!command) {
+    return mongoClassification('query');
+  }
+  
+  const name = command.toLowerCase();
+  const value = query[command];
+  
+  if (name === 'aggregate') {
+    return classifyPipeline(query.pipeline);
+  }
+  
+  if (MONGO_READ_COMMANDS.some(readCommand => readCommand.toLowerCase() === name)) {
+    return mongoClassification('query-select');
+  }
+  
+  switch (name) {
+    case 'insert':
+      return mongoClassification('query-insert');
+    
+    case 'update': {
+      const updates = Array.isArray(query.updates) ? query.updates : [];
+      const warnings = updates.filter(update => update.multi && isEmptyFilter(update.q)).map(() => `An update with an empty filter and multi: true updates every document in "${value}"`);
+      return mongoClassification('query-update', updates.map(update => ({ collection: value, filter: update.q || {}, single: !update.multi })), warnings);
+    }
+    
+    case 'delete': {
+      // limit: 0 deletes every matching document, limit: 1 only the first
+      const deletes = Array.isArray(query.deletes) ? query.deletes : [];
+      const many = deletes.some(deletion => deletion.limit === 0);
+      const warnings = deletes.filter(deletion => deletion.limit === 0 && isEmptyFilter(deletion.q)).map(() => `A delete with an empty filter and limit: 0 deletes every document in "${value}"`);
+      return mongoClassification(many ? 'query-deletemany' : 'query-delete', deletes.map(deletion => ({ collection: value, filter: deletion.q || {}, single: deletion.limit !== 0 })), warnings);
+    }
+    
+    case 'findandmodify':
+      return mongoClassification(query.remove ? 'query-delete' : 'query-update', [{ collection: value, filter: query.query || {}, single: true }]);
+    
+    case 'drop':
+      return mongoClassification('query-dropcollection', [{ collection: value }]);
+    
+    case 'dropdatabase':
+      return mongoClassification('query-dropdatabase', [], ['dropDatabase deletes every collection in the database']);
+    
+    case 'renamecollection': {
+      // renameCollection and to take "database.collection"
+      if (!query.dropTarget || typeof query.to !== 'string') {
+        return mongoClassification('rename-collection');
+      }
+      
+      const [database, ...rest] = query.to.split('.');
+      return mongoClassification('query-dropcollection', [{ collection: rest.join('.'), database }], [`dropTarget replaces the existing collection "${query.to}"`]);
+    }
+    
+    case 'dropindexes':
+    case 'deleteindexes':
+      return mongoClassification('query-drop');
+    
+    case 'create':
+    case 'createindexes':
+      return mongoClassification('query-create');
+    
+    case 'collmod':
+      return mongoClassification('query-alter');
+    
+    default:
+      return mongoClassification('query');
+  }
+}
+
+/**
+ * Checks whether a query only reads data
+ * Anything that cannot be classified counts as a write
+ * @param {string} dbType - Database type (postgres or mongodb)
+ * @param {string} query - SQL text, or a MongoDB query as JSON
+ * @returns {boolean} True if every statement only reads
+ */
+function isReadOnlyQuery(dbType, query) {
+  if (!query) {
+    return false;
+  }
+  
+  if (dbType === 'mongodb') {
+    const parsed = parseMongoQuery(query);
+    if (!parsed) return false;
+    
+    const classification = parsed.collection
+      ? classifyMongoQuery({ type: (parsed.type || 'find').toLowerCase(), collection: parsed.collection, query: parsed.query, options: parsed.options })
+      : classifyMongoQuery({ type: 'command', query: parsed });
+    return classification.operation === 'query-select';
+  }
+  
+  const { statements } = classifyPostgresQuery(query);
+  return statements.length > 0 && statements.every(statement => statement.readOnly);
+}
+
+/**
+ * Finds the tables or collections a query drops or renames
+ * @param {string} dbType - Database type (postgres or mongodb)
+ * @param {string} query - SQL text, or a MongoDB query as JSON
+ * @returns {Array<string>} Names as written in the query, without identifier quotes
+ */
+function getDroppedOrRenamedNames(dbType, query) {
+  if (!query) {
+    return [];
+  }
+  
+  if (dbType === 'mongodb') {
+    const parsed = parseMongoQuery(query);
+    if (!parsed) return [];
+    
+    if (parsed.collection) {
+      return ['drop', 'dropcollection'].includes((parsed.type || '').toLowerCase()) ? [parsed.collection] : [];
+    }
+    
+    if (typeof parsed.drop === 'string') return [parsed.drop];
+    // renameCollection takes "database.collection"
+    if (typeof parsed.renameCollection === 'string') return [parsed.renameCollection.split('.').slice(1).join('.')];
+    return [];
+  }
+  
+  const names = [];
+  
+  splitSqlStatements(query).forEach(statement => {
+    const tokens = tokenizeSql(statement);
+    const words = tokens.map(token => token.upper);
+    
+    if (words[0] !== 'DROP' && words[0] !== 'ALTER') return;
+    if (words[1] !== 'TABLE') return;
+    
+    let i = 2;
+    if (words[i] === 'IF' && words[i + 1] === 'EXISTS') i += 2;
+    
+    if (words[0] === 'DROP') {
+      // DROP TABLE a, b, c
+      let name = readName(tokens, i);
+      while (name.name) {
+        names.push(name.name);
+        if (!tokens[name.next] || tokens[name.next].value !== ',') break;
+        name = readName(tokens, name.next + 1);
+      }
+      return;
+    }
+    
+    if (words[i] === 'ONLY') i++;
+    const name = readName(tokens, i);
+    const action = words.slice(name.next, name.next + 2).join(' ');
+    
+    if (name.name && (action === 'RENAME TO' || action === 'SET SCHEMA')) {
+      names.push(name.name);
+    }
+  });
+  
+  return names;
+}
+
+module.exports = {
+  classifyPostgresQuery,
+  inspectPostgresQuery,
+  findIrreversibleStatement,
+  getRowChangeTarget,
+  classifyMongoQuery,
+  isReadOnlyQuery,
+  getDroppedOrRenamedNames
+};
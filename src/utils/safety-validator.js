@@ -5,7 +5,12 @@
 const db = require('./db');
 const { generateFullSchema } = require('./schema');
 const chalk = require('chalk');
-const { createTempBackup } = require('./temp-backup');
+const { createTempBackup, getBackupTables } = require('./temp-backup');
+const { confirmAction } = require('./prompt');
+const { isPgToolAvailable } = require('./pg-version');
+const { spawn } = require('child_process');
+const path = require('path');
+const os = require('os');
 
 /**
  * Safety levels for different types of operations
@@ -37,6 +42,7 @@ const OPERATION_RISKS = {
   'create-index': SAFETY_LEVELS.CAUTION,
   'seed': SAFETY_LEVELS.CAUTION,
   'add-collection': SAFETY_LEVELS.CAUTION,
+  'query-create': SAFETY_LEVELS.CAUTION,
   
   // Warning operations  
   'rename-table': SAFETY_LEVELS.WARNING,
@@ -47,7 +53,10 @@ const OPERATION_RISKS = {
   'query-update': SAFETY_LEVELS.WARNING,
   'query-insert': SAFETY_LEVELS.WARNING,
   'query-bulkwrite': SAFETY_LEVELS.WARNING,
+  'query-alter': SAFETY_LEVELS.WARNING,
+  'query-set-role': SAFETY_LEVELS.WARNING, // SET ROLE and SET SESSION AUTHORIZATION change the privileges later statements run with
   'add-column-not-null': SAFETY_LEVELS.WARNING, // Adding NOT NULL without default
+  'batch-update': SAFETY_LEVELS.WARNING,
   
   // Danger operations
   'delete-table': SAFETY_LEVELS.DANGER,
@@ -56,6 +65,7 @@ const OPERATION_RISKS = {
   'remove-field': SAFETY_LEVELS.DANGER,
   'restore': SAFETY_LEVELS.DANGER,
   'query-delete': SAFETY_LEVELS.DANGER,
+  'batch-delete': SAFETY_LEVELS.DANGER,
   'query-drop': SAFETY_LEVELS.DANGER,
   'query-truncate': SAFETY_LEVELS.DANGER,
   'query-alter-drop': SAFETY_LEVELS.DANGER,
@@ -66,47 +76,195 @@ const OPERATION_RISKS = {
   'query': SAFETY_LEVELS.DANGER // Any arbitrary query should be considered dangerous
 };
 
+/**
+ * Ways to build the validation database
+ * - template: CREATE DATABASE ... TEMPLATE, an exact copy; needs no other sessions on the source
+ * - dump: streams pg_dump into pg_restore, an exact copy of structure and data
+ * - sample: full structure plus at most sampleRows rows per table
+ * - auto: template when no one is connected, then dump, then sample
+ */
+const CLONE_STRATEGIES = ['auto', 'template', 'dump', 'sample'];
+const DEFAULT_SAMPLE_ROWS = 1000;
+
+/**
+ * Gets the connection string a pool was created with
+ * @param {Object} connection - PostgreSQL pool or connection details
+ * @returns {string} Connection string
+ */
+function getConnectionString(connection) {
+  if (connection.options && connection.options.connectionString) {
+    return connection.options.connectionString;
+  }
+  if (connection._connectionString) {
+    return connection._connectionString;
+  }
+  
+  // Fallback for direct connection objects
+  const connDetails = connection.connection || connection;
+  return `postgresql://${connDetails.user || 'postgres'}:${connDetails.password}@${connDetails.host || 'localhost'}:${connDetails.port || 5432}/${connDetails.database || 'postgres'}`;
+}
+
+/**
+ * Points a connection string at another database
+ * @param {string} connectionString - PostgreSQL connection string
+ * @param {string} databaseName - Database to connect to
+ * @returns {string} Connection string for the database
+ */
+function withDatabase(connectionString, databaseName) {
+  return connectionString.replace(/\/[^\/\?]*(\?.*)?$/, `/${databaseName}$1`);
+}
+
+/**
+ * Resolves the clone strategy and row cap from command options
+ * @param {Object} [options={}] - Command options (cloneStrategy, sampleRows)
+ * @returns {Object} Object with strategy and sampleRows
+ * @throws Will throw error if the strategy or row cap is invalid
+ */
+function getCloneOptions(options = {}) {
+  const strategy = options.cloneStrategy || 'auto';
+  const sampleRows = options.sampleRows === undefined ? DEFAULT_SAMPLE_ROWS : parseInt(options.sampleRows, 10);
+  
+  if (!CLONE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown clone strategy "${strategy}" (expected one of: ${CLONE_STRATEGIES.join(', ')})`);
+  }
+  
+  if (!Number.isInteger(sampleRows) || sampleRows < 0) {
+    throw new Error(`Invalid sample row count "${options.sampleRows}"`);
+  }
+  
+  return { strategy, sampleRows };
+}
+
+/**
+ * Streams pg_dump output into pg_restore without buffering the dump
+ * @param {string} sourceUri - Connection string of the database to dump
+ * @param {string} targetUri - Connection string of the database to restore into
+ * @param {Array<string>} [dumpArgs=[]] - Extra pg_dump arguments, e.g. ['--section=pre-data']
+ * @returns {Promise<Object>} Object with pg_restore's exit code and both tools' stderr
+ * @throws Will throw error if pg_dump fails
+ */
+function streamDumpToRestore(sourceUri, targetUri, dumpArgs = []) {
+  return new Promise((resolve, reject) => {
+    const dump = spawn('pg_dump', ['--format=custom', '--no-owner', '--no-acl', ...dumpArgs, sourceUri]);
+    const restore = spawn('pg_restore', ['--no-owner', '--no-acl', '--dbname', targetUri]);
+    let stderr = '';
+    let dumpCode = null;
+    
+    dump.stderr.on('data', chunk => { stderr += chunk; });
+    restore.stderr.on('data', chunk => { stderr += chunk; });
+    dump.on('error', reject);
+    restore.on('error', reject);
+    
+    // pg_restore closing early must not crash the process with EPIPE
+    restore.stdin.on('error', () => {});
+    dump.stdout.pipe(restore.stdin);
+    
+    dump.on('close', code => { dumpCode = code; });
+    restore.on('close', code => {
+      if (dumpCode !== 0 && dumpCode !== null) {
+        reject(new Error(`pg_dump failed: ${stderr.trim()}`));
+      } else {
+        resolve({ code, stderr: stderr.trim() });
+      }
+    });
+  });
+}
+
+/**
+ * Counts sessions connected to a database, other than the one asking
+ * @param {Pool} adminPool - Pool connected to the maintenance database
+ * @param {string} databaseName - Database to check
+ * @returns {Promise<number>} Number of sessions
+ */
+async function countSessions(adminPool, databaseName) {
+  const result = await adminPool.query(
+    'SELECT COUNT(*) AS count FROM pg_stat_activity WHERE datname = $1 AND pid <> pg_backend_pid()',
+    [databaseName]
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Disconnects the idle clients of a pool; the pool opens new ones when it needs them again
+ * @param {Pool} pool - PostgreSQL connection pool
+ */
+async function closeIdleClients(pool) {
+  const clients = [];
+  
+  // connect() hands out idle clients before opening new ones
+  for (let i = pool.idleCount; i > 0; i--) {
+    clients.push(await pool.connect());
+  }
+  
+  clients.forEach(client => client.release(true));
+}
+
 /**
  * Creates a temporary test database for validation
+ * With the template strategy the database is a complete copy; otherwise it is empty
+ * and populateTestDatabase fills it
  * @param {Object} originalConnection - Original database connection
  * @param {string} projectName - Name of the project
- * @returns {Object} Test database connection details
+ * @param {Object} [options={}] - Command options (cloneStrategy, sampleRows)
+ * @returns {Object} Test database details: name, connection, strategy and sampleRows
  */
-async function createTestDatabase(originalConnection, projectName) {
+async function createTestDatabase(originalConnection, projectName, options = {}) {
   const testDbName = `test_${projectName.toLowerCase().replace(/\s+/g, '_')}_${Date.now()}`;
+  const { strategy, sampleRows } = getCloneOptions(options);
   
-  // Get raw connection info from original connection
   const { Pool } = require('pg');
-  
-  // Extract connection details from the pool connection string
-  let adminConnectionString;
-  if (originalConnection.options && originalConnection.options.connectionString) {
-    adminConnectionString = originalConnection.options.connectionString.replace(/\/[^\/\?]*(\?.*)?$/, '/postgres$1');
-  } else if (originalConnection._connectionString) {
-    adminConnectionString = originalConnection._connectionString.replace(/\/[^\/\?]*(\?.*)?$/, '/postgres$1');
-  } else {
-    // Fallback for direct connection objects
-    const connDetails = originalConnection.connection || originalConnection;
-    adminConnectionString = `postgresql://${connDetails.user || 'postgres'}:${connDetails.password}@${connDetails.host || 'localhost'}:${connDetails.port || 5432}/postgres`;
-  }
+  const sourceConnectionString = getConnectionString(originalConnection);
+  const sourceDbName = decodeURIComponent(new URL(sourceConnectionString).pathname.slice(1)) || 'postgres';
   
   const adminPool = new Pool({
-    connectionString: adminConnectionString
+    connectionString: withDatabase(sourceConnectionString, 'postgres')
   });
   
   try {
-    // Create test database
-    await adminPool.query(`CREATE DATABASE "${testDbName}"`);
-    console.log(chalk.blue(`Created test database: ${testDbName}`));
+    let cloneStrategy = strategy;
+    
+    if (strategy === 'template' || strategy === 'auto') {
+      // Any session on the source, including an idle one, makes PostgreSQL refuse the copy,
+      // so first drop the idle clients that classifying the query, checking the table and the backup left on it
+      await closeIdleClients(originalConnection);
+      const sessions = await countSessions(adminPool, sourceDbName);
+      
+      if (sessions === 0) {
+        try {
+          await adminPool.query(`CREATE DATABASE "${testDbName}" TEMPLATE "${sourceDbName.replace(/"/g, '""')}"`);
+          cloneStrategy = 'template';
+        } catch (error) {
+          if (strategy === 'template') throw error;
+          console.log(chalk.gray(`Template copy not possible (${error.message}); falling back`));
+          cloneStrategy = 'auto';
+        }
+      } else if (strategy === 'template') {
+        throw new Error(`Cannot use "${sourceDbName}" as a template while ${sessions} session(s) are connected to it`);
+      }
+    }
+    
+    if (cloneStrategy !== 'template') {
+      if (cloneStrategy === 'auto') {
+        cloneStrategy = isPgToolAvailable('pg_dump') && isPgToolAvailable('pg_restore') ? 'dump' : 'sample';
+      }
+      
+      await adminPool.query(`CREATE DATABASE "${testDbName}"`);
+    }
     
-    // Return test connection details
-    const testConnectionString = originalConnection.options.connectionString.replace(/\/[^\/\?]*(\?.*)?$/, `/${testDbName}$1`);
+    console.log(chalk.blue(`Created test database: ${testDbName} (${cloneStrategy} clone)`));
+    
+    const testConnectionString = withDatabase(sourceConnectionString, testDbName);
     
     return {
       name: testDbName,
-      connection: new Pool({
-        connectionString: testConnectionString
-      })
+      // Resolve unqualified table names in the same schema as the original connection
+      connection: db.postgres.createPool(
+        { postgres_uri: testConnectionString },
+        // Statements run in the test database are not audited
+        { schema: db.postgres.getSchemaName(originalConnection), audit: false }
+      ),
+      strategy: cloneStrategy,
+      sampleRows
     };
   } finally {
     await adminPool.end();
@@ -114,96 +272,159 @@ async function createTestDatabase(originalConnection, projectName) {
 }
 
 /**
- * Copies schema and data from source to test database
+ * Rebuilds the tables of one schema from information_schema
+ * Only used when pg_dump is not installed; constraints, indexes and sequences are not copied
+ * @param {Pool} sourcePool - Source database connection
+ * @param {Pool} testPool - Test database connection
+ * @param {string} schemaName - Schema to copy
+ */
+async function copyTablesFromCatalog(sourcePool, testPool, schemaName) {
+  if (schemaName !== 'public') {
+    await testPool.query(`CREATE SCHEMA IF NOT EXISTS ${db.postgres.quoteIdentifier(schemaName)}`);
+  }
+  
+  const tablesResult = await sourcePool.query(`
+    SELECT tablename 
+    FROM pg_tables 
+    WHERE schemaname = $1 
+    ORDER BY tablename
+  `, [schemaName]);
+  
+  for (const { tablename } of tablesResult.rows) {
+    // Get table structure
+    const createTableResult = await sourcePool.query(`
+      SELECT 
+        'CREATE TABLE ' || quote_ident($2) || '.' || quote_ident($1) || ' (' ||
+        string_agg(
+          quote_ident(a.attname) || ' ' || 
+          format_type(a.atttypid, a.atttypmod) || 
+          CASE WHEN a.attnotnull THEN ' NOT NULL' ELSE '' END,
+          ', ' ORDER BY a.attnum
+        ) || ');' as create_stmt
+      FROM pg_attribute a
+      WHERE a.attrelid = (quote_ident($2) || '.' || quote_ident($1))::regclass
+        AND a.attnum > 0
+        AND NOT a.attisdropped
+    `, [tablename, schemaName]);
+    
+    if (createTableResult.rows.length > 0) {
+      await testPool.query(createTableResult.rows[0].create_stmt);
+    }
+  }
+}
+
+/**
+ * Copies at most rowCap rows of every table in a schema
+ * Rows travel as JSON text and are rebuilt with json_populate_recordset, so JSONB, arrays,
+ * bytea and numeric values keep their exact contents
+ * @param {Pool} sourcePool - Source database connection
+ * @param {Pool} testPool - Test database connection
+ * @param {string} schemaName - Schema to copy
+ * @param {number} rowCap - Maximum rows per table
+ * @returns {Promise<number>} Number of rows copied
+ */
+async function copySampledRows(sourcePool, testPool, schemaName, rowCap) {
+  const tablesResult = await sourcePool.query(`
+    SELECT tablename FROM pg_tables WHERE schemaname = $1 ORDER BY tablename
+  `, [schemaName]);
+  
+  let copied = 0;
+  
+  for (const { tablename } of tablesResult.rows) {
+    const qualifiedTable = `${db.postgres.quoteIdentifier(schemaName)}.${db.postgres.quoteIdentifier(tablename)}`;
+    
+    try {
+      const sample = await sourcePool.query(
+        `SELECT COUNT(*) AS count, COALESCE(json_agg(t), '[]')::text AS rows FROM (SELECT * FROM ${qualifiedTable} LIMIT $1) t`,
+        [rowCap]
+      );
+      
+      const count = parseInt(sample.rows[0].count, 10);
+      if (count === 0) continue;
+      
+      await testPool.query(
+        `INSERT INTO ${qualifiedTable} OVERRIDING SYSTEM VALUE SELECT * FROM json_populate_recordset(NULL::${qualifiedTable}, $1::json)`,
+        [sample.rows[0].rows]
+      );
+      
+      // Move sequences past the copied ids so rehearsed inserts do not collide
+      const sequences = await testPool.query(`
+        SELECT a.attname, pg_get_serial_sequence($1, a.attname) AS sequence_name
+        FROM pg_attribute a
+        WHERE a.attrelid = $1::regclass AND a.attnum > 0 AND NOT a.attisdropped
+      `, [qualifiedTable]);
+      
+      for (const { attname, sequence_name } of sequences.rows.filter(row => row.sequence_name)) {
+        await testPool.query(
+          `SELECT setval($1, COALESCE((SELECT MAX(${db.postgres.quoteIdentifier(attname)}) FROM ${qualifiedTable}), 0) + 1, false)`,
+          [sequence_name]
+        );
+      }
+      
+      copied += count;
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: Could not copy sample rows for ${tablename}: ${error.message}`));
+    }
+  }
+  
+  return copied;
+}
+
+/**
+ * Copies schema and data from source to test database using the strategy chosen by createTestDatabase
  * @param {Object} sourceConnection - Source database connection
- * @param {Object} testConnection - Test database connection
+ * @param {Object} testDb - Test database returned by createTestDatabase
  * @param {string} projectName - Project name
  */
-async function populateTestDatabase(sourceConnection, testConnection, projectName) {
+async function populateTestDatabase(sourceConnection, testDb, projectName) {
+  if (testDb.strategy === 'template') {
+    console.log(chalk.green('Test database copied from template'));
+    return;
+  }
+  
   console.log(chalk.blue('Populating test database with current schema and data...'));
   
-  const sourcePool = sourceConnection;
-  const testPool = testConnection;
+  const sourceUri = getConnectionString(sourceConnection);
+  const testUri = getConnectionString(testDb.connection);
+  const schemaName = db.postgres.getSchemaName(sourceConnection);
+  const hasPgTools = isPgToolAvailable('pg_dump') && isPgToolAvailable('pg_restore');
   
-  try {
-    // Get all tables from source
-    const tablesResult = await sourcePool.query(`
-      SELECT tablename 
-      FROM pg_tables 
-      WHERE schemaname = 'public' 
-      ORDER BY tablename
-    `);
-    
-    for (const { tablename } of tablesResult.rows) {
-      // Get table structure
-      const createTableResult = await sourcePool.query(`
-        SELECT 
-          'CREATE TABLE ' || quote_ident(tablename) || ' (' ||
-          string_agg(
-            quote_ident(column_name) || ' ' || 
-            column_type || 
-            CASE WHEN is_nullable = 'NO' THEN ' NOT NULL' ELSE '' END ||
-            CASE WHEN column_default IS NOT NULL THEN ' DEFAULT ' || column_default ELSE '' END,
-            ', '
-          ) || ');' as create_stmt
-        FROM (
-          SELECT 
-            t.tablename,
-            c.column_name,
-            CASE 
-              WHEN c.data_type = 'character varying' THEN 'VARCHAR(' || c.character_maximum_length || ')'
-              WHEN c.data_type = 'numeric' THEN 'NUMERIC(' || c.numeric_precision || ',' || c.numeric_scale || ')'
-              ELSE UPPER(c.data_type)
-            END as column_type,
-            c.is_nullable,
-            c.column_default
-          FROM pg_tables t
-          JOIN information_schema.columns c ON c.table_name = t.tablename
-          WHERE t.schemaname = 'public' AND t.tablename = $1
-          ORDER BY c.ordinal_position
-        ) cols
-        GROUP BY tablename
-      `, [tablename]);
-      
-      if (createTableResult.rows.length > 0) {
-        // Create table in test database
-        await testPool.query(createTableResult.rows[0].create_stmt);
-        
-        // Copy data
-        const copyResult = await sourcePool.query(`
-          SELECT * FROM "${tablename}"
-        `);
-        
-        if (copyResult.rows.length > 0) {
-          // Get column names
-          const columns = Object.keys(copyResult.rows[0]);
-          const columnList = columns.map(c => `"${c}"`).join(', ');
-          
-          // Insert data row by row
-          for (const row of copyResult.rows) {
-            const values = columns.map(col => {
-              const val = row[col];
-              if (val === null) return 'NULL';
-              if (typeof val === 'string') return `'${val.replace(/'/g, "''")}'`;
-              if (typeof val === 'boolean') return val ? 'TRUE' : 'FALSE';
-              if (val instanceof Date) return `'${val.toISOString()}'`;
-              return val;
-            }).join(', ');
-            
-            await testPool.query(
-              `INSERT INTO "${tablename}" (${columnList}) VALUES (${values})`
-            );
-          }
-        }
-      }
+  if (testDb.strategy === 'dump') {
+    if (!hasPgTools) {
+      throw new Error('The dump clone strategy needs pg_dump and pg_restore; install the PostgreSQL client tools or use --clone-strategy sample');
+    }
+    
+    const result = await streamDumpToRestore(sourceUri, testUri);
+    if (result.code !== 0) {
+      throw new Error(`pg_restore failed: ${result.stderr}`);
     }
     
     console.log(chalk.green('Test database populated successfully'));
+    return;
+  }
     
-  } finally {
-    // Don't close source pool as it's managed elsewhere
-    // Don't close test pool as it's needed for operation testing
+  // Sample: tables first, then capped rows, then indexes and constraints
+  if (hasPgTools) {
+    const preData = await streamDumpToRestore(sourceUri, testUri, ['--section=pre-data']);
+    if (preData.code !== 0) {
+      throw new Error(`pg_restore failed: ${preData.stderr}`);
+    }
+  } else {
+    console.log(chalk.yellow('pg_dump not found; copying table columns only (no constraints, indexes or sequences)'));
+    await copyTablesFromCatalog(sourceConnection, testDb.connection, schemaName);
+  }
+  
+  const copied = await copySampledRows(sourceConnection, testDb.connection, schemaName, testDb.sampleRows);
+  
+  if (hasPgTools) {
+    // Sampled child rows may reference parent rows outside the sample
+    const postData = await streamDumpToRestore(sourceUri, testUri, ['--section=post-data']);
+    if (postData.code !== 0) {
+      console.warn(chalk.yellow('Warning: Some indexes or constraints could not be created on the sampled data'));
+    }
   }
+  
+  console.log(chalk.green(`Test database populated with ${copied} sampled row(s) (at most ${testDb.sampleRows} per table)`));
 }
 
 /**
@@ -229,21 +450,28 @@ async function validateOperation(operation, params, connection, projectName) {
   if ([SAFETY_LEVELS.WARNING, SAFETY_LEVELS.DANGER].includes(riskLevel)) {
     console.log(chalk.blue('Creating test environment for validation...'));
     
+    // Reject a bad --clone-strategy or --sample-rows before taking a backup
+    getCloneOptions(params.options);
+    
     // Create temporary backup for dangerous operations
-    let backupInfo = null;
-    if (riskLevel === SAFETY_LEVELS.DANGER) {
-      backupInfo = await createTempBackup(connection, projectName, operation);
+    // Reuse the backup the safety policy already took for this command
+    let backupInfo = (params.options && params.options.tempBackup) || null;
+    if (!backupInfo && riskLevel === SAFETY_LEVELS.DANGER) {
+      backupInfo = await createTempBackup(connection, projectName, operation, {
+        compress: params.options && params.options.backupCompression,
+        tables: getBackupTables(operation, params.table || params.oldName, params.options)
+      });
       if (!backupInfo.success) {
         console.warn(chalk.yellow('⚠️  Warning: Could not create temporary backup'));
         console.warn(chalk.yellow(`   ${backupInfo.error}`));
       }
     }
     
-    const testDb = await createTestDatabase(connection, projectName);
+    const testDb = await createTestDatabase(connection, projectName, params.options);
     
     try {
       // Populate test database
-      await populateTestDatabase(connection, testDb.connection, projectName);
+      await populateTestDatabase(connection, testDb, projectName);
       
       // Capture before state
       const beforeState = await captureState(testDb.connection, projectName);
@@ -296,6 +524,7 @@ async function validateOperation(operation, params, connection, projectName) {
  */
 async function captureState(connection, projectName) {
   const pool = connection;
+  const schemaName = db.postgres.getSchemaName(pool);
   
   const state = {
     tables: {},
@@ -306,23 +535,23 @@ async function captureState(connection, projectName) {
   
   // Get all tables
   const tablesResult = await pool.query(`
-    SELECT tablename FROM pg_tables WHERE schemaname = 'public'
-  `);
+    SELECT tablename FROM pg_tables WHERE schemaname = $1
+  `, [schemaName]);
   
   for (const { tablename } of tablesResult.rows) {
     // Get columns
     const columnsResult = await pool.query(`
       SELECT column_name, data_type, is_nullable, column_default
       FROM information_schema.columns
-      WHERE table_name = $1 AND table_schema = 'public'
+      WHERE table_name = $1 AND table_schema = $2
       ORDER BY ordinal_position
-    `, [tablename]);
+    `, [tablename, schemaName]);
     
     state.tables[tablename] = columnsResult.rows;
     
     // Get row count
     const countResult = await pool.query(
-      `SELECT COUNT(*) as count FROM "${tablename}"`
+      `SELECT COUNT(*) as count FROM ${db.postgres.quoteIdentifier(schemaName)}.${db.postgres.quoteIdentifier(tablename)}`
     );
     state.rowCounts[tablename] = parseInt(countResult.rows[0].count);
   }
@@ -412,15 +641,18 @@ function analyzeChanges(beforeState, afterState, operation) {
  */
 async function executeOperationInTest(operation, params, testConnection, projectName) {
   try {
+    // Classified queries (query-delete, query-drop, ...) all run through the query command
+    const command = operation.startsWith('query-') ? 'query' : operation;
+    
     // Map operation to command implementation
-    const commandImplementation = await getCommandImplementation(operation, testConnection);
+    const commandImplementation = await getCommandImplementation(command, testConnection);
     
     if (!commandImplementation) {
       return { success: false, errors: [`No implementation found for operation: ${operation}`] };
     }
     
     // Prepare arguments based on operation type
-    const args = prepareOperationArguments(operation, params, testConnection);
+    const args = prepareOperationArguments(command, params, testConnection);
     
     // Execute the command in test environment
     const result = await commandImplementation(...args);
@@ -459,7 +691,9 @@ async function getCommandImplementation(operation, connection) {
     'list-tables': 'list-tables',
     'list-columns': 'list-columns',
     'count-records': 'count-records',
-    'search': 'search'
+    'search': 'search',
+    'batch-update': 'batch-update',
+    'batch-delete': 'batch-delete'
   };
   
   const commandFile = operationMap[operation];
@@ -492,9 +726,9 @@ async function getCommandImplementation(operation, connection) {
 function prepareOperationArguments(operation, params, connection) {
   // Most commands follow the pattern: (connection, ...params, options)
   const options = {
+    ...params.options,
     force: true,  // Force operations in test to avoid prompts
-    dryRun: false,
-    ...params.options
+    dryRun: false
   };
   
   switch (operation) {
@@ -519,6 +753,10 @@ function prepareOperationArguments(operation, params, connection) {
     case 'query':
       return [connection, params.sql, options];
       
+    case 'restore':
+      // Restore into the test database, ignoring any --database override
+      return [connection, { ...options, database: undefined }, { postgres_uri: connection.options.connectionString }];
+    
     case 'list-tables':
       return [connection, options];
       
@@ -530,6 +768,16 @@ function prepareOperationArguments(operation, params, connection) {
       
     case 'search':
       return [connection, params.table, params.column, params.value, options];
+    
+    case 'batch-update':
+    case 'batch-delete':
+      // Keep the test run away from the real checkpoint, which it would otherwise resume from and delete
+      return [connection, params.table, {
+        ...options,
+        resume: false,
+        sleep: 0,
+        checkpoint: path.join(os.tmpdir(), `db-tools-validation-${operation}-${Date.now()}.checkpoint.json`)
+      }];
       
     default:
       // Generic fallback
@@ -591,19 +839,8 @@ async function cleanupTestDatabase(testDbName, testConnection, originalConnectio
     // Close test connection first
     await testConnection.end();
     
-    // Get admin connection string
-    let adminConnectionString;
-    if (originalConnection.options && originalConnection.options.connectionString) {
-      adminConnectionString = originalConnection.options.connectionString.replace(/\/[^\/\?]*(\?.*)?$/, '/postgres$1');
-    } else if (originalConnection._connectionString) {
-      adminConnectionString = originalConnection._connectionString.replace(/\/[^\/\?]*(\?.*)?$/, '/postgres$1');
-    } else {
-      const connDetails = originalConnection.connection || originalConnection;
-      adminConnectionString = `postgresql://${connDetails.user || 'postgres'}:${connDetails.password}@${connDetails.host || 'localhost'}:${connDetails.port || 5432}/postgres`;
-    }
-    
     const adminPool = new Pool({
-      connectionString: adminConnectionString
+      connectionString: withDatabase(getConnectionString(originalConnection), 'postgres')
     });
     
     await adminPool.query(`DROP DATABASE IF EXISTS "${testDbName}"`);
@@ -650,9 +887,7 @@ async function performSafetyCheck(operation, params, connection, projectName, op
     console.log(chalk.red('This operation may cause data loss or schema damage.'));
     console.log(chalk.yellow('Review the validation results above carefully.'));
     
-    // In a real implementation, you'd prompt for user confirmation here
-    // For now, return false to prevent execution
-    return false;
+    return await confirmAction(chalk.red('Do you want to proceed despite these risks?'));
   }
   
   return true;
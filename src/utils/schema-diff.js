@@ -0,0 +1,856 @@
+// src/utils/schema-diff.js
+// This file contains utilities for comparing database structures and generating migration SQL
+// Works on snapshots: plain objects describing extensions, tables, columns, indexes and foreign keys
+
+const { getIndexName, generateIndexSQL } = require('./schema');
+const chalk = require('chalk');
+
+// Tables managed by db-tools itself are never reported as differences
+const IGNORED_TABLES = ['migrations', 'migration_progress'];
+
+// Extensions present in every PostgreSQL database
+const IGNORED_EXTENSIONS = ['plpgsql'];
+
+// Statements are emitted in this order so each one can rely on the ones before it
+const PHASES = {
+  EXTENSION: 1,
+  TABLE: 2,
+  FUNCTION: 3,
+  COLUMN: 4,
+  ALTER: 5,
+  FOREIGN_KEY_DROP: 6,
+  FOREIGN_KEY_ADD: 7,
+  INDEX: 8,
+  DROP_FUNCTION: 9,
+  DROP_FOREIGN_KEY: 10,
+  DROP_CONSTRAINT: 11,
+  DROP_INDEX: 12,
+  DROP_COLUMN: 13,
+  DROP_TABLE: 14,
+  DROP_EXTENSION: 15
+};
+
+// NULL and DEFAULT after SET belong to an ON DELETE / ON UPDATE action, not to the column
+const COLUMN_KEYWORDS = /\b(NOT\s+NULL|(?<!SET\s+)NULL|(?<!SET\s+)DEFAULT|PRIMARY\s+KEY|UNIQUE|REFERENCES|CHECK|CONSTRAINT|GENERATED|COLLATE)\b/g;
+
+const SERIAL_TYPES = {
+  SMALLSERIAL: 'smallint',
+  SERIAL2: 'smallint',
+  SERIAL: 'integer',
+  SERIAL4: 'integer',
+  BIGSERIAL: 'bigint',
+  SERIAL8: 'bigint'
+};
+
+const TYPE_ALIASES = {
+  INT: 'integer',
+  INT4: 'integer',
+  INTEGER: 'integer',
+  INT2: 'smallint',
+  SMALLINT: 'smallint',
+  INT8: 'bigint',
+  BIGINT: 'bigint',
+  BOOL: 'boolean',
+  BOOLEAN: 'boolean',
+  FLOAT: 'double precision',
+  FLOAT8: 'double precision',
+  'DOUBLE PRECISION': 'double precision',
+  FLOAT4: 'real',
+  REAL: 'real',
+  DECIMAL: 'numeric',
+  NUMERIC: 'numeric',
+  VARCHAR: 'character varying',
+  'CHARACTER VARYING': 'character varying',
+  CHAR: 'character',
+  CHARACTER: 'character',
+  BPCHAR: 'character',
+  TIMESTAMPTZ: 'timestamp with time zone',
+  'TIMESTAMP WITH TIME ZONE': 'timestamp with time zone',
+  TIMESTAMP: 'timestamp without time zone',
+  'TIMESTAMP WITHOUT TIME ZONE': 'timestamp without time zone',
+  TIMETZ: 'time with time zone',
+  'TIME WITH TIME ZONE': 'time with time zone',
+  TIME: 'time without time zone',
+  'TIME WITHOUT TIME ZONE': 'time without time zone'
+};
+
+/**
+ * Replaces quoted and parenthesized text with placeholder characters of the same length
+ * Lets keyword searches ignore DEFAULT values, CHECK expressions and type modifiers
+ * @param {string} text - Column definition
+ * @returns {string} Masked text with the same character positions
+ */
+function maskNestedText(text) {
+  let masked = '';
+  let depth = 0;
+  let quote = null;
+  
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    
+    if (quote) {
+      masked += '#';
+      if (ch === quote) quote = null;
+    } else if (ch === "'" || ch === '"') {
+      quote = ch;
+      masked += '#';
+    } else if (ch === '(') {
+      depth++;
+      masked += '#';
+    } else if (ch === ')') {
+      depth = Math.max(depth - 1, 0);
+      masked += '#';
+    } else {
+      masked += depth > 0 ? '#' : ch;
+    }
+  }
+  
+  return masked;
+}
+
+/**
+ * Checks whether an expression is enclosed in one pair of parentheses, as in "(0)" but not "(a) + (b)"
+ * @param {string} text - Expression
+ * @returns {boolean} True if the first parenthesis closes at the last character
+ */
+function isWrappedInParentheses(text) {
+  if (!text.startsWith('(') || !text.endsWith(')')) {
+    return false;
+  }
+  
+  let depth = 0;
+  let quote = null;
+  
+  for (let i = 0; i < text.length - 1; i++) {
+    const ch = text[i];
+    
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === "'" || ch === '"') {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+      // The opening parenthesis closed before the end of the expression
+      if (depth === 0) return false;
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Converts a column type to the spelling PostgreSQL reports (format_type)
+ * @param {string} type - Column type as written in a schema file or reported by the database
+ * @returns {string} Canonical lower-case type name
+ */
+function normalizeType(type) {
+  const text = String(type).trim().replace(/\s+/g, ' ');
+  const match = text.match(/^(.*?)\s*(\(\s*[\d\s,]+\))?\s*((?:with|without)\s+time\s+zone)?\s*((?:\[\])*)$/i);
+  
+  if (!match) {
+    return text.toLowerCase();
+  }
+  
+  const [, base, modifier, zone, arraySuffix] = match;
+  const upperBase = `${base}${zone ? ` ${zone}` : ''}`.toUpperCase();
+  const modifierText = modifier ? modifier.replace(/\s+/g, '') : '';
+  let name = SERIAL_TYPES[upperBase] || TYPE_ALIASES[upperBase] || `${base}${zone ? ` ${zone}` : ''}`.toLowerCase();
+  
+  if (name === 'character' && !modifierText) {
+    return `character(1)${arraySuffix}`;
+  }
+  
+  // Precision goes between the base name and the time zone for time types
+  if (modifierText && /^(timestamp|time) (with|without) time zone$/.test(name)) {
+    const [kind, ...rest] = name.split(' ');
+    return `${kind}${modifierText} ${rest.join(' ')}${arraySuffix}`;
+  }
+  
+  return `${name}${modifierText}${arraySuffix}`;
+}
+
+/**
+ * Normalizes a DEFAULT expression so equivalent spellings compare equal
+ * Lower-cases text outside string literals, strips casts and redundant parentheses
+ * @param {string|null} expression - Default expression
+ * @returns {string|null} Normalized expression, or null when there is no default
+ */
+function normalizeDefault(expression) {
+  if (expression === null || expression === undefined) {
+    return null;
+  }
+  
+  const text = String(expression).trim();
+  if (text === '' || /^null$/i.test(text)) {
+    return null;
+  }
+  
+  let normalized = '';
+  let i = 0;
+  
+  while (i < text.length) {
+    if (text[i] === "'") {
+      let end = i + 1;
+      while (end < text.length && !(text[end] === "'" && text[end + 1] !== "'")) {
+        end += text[end] === "'" ? 2 : 1;
+      }
+      normalized += text.slice(i, end + 1);
+      i = end + 1;
+    } else {
+      let end = text.indexOf("'", i);
+      if (end === -1) end = text.length;
+      normalized += text.slice(i, end)
+        .toLowerCase()
+        .replace(/::\s*"?[a-z_][a-z0-9_]*"?(?:\s+(?:varying|precision|with|without|time|zone))*(?:\(\s*\d+(?:\s*,\s*\d+)?\s*\))?(?:\[\])*/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/\s*([(),])\s*/g, '$1');
+      i = end;
+    }
+  }
+  
+  normalized = normalized.trim();
+  
+  while (isWrappedInParentheses(normalized)) {
+    normalized = normalized.slice(1, -1).trim();
+  }
+  
+  if (normalized === 'now()') {
+    normalized = 'current_timestamp';
+  }
+  
+  // Negative numbers are stored as quoted literals with a cast
+  const quotedNumber = normalized.match(/^'(-?\d+(?:\.\d+)?)'$/);
+  return quotedNumber ? quotedNumber[1] : normalized;
+}
+
+/**
+ * Parses a column definition from a schema file
+ * @param {string} definition - Column definition (e.g. "BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE")
+ * @returns {Object} Parsed column with type, serial, notNull, default, primaryKey, unique, references
+ *   and definition (the original text without its REFERENCES clause)
+ */
+function parseColumnDefinition(definition) {
+  const text = String(definition).trim();
+  const masked = maskNestedText(text).toUpperCase();
+  const keywords = [];
+  let match;
+  
+  COLUMN_KEYWORDS.lastIndex = 0;
+  while ((match = COLUMN_KEYWORDS.exec(masked)) !== null) {
+    keywords.push({ keyword: match[1].replace(/\s+/g, ' '), start: match.index, end: match.index + match[0].length });
+  }
+  
+  const typeText = text.slice(0, keywords.length > 0 ? keywords[0].start : text.length).trim();
+  const serialBase = SERIAL_TYPES[typeText.toUpperCase()];
+  const column = {
+    type: normalizeType(typeText),
+    serial: Boolean(serialBase),
+    notNull: false,
+    default: null,
+    primaryKey: false,
+    unique: false,
+    references: null,
+    definition: text
+  };
+  
+  keywords.forEach((keyword, index) => {
+    const segmentEnd = index + 1 < keywords.length ? keywords[index + 1].start : text.length;
+    const segment = text.slice(keyword.end, segmentEnd).trim();
+    
+    switch (keyword.keyword) {
+      case 'NOT NULL':
+        column.notNull = true;
+        break;
+      case 'DEFAULT':
+        column.default = segment === '' ? null : segment;
+        break;
+      case 'PRIMARY KEY':
+        column.primaryKey = true;
+        column.notNull = true;
+        break;
+      case 'UNIQUE':
+        column.unique = true;
+        break;
+      case 'REFERENCES': {
+        const target = segment.match(/^"?(\w+)"?\s*(?:\(\s*"?(\w+)"?\s*\))?/);
+        const onDelete = segment.match(/ON\s+DELETE\s+(SET\s+NULL|SET\s+DEFAULT|CASCADE|RESTRICT|NO\s+ACTION)/i);
+        const onUpdate = segment.match(/ON\s+UPDATE\s+(SET\s+NULL|SET\s+DEFAULT|CASCADE|RESTRICT|NO\s+ACTION)/i);
+        
+        if (target) {
+          column.references = {
+            table: target[1],
+            column: target[2] || 'id',
+            onDelete: onDelete ? onDelete[1].toUpperCase().replace(/\s+/g, ' ') : 'NO ACTION',
+            onUpdate: onUpdate ? onUpdate[1].toUpperCase().replace(/\s+/g, ' ') : 'NO ACTION'
+          };
+        }
+        
+        column.definition = `${text.slice(0, keyword.start)} ${text.slice(segmentEnd)}`.replace(/\s+/g, ' ').trim();
+        break;
+      }
+      default:
+        break;
+    }
+  });
+  
+  return column;
+}
+
+/**
+ * Converts a schema definition (the format returned by generateFullSchema) into a snapshot
+ * @param {Object} schema - Schema definition with extensions and tables
+ * @returns {Object} Snapshot in the same shape as getSchemaSnapshot returns for a live database
+ */
+function schemaToSnapshot(schema) {
+  const tables = {};
+  
+  (schema.tables || []).forEach(table => {
+    const snapshotTable = { name: table.name, columns: {}, primaryKey: [], indexes: [], foreignKeys: [] };
+    
+    Object.entries(table.columns).forEach(([columnName, definition]) => {
+      const parsed = parseColumnDefinition(definition);
+      
+      snapshotTable.columns[columnName] = {
+        type: parsed.type,
+        serial: parsed.serial,
+        notNull: parsed.notNull,
+        default: parsed.default,
+        primaryKey: parsed.primaryKey,
+        unique: parsed.unique,
+        uniqueConstraint: parsed.unique ? `${table.name}_${columnName}_key` : null,
+        definition: parsed.definition
+      };
+      
+      if (parsed.primaryKey) {
+        snapshotTable.primaryKey.push(columnName);
+      }
+      
+      if (parsed.references) {
+        snapshotTable.foreignKeys.push({
+          name: `fk_${table.name}_${columnName}`,
+          column: columnName,
+          refTable: parsed.references.table,
+          refColumn: parsed.references.column,
+          onDelete: parsed.references.onDelete,
+          onUpdate: parsed.references.onUpdate
+        });
+      }
+    });
+    
+    (table.indexes || []).forEach(index => {
+      snapshotTable.indexes.push({
+        name: getIndexName(table.name, index),
+        columns: index.columns,
+        unique: Boolean(index.unique),
+        primary: false,
+        constraint: null,
+        method: (index.type || 'btree').toLowerCase(),
+        where: index.where || null,
+        expression: false,
+        definition: null
+      });
+    });
+    
+    tables[table.name] = snapshotTable;
+  });
+  
+  return {
+    extensions: schema.extensions || [],
+    tables
+  };
+}
+
+/**
+ * Checks whether a column is backed by a sequence (declared SERIAL or defaulting to nextval)
+ * @param {Object} column - Snapshot column
+ * @returns {boolean} True for serial columns
+ */
+function isSerialColumn(column) {
+  return Boolean(column.serial) || /^nextval\(/i.test(column.default || '');
+}
+
+/**
+ * Renders a column definition for CREATE TABLE or ADD COLUMN
+ * Schema-file columns keep their original text; live columns are rebuilt from their parts
+ * @param {Object} column - Snapshot column
+ * @param {boolean} inlinePrimaryKey - Whether to declare the primary key on the column
+ * @returns {string} Column definition SQL
+ */
+function renderColumnDefinition(column, inlinePrimaryKey) {
+  if (column.definition) {
+    return column.definition;
+  }
+  
+  const serialTypes = { smallint: 'SMALLSERIAL', integer: 'SERIAL', bigint: 'BIGSERIAL' };
+  const serial = isSerialColumn(column) && serialTypes[normalizeType(column.type)];
+  const parts = [serial || column.type];
+  
+  if (inlinePrimaryKey && column.primaryKey) {
+    parts.push('PRIMARY KEY');
+  } else if (column.notNull) {
+    parts.push('NOT NULL');
+  }
+  
+  if (column.default && !serial) {
+    parts.push(`DEFAULT ${column.default}`);
+  }
+  
+  if (column.unique) {
+    parts.push('UNIQUE');
+  }
+  
+  return parts.join(' ');
+}
+
+/**
+ * Renders a CREATE TABLE statement without foreign keys, which are added in a later phase
+ * @param {Object} table - Snapshot table
+ * @returns {string} CREATE TABLE statement
+ */
+function renderCreateTable(table) {
+  const inlinePrimaryKey = table.primaryKey.length === 1;
+  const lines = Object.entries(table.columns).map(([name, column]) => `  "${name}" ${renderColumnDefinition(column, inlinePrimaryKey)}`);
+  const declaresPrimaryKey = Object.values(table.columns).some(column => column.definition && column.primaryKey);
+  
+  if (table.primaryKey.length > 1 && !declaresPrimaryKey) {
+    lines.push(`  PRIMARY KEY (${table.primaryKey.map(c => `"${c}"`).join(', ')})`);
+  }
+  
+  return `CREATE TABLE "${table.name}" (\n${lines.join(',\n')}\n);`;
+}
+
+/**
+ * Renders the statement that adds a foreign key constraint
+ * @param {string} tableName - Table owning the constraint
+ * @param {Object} foreignKey - Snapshot foreign key
+ * @returns {string} ALTER TABLE ... ADD CONSTRAINT statement
+ */
+function renderAddForeignKey(tableName, foreignKey) {
+  const onDelete = foreignKey.onDelete && foreignKey.onDelete !== 'NO ACTION' ? ` ON DELETE ${foreignKey.onDelete}` : '';
+  const onUpdate = foreignKey.onUpdate && foreignKey.onUpdate !== 'NO ACTION' ? ` ON UPDATE ${foreignKey.onUpdate}` : '';
+  return `ALTER TABLE "${tableName}" ADD CONSTRAINT "${foreignKey.name}" FOREIGN KEY ("${foreignKey.column}") REFERENCES "${foreignKey.refTable}" ("${foreignKey.refColumn}")${onDelete}${onUpdate};`;
+}
+
+/**
+ * Renders the statement that creates an index
+ * @param {string} tableName - Indexed table
+ * @param {Object} index - Snapshot index
+ * @returns {string} CREATE INDEX statement
+ */
+function renderCreateIndex(tableName, index) {
+  if (index.definition) {
+    return `${index.definition};`;
+  }
+  
+  return generateIndexSQL(tableName, { columns: index.columns, unique: index.unique, type: index.method, where: index.where });
+}
+
+/**
+ * Builds a comparable signature for an index so indexes with different names can match
+ * @param {Object} index - Snapshot index
+ * @returns {string|null} Signature, or null for expression indexes
+ */
+function getIndexSignature(index) {
+  if (index.expression) {
+    return null;
+  }
+  
+  return `${index.unique ? 'unique ' : ''}${index.method || 'btree'} (${index.columns.join(', ')})`;
+}
+
+/**
+ * Checks whether two foreign keys enforce the same relationship
+ * @param {Object} a - Snapshot foreign key
+ * @param {Object} b - Snapshot foreign key
+ * @returns {boolean} True if target and actions match
+ */
+function sameForeignKey(a, b) {
+  return a.refTable === b.refTable &&
+    a.refColumn === b.refColumn &&
+    (a.onDelete || 'NO ACTION') === (b.onDelete || 'NO ACTION') &&
+    (a.onUpdate || 'NO ACTION') === (b.onUpdate || 'NO ACTION');
+}
+
+/**
+ * Orders tables so that tables referencing others come first, which is the order they can be dropped in
+ * @param {Array<Object>} tables - Snapshot tables
+ * @returns {Array<Object>} Tables in drop order
+ */
+function orderTablesForDrop(tables) {
+  const names = new Set(tables.map(t => t.name));
+  const ordered = [];
+  const visited = new Set();
+  
+  const visit = (table) => {
+    if (visited.has(table.name)) return;
+    visited.add(table.name);
+    
+    // Tables that reference this one must be dropped before it
+    tables
+      .filter(other => other.name !== table.name && other.foreignKeys.some(fk => fk.refTable === table.name && names.has(other.name)))
+      .forEach(visit);
+    
+    ordered.push(table);
+  };
+  
+  tables.forEach(visit);
+  return ordered;
+}
+
+/**
+ * Collapses whitespace so definitions that differ only in formatting compare equal
+ * @param {string} definition - SQL definition
+ * @returns {string} Normalized definition
+ */
+function normalizeDefinition(definition) {
+  return definition.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Compares the CHECK constraints of a table present on both sides, matching them by name
+ * @param {string} table - Table name
+ * @param {Array<Object>} wanted - Desired checks (name, definition)
+ * @param {Array<Object>} existing - Current checks (name, definition)
+ * @param {Function} add - Adds a change to the result
+ */
+function diffChecks(table, wanted, existing, add) {
+  const alter = `ALTER TABLE "${table}"`;
+  const addCheck = (check) => `${alter} ADD CONSTRAINT "${check.name}" ${check.definition};`;
+  const dropCheck = (check) => `${alter} DROP CONSTRAINT "${check.name}";`;
+  
+  wanted.forEach(check => {
+    const current = existing.find(c => c.name === check.name);
+    
+    if (!current) {
+      add(PHASES.ALTER, 'create', `Add check constraint "${check.name}" on "${table}"`, addCheck(check), dropCheck(check));
+    } else if (normalizeDefinition(current.definition) !== normalizeDefinition(check.definition)) {
+      add(PHASES.ALTER, 'alter', `Replace check constraint "${check.name}" on "${table}"`,
+        `${dropCheck(current)}\n${addCheck(check)}`,
+        `${dropCheck(check)}\n${addCheck(current)}`);
+    }
+  });
+  
+  existing
+    .filter(current => !wanted.some(c => c.name === current.name))
+    .forEach(current => {
+      add(PHASES.DROP_CONSTRAINT, 'drop', `Drop check constraint "${current.name}" on "${table}"`, dropCheck(current), addCheck(current));
+    });
+}
+
+/**
+ * Compares functions and procedures, matching them by name and argument types
+ * @param {Array<Object>} wanted - Desired functions (name, arguments, definition)
+ * @param {Array<Object>} existing - Current functions (name, arguments, definition)
+ * @param {Function} add - Adds a change to the result
+ */
+function diffFunctions(wanted, existing, add) {
+  const signature = (fn) => `${fn.name}(${fn.arguments})`;
+  const create = (fn) => `${fn.definition.trim()};`;
+  const drop = (fn) => `DROP FUNCTION IF EXISTS "${fn.name}"(${fn.arguments});`;
+  
+  wanted.forEach(fn => {
+    const current = existing.find(f => signature(f) === signature(fn));
+    
+    if (!current) {
+      add(PHASES.FUNCTION, 'create', `Create function ${signature(fn)}`, create(fn), drop(fn));
+    } else if (normalizeDefinition(current.definition) !== normalizeDefinition(fn.definition)) {
+      add(PHASES.FUNCTION, 'alter', `Replace function ${signature(fn)}`, create(fn), create(current));
+    }
+  });
+  
+  existing
+    .filter(current => !wanted.some(fn => signature(fn) === signature(current)))
+    .forEach(current => {
+      add(PHASES.DROP_FUNCTION, 'drop', `Drop function ${signature(current)}`, drop(current), create(current));
+    });
+}
+
+/**
+ * Compares the columns, constraints and indexes of a table present on both sides
+ * @param {Object} want - Desired snapshot table
+ * @param {Object} have - Current snapshot table
+ * @param {Function} add - Adds a change to the result
+ */
+function diffTable(want, have, add) {
+  const table = want.name;
+  const q = (column) => `"${table}"."${column}"`;
+  const alter = `ALTER TABLE "${table}"`;
+  
+  Object.entries(want.columns).forEach(([name, column]) => {
+    const current = have.columns[name];
+    
+    if (!current) {
+      add(PHASES.COLUMN, 'create', `Add column ${q(name)} ${column.type}`,
+        `${alter} ADD COLUMN "${name}" ${renderColumnDefinition(column, want.primaryKey.length === 1)};`,
+        `${alter} DROP COLUMN "${name}";`);
+      return;
+    }
+    
+    const wantType = normalizeType(column.type);
+    const haveType = normalizeType(current.type);
+    
+    if (wantType !== haveType) {
+      add(PHASES.ALTER, 'alter', `Change type of ${q(name)} from ${haveType} to ${wantType}`,
+        `${alter} ALTER COLUMN "${name}" TYPE ${wantType} USING "${name}"::${wantType};`,
+        `${alter} ALTER COLUMN "${name}" TYPE ${haveType} USING "${name}"::${haveType};`);
+    }
+    
+    if (!column.primaryKey && !current.primaryKey && column.notNull !== current.notNull) {
+      add(PHASES.ALTER, 'alter', `${column.notNull ? 'Set' : 'Drop'} NOT NULL on ${q(name)}`,
+        `${alter} ALTER COLUMN "${name}" ${column.notNull ? 'SET' : 'DROP'} NOT NULL;`,
+        `${alter} ALTER COLUMN "${name}" ${column.notNull ? 'DROP' : 'SET'} NOT NULL;`);
+    }
+    
+    const wantSerial = isSerialColumn(column);
+    const haveSerial = isSerialColumn(current);
+    
+    if (wantSerial && !haveSerial) {
+      add(PHASES.ALTER, 'manual', `Column ${q(name)} should be backed by a sequence (SERIAL); create the sequence and default by hand`, null, null);
+    } else if (!(wantSerial && haveSerial) && normalizeDefault(column.default) !== normalizeDefault(current.default)) {
+      const setDefault = (value) => value === null || value === undefined
+        ? `${alter} ALTER COLUMN "${name}" DROP DEFAULT;`
+        : `${alter} ALTER COLUMN "${name}" SET DEFAULT ${value};`;
+      
+      add(PHASES.ALTER, 'alter', column.default ? `Set default of ${q(name)} to ${column.default}` : `Drop default of ${q(name)}`,
+        setDefault(column.default),
+        setDefault(current.default));
+    }
+    
+    const hasUniqueIndex = have.indexes.some(index => index.unique && !index.where && index.columns.length === 1 && index.columns[0] === name);
+    
+    if (column.unique && !current.unique && !hasUniqueIndex) {
+      const constraint = column.uniqueConstraint || `${table}_${name}_key`;
+      add(PHASES.ALTER, 'alter', `Add unique constraint on ${q(name)}`,
+        `${alter} ADD CONSTRAINT "${constraint}" UNIQUE ("${name}");`,
+        `${alter} DROP CONSTRAINT "${constraint}";`);
+    } else if (!column.unique && current.unique && !want.indexes.some(index => index.unique && index.columns.length === 1 && index.columns[0] === name)) {
+      add(PHASES.DROP_CONSTRAINT, 'drop', `Drop unique constraint "${current.uniqueConstraint}" on ${q(name)}`,
+        `${alter} DROP CONSTRAINT "${current.uniqueConstraint}";`,
+        `${alter} ADD CONSTRAINT "${current.uniqueConstraint}" UNIQUE ("${name}");`);
+    }
+  });
+  
+  Object.keys(have.columns)
+    .filter(name => !want.columns[name])
+    .forEach(name => {
+      add(PHASES.DROP_COLUMN, 'drop', `Drop column ${q(name)} (data in this column is lost)`,
+        `${alter} DROP COLUMN "${name}";`,
+        null);
+    });
+  
+  if (want.primaryKey.join(',') !== have.primaryKey.join(',')) {
+    add(PHASES.ALTER, 'manual', `Primary key of "${table}" differs: expected (${want.primaryKey.join(', ')}), found (${have.primaryKey.join(', ')}); change it by hand`, null, null);
+  }
+  
+  want.foreignKeys.forEach(foreignKey => {
+    const current = have.foreignKeys.find(fk => fk.column === foreignKey.column);
+    
+    if (!current) {
+      add(PHASES.FOREIGN_KEY_ADD, 'create', `Add foreign key ${q(foreignKey.column)} → "${foreignKey.refTable}"."${foreignKey.refColumn}"`,
+        renderAddForeignKey(table, foreignKey),
+        `${alter} DROP CONSTRAINT "${foreignKey.name}";`);
+    } else if (!sameForeignKey(foreignKey, current)) {
+      add(PHASES.FOREIGN_KEY_DROP, 'alter', `Drop foreign key "${current.name}" so it can be replaced`,
+        `${alter} DROP CONSTRAINT "${current.name}";`,
+        renderAddForeignKey(table, current));
+      add(PHASES.FOREIGN_KEY_ADD, 'alter', `Replace foreign key ${q(foreignKey.column)} → "${foreignKey.refTable}"."${foreignKey.refColumn}"`,
+        renderAddForeignKey(table, foreignKey),
+        `${alter} DROP CONSTRAINT "${foreignKey.name}";`);
+    }
+  });
+  
+  have.foreignKeys
+    .filter(current => !want.foreignKeys.some(fk => fk.column === current.column))
+    .forEach(current => {
+      add(PHASES.DROP_FOREIGN_KEY, 'drop', `Drop foreign key "${current.name}" on ${q(current.column)}`,
+        `${alter} DROP CONSTRAINT "${current.name}";`,
+        renderAddForeignKey(table, current));
+    });
+  
+  // Schema files declare CHECK constraints inline without names, so only live snapshots are compared
+  if (want.checks && have.checks) {
+    diffChecks(table, want.checks, have.checks, add);
+  }
+  
+  // Primary key and constraint indexes are covered by the column comparison
+  const candidates = have.indexes.filter(index => !index.primary && !index.constraint);
+  const matched = new Set();
+  
+  want.indexes.filter(index => !index.primary && !index.constraint).forEach(index => {
+    const byName = candidates.find(current => current.name === index.name);
+    const bySignature = candidates.find(current => !matched.has(current) && getIndexSignature(current) !== null && getIndexSignature(current) === getIndexSignature(index));
+    
+    if (byName) {
+      matched.add(byName);
+      
+      if (getIndexSignature(byName) !== getIndexSignature(index)) {
+        add(PHASES.INDEX, 'alter', `Recreate index "${index.name}" on "${table}" (${index.columns.join(', ')})`,
+          `DROP INDEX IF EXISTS "${index.name}";\n${renderCreateIndex(table, index)}`,
+          `DROP INDEX IF EXISTS "${index.name}";\n${renderCreateIndex(table, byName)}`);
+      }
+    } else if (bySignature) {
+      matched.add(bySignature);
+    } else {
+      add(PHASES.INDEX, 'create', `Create index "${index.name}" on "${table}" (${index.columns.join(', ')})`,
+        renderCreateIndex(table, index),
+        `DROP INDEX IF EXISTS "${index.name}";`);
+    }
+  });
+  
+  candidates
+    .filter(index => !matched.has(index))
+    .forEach(index => {
+      add(PHASES.DROP_INDEX, 'drop', `Drop index "${index.name}" on "${table}"`,
+        `DROP INDEX IF EXISTS "${index.name}";`,
+        renderCreateIndex(table, index));
+    });
+}
+
+/**
+ * Compares two snapshots and lists the changes that turn the current structure into the desired one
+ * Changes come back in execution order; each has an up statement and, when it can be undone, a down statement
+ * @param {Object} desired - Snapshot describing the target structure
+ * @param {Object} current - Snapshot describing the existing structure
+ * @returns {Array<Object>} Changes with phase, kind ('create', 'alter', 'drop' or 'manual'), description, up and down
+ */
+function diffSnapshots(desired, current) {
+  const changes = [];
+  const add = (phase, kind, description, up, down) => {
+    changes.push({ phase, kind, description, up, down });
+  };
+  
+  const currentExtensions = new Set(current.extensions);
+  const desiredExtensions = new Set(desired.extensions);
+  
+  desired.extensions
+    .filter(ext => !currentExtensions.has(ext))
+    .forEach(ext => add(PHASES.EXTENSION, 'create', `Create extension "${ext}"`,
+      `CREATE EXTENSION IF NOT EXISTS "${ext}";`,
+      `DROP EXTENSION IF EXISTS "${ext}";`));
+  
+  current.extensions
+    .filter(ext => !desiredExtensions.has(ext) && !IGNORED_EXTENSIONS.includes(ext))
+    .forEach(ext => add(PHASES.DROP_EXTENSION, 'drop', `Drop extension "${ext}"`,
+      `DROP EXTENSION IF EXISTS "${ext}";`,
+      `CREATE EXTENSION IF NOT EXISTS "${ext}";`));
+  
+  Object.values(desired.tables)
+    .filter(table => !IGNORED_TABLES.includes(table.name))
+    .forEach(table => {
+      const existing = current.tables[table.name];
+      
+      if (existing) {
+        diffTable(table, existing, add);
+        return;
+      }
+      
+      add(PHASES.TABLE, 'create', `Create table "${table.name}"`,
+        renderCreateTable(table),
+        `DROP TABLE "${table.name}";`);
+      
+      table.foreignKeys.forEach(foreignKey => add(PHASES.FOREIGN_KEY_ADD, 'create',
+        `Add foreign key "${table.name}"."${foreignKey.column}" → "${foreignKey.refTable}"."${foreignKey.refColumn}"`,
+        renderAddForeignKey(table.name, foreignKey),
+        `ALTER TABLE "${table.name}" DROP CONSTRAINT "${foreignKey.name}";`));
+      
+      table.indexes
+        .filter(index => !index.primary && !index.constraint)
+        .forEach(index => add(PHASES.INDEX, 'create', `Create index "${index.name}" on "${table.name}" (${index.columns.join(', ')})`,
+          renderCreateIndex(table.name, index),
+          `DROP INDEX IF EXISTS "${index.name}";`));
+      
+      if (table.checks) {
+        diffChecks(table.name, table.checks, [], add);
+      }
+    });
+  
+  // Schema files keep function bodies as free-form SQL, so only live snapshots are compared
+  if (desired.functions && current.functions) {
+    diffFunctions(desired.functions, current.functions, add);
+  }
+  
+  const removedTables = Object.values(current.tables)
+    .filter(table => !desired.tables[table.name] && !IGNORED_TABLES.includes(table.name));
+  
+  orderTablesForDrop(removedTables).forEach(table => {
+    add(PHASES.DROP_TABLE, 'drop', `Drop table "${table.name}" (all rows are lost)`,
+      `DROP TABLE "${table.name}";`,
+      null);
+  });
+  
+  // Stable sort keeps the order changes were found in within each phase
+  return changes
+    .map((change, index) => ({ change, index }))
+    .sort((a, b) => a.change.phase - b.change.phase || a.index - b.index)
+    .map(({ change }) => change);
+}
+
+/**
+ * Renders changes as a migration file with a -- +down section when every change can be undone
+ * @param {Array<Object>} changes - Changes returned by diffSnapshots
+ * @param {Array<string>} [headerLines=[]] - Comment lines describing where the migration came from
+ * @returns {string} Migration file contents
+ */
+function renderMigration(changes, headerLines = []) {
+  const applied = changes.filter(change => change.kind !== 'manual');
+  const manual = changes.filter(change => change.kind === 'manual');
+  const irreversible = applied.filter(change => change.down === null);
+  const lines = headerLines.map(line => `-- ${line}`);
+  
+  lines.push('-- Review every statement before applying this migration');
+  
+  if (irreversible.length > 0) {
+    lines.push(`-- No down section: ${irreversible.length} change(s) destroy data and cannot be undone automatically`);
+  }
+  
+  manual.forEach(change => lines.push(`-- MANUAL: ${change.description}`));
+  lines.push('');
+  
+  applied.forEach(change => {
+    lines.push(`-- ${change.description}`);
+    lines.push(change.up);
+    lines.push('');
+  });
+  
+  if (irreversible.length === 0 && applied.length > 0) {
+    lines.push('-- +down');
+    
+    [...applied].reverse().forEach(change => {
+      lines.push(`-- Undo: ${change.description}`);
+      lines.push(change.down);
+      lines.push('');
+    });
+  }
+  
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+const CHANGE_SYMBOLS = {
+  create: chalk.green('+'),
+  alter: chalk.yellow('~'),
+  drop: chalk.red('-'),
+  manual: chalk.magenta('!')
+};
+
+/**
+ * Prints a list of changes with a symbol for each kind (+ create, ~ alter, - drop, ! manual)
+ * @param {Array<Object>} changes - Changes returned by diffSnapshots
+ */
+function printChanges(changes) {
+  changes.forEach(change => {
+    console.log(`  ${CHANGE_SYMBOLS[change.kind]} ${change.description}`);
+  });
+}
+
+module.exports = {
+  IGNORED_TABLES,
+  normalizeType,
+  normalizeDefault,
+  parseColumnDefinition,
+  schemaToSnapshot,
+  diffSnapshots,
+  renderMigration,
+  printChanges
+};
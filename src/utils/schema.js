@@ -15,6 +15,17 @@ const createTimestampFields = () => ({
   deleted_at: 'TIMESTAMP WITH TIME ZONE'
 });
 
+/**
+ * Gets the path of a project's schema file (schemas/<project-name-in-kebab-case>.js)
+ * @param {string} projectName - Name of the project
+ * @returns {string} Absolute path to the schema file
+ */
+const getSchemaFilePath = (projectName) => {
+  // Convert project name to kebab-case filename
+  const fileName = projectName ? projectName.toLowerCase().replace(/[\s_]+/g, '-') : 'default';
+  return path.join(process.cwd(), 'schemas', `${fileName}.js`);
+};
+
 /**
  * Loads database schema from a project-specific schema file
  * @param {string} projectName - Name of the project to load schema for
@@ -22,9 +33,7 @@ const createTimestampFields = () => ({
  */
 const loadSchemaFromFile = (projectName) => {
   try {
-    // Convert project name to kebab-case filename
-    const fileName = projectName ? projectName.toLowerCase().replace(/[\s_]+/g, '-') : 'default';
-    const schemaPath = path.join(process.cwd(), 'schemas', `${fileName}.js`);
+    const schemaPath = getSchemaFilePath(projectName);
     
     if (fs.existsSync(schemaPath)) {
       return require(schemaPath);
@@ -597,6 +606,32 @@ const generateFullSchema = (projectName) => {
   };
 };
 
+/**
+ * Gets the name db-tools gives an index defined in a schema file
+ * @param {string} tableName - Table name
+ * @param {Object} index - Index definition object
+ * @param {Array<string>} index.columns - Indexed columns
+ * @returns {string} Index name (idx_<table>_<columns>)
+ */
+const getIndexName = (tableName, index) => `idx_${tableName}_${index.columns.join('_')}`;
+
+/**
+ * Generates SQL for creating a single index from a schema index definition
+ * @param {string} tableName - Table name
+ * @param {Object} index - Index definition object
+ * @param {Array<string>} index.columns - Indexed columns
+ * @param {string} [index.type='btree'] - Index method
+ * @param {boolean} [index.unique] - Whether the index is unique
+ * @param {string} [index.where] - Predicate for a partial index
+ * @returns {string} CREATE INDEX statement
+ */
+const generateIndexSQL = (tableName, index) => {
+  const indexType = index.type || 'btree';
+  const uniqueClause = index.unique ? 'UNIQUE ' : '';
+  const whereClause = index.where ? ` WHERE ${index.where}` : '';
+  return `CREATE ${uniqueClause}INDEX IF NOT EXISTS "${getIndexName(tableName, index)}" ON "${tableName}" USING ${indexType} (${index.columns.map(c => `"${c}"`).join(', ')})${whereClause};`;
+};
+
 /**
  * Generates SQL for creating a table with its columns and indexes
  * @param {Object} table - Table definition object
@@ -618,11 +653,7 @@ const generateCreateTableSQL = (table) => {
   
   // Add indexes
   indexes.forEach(index => {
-    const indexName = `idx_${name}_${index.columns.join('_')}`;
-    const indexType = index.type || 'btree';
-    const uniqueClause = index.unique ? 'UNIQUE ' : '';
-    const whereClause = index.where ? ` WHERE ${index.where}` : '';
-    sql += `CREATE ${uniqueClause}INDEX IF NOT EXISTS "${indexName}" ON "${name}" USING ${indexType} (${index.columns.map(c => `"${c}"`).join(', ')})${whereClause};\n`;
+    sql += `${generateIndexSQL(name, index)}\n`;
   });
   
   return sql;
@@ -682,11 +713,7 @@ const generateIndexes = (table) => {
   let sql = '';
   
   indexes.forEach(index => {
-    const indexName = `idx_${name}_${index.columns.join('_')}`;
-    const indexType = index.type || 'btree';
-    const uniqueClause = index.unique ? 'UNIQUE ' : '';
-    const whereClause = index.where ? ` WHERE ${index.where}` : '';
-    sql += `CREATE ${uniqueClause}INDEX IF NOT EXISTS "${indexName}" ON "${name}" USING ${indexType} (${index.columns.map(c => `"${c}"`).join(', ')})${whereClause};\n`;
+    sql += `${generateIndexSQL(name, index)}\n`;
   });
   
   return sql;
@@ -889,8 +916,11 @@ const generateInitializationSQL = (projectName) => {
 
 // Export the schema and functions
 module.exports = {
+  getSchemaFilePath,
   generateFullSchema,
   generateInitializationSQL,
   generateCreateTableSQL,
+  generateIndexSQL,
+  getIndexName,
   generateSeedDataSQL
 };
\ No newline at end of file
@@ -0,0 +1,154 @@
+// src/utils/sql-lexer.js
+// This file contains a lexer that turns one PostgreSQL statement into tokens
+// Comments and whitespace are dropped; literals, quoted identifiers and dollar-quoted bodies become single tokens
+
+const { skipQuoted, skipBlockComment } = require('./sql-splitter');
+
+const DOLLAR_TAG = /\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/y;
+const WORD = /[A-Za-z_][A-Za-z0-9_$]*/y;
+const NUMBER = /(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/y;
+const PARAMETER = /\$\d+/y;
+
+// Prefixes of special string constants (E'...', B'...', X'...', N'...')
+const STRING_PREFIXES = ['E', 'B', 'X', 'N'];
+
+/**
+ * Splits a SQL statement into tokens
+ * Token types are word (keywords and plain identifiers), identifier (quoted identifiers), string, number,
+ * parameter ($1) and punctuation (any other single character)
+ * Every token has its paren depth, so callers can tell top-level words from those in subqueries
+ * @param {string} sql - SQL text
+ * @returns {Array<Object>} Tokens with type, value, upper (words only), depth, start and end
+ */
+function tokenizeSql(sql) {
+  const tokens = [];
+  let depth = 0;
+  let i = 0;
+  
+  const push = (type, start, end, extra = {}) => {
+    tokens.push({ type, value: sql.slice(start, end), depth, start, end, ...extra });
+  };
+  
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+    
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    
+    if (ch === '-' && next === '-') {
+      const newline = sql.indexOf('\n', i);
+      i = newline === -1 ? sql.length : newline + 1;
+      continue;
+    }
+    
+    if (ch === '/' && next === '*') {
+      i = skipBlockComment(sql, i);
+      continue;
+    }
+    
+    if (ch === "'") {
+      const end = skipQuoted(sql, i, "'", false);
+      push('string', i, end);
+      i = end;
+      continue;
+    }
+    
+    if (ch === '"') {
+      const end = skipQuoted(sql, i, '"', false);
+      push('identifier', i, end, { name: sql.slice(i + 1, end - 1).replace(/""/g, '"') });
+      i = end;
+      continue;
+    }
+    
+    if (ch === '$') {
+      PARAMETER.lastIndex = i;
+      const parameter = PARAMETER.exec(sql);
+      
+      if (parameter) {
+        push('parameter', i, i + parameter[0].length);
+        i += parameter[0].length;
+        continue;
+      }
+      
+      DOLLAR_TAG.lastIndex = i;
+      const tag = DOLLAR_TAG.exec(sql);
+      
+      if (tag) {
+        const close = sql.indexOf(tag[0], i + tag[0].length);
+        const end = close === -1 ? sql.length : close + tag[0].length;
+        push('string', i, end);
+        i = end;
+        continue;
+      }
+    }
+    
+    if (/[A-Za-z_]/.test(ch)) {
+      WORD.lastIndex = i;
+      const word = WORD.exec(sql)[0];
+      const upper = word.toUpperCase();
+      const end = i + word.length;
+      
+      if (STRING_PREFIXES.includes(upper) && sql[end] === "'") {
+        const stringEnd = skipQuoted(sql, end, "'", upper === 'E');
+        push('string', i, stringEnd);
+        i = stringEnd;
+        continue;
+      }
+      
+      push('word', i, end, { upper });
+      i = end;
+      continue;
+    }
+    
+    if (/[0-9.]/.test(ch)) {
+      NUMBER.lastIndex = i;
+      const number = NUMBER.exec(sql);
+      
+      if (number) {
+        push('number', i, i + number[0].length);
+        i += number[0].length;
+        continue;
+      }
+    }
+    
+    if (ch === ')') {
+      depth = Math.max(depth - 1, 0);
+    }
+    
+    push('punctuation', i, i + 1);
+    
+    if (ch === '(') {
+      depth++;
+    }
+    
+    i++;
+  }
+  
+  return tokens;
+}
+
+/**
+ * Finds the token that closes the parenthesis opened at an index
+ * @param {Array<Object>} tokens - Tokens returned by tokenizeSql
+ * @param {number} openIndex - Index of the opening parenthesis token
+ * @returns {number} Index of the closing parenthesis, or the number of tokens if it is unclosed
+ */
+function findClosingParen(tokens, openIndex) {
+  const depth = tokens[openIndex].depth;
+  
+  for (let i = openIndex + 1; i < tokens.length; i++) {
+    if (tokens[i].value === ')' && tokens[i].depth === depth) {
+      return i;
+    }
+  }
+  
+  return tokens.length;
+}
+
+module.exports = {
+  tokenizeSql,
+  findClosingParen
+};
@@ -0,0 +1,186 @@
+// src/utils/sql-splitter.js
+// This file contains a tokenizer-aware splitter for PostgreSQL SQL scripts
+// Splits on top-level semicolons while skipping string literals, quoted identifiers, dollar-quoted bodies and comments
+
+const DOLLAR_TAG = /\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/y;
+const WORD = /[A-Za-z_][A-Za-z0-9_$]*/y;
+const ROUTINE_KINDS = ['FUNCTION', 'PROCEDURE'];
+
+/**
+ * Finds the end of a quoted string literal or quoted identifier
+ * @param {string} sql - SQL text
+ * @param {number} start - Index of the opening quote
+ * @param {string} quote - Quote character (' or ")
+ * @param {boolean} backslashEscapes - Whether backslash escapes the next character (E'...' strings)
+ * @returns {number} Index just past the closing quote, or the end of the text if unterminated
+ */
+function skipQuoted(sql, start, quote, backslashEscapes) {
+  let i = start + 1;
+  
+  while (i < sql.length) {
+    const ch = sql[i];
+    
+    if (backslashEscapes && ch === '\\') {
+      i += 2;
+    } else if (ch === quote) {
+      // A doubled quote is an escaped quote, not the end of the literal
+      if (sql[i + 1] === quote) {
+        i += 2;
+      } else {
+        return i + 1;
+      }
+    } else {
+      i++;
+    }
+  }
+  
+  return sql.length;
+}
+
+/**
+ * Finds the end of a block comment; PostgreSQL allows block comments to nest
+ * @param {string} sql - SQL text
+ * @param {number} start - Index of the opening slash
+ * @returns {number} Index just past the closing delimiter, or the end of the text if unterminated
+ */
+function skipBlockComment(sql, start) {
+  let depth = 0;
+  let i = start;
+  
+  while (i < sql.length) {
+    if (sql[i] === '/' && sql[i + 1] === '*') {
+      depth++;
+      i += 2;
+    } else if (sql[i] === '*' && sql[i + 1] === '/') {
+      depth--;
+      i += 2;
+      if (depth === 0) return i;
+    } else {
+      i++;
+    }
+  }
+  
+  return sql.length;
+}
+
+/**
+ * Checks whether the leading words of a statement start a CREATE FUNCTION or CREATE PROCEDURE
+ * Such statements may contain a BEGIN ATOMIC ... END body with semicolons inside it
+ * @param {Array<string>} words - Upper-cased leading words of the statement
+ * @returns {boolean} True if the statement defines a routine
+ */
+function isRoutineDefinition(words) {
+  if (words[0] !== 'CREATE') return false;
+  if (words[1] === 'OR' && words[2] === 'REPLACE') return ROUTINE_KINDS.includes(words[3]);
+  return ROUTINE_KINDS.includes(words[1]);
+}
+
+/**
+ * Splits a SQL script into individual statements
+ * Understands single-quoted strings, E'...' strings, quoted identifiers, dollar quoting ($$ and $tag$),
+ * line and nested block comments, and BEGIN ATOMIC routine bodies
+ * @param {string} sql - SQL script
+ * @returns {Array<string>} Trimmed statements without their terminating semicolon; comment-only fragments are dropped
+ */
+function splitSqlStatements(sql) {
+  const statements = [];
+  let start = 0;
+  let i = 0;
+  let hasCode = false;
+  let words = [];
+  let blockDepth = 0;
+  
+  const endStatement = (end) => {
+    const statement = sql.slice(start, end).trim();
+    if (hasCode && statement.length > 0) {
+      statements.push(statement);
+    }
+    start = end + 1;
+    hasCode = false;
+    words = [];
+    blockDepth = 0;
+  };
+  
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+    
+    if (ch === '-' && next === '-') {
+      const newline = sql.indexOf('\n', i);
+      i = newline === -1 ? sql.length : newline + 1;
+      continue;
+    }
+    
+    if (ch === '/' && next === '*') {
+      i = skipBlockComment(sql, i);
+      continue;
+    }
+    
+    if (ch === "'" || ch === '"') {
+      hasCode = true;
+      i = skipQuoted(sql, i, ch, false);
+      continue;
+    }
+    
+    if (ch === '$') {
+      DOLLAR_TAG.lastIndex = i;
+      const match = DOLLAR_TAG.exec(sql);
+      
+      if (match) {
+        const tag = match[0];
+        const close = sql.indexOf(tag, i + tag.length);
+        hasCode = true;
+        i = close === -1 ? sql.length : close + tag.length;
+        continue;
+      }
+    }
+    
+    WORD.lastIndex = i;
+    const wordMatch = /[A-Za-z_]/.test(ch) ? WORD.exec(sql) : null;
+    
+    if (wordMatch) {
+      const word = wordMatch[0];
+      const upper = word.toUpperCase();
+      const end = i + word.length;
+      hasCode = true;
+      
+      // E'...' strings treat backslash as an escape character
+      if (upper === 'E' && sql[end] === "'") {
+        i = skipQuoted(sql, end, "'", true);
+        continue;
+      }
+      
+      if (words.length < 4) {
+        words.push(upper);
+      }
+      
+      if (isRoutineDefinition(words)) {
+        if (upper === 'BEGIN' || upper === 'CASE') {
+          blockDepth++;
+        } else if (upper === 'END' && blockDepth > 0) {
+          blockDepth--;
+        }
+      }
+      
+      i = end;
+      continue;
+    }
+    
+    if (ch === ';' && blockDepth === 0) {
+      endStatement(i);
+    } else if (!/\s/.test(ch)) {
+      hasCode = true;
+    }
+    
+    i++;
+  }
+  
+  endStatement(sql.length);
+  return statements;
+}
+
+module.exports = {
+  skipQuoted,
+  skipBlockComment,
+  splitSqlStatements
+};
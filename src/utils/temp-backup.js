@@ -1,18 +1,35 @@
 /**
  * Temporary Backup System
  * Creates encrypted backups before dangerous operations and auto-deletes after 4 hours
+ * Backups are streamed through gzip and AES-256-GCM (see backup-encryption.js); older .sql backups remain restorable
+ * PostgreSQL databases are dumped with pg_dump; MongoDB databases with mongodump, or exported as Extended JSON without it
  */
 
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
-const { execSync } = require('child_process');
+const { spawn } = require('child_process');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { StringDecoder } = require('string_decoder');
+const { BSON } = require('mongodb');
 const chalk = require('chalk');
+const db = require('./db');
+const { recordBackup } = require('./audit');
+const { generateBackupKey, readBackupHeader, encryptToFile, decryptFromFile, verifyBackupFile } = require('./backup-encryption');
 
 const TEMP_BACKUP_DIR = path.join(process.cwd(), 'temp');
 const RETENTION_HOURS = 4;
 const RETENTION_MS = RETENTION_HOURS * 60 * 60 * 1000;
 
+// First line of a MongoDB backup exported without mongodump
+const MONGO_EXPORT_FORMAT = 'db-tools-mongodb-export';
+const MONGO_EXPORT_VERSION = 1;
+const MONGO_INSERT_BATCH = 1000;
+
+// Commands that only change the table given as their first argument
+const TABLE_SCOPED_COMMANDS = ['delete-table', 'remove-column', 'rename-table', 'rename-column', 'batch-update', 'batch-delete'];
+
 /**
  * Ensures the temporary backup directory exists
  */
@@ -41,6 +58,10 @@ async function cleanupOldBackups() {
       if (file === '.gitignore') continue;
       
       const filePath = path.join(TEMP_BACKUP_DIR, file);
+      
+      // Key files are removed together with their backup earlier in the loop
+      if (!fs.existsSync(filePath)) continue;
+      
       const stats = fs.statSync(filePath);
       const age = now - stats.mtimeMs;
       
@@ -64,14 +85,449 @@ async function cleanupOldBackups() {
   }
 }
 
+/**
+ * Gets the connection string of a pool or client
+ * @param {Object} connection - PostgreSQL pool or client
+ * @returns {string} Connection string
+ * @throws Will throw error if the connection has no connection string
+ */
+function getConnectionString(connection) {
+  if (connection.options && connection.options.connectionString) {
+    return connection.options.connectionString;
+  } else if (connection._connectionString) {
+    return connection._connectionString;
+  }
+  
+  throw new Error('Could not extract connection string for backup');
+}
+
+/**
+ * Checks whether a connection is a MongoDB connection (client and db) rather than a PostgreSQL pool
+ * @param {Object} connection - Database connection
+ * @returns {boolean} True for a MongoDB connection
+ */
+function isMongoConnection(connection) {
+  return Boolean(connection && connection.client && connection.db);
+}
+
+/**
+ * Gets the database named in a MongoDB URI
+ * @param {string} uri - MongoDB connection URI
+ * @returns {string|null} Database name, or null if the URI names none
+ */
+function getUriDatabase(uri) {
+  const match = uri.match(/^mongodb(?:\+srv)?:\/\/[^/]+\/([^?]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Gets the tables a temporary backup taken before a command needs to cover
+ * Commands that change a single table only need that table (and the tables referencing it), unless --full-backup is given
+ * @param {string} command - Command about to run
+ * @param {string} [table] - Table the command changes
+ * @param {Object} [options={}] - Merged command and global options
+ * @returns {Array<string>|null} Tables to back up, or null for the whole database
+ */
+function getBackupTables(command, table, options = {}) {
+  if (options.fullBackup || !table || !TABLE_SCOPED_COMMANDS.includes(command)) {
+    return null;
+  }
+  
+  return [table];
+}
+
+/**
+ * Adds every table that references the given tables through foreign keys, directly or through other tables
+ * Restoring a table drops it first, which needs the foreign keys pointing at it to be part of the same backup
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @param {Array<string>} tableNames - Tables to back up, optionally schema-qualified
+ * @returns {Promise<Array<Object>>} Tables (schema, table) in the order they were found
+ */
+async function resolveBackupTables(pool, tableNames) {
+  const tables = [];
+  const seen = new Set();
+  const add = ({ schema, table }) => {
+    const key = `${schema}.${table}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      tables.push({ schema, table });
+    }
+  };
+  
+  tableNames.forEach(tableName => add(db.postgres.parseTableName(pool, tableName)));
+  
+  // tables grows while it is walked, so referencing tables of referencing tables are found too
+  for (let index = 0; index < tables.length; index++) {
+    const { schema, table } = tables[index];
+    const referencing = await db.postgres.getReferencingTables(pool, `${db.postgres.quoteIdentifier(schema)}.${db.postgres.quoteIdentifier(table)}`);
+    referencing.forEach(add);
+  }
+  
+  return tables;
+}
+
+/**
+ * Finds the files of a temporary backup
+ * Backups made before streaming encryption are hex-encoded AES-256-CBC files ending in .sql
+ * @param {string} backupName - Name of the backup (without extension)
+ * @returns {Object|null} Object with backupPath, keyPath, manifestPath and format ('aes-256-gcm' or 'legacy'), or null if there is no such backup
+ */
+function findBackupFiles(backupName) {
+  const formats = [
+    { extension: '.enc', format: 'aes-256-gcm' },
+    { extension: '.sql', format: 'legacy' }
+  ];
+  
+  for (const { extension, format } of formats) {
+    const backupPath = path.join(TEMP_BACKUP_DIR, `${backupName}${extension}`);
+    if (fs.existsSync(backupPath)) {
+      return { backupPath, keyPath: `${backupPath}.key`, manifestPath: `${backupPath}.json`, format };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Reads the manifest describing what a backup contains
+ * Backups made before manifests were written are PostgreSQL dumps
+ * @param {string} manifestPath - Manifest file path
+ * @returns {Object} Manifest with type, database, tables for table-scoped PostgreSQL backups, and format and collections for MongoDB backups
+ */
+function readManifest(manifestPath) {
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    return { type: 'postgres', database: null };
+  }
+}
+
+/**
+ * Streams the output of a dump tool through compression and encryption into a file
+ * @param {string} tool - Dump tool to run (pg_dump or mongodump)
+ * @param {Array<string>} args - Arguments of the tool
+ * @param {string} backupPath - Encrypted backup file to write
+ * @param {Buffer} key - Encryption key
+ * @param {boolean} compress - Whether to gzip the dump before encrypting it
+ * @returns {Promise<void>}
+ * @throws Will throw error if the tool fails
+ */
+function dumpToEncryptedFile(tool, args, backupPath, key, compress) {
+  return new Promise((resolve, reject) => {
+    const dump = spawn(tool, args);
+    let stderr = '';
+    let written = false;
+    let exitCode;
+    
+    const settle = () => {
+      if (!written || exitCode === undefined) return;
+      if (exitCode === 0) {
+        resolve();
+      } else {
+        reject(new Error(stderr.trim() || `${tool} exited with code ${exitCode}`));
+      }
+    };
+    
+    dump.stderr.on('data', chunk => { stderr += chunk; });
+    dump.on('error', reject);
+    dump.on('close', code => {
+      exitCode = code;
+      settle();
+    });
+    
+    encryptToFile(dump.stdout, backupPath, key, { compress }).then(() => {
+      written = true;
+      settle();
+    }, reject);
+  });
+}
+
+/**
+ * Runs a restore tool, feeding it the backup on stdin
+ * @param {string} tool - Restore tool to run (psql or mongorestore)
+ * @param {Array<string>} args - Arguments of the tool
+ * @param {Function} feed - Called with the tool's stdin; returns a promise that resolves once all data is written
+ * @returns {Promise<void>}
+ * @throws Will throw error if feeding fails or the tool exits with an error
+ */
+function restoreWithTool(tool, args, feed) {
+  return new Promise((resolve, reject) => {
+    const restore = spawn(tool, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+    let fed = false;
+    let feedError = null;
+    let exitCode;
+    
+    const settle = () => {
+      if (exitCode === undefined || (!fed && !feedError)) return;
+      if (feedError) {
+        reject(new Error(stderr.trim() || feedError.message));
+      } else if (exitCode === 0) {
+        resolve();
+      } else {
+        reject(new Error(stderr.trim() || `${tool} exited with code ${exitCode}`));
+      }
+    };
+    
+    restore.stderr.on('data', chunk => { stderr += chunk; });
+    restore.on('error', reject);
+    restore.on('close', code => {
+      exitCode = code;
+      settle();
+    });
+    
+    feed(restore.stdin).then(() => {
+      fed = true;
+      settle();
+    }, error => {
+      feedError = error;
+      restore.kill();
+      settle();
+    });
+  });
+}
+
+/**
+ * Exports a MongoDB database as canonical Extended JSON lines, for when mongodump is not installed
+ * The first line identifies the format; each collection is a line with its options and indexes, followed by a line per document
+ * @param {Object} mongoDb - MongoDB database instance
+ * @param {Array<Object>} collections - Collections to export, as returned by listCollections
+ * @returns {AsyncGenerator<Buffer>} Export data
+ */
+async function* exportMongoDatabase(mongoDb, collections) {
+  const line = record => `${BSON.EJSON.stringify(record, { relaxed: false })}\n`;
+  
+  yield Buffer.from(line({ format: MONGO_EXPORT_FORMAT, version: MONGO_EXPORT_VERSION, database: mongoDb.databaseName }));
+  
+  for (const info of collections) {
+    const isView = info.type === 'view';
+    const indexes = isView ? [] : await mongoDb.collection(info.name).listIndexes().toArray();
+    
+    yield Buffer.from(line({
+      collection: {
+        name: info.name,
+        type: info.type || 'collection',
+        options: info.options || {},
+        indexes: indexes.filter(index => index.name !== '_id_').map(({ v, ns, ...index }) => index)
+      }
+    }));
+    
+    if (isView) continue;
+    
+    // Documents are yielded in batches of lines so the stream is not called per document
+    let pending = '';
+    for await (const document of mongoDb.collection(info.name).find()) {
+      pending += line({ document });
+      
+      if (pending.length > 64 * 1024) {
+        yield Buffer.from(pending);
+        pending = '';
+      }
+    }
+    
+    if (pending) {
+      yield Buffer.from(pending);
+    }
+  }
+}
+
+/**
+ * Creates a stream that imports an Extended JSON export into a MongoDB database
+ * Each restored collection is dropped and recreated with its options, documents and indexes
+ * @param {Object} mongoDb - MongoDB database instance to restore into
+ * @param {Array<string>|null} selected - Collections to restore, or null for all of them
+ * @returns {Writable} Stream to write the decrypted export to
+ */
+function createMongoImportStream(mongoDb, selected) {
+  const decoder = new StringDecoder('utf8');
+  let buffered = '';
+  let header = null;
+  let current = null;
+  
+  const insertBatch = async () => {
+    if (current && current.restore && current.batch.length > 0) {
+      await mongoDb.collection(current.name).insertMany(current.batch, { ordered: true });
+      current.batch = [];
+    }
+  };
+  
+  const finishCollection = async () => {
+    await insertBatch();
+    
+    if (current && current.restore && current.indexes.length > 0) {
+      await mongoDb.collection(current.name).createIndexes(current.indexes);
+    }
+  };
+  
+  const handleLine = async text => {
+    if (!text) return;
+    
+    // Canonical parsing keeps numeric types (Int32, Long, Double) as they were backed up
+    const record = BSON.EJSON.parse(text, { relaxed: false });
+    
+    if (!header) {
+      if (record.format !== MONGO_EXPORT_FORMAT || Number(record.version) !== MONGO_EXPORT_VERSION) {
+        throw new Error('Backup is not a db-tools MongoDB export');
+      }
+      header = record;
+    } else if (record.collection) {
+      await finishCollection();
+      
+      const { name, type, options, indexes } = record.collection;
+      current = { name, restore: !selected || selected.includes(name), batch: [], indexes };
+      
+      if (current.restore) {
+        const existing = await mongoDb.listCollections({ name }, { nameOnly: true }).toArray();
+        if (existing.length > 0) {
+          await mongoDb.collection(name).drop();
+        }
+        
+        await mongoDb.createCollection(name, options);
+        console.log(chalk.gray(`   Restoring ${type} "${name}"...`));
+      }
+    } else if (record.document && current && current.restore) {
+      current.batch.push(record.document);
+      
+      if (current.batch.length >= MONGO_INSERT_BATCH) {
+        await insertBatch();
+      }
+    }
+  };
+  
+  const handleLines = async text => {
+    buffered += text;
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    
+    for (const line of lines) {
+      await handleLine(line);
+    }
+  };
+  
+  return new Writable({
+    write(chunk, encoding, callback) {
+      handleLines(decoder.write(chunk)).then(() => callback(), callback);
+    },
+    final(callback) {
+      handleLines(decoder.end())
+        .then(() => handleLine(buffered))
+        .then(finishCollection)
+        .then(() => callback(), callback);
+    }
+  });
+}
+
+/**
+ * Writes an encrypted backup of a MongoDB database
+ * Uses mongodump when it is installed and the connection URI is known, and exports Extended JSON through the driver otherwise
+ * @param {Object} connection - MongoDB connection with client and db
+ * @param {string} backupPath - Encrypted backup file to write
+ * @param {Buffer} key - Encryption key
+ * @param {boolean} compress - Whether to gzip the data before encrypting it
+ * @param {string} [uri] - Connection URI, needed by mongodump
+ * @returns {Promise<Object>} Manifest of the backup
+ */
+async function backupMongoDatabase({ db: mongoDb }, backupPath, key, compress, uri) {
+  const database = mongoDb.databaseName;
+  const collections = (await mongoDb.listCollections().toArray())
+    .filter(info => !info.name.startsWith('system.'));
+  
+  if (uri && db.mongodb.isMongoToolAvailable('mongodump')) {
+    const args = [`--uri=${uri}`, '--archive', '--quiet'];
+    if (getUriDatabase(uri) !== database) {
+      args.push(`--db=${database}`);
+    }
+    
+    try {
+      await dumpToEncryptedFile('mongodump', args, backupPath, key, compress);
+    } catch (mongodumpError) {
+      throw new Error(`mongodump failed: ${mongodumpError.message}`);
+    }
+    
+    return { type: 'mongodb', format: 'mongodump', database, collections: collections.map(info => info.name) };
+  }
+  
+  console.log(chalk.gray('   mongodump not available, exporting documents as Extended JSON'));
+  await encryptToFile(Readable.from(exportMongoDatabase(mongoDb, collections)), backupPath, key, { compress });
+  
+  return { type: 'mongodb', format: 'ejson', database, collections: collections.map(info => info.name) };
+}
+
+/**
+ * Restores a verified MongoDB backup
+ * @param {string} backupPath - Encrypted backup file
+ * @param {Buffer} key - Encryption key
+ * @param {Object} manifest - Manifest of the backup
+ * @param {Object} connection - MongoDB connection with client and db
+ * @param {Array<string>|null} collections - Collections to restore, or null for all of them
+ * @param {string} [uri] - Connection URI, needed by mongorestore
+ * @returns {Promise<void>}
+ * @throws Will throw error if the restore fails
+ */
+async function restoreMongoBackup(backupPath, key, manifest, { db: mongoDb }, collections, uri) {
+  if (manifest.format !== 'mongodump') {
+    await decryptFromFile(backupPath, key, createMongoImportStream(mongoDb, collections));
+    return;
+  }
+  
+  if (!uri || !db.mongodb.isMongoToolAvailable('mongorestore')) {
+    throw new Error('This backup was made with mongodump; restoring it needs mongorestore (MongoDB Database Tools)');
+  }
+  
+  // --drop only drops the collections being restored
+  const args = [`--uri=${uri}`, '--archive', '--drop', '--quiet'];
+  (collections || ['*']).forEach(name => args.push(`--nsInclude=${manifest.database}.${name}`));
+  
+  if (mongoDb.databaseName !== manifest.database) {
+    args.push(`--nsFrom=${manifest.database}.*`, `--nsTo=${mongoDb.databaseName}.*`);
+  }
+  
+  try {
+    await restoreWithTool('mongorestore', args, stdin => decryptFromFile(backupPath, key, stdin));
+  } catch (mongorestoreError) {
+    throw new Error(`mongorestore failed: ${mongorestoreError.message}`);
+  }
+}
+
+/**
+ * Decrypts a backup made before streaming encryption (crypto.createCipher with a hex password)
+ * Derives the key and IV the way createCipher did (EVP_BytesToKey with MD5), since Node no longer provides it
+ * @param {string} backupPath - Hex-encoded AES-256-CBC backup file
+ * @param {string} password - Contents of the key file
+ * @returns {Buffer} The original SQL
+ * @throws Will throw error if the key does not match
+ */
+function decryptLegacyBackup(backupPath, password) {
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+  
+  while (derived.length < 48) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, Buffer.from(password, 'utf8')])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+  
+  const decipher = crypto.createDecipheriv('aes-256-cbc', derived.subarray(0, 32), derived.subarray(32, 48));
+  const encrypted = Buffer.from(fs.readFileSync(backupPath, 'utf8').trim(), 'hex');
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+}
+
 /**
  * Creates a temporary encrypted backup before a dangerous operation
- * @param {Object} connection - Database connection details
+ * The dump is streamed through gzip and chunked AES-256-GCM, so its size is not limited by memory
+ * @param {Object} connection - PostgreSQL pool, or MongoDB connection with client and db
  * @param {string} projectName - Project name
  * @param {string} operation - Operation being performed
+ * @param {Object} [options={}] - Backup options
+ * @param {boolean} [options.compress=true] - Gzip the dump before encrypting it
+ * @param {Array<string>} [options.tables] - Only back up these PostgreSQL tables and the tables referencing them (see getBackupTables)
+ * @param {string} [options.uri] - MongoDB connection URI, needed to back up with mongodump
  * @returns {Object} Backup details including path and encryption key
  */
-async function createTempBackup(connection, projectName, operation) {
+async function createTempBackup(connection, projectName, operation, options = {}) {
+  let backupPath;
+  let keyPath;
+  let manifestPath;
+  
   try {
     // Clean up old backups first
     await cleanupOldBackups();
@@ -83,74 +539,73 @@ async function createTempBackup(connection, projectName, operation) {
     const safeName = projectName.toLowerCase().replace(/[^a-z0-9]/g, '_');
     const safeOp = operation.toLowerCase().replace(/[^a-z0-9]/g, '_');
     const backupName = `temp_${safeName}_${safeOp}_${timestamp}`;
-    const backupPath = path.join(TEMP_BACKUP_DIR, `${backupName}.sql`);
+    const compress = options.compress !== false;
+    backupPath = path.join(TEMP_BACKUP_DIR, `${backupName}.enc`);
+    keyPath = `${backupPath}.key`;
+    manifestPath = `${backupPath}.json`;
     
     console.log(chalk.blue('🔒 Creating temporary encrypted backup...'));
     
-    // Extract connection details
-    let connectionString;
-    if (connection.options && connection.options.connectionString) {
-      connectionString = connection.options.connectionString;
-    } else if (connection._connectionString) {
-      connectionString = connection._connectionString;
-    } else {
-      throw new Error('Could not extract connection string for backup');
-    }
-    
-    // Parse connection string to get database name
-    const dbMatch = connectionString.match(/\/([^/?]+)(\?|$)/);
-    const database = dbMatch ? dbMatch[1] : 'postgres';
-    
-    // Create backup using pg_dump
-    const pgDumpCommand = `pg_dump "${connectionString}" --no-owner --no-acl --clean --if-exists`;
+    // Write the key first with restrictive permissions, so it never exists readable
+    const encryptionKey = generateBackupKey();
+    fs.writeFileSync(keyPath, encryptionKey.toString('hex'), { mode: 0o600 });
     
-    try {
-      const backupData = execSync(pgDumpCommand, {
-        encoding: 'utf8',
-        maxBuffer: 500 * 1024 * 1024 // 500MB buffer
-      });
-      
-      // Generate encryption key
-      const encryptionKey = crypto.randomBytes(32).toString('hex');
-      const keyPath = `${backupPath}.key`;
-      
-      // Encrypt the backup
-      const cipher = crypto.createCipher('aes-256-cbc', encryptionKey);
-      let encrypted = cipher.update(backupData, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      
-      // Write encrypted backup
-      fs.writeFileSync(backupPath, encrypted);
-      
-      // Write encryption key
-      fs.writeFileSync(keyPath, encryptionKey);
-      
-      // Set restrictive permissions
-      fs.chmodSync(backupPath, 0o600);
-      fs.chmodSync(keyPath, 0o600);
+    let manifest;
+    if (isMongoConnection(connection)) {
+      manifest = await backupMongoDatabase(connection, backupPath, encryptionKey, compress, options.uri);
+    } else {
+      const connectionString = getConnectionString(connection);
       
-      const backupSize = (fs.statSync(backupPath).size / 1024 / 1024).toFixed(2);
+      // Parse connection string to get database name
+      const dbMatch = connectionString.match(/\/([^/?]+)(\?|$)/);
+      const database = dbMatch ? dbMatch[1] : 'postgres';
+      const args = [connectionString, '--no-owner', '--no-acl', '--clean', '--if-exists'];
+      let tables = null;
       
-      console.log(chalk.green(`✅ Temporary backup created: ${backupName}`));
-      console.log(chalk.gray(`   Size: ${backupSize} MB (encrypted)`));
-      console.log(chalk.gray(`   Auto-delete: ${RETENTION_HOURS} hours`));
-      console.log(chalk.gray(`   Location: ${TEMP_BACKUP_DIR}/`));
+      if (options.tables && options.tables.length > 0) {
+        const resolved = await resolveBackupTables(connection, options.tables);
+        tables = resolved.map(({ schema, table }) => `${schema}.${table}`);
+        
+        // Quoted patterns match the names exactly; --strict-names fails the backup if a table is missing
+        args.push('--strict-names', ...resolved.map(({ schema, table }) => `--table=${db.postgres.quoteIdentifier(schema)}.${db.postgres.quoteIdentifier(table)}`));
+        console.log(chalk.gray(`   Tables: ${tables.join(', ')}`));
+      }
       
-      return {
-        success: true,
-        backupPath,
-        keyPath,
-        backupName,
-        database,
-        timestamp: new Date(),
-        expiresAt: new Date(Date.now() + RETENTION_MS)
-      };
+      try {
+        await dumpToEncryptedFile('pg_dump', args, backupPath, encryptionKey, compress);
+      } catch (pgDumpError) {
+        throw new Error(`pg_dump failed: ${pgDumpError.message}`);
+      }
       
-    } catch (pgDumpError) {
-      throw new Error(`pg_dump failed: ${pgDumpError.message}`);
+      manifest = tables ? { type: 'postgres', database, tables } : { type: 'postgres', database };
     }
     
+    fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, { mode: 0o600 });
+    
+    const backupSize = (fs.statSync(backupPath).size / 1024 / 1024).toFixed(2);
+    
+    console.log(chalk.green(`✅ Temporary backup created: ${backupName}`));
+    recordBackup(backupName);
+    console.log(chalk.gray(`   Size: ${backupSize} MB (encrypted${compress ? ', compressed' : ''})`));
+    console.log(chalk.gray(`   Auto-delete: ${RETENTION_HOURS} hours`));
+    console.log(chalk.gray(`   Location: ${TEMP_BACKUP_DIR}/`));
+    
+    return {
+      success: true,
+      backupPath,
+      keyPath,
+      backupName,
+      type: manifest.type,
+      database: manifest.database,
+      tables: manifest.tables || null,
+      compressed: compress,
+      timestamp: new Date(),
+      expiresAt: new Date(Date.now() + RETENTION_MS)
+    };
   } catch (error) {
+    // A partial backup must not be listed as restorable
+    [backupPath, keyPath, manifestPath].filter(file => file && fs.existsSync(file)).forEach(file => fs.unlinkSync(file));
+    
     console.error(chalk.red('❌ Failed to create temporary backup:'), error.message);
     return {
       success: false,
@@ -161,60 +616,81 @@ async function createTempBackup(connection, projectName, operation) {
 
 /**
  * Restores from a temporary backup
+ * The whole backup is verified before anything is restored, so a damaged backup changes nothing
  * @param {string} backupName - Name of the backup (without extension)
- * @param {Object} connection - Database connection details
+ * @param {Object} connection - PostgreSQL pool, or MongoDB connection with client and db
+ * @param {Object} [options={}] - Restore options
+ * @param {Array<string>} [options.collections] - Only restore these collections (MongoDB backups)
+ * @param {string} [options.uri] - MongoDB connection URI, needed to restore a mongodump backup
  * @returns {boolean} Success status
  */
-async function restoreTempBackup(backupName, connection) {
+async function restoreTempBackup(backupName, connection, options = {}) {
   try {
-    const backupPath = path.join(TEMP_BACKUP_DIR, `${backupName}.sql`);
-    const keyPath = `${backupPath}.key`;
+    const backup = findBackupFiles(backupName);
     
-    if (!fs.existsSync(backupPath)) {
+    if (!backup) {
       console.error(chalk.red(`Backup not found: ${backupName}`));
       return false;
     }
     
+    const { backupPath, keyPath, manifestPath } = backup;
+    
     if (!fs.existsSync(keyPath)) {
       console.error(chalk.red(`Encryption key not found for backup: ${backupName}`));
       return false;
     }
     
-    console.log(chalk.blue('🔓 Decrypting temporary backup...'));
+    const manifest = readManifest(manifestPath);
+    const targetType = isMongoConnection(connection) ? 'mongodb' : 'postgres';
+    const collections = options.collections && options.collections.length > 0 ? options.collections : null;
+    
+    if (manifest.type !== targetType) {
+      console.error(chalk.red(`Backup ${backupName} is a ${manifest.type === 'mongodb' ? 'MongoDB' : 'PostgreSQL'} backup and cannot be restored into this project`));
+      return false;
+    }
     
-    // Read encryption key
-    const encryptionKey = fs.readFileSync(keyPath, 'utf8').trim();
+    if (collections && targetType !== 'mongodb') {
+      console.error(chalk.red('Restoring single collections is only available for MongoDB backups'));
+      return false;
+    }
     
-    // Read encrypted backup
-    const encryptedData = fs.readFileSync(backupPath, 'utf8');
+    const missing = collections ? collections.filter(name => !manifest.collections.includes(name)) : [];
+    if (missing.length > 0) {
+      console.error(chalk.red(`Backup ${backupName} does not contain collection(s): ${missing.join(', ')}`));
+      console.log(chalk.gray(`   Collections in the backup: ${manifest.collections.join(', ') || '(none)'}`));
+      return false;
+    }
     
-    // Decrypt the backup
-    const decipher = crypto.createDecipher('aes-256-cbc', encryptionKey);
-    let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
+    const keyText = fs.readFileSync(keyPath, 'utf8').trim();
+    let feed;
     
-    // Extract connection string
-    let connectionString;
-    if (connection.options && connection.options.connectionString) {
-      connectionString = connection.options.connectionString;
-    } else if (connection._connectionString) {
-      connectionString = connection._connectionString;
+    if (backup.format === 'legacy') {
+      console.log(chalk.blue('🔓 Decrypting temporary backup...'));
+      const decrypted = decryptLegacyBackup(backupPath, keyText);
+      feed = stdin => pipeline(Readable.from([decrypted]), stdin);
     } else {
-      throw new Error('Could not extract connection string for restore');
+      console.log(chalk.blue('🔓 Verifying temporary backup...'));
+      const key = Buffer.from(keyText, 'hex');
+      const size = await verifyBackupFile(backupPath, key);
+      console.log(chalk.gray(`   Integrity verified (${(size / 1024 / 1024).toFixed(2)} MB of ${targetType === 'mongodb' ? 'data' : 'SQL'})`));
+      feed = stdin => decryptFromFile(backupPath, key, stdin);
     }
     
-    console.log(chalk.yellow('⚠️  WARNING: This will replace ALL data in the database!'));
+    if (collections) {
+      console.log(chalk.yellow(`⚠️  WARNING: This will replace collection(s) ${collections.join(', ')} in the database!`));
+    } else if (manifest.tables) {
+      console.log(chalk.yellow(`⚠️  WARNING: This will replace table(s) ${manifest.tables.join(', ')} in the database!`));
+    } else {
+      console.log(chalk.yellow('⚠️  WARNING: This will replace ALL data in the database!'));
+    }
     console.log(chalk.blue('📥 Restoring from temporary backup...'));
     
-    // Restore using psql
-    const psqlCommand = `psql "${connectionString}"`;
-    
     try {
-      execSync(psqlCommand, {
-        input: decrypted,
-        encoding: 'utf8',
-        stdio: ['pipe', 'pipe', 'pipe']
-      });
+      if (targetType === 'mongodb') {
+        await restoreMongoBackup(backupPath, Buffer.from(keyText, 'hex'), manifest, connection, collections, options.uri);
+      } else {
+        await restoreWithTool('psql', [getConnectionString(connection)], feed);
+      }
       
       console.log(chalk.green('✅ Successfully restored from temporary backup'));
       
@@ -233,15 +709,14 @@ async function restoreTempBackup(backupName, connection) {
       });
       
       if (shouldDelete) {
-        fs.unlinkSync(backupPath);
-        fs.unlinkSync(keyPath);
+        [backupPath, keyPath, manifestPath].filter(file => fs.existsSync(file)).forEach(file => fs.unlinkSync(file));
         console.log(chalk.gray('Temporary backup deleted'));
       }
       
       return true;
       
-    } catch (psqlError) {
-      throw new Error(`psql restore failed: ${psqlError.message}`);
+    } catch (restoreError) {
+      throw targetType === 'mongodb' ? restoreError : new Error(`psql restore failed: ${restoreError.message}`);
     }
     
   } catch (error) {
@@ -262,21 +737,30 @@ function listTempBackups() {
     const backups = [];
     
     for (const file of files) {
-      if (file.endsWith('.sql') && !file.endsWith('.key')) {
+      // Undo journals share the directory but are listed by "db-tools undo"
+      if (file.startsWith('temp_') && (file.endsWith('.enc') || file.endsWith('.sql'))) {
         const filePath = path.join(TEMP_BACKUP_DIR, file);
         const stats = fs.statSync(filePath);
         const keyExists = fs.existsSync(`${filePath}.key`);
+        const header = file.endsWith('.enc') ? readBackupHeader(filePath) : null;
+        const manifest = readManifest(`${filePath}.json`);
         
         const age = Date.now() - stats.mtimeMs;
         const remainingHours = Math.max(0, (RETENTION_MS - age) / (60 * 60 * 1000));
         
         backups.push({
-          name: file.replace('.sql', ''),
+          name: file.replace(/\.(enc|sql)$/, ''),
           path: filePath,
           size: (stats.size / 1024 / 1024).toFixed(2) + ' MB',
           created: stats.mtime,
           expiresIn: remainingHours.toFixed(1) + ' hours',
           encrypted: keyExists,
+          format: file.endsWith('.enc') ? 'aes-256-gcm' : 'legacy',
+          compressed: Boolean(header && header.compressed),
+          type: manifest.type,
+          database: manifest.database,
+          tables: manifest.tables || null,
+          collections: manifest.collections || null,
           restorable: keyExists
         });
       }
@@ -313,6 +797,8 @@ module.exports = {
   listTempBackups,
   cleanupOldBackups,
   setupAutoCleanup,
+  getBackupTables,
+  ensureTempBackupDir,
   TEMP_BACKUP_DIR,
   RETENTION_HOURS
 };
\ No newline at end of file
@@ -0,0 +1,520 @@
+// src/utils/undo-journal.js
+// This file keeps undo journals of the rows that UPDATE and DELETE statements run through the query command change
+// Before-images are read by primary key in the statement's own transaction and written encrypted next to the temporary backups,
+// so "db-tools undo" can put the rows back without restoring a backup of the whole database
+
+const fs = require('fs');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+const chalk = require('chalk');
+const db = require('./db');
+const { splitSqlStatements } = require('./sql-splitter');
+const { tokenizeSql } = require('./sql-lexer');
+const { getRowChangeTarget, classifyPostgresQuery } = require('./query-classifier');
+const { generateBackupKey, encryptToFile, decryptFromFile } = require('./backup-encryption');
+const { ensureTempBackupDir, TEMP_BACKUP_DIR, RETENTION_HOURS } = require('./temp-backup');
+const { getCurrentUser } = require('./audit');
+
+const JOURNAL_PREFIX = 'undo_';
+const JOURNAL_VERSION = 1;
+
+// Changes to more rows than this are not journaled; a temporary backup suits them better
+const MAX_JOURNAL_ROWS = 100000;
+
+// Statements that end or nest transactions, which would break the transaction the journal is written in
+const TRANSACTION_COMMANDS = ['BEGIN', 'START', 'COMMIT', 'END', 'ROLLBACK', 'ABORT', 'SAVEPOINT', 'RELEASE'];
+
+/**
+ * Gets the files of an undo journal
+ * @param {string} journalId - Journal id (undo_<project>_<timestamp>)
+ * @returns {Object} Object with journalPath, keyPath and manifestPath
+ */
+function getJournalFiles(journalId) {
+  const journalPath = path.join(TEMP_BACKUP_DIR, `${path.basename(journalId)}.enc`);
+  return { journalPath, keyPath: `${journalPath}.key`, manifestPath: `${journalPath}.json` };
+}
+
+/**
+ * Looks up the table a statement changes, with the columns a journal needs
+ * Generated columns are left out, since they cannot be written back
+ * @param {Object} client - PostgreSQL client, in a transaction
+ * @param {string} relationName - Table name as written in the statement
+ * @returns {Promise<Object>} Object with schema, table, columns (name, type and identityAlways) and key (primary key column names,
+ * empty if there is none), or reason if rows of the table cannot be read back
+ */
+async function describeTable(client, relationName) {
+  const { rows: [relation] } = await client.query(`
+    SELECT c.oid, n.nspname AS schema, c.relname AS table, c.relkind, c.relhassubclass
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE c.oid = to_regclass($1)
+  `, [relationName]);
+  
+  if (!relation) {
+    return { reason: `table ${relationName} was not found` };
+  }
+  
+  const name = `${relation.schema}.${relation.table}`;
+  
+  if (!['r', 'p'].includes(relation.relkind)) {
+    return { reason: `${name} is not a table` };
+  }
+  
+  // Rows of inheritance children would come back into the parent, without the children's own columns
+  if (relation.relkind === 'r' && relation.relhassubclass) {
+    return { reason: `${name} has inheritance children` };
+  }
+  
+  // Types are named while only pg_catalog is on the search path, so the journal records them schema-qualified
+  const { rows: [{ search_path: searchPath }] } = await client.query("SELECT current_setting('search_path') AS search_path");
+  await client.query("SELECT set_config('search_path', 'pg_catalog', true)");
+  const { rows: columns } = await client.query(`
+    SELECT a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type, a.attidentity = 'a' AS identity_always,
+      array_position(i.indkey::int2[], a.attnum) AS key_position
+    FROM pg_attribute a
+    LEFT JOIN pg_index i ON i.indrelid = a.attrelid AND i.indisprimary
+    WHERE a.attrelid = $1 AND a.attnum > 0 AND NOT a.attisdropped AND a.attgenerated = ''
+    ORDER BY a.attnum
+  `, [relation.oid]);
+  await client.query("SELECT set_config('search_path', $1, true)", [searchPath]);
+  
+  const key = columns
+    .filter(column => column.key_position !== null)
+    .sort((a, b) => a.key_position - b.key_position)
+    .map(column => column.name);
+  
+  return {
+    schema: relation.schema,
+    table: relation.table,
+    columns: columns.map(column => ({ name: column.name, type: column.type, identityAlways: column.identity_always })),
+    key
+  };
+}
+
+/**
+ * Reads the current images of rows of a journaled table by primary key
+ * @param {Object} client - PostgreSQL client
+ * @param {Object} change - Journal entry with schema, table, columns and key
+ * @param {Array<Array<string>>} keys - Primary key values of the rows, as text
+ * @returns {Promise<Map>} Row values as text, by JSON-encoded primary key
+ */
+async function readRowsByKey(client, change, keys) {
+  const { quoteIdentifier } = db.postgres;
+  const keyTypes = change.key.map(name => change.columns.find(column => column.name === name).type);
+  const keyIndexes = change.key.map(name => change.columns.findIndex(column => column.name === name));
+  const result = await client.query({
+    text: `SELECT ${change.columns.map(column => `${quoteIdentifier(column.name)}::text`).join(', ')}
+      FROM ${quoteIdentifier(change.schema)}.${quoteIdentifier(change.table)}
+      WHERE (${change.key.map(quoteIdentifier).join(', ')}) IN (
+        SELECT ${keyTypes.map((type, i) => `k${i}::${type}`).join(', ')}
+        FROM unnest(${keyTypes.map((type, i) => `$${i + 1}::text[]`).join(', ')}) AS k(${keyTypes.map((type, i) => `k${i}`).join(', ')})
+      )`,
+    values: keyTypes.map((type, i) => keys.map(key => key[i])),
+    rowMode: 'array'
+  });
+  
+  return new Map(result.rows.map(row => [JSON.stringify(keyIndexes.map(index => row[index])), row]));
+}
+
+/**
+ * Reads the before-images of the rows an UPDATE or DELETE is about to change, locking them until the transaction ends
+ * @param {Object} client - PostgreSQL client, in a transaction
+ * @param {Object} target - Statement target returned by getRowChangeTarget
+ * @param {number} [limit=MAX_JOURNAL_ROWS] - Most rows to read
+ * @returns {Promise<Object>} Change with command, schema, table, columns, key, rows and more (whether rows past the limit match),
+ * or reason if the rows cannot be read
+ */
+async function captureBeforeImages(client, target, limit = MAX_JOURNAL_ROWS) {
+  if (!target.relation) {
+    return { reason: 'the table name could not be read' };
+  }
+  
+  const table = await describeTable(client, target.relation);
+  if (table.reason) {
+    return table;
+  }
+  
+  const result = await client.query({
+    text: `SELECT ${table.columns.map(column => `${db.postgres.quoteIdentifier(column.name)}::text`).join(', ')}
+      FROM ${target.table}${target.where ? ` WHERE ${target.where}` : ''}
+      LIMIT ${limit + 1} FOR UPDATE`,
+    rowMode: 'array'
+  });
+  
+  return {
+    command: target.command,
+    ...table,
+    rows: result.rows.slice(0, limit).map(before => ({ before })),
+    more: result.rows.length > limit
+  };
+}
+
+/**
+ * Checks whether a change can be found again by primary key after its statement runs
+ * @param {Object} change - Change returned by captureBeforeImages
+ * @param {Object} target - Statement target returned by getRowChangeTarget
+ * @returns {string|null} Why the rows cannot be found again, or null if they can
+ */
+function getRowKeyProblem(change, target) {
+  const name = `${change.schema}.${change.table}`;
+  
+  if (change.key.length === 0) {
+    return `${name} has no primary key`;
+  }
+  
+  // Identity columns generated always cannot be set back either
+  const fixed = change.columns.filter(column => change.key.includes(column.name) || column.identityAlways).map(column => column.name);
+  const changedKey = (target.columns || []).find(column => fixed.includes(column));
+  
+  return changedKey ? `the statement changes ${name}.${changedKey}, which undo could not set back` : null;
+}
+
+/**
+ * Adds the after-images of the rows an UPDATE changed to its journal entry
+ * Undo only restores a row whose values still match its after-image
+ * @param {Object} client - PostgreSQL client, in the transaction the UPDATE ran in
+ * @param {Object} change - Journal entry returned by captureBeforeImages
+ * @returns {Promise<void>}
+ */
+async function captureAfterImages(client, change) {
+  if (change.rows.length === 0) return;
+  
+  const keyIndexes = change.key.map(name => change.columns.findIndex(column => column.name === name));
+  const after = await readRowsByKey(client, change, change.rows.map(row => keyIndexes.map(index => row.before[index])));
+  
+  change.rows.forEach(row => {
+    row.after = after.get(JSON.stringify(keyIndexes.map(index => row.before[index]))) || null;
+  });
+}
+
+/**
+ * Encrypts a journal and writes it with its key and manifest into the temporary backup directory
+ * @param {Object} journal - Journal contents
+ * @param {Object} manifest - Unencrypted description of the journal
+ * @param {boolean} compress - Whether to gzip the journal before encrypting it
+ * @returns {Promise<void>}
+ */
+async function writeJournal(journal, manifest, compress) {
+  const { journalPath, keyPath, manifestPath } = getJournalFiles(journal.id);
+  const key = generateBackupKey();
+  
+  ensureTempBackupDir();
+  
+  try {
+    fs.writeFileSync(keyPath, key.toString('hex'), { mode: 0o600 });
+    await encryptToFile(Readable.from([JSON.stringify(journal)]), journalPath, key, { compress });
+    fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, { mode: 0o600 });
+  } catch (error) {
+    removeJournal(journal.id);
+    throw error;
+  }
+}
+
+/**
+ * Deletes the files of an undo journal
+ * @param {string} journalId - Journal id
+ */
+function removeJournal(journalId) {
+  Object.values(getJournalFiles(journalId)).filter(file => fs.existsSync(file)).forEach(file => fs.unlinkSync(file));
+}
+
+/**
+ * Runs a query, journaling the rows its plain UPDATE and DELETE statements change
+ * The statements run one at a time in a single transaction, as they would in one multi-statement query;
+ * a query that controls its own transaction, or that changes rows a journal cannot identify, runs without a journal
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} query - SQL text, possibly with several statements
+ * @param {Object} options - Journal options
+ * @param {string} options.project - Project the query runs against, recorded so undo connects to it
+ * @param {string} [options.database] - Database the project was opened with, when not its default one
+ * @param {boolean} [options.compress=true] - Gzip the journal before encrypting it
+ * @returns {Promise<Object>} Object with result (as pool.query returns it) and journal (id, tables and rows, or null if nothing was journaled)
+ */
+async function executeWithUndoJournal(pool, query, options) {
+  const statements = splitSqlStatements(query);
+  const targets = statements.map(statement => getRowChangeTarget(statement));
+  // UPDATE ... FROM, DELETE ... USING, data-changing WITH, MERGE, TRUNCATE and upserts change rows without a plain target
+  const untargeted = classifyPostgresQuery(query).statements.findIndex((statement, index) => statement.changesRows && !targets[index]);
+  
+  if (!targets.some(Boolean) && untargeted === -1) {
+    return { result: await db.postgres.executeQuery(pool, query), journal: null };
+  }
+  
+  if (statements.some(statement => TRANSACTION_COMMANDS.includes((tokenizeSql(statement)[0] || {}).upper))) {
+    console.warn(chalk.yellow('⚠ Not journaled for undo: the query controls its own transaction'));
+    return { result: await db.postgres.executeQuery(pool, query), journal: null };
+  }
+  
+  // A journal that restores only some of the statements would be misleading, so none is kept
+  if (untargeted !== -1) {
+    console.warn(chalk.yellow(`⚠ Not journaled for undo: statement ${untargeted + 1} changes rows a journal cannot identify (only plain UPDATE and DELETE statements are journaled)`));
+    return { result: await db.postgres.executeQuery(pool, query), journal: null };
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const results = [];
+    let changes = [];
+    let skipped = null;
+    
+    for (const [index, statement] of statements.entries()) {
+      let change = null;
+      
+      if (targets[index] && !skipped) {
+        change = await captureBeforeImages(client, targets[index]);
+        const reason = change.reason
+          || getRowKeyProblem(change, targets[index])
+          || (change.more ? `the statement changes more than ${MAX_JOURNAL_ROWS} rows of ${change.schema}.${change.table}` : null);
+        
+        // A journal that restores only some of the statements would be misleading, so none is kept
+        if (reason) {
+          skipped = reason;
+          changes = [];
+          change = null;
+        }
+      }
+      
+      const result = await client.query(statement);
+      results.push(result);
+      
+      if (change) {
+        if (change.command === 'UPDATE') {
+          await captureAfterImages(client, change);
+        }
+        
+        if (result.rowCount !== change.rows.length) {
+          console.warn(chalk.yellow(`⚠ Statement ${index + 1} changed ${result.rowCount} row(s) but ${change.rows.length} were journaled; undo restores only the journaled rows`));
+        }
+        
+        const { more, ...journaled } = change;
+        changes.push({ statement: index + 1, ...journaled });
+      }
+    }
+    
+    let journal = null;
+    const rows = changes.reduce((total, change) => total + change.rows.length, 0);
+    
+    if (skipped) {
+      console.warn(chalk.yellow(`⚠ Not journaled for undo: ${skipped}`));
+    } else if (rows > 0) {
+      const { rows: [{ database }] } = await client.query('SELECT current_database() AS database');
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const id = `${JOURNAL_PREFIX}${options.project.toLowerCase().replace(/[^a-z0-9]/g, '_')}_${timestamp}`;
+      const tables = [...new Set(changes.map(change => `${change.schema}.${change.table}`))];
+      const createdAt = new Date().toISOString();
+      const createdBy = getCurrentUser();
+      
+      await writeJournal(
+        { version: JOURNAL_VERSION, id, project: options.project, database, createdAt, createdBy, query, changes },
+        { type: 'undo-journal', project: options.project, database, options: options.database ? { database: options.database } : {}, createdAt, createdBy, tables, rows },
+        options.compress !== false
+      );
+      journal = { id, tables, rows };
+    }
+    
+    try {
+      await client.query('COMMIT');
+    } catch (error) {
+      if (journal) removeJournal(journal.id);
+      throw error;
+    }
+    
+    return { result: results.length === 1 ? results[0] : results, journal };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Reads the manifest of an undo journal
+ * @param {string} journalId - Journal id
+ * @returns {Object|null} Manifest with project, database, options, createdAt, createdBy, tables, rows and undone, or null if there is no such journal
+ */
+function readJournalManifest(journalId) {
+  const { journalPath, manifestPath } = getJournalFiles(journalId);
+  
+  if (!fs.existsSync(journalPath)) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decrypts an undo journal
+ * @param {string} journalId - Journal id
+ * @returns {Promise<Object>} Journal with the manifest's undone record
+ * @throws Will throw error if the journal, its key or its manifest is missing, or the journal fails integrity verification
+ */
+async function loadUndoJournal(journalId) {
+  const { journalPath, keyPath } = getJournalFiles(journalId);
+  const manifest = readJournalManifest(journalId);
+  
+  if (!manifest) {
+    throw new Error(`Undo journal not found: ${journalId} (journals are deleted after ${RETENTION_HOURS} hours)`);
+  }
+  
+  if (!fs.existsSync(keyPath)) {
+    throw new Error(`The key of undo journal ${journalId} is missing`);
+  }
+  
+  const chunks = [];
+  await decryptFromFile(journalPath, Buffer.from(fs.readFileSync(keyPath, 'utf8').trim(), 'hex'), new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  }));
+  
+  const journal = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  
+  if (journal.version !== JOURNAL_VERSION || !Array.isArray(journal.changes)) {
+    throw new Error(`${journalId} is not an undo journal (version ${JOURNAL_VERSION})`);
+  }
+  
+  return { ...journal, options: manifest.options || {}, undone: manifest.undone || null };
+}
+
+/**
+ * Records in the journal's manifest that it was undone, so it cannot be undone twice
+ * @param {string} journalId - Journal id
+ * @param {Object} undone - When and by whom the journal was undone
+ */
+function markJournalUndone(journalId, undone) {
+  const { manifestPath } = getJournalFiles(journalId);
+  fs.writeFileSync(manifestPath, `${JSON.stringify({ ...readJournalManifest(journalId), undone }, null, 2)}\n`, { mode: 0o600 });
+}
+
+/**
+ * Lists the undo journals in the temporary backup directory
+ * @returns {Array<Object>} Journals with id, project, database, createdAt, createdBy, tables, rows, undone and expiresIn, newest first
+ */
+function listUndoJournals() {
+  if (!fs.existsSync(TEMP_BACKUP_DIR)) {
+    return [];
+  }
+  
+  return fs.readdirSync(TEMP_BACKUP_DIR)
+    .filter(file => file.startsWith(JOURNAL_PREFIX) && file.endsWith('.enc'))
+    .map(file => {
+      const id = file.replace(/\.enc$/, '');
+      const manifest = readJournalManifest(id) || {};
+      const age = Date.now() - fs.statSync(path.join(TEMP_BACKUP_DIR, file)).mtimeMs;
+      
+      return {
+        id,
+        project: manifest.project || null,
+        database: manifest.database || null,
+        createdAt: manifest.createdAt || null,
+        createdBy: manifest.createdBy || null,
+        tables: manifest.tables || [],
+        rows: manifest.rows || 0,
+        undone: manifest.undone || null,
+        expiresIn: `${Math.max(0, RETENTION_HOURS - age / (60 * 60 * 1000)).toFixed(1)} hours`
+      };
+    })
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Quotes a journaled value as a typed SQL literal
+ * @param {string|null} value - Value as text
+ * @param {string} type - Column type
+ * @returns {string} Literal such as 'it''s'::text, or NULL
+ */
+function toLiteral(value, type) {
+  return value === null ? 'NULL' : `'${value.replace(/'/g, "''")}'::${type}`;
+}
+
+/**
+ * Builds the statements that undo a journal, last change first
+ * A deleted row is inserted again; an updated row gets its old values back, but only while it still has the values the UPDATE left
+ * The literals need standard_conforming_strings on
+ * @param {Object} journal - Journal returned by loadUndoJournal
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.overwrite] - Restore rows even if they changed after the journal was written
+ * @returns {Array<Object>} Statements with sql, command (INSERT or UPDATE) and table
+ */
+function buildUndoStatements(journal, options = {}) {
+  const { quoteIdentifier } = db.postgres;
+  const statements = [];
+  
+  [...journal.changes].reverse().forEach(change => {
+    const table = `${quoteIdentifier(change.schema)}.${quoteIdentifier(change.table)}`;
+    const name = `${change.schema}.${change.table}`;
+    const keyIndexes = change.key.map(key => change.columns.findIndex(column => column.name === key));
+    const matchKey = values => keyIndexes
+      .map(index => `${quoteIdentifier(change.columns[index].name)} = ${toLiteral(values[index], change.columns[index].type)}`)
+      .join(' AND ');
+    
+    if (change.command === 'DELETE') {
+      const overriding = change.columns.some(column => column.identityAlways) ? ' OVERRIDING SYSTEM VALUE' : '';
+      const updatable = change.columns.filter((column, index) => !keyIndexes.includes(index) && !column.identityAlways);
+      const onConflict = !options.overwrite
+        ? ''
+        : updatable.length === 0
+          ? ' ON CONFLICT DO NOTHING'
+          : ` ON CONFLICT (${change.key.map(quoteIdentifier).join(', ')}) DO UPDATE SET ${updatable.map(column => `${quoteIdentifier(column.name)} = EXCLUDED.${quoteIdentifier(column.name)}`).join(', ')}`;
+      
+      change.rows.forEach(row => {
+        statements.push({
+          command: 'INSERT',
+          table: name,
+          sql: `INSERT INTO ${table} (${change.columns.map(column => quoteIdentifier(column.name)).join(', ')})${overriding} VALUES (${row.before.map((value, index) => toLiteral(value, change.columns[index].type)).join(', ')})${onConflict};`
+        });
+      });
+    } else {
+      change.rows.forEach(row => {
+        const changed = change.columns.map((column, index) => index).filter(index => !row.after || row.after[index] !== row.before[index]);
+        
+        // The UPDATE left this row as it was
+        if (changed.length === 0) return;
+        
+        const guard = options.overwrite || !row.after
+          ? ''
+          : ` AND ${change.columns.map((column, index) => `${quoteIdentifier(column.name)}::text IS NOT DISTINCT FROM ${toLiteral(row.after[index], 'text')}`).join(' AND ')}`;
+        
+        statements.push({
+          command: 'UPDATE',
+          table: name,
+          sql: `UPDATE ${table} SET ${changed.map(index => `${quoteIdentifier(change.columns[index].name)} = ${toLiteral(row.before[index], change.columns[index].type)}`).join(', ')} WHERE ${matchKey(row.before)}${guard};`
+        });
+      });
+    }
+  });
+  
+  return statements;
+}
+
+/**
+ * Describes the command an undo runs, so the safety policy can check it against the journal's project
+ * @param {string} journalId - Journal id
+ * @returns {Object|null} Object with projectName and options, or null if there is no such journal
+ */
+function readUndoRequest(journalId) {
+  const manifest = journalId ? readJournalManifest(journalId) : null;
+  return manifest && manifest.project ? { projectName: manifest.project, options: manifest.options || {} } : null;
+}
+
+module.exports = {
+  executeWithUndoJournal,
+  captureBeforeImages,
+  captureAfterImages,
+  TRANSACTION_COMMANDS,
+  loadUndoJournal,
+  buildUndoStatements,
+  markJournalUndone,
+  listUndoJournals,
+  readUndoRequest,
+  JOURNAL_PREFIX
+};
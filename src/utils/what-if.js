@@ -0,0 +1,494 @@
+// src/utils/what-if.js
+// This file works out what a query would change, for "query --what-if"
+// PostgreSQL queries really run, in a transaction that is always rolled back; the rows they change are read before and after each statement
+// MongoDB queries do not run: the matching documents are found and update operators are applied to copies of them in memory
+
+const { BSON } = require('mongodb');
+const { splitSqlStatements } = require('./sql-splitter');
+const { tokenizeSql } = require('./sql-lexer');
+const { inspectPostgresQuery, findIrreversibleStatement, getRowChangeTarget } = require('./query-classifier');
+const { captureBeforeImages, captureAfterImages, TRANSACTION_COMMANDS } = require('./undo-journal');
+
+// Rows or documents shown per statement; the count covers all of them
+const WHAT_IF_ROWS = 20;
+
+/**
+ * Pairs column names with row values
+ * @param {Array<Object>} columns - Columns with name
+ * @param {Array} values - Row values in column order
+ * @returns {Object} Row keyed by column name
+ */
+function toRow(columns, values) {
+  return Object.fromEntries(columns.map((column, index) => [column.name, values[index]]));
+}
+
+/**
+ * Explains why the rows an UPDATE changed cannot be read back by primary key to pair old and new values
+ * @param {Object} change - Rows captured before the UPDATE, with columns and key
+ * @param {Object} target - Row-change target of the UPDATE, with the columns it sets
+ * @returns {string|null} Reason, or null if the rows can be paired
+ */
+function getPairingProblem(change, target) {
+  if (change.key.length === 0) {
+    return `${change.schema}.${change.table} has no primary key`;
+  }
+  
+  const changedKey = (target.columns || []).find(column => change.key.includes(column));
+  return changedKey ? `the statement changes the primary key column ${changedKey}` : null;
+}
+
+/**
+ * Gets the table an INSERT writes to
+ * @param {Array<Object>} tokens - Tokens of the INSERT statement
+ * @returns {string|null} Table name as written, or null
+ */
+function getInsertTable(tokens) {
+  const into = tokens.findIndex(token => token.depth === 0 && token.upper === 'INTO');
+  if (into === -1 || !tokens[into + 1]) return null;
+  
+  const name = tokens[into + 1].value;
+  return tokens[into + 2] && tokens[into + 2].value === '.' && tokens[into + 3] ? `${name}.${tokens[into + 3].value}` : name;
+}
+
+/**
+ * Runs a PostgreSQL query in a transaction, records what each statement changes, and rolls everything back
+ * UPDATE and DELETE rows are read with the statement's WHERE clause; an INSERT without RETURNING gets RETURNING *,
+ * and one with RETURNING shows the columns it returns
+ * Sequence values an INSERT uses are not given back by the rollback
+ * Statements whose effects a rollback does not undo are refused before anything runs
+ * @param {Object} pool - PostgreSQL connection pool
+ * @param {string} query - SQL text, possibly with several statements
+ * @param {number} [limit=WHAT_IF_ROWS] - Most rows to record per statement
+ * @returns {Promise<Array<Object>>} Per statement: statement, command, table, rowCount, inserted, updated (key and changes), deleted, more and note
+ * @throws Will throw error if the query has its own transaction control, calls a function the rollback does not undo, or a statement fails
+ */
+async function whatIfPostgresQuery(pool, query, limit = WHAT_IF_ROWS) {
+  const statements = splitSqlStatements(query);
+  
+  if (statements.some(statement => TRANSACTION_COMMANDS.includes((tokenizeSql(statement)[0] || {}).upper))) {
+    throw new Error('--what-if cannot run a query that has its own BEGIN, COMMIT or ROLLBACK');
+  }
+  
+  // The query really runs, so anything the rollback does not undo (terminating a backend, writing a file, using a sequence) would happen
+  const irreversible = findIrreversibleStatement(await inspectPostgresQuery(pool, query));
+  if (irreversible) {
+    const text = irreversible.sql.replace(/\s+/g, ' ');
+    const reason = irreversible.sideEffects.length > 0
+      ? `it calls ${irreversible.sideEffects.join(', ')}, which a rollback does not undo`
+      : `a rollback is not known to undo ${irreversible.command || 'this'} statements`;
+    throw new Error(`--what-if cannot preview "${text.length > 60 ? `${text.slice(0, 57)}...` : text}": ${reason}`);
+  }
+  
+  const client = await pool.connect();
+  const reports = [];
+  
+  try {
+    await client.query('BEGIN');
+    
+    for (const [index, statement] of statements.entries()) {
+      const tokens = tokenizeSql(statement);
+      const target = getRowChangeTarget(statement);
+      const change = target ? await captureBeforeImages(client, target, limit) : null;
+      const insert = !target && tokens[0] && tokens[0].upper === 'INSERT';
+      const returning = tokens.some(token => token.depth === 0 && token.upper === 'RETURNING');
+      const result = await client.query(insert && !returning ? `${statement} RETURNING *` : statement);
+      const report = { statement: index + 1, command: result.command || tokens[0].upper, rowCount: result.rowCount };
+      
+      if (change && change.reason) {
+        report.note = `the changed rows cannot be shown: ${change.reason}`;
+      } else if (change) {
+        report.table = `${change.schema}.${change.table}`;
+        report.more = change.more;
+        
+        if (change.command === 'DELETE') {
+          report.deleted = change.rows.map(row => toRow(change.columns, row.before));
+        } else if (getPairingProblem(change, target)) {
+          report.note = `old and new values cannot be paired: ${getPairingProblem(change, target)}`;
+          report.updated = change.rows.map(row => ({ key: toRow(change.columns, row.before), changes: [] }));
+        } else {
+          await captureAfterImages(client, change);
+          
+          const keyIndexes = change.key.map(name => change.columns.findIndex(column => column.name === name));
+          report.updated = change.rows.map(row => ({
+            key: toRow(keyIndexes.map(keyIndex => change.columns[keyIndex]), keyIndexes.map(keyIndex => row.before[keyIndex])),
+            changes: change.columns
+              .map((column, columnIndex) => ({ column: column.name, from: row.before[columnIndex], to: row.after ? row.after[columnIndex] : undefined }))
+              .filter(columnChange => columnChange.from !== columnChange.to)
+          }));
+        }
+      } else if (insert) {
+        report.table = getInsertTable(tokens);
+        report.inserted = result.rows.slice(0, limit);
+        report.more = result.rows.length > limit;
+      }
+      
+      reports.push(report);
+    }
+    
+    return reports;
+  } finally {
+    await client.query('ROLLBACK').catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * Checks whether a value is a plain document, rather than an array, date or BSON value
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isDocument(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && !value._bsontype && !(value instanceof Date);
+}
+
+/**
+ * Writes Extended JSON for a value, so values of different BSON types compare and print unambiguously
+ * @param {*} value - Value
+ * @returns {string} Relaxed Extended JSON
+ */
+function toEjson(value) {
+  return BSON.EJSON.stringify(value, { relaxed: true });
+}
+
+/**
+ * Copies a value, keeping BSON types such as ObjectId and Date
+ * @param {*} value - Value
+ * @returns {*} Deep copy
+ */
+function cloneValue(value) {
+  return BSON.EJSON.deserialize(BSON.EJSON.serialize(value, { relaxed: false }));
+}
+
+/**
+ * Gets the parent document of a dotted path and the last path segment, creating missing parents when asked
+ * @param {Object} document - Document
+ * @param {string} fieldPath - Dotted path such as address.city
+ * @param {boolean} create - Whether to create missing parent documents
+ * @returns {Object|null} Object with parent and field, or null if a parent is missing or not a document
+ * @throws Will throw error for positional paths ($, $[] and $[<id>]), which need the query to resolve
+ */
+function resolvePath(document, fieldPath, create) {
+  const segments = fieldPath.split('.');
+  
+  if (segments.some(segment => segment.startsWith('$'))) {
+    throw new Error(`the positional path "${fieldPath}" cannot be previewed`);
+  }
+  
+  let parent = document;
+  for (const segment of segments.slice(0, -1)) {
+    if (parent[segment] === undefined && create) {
+      parent[segment] = {};
+    }
+    if (!parent[segment] || typeof parent[segment] !== 'object') {
+      return null;
+    }
+    parent = parent[segment];
+  }
+  
+  return { parent, field: segments[segments.length - 1] };
+}
+
+/**
+ * Gets the value at a dotted path
+ * @param {Object} document - Document
+ * @param {string} fieldPath - Dotted path
+ * @returns {*} Value, or undefined if the path is missing
+ */
+function getPath(document, fieldPath) {
+  const resolved = resolvePath(document, fieldPath, false);
+  return resolved ? resolved.parent[resolved.field] : undefined;
+}
+
+/**
+ * Sets the value at a dotted path, creating missing parent documents
+ * @param {Object} document - Document
+ * @param {string} fieldPath - Dotted path
+ * @param {*} value - New value
+ * @throws Will throw error if a parent on the path is not a document
+ */
+function setPath(document, fieldPath, value) {
+  const resolved = resolvePath(document, fieldPath, true);
+  if (!resolved) {
+    throw new Error(`"${fieldPath}" goes through a field that is not a document`);
+  }
+  resolved.parent[resolved.field] = value;
+}
+
+/**
+ * Removes the value at a dotted path
+ * @param {Object} document - Document
+ * @param {string} fieldPath - Dotted path
+ */
+function unsetPath(document, fieldPath) {
+  const resolved = resolvePath(document, fieldPath, false);
+  if (resolved) {
+    delete resolved.parent[resolved.field];
+  }
+}
+
+/**
+ * Gets the array at a dotted path for an array operator
+ * @param {Object} document - Document
+ * @param {string} fieldPath - Dotted path
+ * @param {string} operator - Operator name, for the error message
+ * @returns {Array} The array, or a new empty one set at the path if the field is missing
+ * @throws Will throw error if the field is not an array
+ */
+function getArray(document, fieldPath, operator) {
+  const value = getPath(document, fieldPath);
+  
+  if (value === undefined) {
+    setPath(document, fieldPath, []);
+    return getPath(document, fieldPath);
+  }
+  
+  if (!Array.isArray(value)) {
+    throw new Error(`${operator} needs an array at "${fieldPath}"`);
+  }
+  
+  return value;
+}
+
+/**
+ * Gets the values of $each, or the single value
+ * @param {*} value - Operand of $push or $addToSet
+ * @param {string} operator - Operator name, for the error message
+ * @returns {Array} Values to add
+ * @throws Will throw error for modifiers other than $each
+ */
+function getEachValues(value, operator) {
+  if (!isDocument(value) || !Object.keys(value).some(key => key.startsWith('$'))) {
+    return [value];
+  }
+  
+  const modifiers = Object.keys(value).filter(key => key !== '$each');
+  if (modifiers.length > 0) {
+    throw new Error(`${operator} with ${modifiers.join(', ')} cannot be previewed`);
+  }
+  
+  return value.$each;
+}
+
+/**
+ * Gets a number for arithmetic operators
+ * @param {*} value - Value
+ * @param {string} operator - Operator name, for the error message
+ * @returns {number} The value
+ * @throws Will throw error if the value is not a JavaScript number
+ */
+function toNumber(value, operator) {
+  if (typeof value !== 'number') {
+    throw new Error(`${operator} on ${toEjson(value)} cannot be previewed`);
+  }
+  return value;
+}
+
+// How each update operator changes a copy of a document: (document, path, operand)
+const UPDATE_OPERATORS = {
+  $set: (document, fieldPath, value) => setPath(document, fieldPath, value),
+  $unset: (document, fieldPath) => unsetPath(document, fieldPath),
+  $setOnInsert: () => {},
+  $inc: (document, fieldPath, value) => setPath(document, fieldPath, toNumber(getPath(document, fieldPath) ?? 0, '$inc') + toNumber(value, '$inc')),
+  $mul: (document, fieldPath, value) => setPath(document, fieldPath, toNumber(getPath(document, fieldPath) ?? 0, '$mul') * toNumber(value, '$mul')),
+  $min: (document, fieldPath, value) => {
+    const current = getPath(document, fieldPath);
+    if (current === undefined || value < current) setPath(document, fieldPath, value);
+  },
+  $max: (document, fieldPath, value) => {
+    const current = getPath(document, fieldPath);
+    if (current === undefined || value > current) setPath(document, fieldPath, value);
+  },
+  $rename: (document, fieldPath, newPath) => {
+    const current = getPath(document, fieldPath);
+    if (current === undefined) return;
+    unsetPath(document, fieldPath);
+    setPath(document, newPath, current);
+  },
+  $currentDate: (document, fieldPath) => setPath(document, fieldPath, new Date()),
+  $push: (document, fieldPath, value) => {
+    getArray(document, fieldPath, '$push').push(...getEachValues(value, '$push'));
+  },
+  $addToSet: (document, fieldPath, value) => {
+    const array = getArray(document, fieldPath, '$addToSet');
+    getEachValues(value, '$addToSet').forEach(item => {
+      if (!array.some(existing => toEjson(existing) === toEjson(item))) array.push(item);
+    });
+  },
+  $pull: (document, fieldPath, value) => {
+    if (isDocument(value) && Object.keys(value).some(key => key.startsWith('$'))) {
+      throw new Error('$pull with a condition cannot be previewed');
+    }
+    const array = getPath(document, fieldPath);
+    if (Array.isArray(array)) setPath(document, fieldPath, array.filter(item => toEjson(item) !== toEjson(value)));
+  },
+  $pullAll: (document, fieldPath, values) => {
+    const array = getPath(document, fieldPath);
+    if (Array.isArray(array)) setPath(document, fieldPath, array.filter(item => !values.some(value => toEjson(item) === toEjson(value))));
+  },
+  $pop: (document, fieldPath, value) => {
+    const array = getPath(document, fieldPath);
+    if (Array.isArray(array)) setPath(document, fieldPath, value === -1 ? array.slice(1) : array.slice(0, -1));
+  }
+};
+
+/**
+ * Applies a MongoDB update to a copy of a document, as the server would
+ * @param {Object} document - Document as read from the collection
+ * @param {Object|Array} update - Update document with operators, or a replacement document
+ * @returns {Object} The updated copy
+ * @throws Will throw error for aggregation pipeline updates, unknown operators and positional paths
+ */
+function applyMongoUpdate(document, update) {
+  if (Array.isArray(update)) {
+    throw new Error('aggregation pipeline updates cannot be previewed');
+  }
+  
+  const updated = cloneValue(document);
+  const operators = Object.keys(update || {});
+  
+  // A document without operators replaces the whole document, keeping its _id
+  if (!operators.some(operator => operator.startsWith('$'))) {
+    return { _id: document._id, ...cloneValue(update) };
+  }
+  
+  operators.forEach(operator => {
+    if (!UPDATE_OPERATORS[operator]) {
+      throw new Error(`the update operator ${operator} cannot be previewed`);
+    }
+    Object.entries(update[operator]).forEach(([fieldPath, value]) => {
+      UPDATE_OPERATORS[operator](updated, fieldPath, cloneValue(value));
+    });
+  });
+  
+  return updated;
+}
+
+/**
+ * Lists the fields that differ between two versions of a document
+ * @param {Object} before - Document before the update
+ * @param {Object} after - Document after the update
+ * @param {string} [prefix=''] - Path of the documents being compared
+ * @returns {Array<Object>} Changes with column (dotted field path), from and to (undefined when missing), as Extended JSON
+ */
+function diffDocuments(before, after, prefix = '') {
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  
+  return fields.flatMap(field => {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    
+    if (isDocument(from) && isDocument(to)) {
+      return diffDocuments(from, to, `${prefix}${field}.`);
+    }
+    
+    const fromText = from === undefined ? undefined : toEjson(from);
+    const toText = to === undefined ? undefined : toEjson(to);
+    return fromText === toText ? [] : [{ column: `${prefix}${field}`, from: fromText, to: toText }];
+  });
+}
+
+/**
+ * Lists the writes of a MongoDB query as the query command would run it
+ * @param {Object} request - Query type, collection, query and options as the query command parsed them
+ * @returns {Array<Object>|null} Writes with kind (update, delete or insert), collection, filter, update, many, upsert, sort and documents,
+ * or null if the query cannot be previewed
+ */
+function getMongoWrites({ type, collection, query, options = {} }) {
+  if (type === 'update') {
+    return [{ kind: 'update', collection, filter: query || {}, update: options.update, many: Boolean(options.updateMany), upsert: Boolean(options.upsert) }];
+  }
+  
+  if (type === 'delete') {
+    return [{ kind: 'delete', collection, filter: query || {}, many: Boolean(options.deleteMany) }];
+  }
+  
+  if (type !== 'command' || !query) {
+    return null;
+  }
+  
+  const command = Object.keys(query)[0];
+  const name = command ? command.toLowerCase() : '';
+  const target = query[command];
+  
+  if (name === 'update' && Array.isArray(query.updates)) {
+    return query.updates.map(update => ({ kind: 'update', collection: target, filter: update.q || {}, update: update.u, many: Boolean(update.multi), upsert: Boolean(update.upsert) }));
+  }
+  
+  if (name === 'delete' && Array.isArray(query.deletes)) {
+    return query.deletes.map(deletion => ({ kind: 'delete', collection: target, filter: deletion.q || {}, many: deletion.limit === 0 }));
+  }
+  
+  if (name === 'insert' && Array.isArray(query.documents)) {
+    return [{ kind: 'insert', collection: target, documents: query.documents }];
+  }
+  
+  if (name === 'findandmodify') {
+    return [query.remove
+      ? { kind: 'delete', collection: target, filter: query.query || {}, many: false, sort: query.sort }
+      : { kind: 'update', collection: target, filter: query.query || {}, update: query.update, many: false, upsert: Boolean(query.upsert), sort: query.sort }];
+  }
+  
+  return null;
+}
+
+/**
+ * Works out what a MongoDB query would change without running it
+ * Each write is previewed against the documents as they are now, so later writes of a command do not see earlier ones
+ * @param {Object} mongoDb - MongoDB database instance
+ * @param {Object} request - Query type, collection, query and options as the query command parsed them
+ * @param {number} [limit=WHAT_IF_ROWS] - Most documents to record per write
+ * @returns {Promise<Array<Object>>} Per write: statement, command, table, rowCount, inserted, updated (key and changes), deleted, more and note
+ * @throws Will throw error if the query is not an update, delete or insert
+ */
+async function whatIfMongoQuery(mongoDb, request, limit = WHAT_IF_ROWS) {
+  const writes = getMongoWrites(request);
+  
+  if (!writes) {
+    throw new Error('--what-if can only preview update, delete, insert and findAndModify queries');
+  }
+  
+  const reports = [];
+  
+  for (const [index, write] of writes.entries()) {
+    const mongoCollection = mongoDb.collection(write.collection);
+    const report = { statement: index + 1, command: write.kind.toUpperCase(), table: write.collection };
+    
+    if (write.kind === 'insert') {
+      report.rowCount = write.documents.length;
+      report.inserted = write.documents.slice(0, limit).map(document => BSON.EJSON.serialize(document, { relaxed: true }));
+      report.more = write.documents.length > limit;
+      reports.push(report);
+      continue;
+    }
+    
+    report.rowCount = await mongoCollection.countDocuments(write.filter, write.many ? {} : { limit: 1 });
+    const documents = await mongoCollection.find(write.filter, { limit: write.many ? limit : 1, ...(write.sort ? { sort: write.sort } : {}) }).toArray();
+    report.more = report.rowCount > documents.length;
+    
+    if (write.kind === 'delete') {
+      report.deleted = documents.map(document => BSON.EJSON.serialize(document, { relaxed: true }));
+    } else {
+      try {
+        report.updated = documents.map(document => ({ key: { _id: toEjson(document._id) }, changes: diffDocuments(document, applyMongoUpdate(document, write.update)) }));
+      } catch (error) {
+        report.note = `the new values cannot be shown: ${error.message}`;
+        report.updated = documents.map(document => ({ key: { _id: toEjson(document._id) }, changes: [] }));
+      }
+      
+      if (report.rowCount === 0 && write.upsert) {
+        report.note = 'no document matches, so upsert would insert one';
+      }
+    }
+    
+    reports.push(report);
+  }
+  
+  return reports;
+}
+
+module.exports = {
+  whatIfPostgresQuery,
+  whatIfMongoQuery,
+  applyMongoUpdate,
+  WHAT_IF_ROWS
+};